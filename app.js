@@ -17,14 +17,27 @@ const CONFIG = {
     ],
     LEXICON_FILE_DEVA: "Yoga-Vasishtha-Devanagari-Lexicon.json",
     LEXICON_FILE_IAST: "Yoga-Vasishtha-IAST-Lexicon.json",
+    STRUCTURED_LEXICON_FILES: [ // Built by create-structured-lexicon.js
+        "Yoga-Vasishtha-IAST-Lexicon-Structured.json"
+    ],
     PASSAGES_MAPPING_FILE: "Yoga-Vasishtha-Words-Passages-Mapping.json",
     PASSAGES_TRANSLATIONS_FILE: "Yoga-Vasishtha-Sanskrit-Passages.json",
+    SEARCH_INDEX_FILE: "Yoga-Vasishtha-Search-Index.json", // Built by create-search-index.js
     STORAGE_KEYS: {
         THEME: 'epub-theme',
         FONT_FAMILY: 'epub-font-family',
         FONT_SIZE: 'epub-font-size',
         LINE_HEIGHT: 'epub-line-height',
         CURRENT_BOOK: 'epub-current-book',
+        SEARCH_SANSKRIT_MODE: 'epub-search-sanskrit-mode',
+        SEARCH_FUZZY_MODE: 'epub-search-fuzzy-mode',
+        SAVED_SEARCHES: 'epub-saved-searches',
+        SEARCH_HISTORY: 'epub-search-history',
+        LEXICON_OVERRIDES: 'epub-lexicon-overrides',
+        INTERLINEAR: 'epub-interlinear',
+        INTERLINEAR_COLLAPSED: 'epub-interlinear-collapsed',
+        HIGHLIGHTS: 'epub-highlights',
+        HIGHLIGHT_CATEGORIES: 'epub-highlight-categories',
         READING_POSITION: 'epub-position-'
     },
     DEVANAGARI_REGEX: /[\u0900-\u097F\u200B\u200C\u200D\uFEFF]+/g,  // Include zero-width chars
@@ -33,7 +46,8 @@ const CONFIG = {
         THEME: 'light',
         FONT_FAMILY: 'Georgia, serif',
         FONT_SIZE: '16px',
-        LINE_HEIGHT: '1.6'
+        LINE_HEIGHT: '1.6',
+        INTERLINEAR: 'off'
     },
     HELP_TEXT: `# Yoga Vasishtha EPUB Reader
 
@@ -73,6 +87,97 @@ The search functionality supports regex patterns with automatic fallback to lite
 
 Each pattern searches across all books simultaneously, showing results with context and allowing navigation to exact locations in the text.
 
+### Filters
+
+Use the <span class="material-icons">filter_list</span> button or type filters into the query:
+
+  **vol:3**         - only Volume 3 (both parts) <br>
+  **vol:2,4** / **vol:2-4** - several volumes <br>
+  **ch:5-12**       - chapters 5 to 12 of each book's table of contents <br>
+  **in:lexicon**    - only lexicon entries <br>
+  **in:books**      - only the books <br>
+  **in:notes**      - only your own notes <br>
+
+Filters typed in the query override the filter controls. Active filters are shown above the results.
+
+### Concordance
+
+The <span class="material-icons">view_list</span> button lists every occurrence of the search term across all volumes as a keyword-in-context table, with counts per volume. Sort it by the word before or after the keyword; click a row to jump to that occurrence. Sanskrit passages of the lexicon containing the word are listed below the table.
+
+### Statistics
+
+The <span class="material-icons">bar_chart</span> button shows the Sanskrit words that occur in the most passages and how often a term appears in each volume. Click a word to chart its distribution, or a volume bar to open the search results for that volume.
+
+### Saved searches and export
+
+Past queries are remembered with their filters: press Up/Down in the empty search box to step through them. While typing, suggestions from your history and the lexicon headwords appear under the search box (Up/Down to choose, Enter to search, Escape to dismiss).
+
+The <span class="material-icons">saved_search</span> button saves the current query together with its filters under a name, so it can be re-run later. The same dialog exports the current results (book, chapter, verse link and context) as Markdown, CSV or JSON.
+
+### Boolean and proximity queries
+
+Combine words and phrases; each paragraph is matched on its own:
+
+  **maya NEAR/10 dream**        - both words within 10 words of each other (NEAR alone means 10) <br>
+  **"liberation while living"** - exact phrase <br>
+  **"liberation while living" -jivanmukti** - phrase in paragraphs without "jivanmukti" <br>
+  **(Rama OR Vasishtha) AND mind** - grouping with parentheses <br>
+  **"inner peace" mind**        - words without an operator between them are combined with AND <br>
+
+Operators must be written in capitals. A query with regex characters (other than the parentheses) is searched as a regex pattern instead. Each matching paragraph is one result, with all its matched words highlighted. Sanskrit mode applies to every word of the query.
+
+### Sanskrit mode
+
+Toggle the <span class="material-icons">translate</span> button next to the search box to ignore diacritics and match Sanskrit words in any script:
+
+  **atma**      - finds "ātmā", "Atma" and "आत्मा" <br>
+  **आत्मा**      - finds the same word written in IAST <br>
+  **AtmA**      - Harvard-Kyoto input (capitals inside a word) <br>
+  **aatmaa**    - ITRANS input <br>
+  **krishna**   - also finds "kṛṣṇa" and "कृष्ण" <br>
+
+Matches are highlighted in whichever script they appear. Regex patterns are not affected by Sanskrit mode.
+
+### Fuzzy mode
+
+Toggle the <span class="material-icons">spellcheck</span> button to also find near-spellings of the words you type:
+
+  **vasishta**  - finds "Vasishtha", "Vasistha" and "Vaśiṣṭha" <br>
+
+Results are grouped by the spelling found, most frequent first; click a spelling above the results to jump to its group. Short words (three letters or fewer) still need an exact match. When a search finds nothing, "Did you mean" offers the closest words from the books.
+
+## Lexicon Edits
+
+Below a definition, **Edit entry or add a gloss** lets you attach your own gloss to any lexicon headword or correct its definition (Markdown, in the format of the shipped entries). Your edits are stored in the browser, separately from the lexicon files, and shown merged with the entry under a "my edit" marker; a corrected definition keeps the shipped one under "Original entry". **Revert to original** drops your edit.
+
+**Export my edits** saves them as batch files for the lexicon tools: **node lexicon-manager.js -i FILE --overwrite** imports the Devanagari patch and **-j FILE --overwrite** the IAST one (--overwrite replaces the existing entries). IAST edits keep the original transliteration line, which the import uses to find the headword.
+
+## Notes
+
+Notes are written in Markdown - **bold**, *italic*, quotes, lists and links - with the toolbar above the editor or by hand, and a live preview shows the result below it. Words starting with # are tags: write #maya or #jivanmukta anywhere in a note to file it under that theme. The tags of all your notes are listed at the top of the Notes dialog; click one to see every note carrying it, from all volumes, and click it again to show all notes.
+
+## Flashcards
+
+Click the <span class="material-icons">star_border</span> button in the word definition dialog to add a lexicon word to your flashcards. The <span class="material-icons">style</span> button next to it starts a review of the cards that are due: recall the word, show the answer (its definition and a passage it occurs in), then grade yourself. Again, Hard, Good and Easy schedule the card with the SM-2 algorithm - the better you remember it, the longer until it comes back. The Deck tab lists every card with its next review date.
+
+Flashcards and their review state are stored in the browser and synced with your bookmarks and notes.
+
+## Highlights
+
+Select text in the book and pick a color from the palette that appears to highlight it - no note needed. Click a highlight to give it another color or remove it. The colors and their names (Doctrine, Story and Question to start with) are listed under **Highlights** in the settings, where you can rename or recolor them, add colors, and show only the highlights of one color.
+
+## Interlinear Translations
+
+Set **Passage Translations** to **Interlinear** in the settings to show the translation of every translated Sanskrit passage right below it in the text: its IAST line and English gloss. Chapters with translated passages start with a button that hides or shows their glosses; the choice is remembered per chapter. Showing or hiding glosses keeps the text you are reading in place, and your saved reading position, notes and bookmarks are not affected.
+
+## Translation Coverage
+
+Passages without a translation yet are marked with a small dotted circle after the passage. **Translation coverage** in the settings opens a developer panel with the share of translated passages per volume and the list of untranslated ones; **Next untranslated passage** (or a click on a list entry) opens the book at that passage.
+
+## Annotation Anchors
+
+Notes, bookmarks and highlights remember the text they are attached to with the words around it, its position in the volume and its verse, so they stay in place when the book text is processed differently. Older ones are upgraded the first time their volume is opened. **Annotation anchors** in the settings lists any that could not be found again, and notes that were only found by the first occurrence of their text (these are not upgraded, as that occurrence may be another passage); **Check all volumes** opens each volume once to upgrade and check everything.
+
 ## Keyboard Shortcuts
 - **Escape**: Close any open modal
 - **Tab**: Navigate through interface elements
@@ -107,29 +212,54 @@ const State = {
     lexicon: {},
     iastLexicon: {},
     iastKeySet: new Set(), // For fast O(1) lookup
+    structuredLexicon: {}, // Parsed entries of both lexicons: { word: { headword, pos, roots, meanings, ... } }
+    rootIndex: null, // Verbal roots (dhātu) → headwords, built on first use: [{ root, meaning, words }]
+    splitDictionary: null, // Lexicon keys by folded form for SanskritSplitter, built on first use
     passagesMapping: {}, // Yoga-Vasishtha-Words-Passages-Mapping.json
     passagesTranslations: {}, // Yoga-Vasishtha-Sanskrit-Passages.json
+    searchIndex: null, // Yoga-Vasishtha-Search-Index.json (optional)
     notes: {}, // Book notes storage: { bookIndex: [note1, note2, ...] }
     search: {
         isOpen: false,
         query: '',
         results: [],
         currentIndex: -1,
+        isSearching: false, // True while results are still streaming in
+        sanskritMode: false, // Diacritic-insensitive, cross-script matching (see SearchCore.foldText)
+        fuzzyMode: false, // Near-spellings by edit distance, results grouped by spelling
+        suggestions: [], // "Did you mean" queries when nothing was found
+        filters: { volume: '', scope: 'all', chapterFrom: '', chapterTo: '' }, // Filter controls
+        activeFilters: {}, // Controls merged with query syntax (vol:, ch:, in:)
+        history: [], // Recent queries: [{ query, filters, sanskritMode, fuzzyMode, timestamp }]
         originalPosition: null // Store original position when search opens
     },
     bookmarks: {}, // Structure: { bookIndex: [bookmark1, bookmark2, ...] }
+    savedSearches: [], // Named searches: [{ id, name, query, filters, sanskritMode, fuzzyMode, timestamp }]
+    lexiconOverrides: {}, // Personal lexicon edits: { word: { definition, gloss, timestamp } }
+    interlinearCollapsed: {}, // Chapters with hidden interlinear glosses: { 'bookIndex:chapterId': true }
+    highlights: {}, // Colored highlights: { bookIndex: [{ id, bookIndex, category, selectedText, previousWordIndex, chapterTitle, timestamp }] }
+    highlightCategories: [], // Highlight colors: [{ id, name, color }]
+    highlightFilter: '', // Category id whose highlights alone are shown ('' = all)
+    flashcards: [], // Starred lexicon words: [{ id, word, ease, interval, repetitions, lapses, due, lastReview, timestamp }]
     isLoading: true,
     isInitialized: false,
     settings: {
         theme: CONFIG.DEFAULTS.THEME,
         fontFamily: CONFIG.DEFAULTS.FONT_FAMILY,
         fontSize: CONFIG.DEFAULTS.FONT_SIZE,
-        lineHeight: CONFIG.DEFAULTS.LINE_HEIGHT
+        lineHeight: CONFIG.DEFAULTS.LINE_HEIGHT,
+        interlinear: CONFIG.DEFAULTS.INTERLINEAR // 'on' annotates translated passages in the text
     },
     lexiconView: {
+        tab: 'definition', // 'definition' or 'roots'
+        selectedRoot: null, // Root expanded in the roots tab
         currentWord: null,
         showingPassages: false, // Toggle state for passages view
-        contextPassageHash: null // Hash of passage context when word is clicked
+        contextPassageHash: null, // Hash of passage context when word is clicked
+        showingIndex: false, // Browse all entries instead of a single definition
+        editing: false, // Editing the personal gloss / corrected definition of the current word
+        indexFilter: { pos: '', root: '' }, // Index filters (POS category, verbal root)
+        indexSort: 'word' // 'word', 'pos' or 'root'
     }
 };
 
@@ -163,6 +293,7 @@ const Elements = {
     fontFamilySelect: null,
     fontSizeSelect: null,
     lineHeightSelect: null,
+    interlinearSelect: null,
 
     // Close buttons
     closeButtons: []
@@ -201,6 +332,17 @@ const Utils = {
         element.hidden = true;
     },
 
+    /**
+     * Escape text for use inside HTML content and attributes
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
     /**
      * Create safe HTML content
      */
@@ -293,6 +435,10 @@ const SettingsManager = {
         State.settings.fontFamily = localStorage.getItem(CONFIG.STORAGE_KEYS.FONT_FAMILY) || CONFIG.DEFAULTS.FONT_FAMILY;
         State.settings.fontSize = localStorage.getItem(CONFIG.STORAGE_KEYS.FONT_SIZE) || CONFIG.DEFAULTS.FONT_SIZE;
         State.settings.lineHeight = localStorage.getItem(CONFIG.STORAGE_KEYS.LINE_HEIGHT) || CONFIG.DEFAULTS.LINE_HEIGHT;
+        State.settings.interlinear = localStorage.getItem(CONFIG.STORAGE_KEYS.INTERLINEAR) || CONFIG.DEFAULTS.INTERLINEAR;
+
+        State.search.sanskritMode = localStorage.getItem(CONFIG.STORAGE_KEYS.SEARCH_SANSKRIT_MODE) === 'true';
+        State.search.fuzzyMode = localStorage.getItem(CONFIG.STORAGE_KEYS.SEARCH_FUZZY_MODE) === 'true';
 
         const savedBook = localStorage.getItem(CONFIG.STORAGE_KEYS.CURRENT_BOOK);
         if (savedBook !== null) {
@@ -325,6 +471,7 @@ const SettingsManager = {
         if (Elements.fontFamilySelect) Elements.fontFamilySelect.value = State.settings.fontFamily;
         if (Elements.fontSizeSelect) Elements.fontSizeSelect.value = State.settings.fontSize;
         if (Elements.lineHeightSelect) Elements.lineHeightSelect.value = State.settings.lineHeight;
+        if (Elements.interlinearSelect) Elements.interlinearSelect.value = State.settings.interlinear;
     },
 
     /**
@@ -702,6 +849,13 @@ const SettingsManager = {
 
 // ===== SEARCH MANAGER =====
 const SearchManager = {
+    chapterCache: {}, // Per-book extracted chapter text: [{ anchor, title, text }]
+    worker: null, // Search worker (search-worker.js)
+    workerFailed: false,
+    vocabulary: null, // Word frequencies for "did you mean" without the worker (SearchCore.buildVocabulary)
+    activeQueryId: 0, // Incremented per query - results of older queries are dropped
+    bookCounters: {}, // Per-book result counters for display labels
+
     /**
      * Toggle search panel visibility
      */
@@ -795,1969 +949,2296 @@ const SearchManager = {
 
     /**
      * Perform search across all books
+     * Results are streamed per book (from the search worker when available)
      */
     async performSearch(query) {
-        if (!query || query.trim().length < 2) {
+        // Strip filter syntax (vol:3, ch:5-12, in:lexicon) and merge with filter controls
+        const parsed = SearchCore.parseQuery((query || '').trim());
+        State.search.activeFilters = this.getActiveFilters(parsed.filters);
+
+        State.search.suggestions = [];
+
+        if (parsed.text.length < 2) {
+            this.cancelSearch();
             State.search.results = [];
             State.search.query = '';
             this.renderResults();
             return;
         }
 
-        const cleanQuery = query.trim();
+        const cleanQuery = parsed.text;
         State.search.query = cleanQuery;
         State.search.results = [];
+        State.search.currentIndex = -1;
+        State.search.isSearching = true;
+        this.bookCounters = {};
 
-        try {
-            // Search across all books
-            const bookResults = [];
-
-            for (let bookIndex = 0; bookIndex < State.bookContents.length; bookIndex++) {
-                const content = State.bookContents[bookIndex];
-                if (!content) continue;
-
-                const results = await this.searchInBook(content, bookIndex, cleanQuery);
-                bookResults.push(...results);
-            }
-
-            // Search in lexicons
-            const lexiconResults = await this.searchInLexicon(cleanQuery);
+        const queryId = ++this.activeQueryId;
+        this.renderResults();
 
-            // Sort book results by relevance (exact matches first, then by position)
-            bookResults.sort((a, b) => {
-                if (a.exactMatch && !b.exactMatch) return -1;
-                if (!a.exactMatch && b.exactMatch) return 1;
-                if (a.bookIndex !== b.bookIndex) return a.bookIndex - b.bookIndex;
-                return a.position - b.position;
-            });
+        // Notes are local and small - always searched on the main thread
+        if (State.search.activeFilters.scope === 'notes') {
+            this.addNoteResults(SearchCore.searchNotes(State.notes, cleanQuery, this.getSearchOptions()));
+            this.finishSearch();
+            return;
+        }
 
-            // Add simplified display labels with counters per book
-            const bookCounters = {};
-            bookResults.forEach(result => {
-                if (!bookCounters[result.bookIndex]) {
-                    bookCounters[result.bookIndex] = 0;
-                }
-                bookCounters[result.bookIndex]++;
-                result.displayText = this.formatSimpleResultDisplay(result.bookTitle, bookCounters[result.bookIndex]);
-            });
+        const options = this.getSearchOptions();
+        const worker = this.initWorker();
+        if (worker) {
+            worker.postMessage({ type: 'search', queryId, query: cleanQuery, options });
+            return;
+        }
 
-            // Add simplified display labels for lexicon results (L@1, L@2, etc.)
-            lexiconResults.forEach((result, index) => {
-                result.displayText = `L@${index + 1}`;
-            });
+        // No worker available - search on the main thread
+        try {
+            for (let bookIndex = 0; bookIndex < State.bookContents.length; bookIndex++) {
+                if (!options.includeBooks) break;
+                if (!State.bookContents[bookIndex]) continue;
+                if (options.bookIndices && !options.bookIndices.includes(bookIndex)) continue;
 
-            // Combine results: book results first, then lexicon results
-            const allResults = [...bookResults, ...lexiconResults];
+                this.addBookResults(this.searchInBook(bookIndex, cleanQuery));
 
-            State.search.results = allResults.slice(0, 100); // Limit to 100 results
-            State.search.currentIndex = -1;
-            this.renderResults();
+                // Yield between books so typing stays responsive, drop stale queries
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (queryId !== this.activeQueryId) return;
+            }
 
+            if (options.includeLexicon) {
+                this.addLexiconResults(this.searchInLexicon(cleanQuery));
+            }
 
+            if (State.search.results.length === 0) {
+                State.search.suggestions = this.suggestQueries(cleanQuery);
+            }
         } catch (error) {
             console.error('Search error:', error);
             State.search.results = [];
-            this.renderResults();
         }
+
+        this.finishSearch();
     },
 
     /**
-     * Search within a single book
+     * Get options passed to SearchCore for the current search (or for other resolved filters)
      */
-    async searchInBook(content, bookIndex, query) {
-        const results = [];
-        const bookTitle = Utils.getBookTitle(CONFIG.EPUB_FILES[bookIndex]);
-
-        // Create temporary DOM to search through
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = content;
+    getSearchOptions(filters = State.search.activeFilters || {}) {
+        return {
+            sanskrit: State.search.sanskritMode,
+            fuzzy: State.search.fuzzyMode,
+            bookIndices: filters.bookIndices || null,
+            chapterAnchors: filters.chapterAnchors || null,
+            includeBooks: !filters.scope || filters.scope === 'books',
+            includeLexicon: !filters.scope || filters.scope === 'lexicon'
+        };
+    },
 
-        // Remove script and style elements
-        tempDiv.querySelectorAll('script, style').forEach(el => el.remove());
+    /**
+     * Merge filter controls with filter syntax from the query (query syntax wins)
+     * and resolve volumes / chapter range to book indices and chapter anchors
+     */
+    getActiveFilters(queryFilters) {
+        const controls = State.search.filters;
 
-        // Get all chapter divs
-        const chapters = tempDiv.querySelectorAll('.chapter-content');
+        let volumes = queryFilters.volumes;
+        if (!volumes && controls.volume) {
+            volumes = [parseInt(controls.volume, 10)];
+        }
 
-        // Prepare search pattern (support simple regex)
-        let searchPattern;
-        let isRegex = false;
-        try {
-            // Check if query contains regex special characters
-            if (/[.*+?^${}()|[\]\\]/.test(query) && query.length > 1) {
-                searchPattern = new RegExp(query, 'gi');
-                isRegex = true;
-            } else {
-                searchPattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-            }
-        } catch (e) {
-            // Fallback to literal search if regex is invalid
-            searchPattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+        let chapters = queryFilters.chapters;
+        if (!chapters && (controls.chapterFrom || controls.chapterTo)) {
+            chapters = {
+                from: parseInt(controls.chapterFrom, 10) || 1,
+                to: parseInt(controls.chapterTo, 10) || Infinity
+            };
         }
 
-        chapters.forEach((chapter, chapterIndex) => {
-            const chapterAnchor = chapter.id;
-            const text = chapter.textContent;
+        let scope = queryFilters.scope;
+        if (!scope && controls.scope !== 'all') {
+            scope = controls.scope;
+        }
 
-            // Get proper chapter title using TOC mapping (same logic as bookmarks)
-            const chapterTitle = this.getChapterTitleFromTOC(chapter, bookIndex) ||
-                                BookmarkManager.extractBestChapterTitle(chapter);
+        let bookIndices = null;
+        if (volumes) {
+            bookIndices = CONFIG.EPUB_FILES
+                .map((file, index) => index)
+                .filter(index => volumes.includes(this.getVolumeNumber(index)));
+        }
 
-            // Find all matches in this chapter
-            let match;
-            const matches = [];
+        let chapterAnchors = null;
+        if (chapters) {
+            chapterAnchors = {};
+            CONFIG.EPUB_FILES.forEach((file, index) => {
+                if (bookIndices && !bookIndices.includes(index)) return;
+                chapterAnchors[index] = this.getTOCAnchors(index).slice(chapters.from - 1, chapters.to);
+            });
+        }
 
-            while ((match = searchPattern.exec(text)) !== null) {
-                matches.push({
-                    index: match.index,
-                    matchText: match[0],
-                    exactMatch: match[0].toLowerCase() === query.toLowerCase()
-                });
+        return { volumes, chapters, scope, bookIndices, chapterAnchors };
+    },
 
-                // Prevent infinite loop for zero-length matches
-                if (match.index === searchPattern.lastIndex) {
-                    searchPattern.lastIndex++;
-                }
-            }
+    /**
+     * Get volume number of a book ("Volume 2 Part 1 of 2" -> 2)
+     */
+    getVolumeNumber(bookIndex) {
+        const match = Utils.getBookTitle(CONFIG.EPUB_FILES[bookIndex]).match(/Volume (\d+)/);
+        return match ? parseInt(match[1], 10) : null;
+    },
 
-            // Process matches to create result objects
-            matches.forEach((match, matchIndex) => {
-                const contextStart = Math.max(0, match.index - 80);
-                const contextEnd = Math.min(text.length, match.index + match.matchText.length + 80);
-                const context = text.substring(contextStart, contextEnd).trim();
-
-                // Calculate position percentage in chapter
-                const chapterLength = text.length;
-                const positionPercent = Math.round((match.index / chapterLength) * 100);
-
-                results.push({
-                    bookIndex,
-                    bookTitle,
-                    chapterIndex,
-                    chapterTitle,
-                    chapterAnchor,
-                    matchText: match.matchText,
-                    context,
-                    position: match.index,
-                    positionPercent,
-                    exactMatch: match.exactMatch,
-                    resultId: `${bookIndex}_${chapterIndex}_${matchIndex}`,
-                    displayText: '' // Will be set later with counter
-                });
+    /**
+     * Get chapter anchors of a book in table of contents order
+     */
+    getTOCAnchors(bookIndex) {
+        const anchors = [];
+        const collect = (items) => {
+            items.forEach(item => {
+                if (item.anchor) anchors.push(item.anchor);
+                if (item.subitems && item.subitems.length > 0) collect(item.subitems);
             });
-        });
-
-        return results;
+        };
+        collect(State.bookTOCs[bookIndex] || []);
+        return anchors;
     },
 
     /**
-     * Search within lexicons (both Devanagari and IAST)
+     * Describe active filters for the results header
      */
-    async searchInLexicon(query) {
-        const results = [];
+    describeFilters(filters) {
+        const parts = [];
 
-        // Prepare search pattern (support simple regex)
-        let searchPattern;
-        try {
-            if (/[.*+?^${}()|[\]\\]/.test(query) && query.length > 1) {
-                searchPattern = new RegExp(query, 'gi');
+        if (filters.volumes) {
+            parts.push(`${filters.volumes.length > 1 ? 'Volumes' : 'Volume'} ${filters.volumes.join(', ')}`);
+        }
+        if (filters.chapters) {
+            const { from, to } = filters.chapters;
+            if (to === Infinity) {
+                parts.push(`Chapters ${from}+`);
             } else {
-                searchPattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+                parts.push(from === to ? `Chapter ${from}` : `Chapters ${from}–${to}`);
             }
-        } catch (e) {
-            searchPattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-        }
-
-        // Search Devanagari lexicon
-        if (State.lexicon) {
-            Object.entries(State.lexicon).forEach(([word, definition]) => {
-                const wordMatches = word.match(searchPattern);
-                const defMatches = definition.match(searchPattern);
-
-                if (wordMatches || defMatches) {
-                    // Prefer word match for context, otherwise use definition excerpt
-                    let context = '';
-                    let matchText = '';
-                    let exactMatch = false;
-
-                    if (wordMatches) {
-                        matchText = wordMatches[0];
-                        exactMatch = word.toLowerCase() === query.toLowerCase();
-                        // Get first 80 chars of definition for context
-                        context = word + ': ' + definition.substring(0, 80).replace(/[\r\n]+/g, ' ').trim() + '...';
-                    } else if (defMatches) {
-                        matchText = defMatches[0];
-                        // Find match position and extract context
-                        const matchIndex = definition.search(searchPattern);
-                        const contextStart = Math.max(0, matchIndex - 60);
-                        const contextEnd = Math.min(definition.length, matchIndex + matchText.length + 60);
-                        context = definition.substring(contextStart, contextEnd).replace(/[\r\n]+/g, ' ').trim();
-                    }
-
-                    results.push({
-                        isLexiconResult: true,
-                        word: word,
-                        lexiconType: 'devanagari',
-                        matchText: matchText,
-                        context: context,
-                        exactMatch: exactMatch,
-                        displayText: '' // Will be set later
-                    });
-                }
-            });
         }
-
-        // Search IAST lexicon
-        if (State.iastLexicon) {
-            Object.entries(State.iastLexicon).forEach(([word, definition]) => {
-                const wordMatches = word.match(searchPattern);
-                const defMatches = definition.match(searchPattern);
-
-                if (wordMatches || defMatches) {
-                    let context = '';
-                    let matchText = '';
-                    let exactMatch = false;
-
-                    if (wordMatches) {
-                        matchText = wordMatches[0];
-                        exactMatch = word.toLowerCase() === query.toLowerCase();
-                        context = word + ': ' + definition.substring(0, 80).replace(/[\r\n]+/g, ' ').trim() + '...';
-                    } else if (defMatches) {
-                        matchText = defMatches[0];
-                        const matchIndex = definition.search(searchPattern);
-                        const contextStart = Math.max(0, matchIndex - 60);
-                        const contextEnd = Math.min(definition.length, matchIndex + matchText.length + 60);
-                        context = definition.substring(contextStart, contextEnd).replace(/[\r\n]+/g, ' ').trim();
-                    }
-
-                    results.push({
-                        isLexiconResult: true,
-                        word: word,
-                        lexiconType: 'iast',
-                        matchText: matchText,
-                        context: context,
-                        exactMatch: exactMatch,
-                        displayText: ''
-                    });
-                }
-            });
+        if (filters.scope) {
+            parts.push({ books: 'Books only', lexicon: 'Lexicon only', notes: 'My notes only' }[filters.scope]);
         }
 
-        // Sort lexicon results: exact matches first, then alphabetically by word
-        results.sort((a, b) => {
-            if (a.exactMatch && !b.exactMatch) return -1;
-            if (!a.exactMatch && b.exactMatch) return 1;
-            return a.word.localeCompare(b.word);
-        });
-
-        return results;
+        return parts;
     },
 
     /**
-     * Format result display text
+     * Update filter from a filter control and re-run search
      */
+    setFilter(name, value) {
+        State.search.filters[name] = value;
+        this.performSearch(Elements.searchInput.value);
+    },
+
     /**
-     * Get chapter title from TOC mapping for search results
+     * Show or hide the filter controls row
      */
-    getChapterTitleFromTOC(chapterElement, bookIndex) {
-        const toc = State.bookTOCs[bookIndex];
-        if (!toc || !toc.length) return null;
-
-        const chapterId = chapterElement.id;
-        if (!chapterId) return null;
-
-        // Find matching TOC entry by anchor
-        const findTOCEntry = (items) => {
-            for (let item of items) {
-                if (item.anchor === chapterId) {
-                    return item.label;
-                }
-                // Check subitems recursively
-                if (item.subitems && item.subitems.length > 0) {
-                    const subResult = findTOCEntry(item.subitems);
-                    if (subResult) return subResult;
-                }
-            }
-            return null;
-        };
-
-        return findTOCEntry(toc);
+    toggleFilters() {
+        const open = Elements.searchFilters.hidden;
+        Elements.searchFilters.hidden = !open;
+        Elements.searchPanel.classList.toggle('filters-open', open);
+        Elements.searchFilterToggle.classList.toggle('active', open);
+        Elements.searchFilterToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
     },
 
-    formatSimpleResultDisplay(bookTitle, resultNumber) {
-        // Convert "Volume 3 Part 1 of 2" to "V3P1"
-        const volumeMatch = bookTitle.match(/Volume (\d+)/);
-        const partMatch = bookTitle.match(/Part (\d+)/);
-
-        let shortTitle = '';
-        if (volumeMatch) {
-            shortTitle += `V${volumeMatch[1]}`;
+    /**
+     * Run a stored search (saved search or history entry) with its filters, Sanskrit and fuzzy mode
+     */
+    applySearch(entry) {
+        if (!State.search.isOpen) {
+            this.openPanel();
         }
-        if (partMatch) {
-            shortTitle += `P${partMatch[1]}`;
+
+        State.search.filters = { ...State.search.filters, ...entry.filters };
+        this.updateFilterControls();
+
+        if (State.search.sanskritMode !== entry.sanskritMode) {
+            State.search.sanskritMode = Boolean(entry.sanskritMode);
+            SettingsManager.save(CONFIG.STORAGE_KEYS.SEARCH_SANSKRIT_MODE, State.search.sanskritMode);
+            this.updateSanskritModeButton();
         }
 
-        // Fallback if pattern doesn't match
-        if (!shortTitle) {
-            shortTitle = bookTitle.substring(0, 3).toUpperCase();
+        if (State.search.fuzzyMode !== Boolean(entry.fuzzyMode)) {
+            State.search.fuzzyMode = Boolean(entry.fuzzyMode);
+            SettingsManager.save(CONFIG.STORAGE_KEYS.SEARCH_FUZZY_MODE, State.search.fuzzyMode);
+            this.updateFuzzyModeButton();
         }
 
-        return `${shortTitle}@${resultNumber}`;
+        Elements.searchInput.value = entry.query;
+        this.performSearch(entry.query);
     },
 
-    formatResultDisplay(bookTitle, chapterTitle, positionPercent) {
-        // Format like "Volume 1, 62% in Chapter XIII" (kept for compatibility)
-        return `${bookTitle}, ${positionPercent}% in ${chapterTitle}`;
+    /**
+     * Reflect State.search.filters in the filter controls (e.g. after running a saved search)
+     */
+    updateFilterControls() {
+        const filters = State.search.filters;
+        Elements.searchFilterVolume.value = filters.volume;
+        Elements.searchFilterScope.value = filters.scope;
+        Elements.searchFilterChapterFrom.value = filters.chapterFrom;
+        Elements.searchFilterChapterTo.value = filters.chapterTo;
     },
 
     /**
-     * Navigate to search result
+     * Fill the volume filter with the volumes in CONFIG.EPUB_FILES
      */
-    navigateToResult(resultIndex) {
-        if (resultIndex < 0 || resultIndex >= State.search.results.length) return;
-
-        const result = State.search.results[resultIndex];
-        State.search.currentIndex = resultIndex;
-
-        // Handle lexicon results
-        if (result.isLexiconResult) {
-            // Show lexicon entry with highlighting
-            LexiconManager.showEntry(result.word, State.search.query);
-            this.updateResultsDisplay();
-            return;
-        }
-
-        // Handle book results (existing logic)
-        // Switch book if necessary
-        if (result.bookIndex !== State.currentBookIndex) {
-            State.currentBookIndex = result.bookIndex;
-            Elements.bookSelector.value = result.bookIndex;
-            Elements.bookSelectorMobile.value = result.bookIndex;
-            UIManager.displayCurrentBook();
-        }
-
-        // Navigate to chapter and highlight match
-        requestAnimationFrame(() => {
-            const targetElement = document.getElementById(result.chapterAnchor);
-            if (targetElement) {
-                const headerOffset = 80;
-                const elementPosition = targetElement.offsetTop;
-                const offsetPosition = elementPosition - headerOffset;
+    initFilterControls() {
+        if (!Elements.searchFilterVolume) return;
 
-                window.scrollTo({
-                    top: offsetPosition,
-                    behavior: 'smooth'
-                });
+        const volumes = [...new Set(CONFIG.EPUB_FILES.map((file, index) => this.getVolumeNumber(index)))]
+            .filter(volume => volume !== null);
 
-                // Highlight the search term and scroll to the specific match
-                setTimeout(() => {
-                    this.highlightSearchTerm(result.matchText, result.position, result.chapterAnchor);
-                    this.updateResultsDisplay();
-                }, 500);
-            }
+        volumes.forEach(volume => {
+            const option = document.createElement('option');
+            option.value = volume;
+            option.textContent = `Volume ${volume}`;
+            Elements.searchFilterVolume.appendChild(option);
         });
     },
 
     /**
-     * Navigate to previous result
+     * Toggle Sanskrit mode (ignore diacritics, match Devanagari/IAST/HK/ITRANS) and re-run search
      */
-    navigatePrevious() {
-        if (State.search.results.length === 0) return;
-
-        let newIndex = State.search.currentIndex - 1;
-        if (newIndex < 0) newIndex = State.search.results.length - 1;
+    toggleSanskritMode() {
+        State.search.sanskritMode = !State.search.sanskritMode;
+        SettingsManager.save(CONFIG.STORAGE_KEYS.SEARCH_SANSKRIT_MODE, State.search.sanskritMode);
+        this.updateSanskritModeButton();
+        this.performSearch(Elements.searchInput.value);
+    },
 
-        this.navigateToResult(newIndex);
+    /**
+     * Reflect Sanskrit mode in the toggle button
+     */
+    updateSanskritModeButton() {
+        if (!Elements.searchSanskrit) return;
+        Elements.searchSanskrit.classList.toggle('active', State.search.sanskritMode);
+        Elements.searchSanskrit.setAttribute('aria-pressed', State.search.sanskritMode ? 'true' : 'false');
     },
 
     /**
-     * Navigate to next result
+     * Toggle fuzzy mode (near-spellings by edit distance) and re-run search
      */
-    navigateNext() {
-        if (State.search.results.length === 0) return;
+    toggleFuzzyMode() {
+        State.search.fuzzyMode = !State.search.fuzzyMode;
+        SettingsManager.save(CONFIG.STORAGE_KEYS.SEARCH_FUZZY_MODE, State.search.fuzzyMode);
+        this.updateFuzzyModeButton();
+        this.performSearch(Elements.searchInput.value);
+    },
 
-        let newIndex = State.search.currentIndex + 1;
-        if (newIndex >= State.search.results.length) newIndex = 0;
+    /**
+     * Reflect fuzzy mode in the toggle button
+     */
+    updateFuzzyModeButton() {
+        if (!Elements.searchFuzzy) return;
+        Elements.searchFuzzy.classList.toggle('active', State.search.fuzzyMode);
+        Elements.searchFuzzy.setAttribute('aria-pressed', State.search.fuzzyMode ? 'true' : 'false');
+    },
 
-        this.navigateToResult(newIndex);
+    /**
+     * "Did you mean" queries for a search without results (main thread fallback)
+     */
+    suggestQueries(query) {
+        if (!this.vocabulary) {
+            const books = State.bookContents
+                .map((content, bookIndex) => content ? this.getChapterCache(bookIndex) : null)
+                .filter(Boolean);
+            this.vocabulary = SearchCore.buildVocabulary(State.searchIndex, books);
+        }
+        return SearchCore.suggestQueries(this.vocabulary, query);
     },
 
     /**
-     * Highlight search term in current view
+     * Create the search worker and send it the extracted chapter text (once)
      */
-    highlightSearchTerm(searchTerm, targetPosition = null, chapterAnchor = null) {
-        // Clear previous highlights
-        this.clearHighlights();
+    initWorker() {
+        if (this.worker) return this.worker;
+        if (!window.Worker || this.workerFailed) return null;
 
-        if (!searchTerm) return;
+        try {
+            this.worker = new Worker('search-worker.js');
+        } catch (error) {
+            console.warn('Search worker unavailable, searching on main thread:', error);
+            this.workerFailed = true;
+            this.loadIndex();
+            return null;
+        }
 
+        this.worker.onmessage = (event) => this.onWorkerMessage(event.data);
+        this.worker.onerror = (event) => this.onWorkerError(event);
 
-        // Determine scope for highlighting
-        let searchScope = Elements.bookContent;
-        if (chapterAnchor) {
-            const chapterElement = document.getElementById(chapterAnchor);
-            if (chapterElement) {
-                searchScope = chapterElement;
-            }
-        }
-
-        // Find and highlight all instances in the search scope
-        const walker = document.createTreeWalker(
-            searchScope,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
-
-        const textNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            textNodes.push(node);
-        }
-
-        // Use the same pattern logic as the search to ensure consistency
-        let searchPattern;
-        try {
-            // Check if searchTerm contains regex special characters
-            if (/[.*+?^${}()|[\]\\]/.test(searchTerm) && searchTerm.length > 1) {
-                searchPattern = new RegExp(`(${searchTerm})`, 'gi');
-            } else {
-                searchPattern = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-            }
-        } catch (e) {
-            // Fallback to literal search if regex is invalid
-            searchPattern = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+        const books = [];
+        for (let bookIndex = 0; bookIndex < State.bookContents.length; bookIndex++) {
+            if (!State.bookContents[bookIndex]) continue;
+            books.push({
+                bookIndex,
+                bookTitle: Utils.getBookTitle(CONFIG.EPUB_FILES[bookIndex]),
+                chapters: this.getChapterCache(bookIndex)
+            });
         }
 
-        let highlightCount = 0;
-        let allHighlights = [];
-        let currentTextPosition = 0;
-
-        textNodes.forEach(textNode => {
-            const text = textNode.textContent;
-            const nodeStartPosition = currentTextPosition;
-
-            if (searchPattern.test(text)) {
-                searchPattern.lastIndex = 0; // Reset for replace
-                const highlightedHTML = text.replace(searchPattern, '<span class="search-highlight">$1</span>');
-
-                if (highlightedHTML !== text) {
-                    const tempDiv = document.createElement('div');
-                    tempDiv.innerHTML = highlightedHTML;
-
-                    const parent = textNode.parentNode;
-                    while (tempDiv.firstChild) {
-                        const child = tempDiv.firstChild;
-                        parent.insertBefore(child, textNode);
-
-                        // Track highlight elements with their position within the scope
-                        if (child.classList && child.classList.contains('search-highlight')) {
-                            allHighlights.push({
-                                element: child,
-                                textPosition: nodeStartPosition
-                            });
-                        }
-                    }
-                    parent.removeChild(textNode);
-                    highlightCount++;
-                }
-            }
-
-            currentTextPosition += text.length;
+        this.worker.postMessage({
+            type: 'init',
+            books,
+            lexicon: State.lexicon,
+            iastLexicon: State.iastLexicon,
+            indexUrl: CONFIG.SEARCH_INDEX_FILE
         });
 
+        return this.worker;
+    },
 
-        // Scroll to the targeted highlight or first one
-        setTimeout(() => {
-            let highlightToScrollTo = null;
-
-            if (targetPosition !== null && allHighlights.length > 0) {
-                // Find the highlight closest to our target position within the chapter
-                let closestHighlight = allHighlights[0];
-                let closestDistance = Math.abs(allHighlights[0].textPosition - targetPosition);
-
-                for (let highlight of allHighlights) {
-                    const distance = Math.abs(highlight.textPosition - targetPosition);
-                    if (distance < closestDistance) {
-                        closestDistance = distance;
-                        closestHighlight = highlight;
-                    }
-                }
-
-                highlightToScrollTo = closestHighlight;
-            } else {
-                // No specific target, use first highlight
-                highlightToScrollTo = allHighlights[0];
-            }
+    /**
+     * Handle streamed results from the search worker
+     */
+    onWorkerMessage(data) {
+        // Ignore results of stale queries
+        if (data.queryId !== this.activeQueryId) return;
 
-            if (highlightToScrollTo && highlightToScrollTo.element) {
-                highlightToScrollTo.element.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'center',
-                    inline: 'nearest'
-                });
-            }
-        }, 100);
+        switch (data.type) {
+            case 'bookResults':
+                this.addBookResults(data.results);
+                break;
+            case 'lexiconResults':
+                this.addLexiconResults(data.results);
+                break;
+            case 'suggestions':
+                State.search.suggestions = data.suggestions;
+                break;
+            case 'done':
+                this.finishSearch();
+                break;
+            case 'error':
+                console.error('Search error:', data.message);
+                this.finishSearch();
+                break;
+        }
     },
 
     /**
-     * Clear search highlights
+     * Fall back to main thread search if the worker fails
      */
-    clearHighlights() {
-        const highlights = Elements.bookContent.querySelectorAll('.search-highlight');
-        highlights.forEach(highlight => {
-            const parent = highlight.parentNode;
-            parent.replaceChild(document.createTextNode(highlight.textContent), highlight);
-            parent.normalize(); // Merge adjacent text nodes
+    onWorkerError(event) {
+        console.error('Search worker failed, searching on main thread:', event.message || event);
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.workerFailed = true;
+        this.loadIndex().then(() => {
+            if (State.search.isSearching) {
+                this.performSearch(State.search.query);
+            }
         });
     },
 
     /**
-     * Clear search input and results
+     * Cancel the running search (worker keeps its data for the next query)
      */
-    clearSearch() {
-        Elements.searchInput.value = '';
-        State.search.query = '';
-        State.search.results = [];
-        State.search.currentIndex = -1;
-        this.renderResults();
-        this.clearHighlights();
+    cancelSearch() {
+        this.activeQueryId++;
+        State.search.isSearching = false;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel' });
+        }
     },
 
     /**
-     * Render search results in the UI
+     * Append results of one book, labelled with per-book counters (V3P1@5)
      */
-    renderResults() {
-        const container = Elements.searchResults;
-        container.innerHTML = '';
-
-        if (State.search.results.length === 0) {
-            const message = State.search.query
-                ? `No results found for "${State.search.query}"`
-                : 'Enter a search term to find matches across all books';
-
-            container.innerHTML = `<div class="search-no-results">${message}</div>`;
-
-            // Disable navigation buttons
-            Elements.searchPrev.disabled = true;
-            Elements.searchNext.disabled = true;
-            return;
-        }
-
-        // Enable navigation buttons
-        Elements.searchPrev.disabled = false;
-        Elements.searchNext.disabled = false;
+    addBookResults(results) {
+        if (!results.length) return;
 
-        // Create result items
-        State.search.results.forEach((result, index) => {
-            const item = document.createElement('div');
-            item.className = 'search-result-item';
-            if (index === State.search.currentIndex) {
-                item.classList.add('active');
+        results.forEach(result => {
+            if (!this.bookCounters[result.bookIndex]) {
+                this.bookCounters[result.bookIndex] = 0;
             }
+            this.bookCounters[result.bookIndex]++;
+            result.displayText = this.formatSimpleResultDisplay(result.bookTitle, this.bookCounters[result.bookIndex]);
+        });
 
-            item.textContent = result.displayText;
-            item.title = result.context;
-
-            item.addEventListener('click', () => {
-                this.navigateToResult(index);
-            });
+        this.appendResults(results);
+    },
 
-            container.appendChild(item);
+    /**
+     * Append note results (N@1, N@2, etc.)
+     */
+    addNoteResults(results) {
+        results.forEach((result, index) => {
+            result.displayText = `N@${index + 1}`;
         });
 
-        this.updateResultsDisplay();
+        this.appendResults(results);
     },
 
     /**
-     * Update results display (scroll to current result)
+     * Append lexicon results (L@1, L@2, etc.) after all book results
      */
-    updateResultsDisplay() {
-        const resultItems = Elements.searchResults.querySelectorAll('.search-result-item');
+    addLexiconResults(results) {
+        results.forEach((result, index) => {
+            result.displayText = `L@${index + 1}`;
+        });
 
-        // Remove active class from all items
-        resultItems.forEach(item => item.classList.remove('active'));
+        this.appendResults(results);
+    },
 
-        // Add active class to current item and scroll to it
-        if (State.search.currentIndex >= 0 && State.search.currentIndex < resultItems.length) {
-            const currentItem = resultItems[State.search.currentIndex];
-            currentItem.classList.add('active');
-            currentItem.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
+    /**
+     * Mark current search as complete
+     */
+    finishSearch() {
+        State.search.isSearching = false;
+        if (State.search.results.length === 0) {
+            this.renderResults();
+        } else if (this.groupBySpelling()) {
+            this.renderResults();
+        } else {
+            this.renderResultsHeader();
         }
-    }
-};
+    },
 
-// ===== NOTIFICATION MANAGER =====
-const NotificationManager = {
     /**
-     * Show a themed notification
+     * Reorder fuzzy results into groups by the spelling found (most frequent first)
+     * Results without a spelling (lexicon, notes) stay at the end; returns true if reordered
      */
-    show(message, type = 'info') {
-        // Remove any existing notifications
-        this.clear();
-
-        const notification = document.createElement('div');
-        notification.className = 'notification notification-' + type;
-        notification.textContent = message;
+    groupBySpelling() {
+        const counts = this.getSpellingCounts();
+        if (counts.length < 2) return false;
 
-        // Add notification to the body
-        document.body.appendChild(notification);
+        const rank = new Map(counts.map((entry, index) => [entry.spelling, index]));
+        const current = State.search.results[State.search.currentIndex];
 
-        // Animate in
-        setTimeout(() => {
-            notification.classList.add('notification-show');
-        }, 10);
+        State.search.results = State.search.results
+            .map((result, index) => ({ result, index }))
+            .sort((a, b) => {
+                const rankA = a.result.spelling ? rank.get(a.result.spelling) : counts.length;
+                const rankB = b.result.spelling ? rank.get(b.result.spelling) : counts.length;
+                return rankA - rankB || a.index - b.index;
+            })
+            .map(entry => entry.result);
 
-        // Auto-remove after 2.5 seconds
-        setTimeout(() => {
-            this.hide(notification);
-        }, 2500);
+        State.search.currentIndex = current ? State.search.results.indexOf(current) : -1;
+        return true;
     },
 
     /**
-     * Hide a notification with animation
+     * Count fuzzy results per spelling found: [{ spelling, count }], most frequent first
      */
-    hide(notification) {
-        notification.classList.add('notification-hide');
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
+    getSpellingCounts() {
+        const counts = {};
+        State.search.results.forEach(result => {
+            if (result.spelling) {
+                counts[result.spelling] = (counts[result.spelling] || 0) + 1;
             }
-        }, 300);
+        });
+
+        return Object.keys(counts)
+            .map(spelling => ({ spelling, count: counts[spelling] }))
+            .sort((a, b) => b.count - a.count || a.spelling.localeCompare(b.spelling));
     },
 
     /**
-     * Clear all notifications
+     * Search within a single book
      */
-    clear() {
-        const notifications = document.querySelectorAll('.notification');
-        notifications.forEach(n => n.parentNode.removeChild(n));
-    }
-};
-
-// ===== BOOKMARK MANAGER =====
-const BookmarkManager = {
-    MAX_BOOKMARKS_PER_BOOK: 10,
-    activeTab: 'current',
+    searchInBook(bookIndex, query, options = this.getSearchOptions()) {
+        const bookTitle = Utils.getBookTitle(CONFIG.EPUB_FILES[bookIndex]);
+        return SearchCore.searchBook(State.searchIndex, this.getChapterCache(bookIndex), bookIndex, bookTitle, query, options);
+    },
 
     /**
-     * Initialize bookmark manager
+     * Load prebuilt full-text search index (optional - search falls back to scanning)
      */
-    init() {
-        this.loadFromStorage();
+    async loadIndex() {
+        // The search worker loads its own copy
+        if (window.Worker && !this.workerFailed) return;
+        if (State.searchIndex) return;
+
+        try {
+            const response = await fetch(CONFIG.SEARCH_INDEX_FILE);
+            if (response.ok) {
+                State.searchIndex = await response.json();
+            } else {
+                console.warn('Search index file not found');
+            }
+        } catch (error) {
+            console.error('Failed to load search index:', error);
+        }
     },
 
     /**
-     * Switch between current book and other books tabs
+     * Get extracted chapter texts of a book (parsed once per book)
      */
-    switchTab(tab) {
-        this.activeTab = tab;
+    getChapterCache(bookIndex) {
+        if (this.chapterCache[bookIndex]) return this.chapterCache[bookIndex];
 
-        // Update tab UI
-        Elements.currentBookTab.classList.toggle('active', tab === 'current');
-        Elements.otherBooksTab.classList.toggle('active', tab === 'other');
+        // Create temporary DOM to extract text from
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = State.bookContents[bookIndex] || '';
 
-        // Re-render bookmarks for the selected tab
-        this.renderBookmarks();
+        // Remove script and style elements
+        tempDiv.querySelectorAll('script, style').forEach(el => el.remove());
+
+        const chapters = Array.from(tempDiv.querySelectorAll('.chapter-content')).map(chapter => ({
+            anchor: chapter.id,
+            // Get proper chapter title using TOC mapping (same logic as bookmarks)
+            title: this.getChapterTitleFromTOC(chapter, bookIndex) ||
+                   BookmarkManager.extractBestChapterTitle(chapter),
+            text: chapter.textContent,
+            blocks: this.getTextBlocks(chapter)
+        }));
+
+        this.chapterCache[bookIndex] = chapters;
+        return chapters;
     },
 
     /**
-     * Add bookmark for current position using word highlighting
+     * Split a chapter into blocks (paragraphs, list items, headings) for boolean queries
+     * Returns [{ start, end }] offsets into the chapter's textContent
      */
-    addBookmark() {
-        const topVisibleWord = this.getTopVisibleWord();
-        if (!topVisibleWord) {
-            console.warn('Could not find top visible word for bookmark');
-            return;
+    getTextBlocks(chapter) {
+        const blocks = [];
+        const walker = document.createTreeWalker(chapter, NodeFilter.SHOW_TEXT, null, false);
+        let position = 0;
+        let current = null;
+        let node;
+
+        while (node = walker.nextNode()) {
+            const length = node.textContent.length;
+            const blockElement = node.parentElement.closest('p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, div');
+
+            if (current && current.element === blockElement) {
+                current.end = position + length;
+            } else {
+                current = { element: blockElement, start: position, end: position + length };
+                blocks.push(current);
+            }
+            position += length;
         }
 
-        this.createWordBookmark(topVisibleWord);
+        return blocks.map(block => ({ start: block.start, end: block.end }));
     },
 
     /**
-     * Find the topmost visible word in the viewport
+     * Search within lexicons (both Devanagari and IAST)
      */
-    getTopVisibleWord() {
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent) return null;
+    searchInLexicon(query) {
+        return SearchCore.searchLexicon(State.lexicon, State.iastLexicon, query, this.getSearchOptions());
+    },
 
-        const walker = document.createTreeWalker(
-            bookContent,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
+    /**
+     * Format result display text
+     */
+    /**
+     * Get chapter title from TOC mapping for search results
+     */
+    getChapterTitleFromTOC(chapterElement, bookIndex) {
+        const toc = State.bookTOCs[bookIndex];
+        if (!toc || !toc.length) return null;
 
-        let node;
-        while (node = walker.nextNode()) {
-            const text = node.textContent.trim();
-            if (!text) continue;
+        const chapterId = chapterElement.id;
+        if (!chapterId) return null;
 
-            // Check if this text node is visible in viewport
-            const range = document.createRange();
-            range.selectNodeContents(node);
-            const rect = range.getBoundingClientRect();
-
-            // Check if top of text is in viewport (allowing for some margin)
-            if (rect.top >= -10 && rect.top <= window.innerHeight) {
-                // Find first word in this text node
-                const words = text.match(/\S+/g);
-                if (words && words.length > 0) {
-                    const firstWord = words[0];
-                    const wordStartIndex = text.indexOf(firstWord);
-
-                    // Create range for the first word
-                    const wordRange = document.createRange();
-                    wordRange.setStart(node, wordStartIndex);
-                    wordRange.setEnd(node, wordStartIndex + firstWord.length);
-
-                    return {
-                        word: firstWord,
-                        range: wordRange,
-                        textNode: node
-                    };
+        // Find matching TOC entry by anchor
+        const findTOCEntry = (items) => {
+            for (let item of items) {
+                if (item.anchor === chapterId) {
+                    return item.label;
+                }
+                // Check subitems recursively
+                if (item.subitems && item.subitems.length > 0) {
+                    const subResult = findTOCEntry(item.subitems);
+                    if (subResult) return subResult;
                 }
             }
-        }
+            return null;
+        };
 
-        return null;
+        return findTOCEntry(toc);
     },
 
-    /**
-     * Create word bookmark using notes-like highlighting system
-     */
-    createWordBookmark(wordInfo) {
-        // Create bookmark highlight similar to notes
-        const highlight = document.createElement('span');
-        highlight.className = 'bookmark-highlight';
-        const bookmarkId = this.generateId();
-        highlight.setAttribute('data-bookmark-id', bookmarkId);
+    formatSimpleResultDisplay(bookTitle, resultNumber) {
+        // Convert "Volume 3 Part 1 of 2" to "V3P1"
+        const volumeMatch = bookTitle.match(/Volume (\d+)/);
+        const partMatch = bookTitle.match(/Part (\d+)/);
 
-        // Wrap the selected word
-        try {
-            wordInfo.range.surroundContents(highlight);
-        } catch (e) {
-            // If surroundContents fails, use extractContents
-            const contents = wordInfo.range.extractContents();
-            highlight.appendChild(contents);
-            wordInfo.range.insertNode(highlight);
+        let shortTitle = '';
+        if (volumeMatch) {
+            shortTitle += `V${volumeMatch[1]}`;
+        }
+        if (partMatch) {
+            shortTitle += `P${partMatch[1]}`;
         }
 
-        // Create bookmark icon (similar to note icon)
-        const bookmarkIcon = this.createBookmarkIcon(bookmarkId);
-        highlight.appendChild(bookmarkIcon);
+        // Fallback if pattern doesn't match
+        if (!shortTitle) {
+            shortTitle = bookTitle.substring(0, 3).toUpperCase();
+        }
 
-        // Create bookmark object
-        const currentChapter = this.getCurrentChapter();
-        const bookmark = {
-            id: bookmarkId,
-            bookIndex: State.currentBookIndex,
-            bookTitle: Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]),
-            chapterTitle: currentChapter ? currentChapter.title : 'Unknown Chapter',
-            chapterAnchor: currentChapter ? currentChapter.anchor : '',
-            word: wordInfo.word,
-            timestamp: new Date().toISOString(),
-            // Store positioning data using the same system as notes
-            previousWordIndex: VolumePositioning.getWordIndexBeforeRange(wordInfo.range, State.currentBookIndex),
-            displayText: this.formatWordBookmarkDisplay(
-                Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]),
-                currentChapter ? currentChapter.title : 'Unknown Chapter',
-                wordInfo.word
-            )
-        };
+        return `${shortTitle}@${resultNumber}`;
+    },
 
-        // Save bookmark
-        this.addBookmarkToStorage(bookmark);
+    formatResultDisplay(bookTitle, chapterTitle, positionPercent) {
+        // Format like "Volume 1, 62% in Chapter XIII" (kept for compatibility)
+        return `${bookTitle}, ${positionPercent}% in ${chapterTitle}`;
     },
 
     /**
-     * Create bookmark icon (similar to note icon)
+     * Navigate to search result
      */
-    createBookmarkIcon(bookmarkId) {
-        const icon = document.createElement('span');
-        icon.className = 'bookmark-icon';
-        icon.setAttribute('data-bookmark-id', bookmarkId);
-        icon.innerHTML = '<span class="material-icons">bookmark</span>';
+    navigateToResult(resultIndex) {
+        if (resultIndex < 0 || resultIndex >= State.search.results.length) return;
 
-        icon.addEventListener('click', (e) => {
-            e.stopPropagation();
-            // Open bookmarks modal when clicked
-            ModalManager.open('bookmarks');
-        });
+        const result = State.search.results[resultIndex];
+        State.search.currentIndex = resultIndex;
+        SearchHistoryManager.add();
 
-        return icon;
-    },
+        // Handle note results
+        if (result.isNoteResult) {
+            NotesManager.navigateToNote(result.noteId);
+            this.updateResultsDisplay();
+            return;
+        }
 
-    /**
-     * Add bookmark to storage (similar to notes storage)
-     */
-    addBookmarkToStorage(bookmark) {
-        // Initialize bookmarks array for this book if needed
-        if (!State.bookmarks[bookmark.bookIndex]) {
-            State.bookmarks[bookmark.bookIndex] = [];
+        // Handle lexicon results
+        if (result.isLexiconResult) {
+            // Show lexicon entry with highlighting
+            LexiconManager.showEntry(result.word, State.search.query);
+            this.updateResultsDisplay();
+            return;
         }
 
-        const bookBookmarks = State.bookmarks[bookmark.bookIndex];
+        // Handle book results (existing logic)
+        // Switch book if necessary
+        if (result.bookIndex !== State.currentBookIndex) {
+            State.currentBookIndex = result.bookIndex;
+            Elements.bookSelector.value = result.bookIndex;
+            Elements.bookSelectorMobile.value = result.bookIndex;
+            UIManager.displayCurrentBook();
+        }
 
-        // Check if we already have a bookmark close to this position
-        const existingIndex = bookBookmarks.findIndex(b =>
-            b.previousWordIndex !== undefined &&
-            Math.abs(b.previousWordIndex - bookmark.previousWordIndex) < 10
-        );
+        // Navigate to chapter and highlight match
+        requestAnimationFrame(() => {
+            const targetElement = document.getElementById(result.chapterAnchor);
+            if (targetElement) {
+                const headerOffset = 80;
+                const elementPosition = targetElement.offsetTop;
+                const offsetPosition = elementPosition - headerOffset;
 
-        if (existingIndex >= 0) {
-            // Update existing bookmark
-            bookBookmarks[existingIndex] = bookmark;
-        } else {
-            // Add new bookmark to beginning of array (most recent first)
-            bookBookmarks.unshift(bookmark);
+                window.scrollTo({
+                    top: offsetPosition,
+                    behavior: 'smooth'
+                });
 
-            // Keep only the 10 most recent bookmarks
-            if (bookBookmarks.length > this.MAX_BOOKMARKS_PER_BOOK) {
-                bookBookmarks.splice(this.MAX_BOOKMARKS_PER_BOOK);
+                // Highlight the search term and scroll to the specific match
+                setTimeout(() => {
+                    this.highlightSearchTerm(result.highlightTerms || result.matchText, result.position, result.chapterAnchor);
+                    this.updateResultsDisplay();
+                }, 500);
             }
-
-        }
-
-        this.saveToStorage();
-        this.renderBookmarks();
-        // Schedule sync for bookmark addition/update
-        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('bookmark');
+        });
     },
 
     /**
-     * Format display text for word-based bookmarks
+     * Navigate to previous result
      */
-    formatWordBookmarkDisplay(bookTitle, chapterTitle, word) {
-        const shortTitle = bookTitle.replace(/^(Vol\.|Volume)\s*\d+\s*[-:]?\s*/i, '').substring(0, 30);
-        const shortChapter = chapterTitle.length > 40 ? chapterTitle.substring(0, 40) + '...' : chapterTitle;
-        return `"${word}" in ${shortChapter}`;
+    navigatePrevious() {
+        if (State.search.results.length === 0) return;
+
+        let newIndex = State.search.currentIndex - 1;
+        if (newIndex < 0) newIndex = State.search.results.length - 1;
+
+        this.navigateToResult(newIndex);
     },
 
     /**
-     * Add bookmark at specific position
+     * Navigate to next result
      */
-    addBookmarkAtPosition(position) {
-        const currentChapter = this.getCurrentChapter(position.scrollTop);
-        if (!currentChapter) return;
+    navigateNext() {
+        if (State.search.results.length === 0) return;
 
-        const bookmark = {
-            id: this.generateId(),
-            bookIndex: position.bookIndex,
-            bookTitle: Utils.getBookTitle(CONFIG.EPUB_FILES[position.bookIndex]),
-            chapterTitle: currentChapter.title,
-            chapterAnchor: currentChapter.anchor,
-            scrollPosition: position.scrollTop,
-            positionPercent: currentChapter.positionPercent,
-            timestamp: new Date().toISOString(),
-            displayText: this.formatBookmarkDisplay(
-                Utils.getBookTitle(CONFIG.EPUB_FILES[position.bookIndex]),
-                currentChapter.title,
-                currentChapter.positionPercent
-            )
-        };
+        let newIndex = State.search.currentIndex + 1;
+        if (newIndex >= State.search.results.length) newIndex = 0;
 
-        // Initialize bookmarks array for this book if needed
-        if (!State.bookmarks[position.bookIndex]) {
-            State.bookmarks[position.bookIndex] = [];
-        }
+        this.navigateToResult(newIndex);
+    },
 
-        const bookBookmarks = State.bookmarks[position.bookIndex];
+    /**
+     * Highlight search term in current view (an array highlights several terms - boolean query hits)
+     */
+    highlightSearchTerm(searchTerm, targetPosition = null, chapterAnchor = null) {
+        // Clear previous highlights
+        this.clearHighlights();
 
-        // Check if we already have a bookmark very close to this position (within 5% of chapter)
-        const existingIndex = bookBookmarks.findIndex(b =>
-            b.chapterAnchor === bookmark.chapterAnchor &&
-            Math.abs(b.positionPercent - bookmark.positionPercent) < 5
-        );
+        if (!searchTerm || searchTerm.length === 0) return;
 
-        if (existingIndex >= 0) {
-            // Update existing bookmark
-            bookBookmarks[existingIndex] = bookmark;
-        } else {
-            // Add new bookmark to beginning of array (most recent first)
-            bookBookmarks.unshift(bookmark);
 
-            // Keep only the 10 most recent bookmarks
-            if (bookBookmarks.length > this.MAX_BOOKMARKS_PER_BOOK) {
-                bookBookmarks.splice(this.MAX_BOOKMARKS_PER_BOOK);
+        // Determine scope for highlighting
+        let searchScope = Elements.bookContent;
+        if (chapterAnchor) {
+            const chapterElement = document.getElementById(chapterAnchor);
+            if (chapterElement) {
+                searchScope = chapterElement;
             }
-
         }
 
-        this.saveToStorage();
-        this.renderBookmarks();
-
-        return bookmark;
-    },
+        // Find and highlight all instances in the search scope
+        const walker = document.createTreeWalker(
+            searchScope,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
 
-    /**
-     * Get current position info
-     */
-    getCurrentPosition() {
-        return {
-            bookIndex: State.currentBookIndex,
-            scrollTop: window.pageYOffset || document.documentElement.scrollTop
-        };
-    },
-
-    /**
-     * Get current chapter info with position percentage
-     */
-    getCurrentChapter(scrollTop = null) {
-        if (scrollTop === null) {
-            scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+        const textNodes = [];
+        let node;
+        while (node = walker.nextNode()) {
+            textNodes.push(node);
         }
 
-        const chapters = document.querySelectorAll('.chapter-content');
-        if (!chapters.length) return null;
+        // Use the same matching as the search (SearchCore) to ensure consistency
+        const findMatches = this.createHighlightMatcher(searchTerm);
 
-        const viewportHeight = window.innerHeight;
-        const viewportCenter = scrollTop + viewportHeight / 2;
-        const headerOffset = 80; // Account for fixed header
+        let highlightCount = 0;
+        let allHighlights = [];
+        let currentTextPosition = 0;
 
-        let bestChapter = chapters[0]; // Fallback to first chapter
-        let maxVisibleArea = 0;
+        textNodes.forEach(textNode => {
+            const text = textNode.textContent;
+            const nodeStartPosition = currentTextPosition;
+            const matches = findMatches(text);
 
-        // Find the chapter with the most visible area in the current viewport
-        chapters.forEach(chapter => {
-            const rect = chapter.getBoundingClientRect();
-            const chapterTop = scrollTop + rect.top;
-            const chapterBottom = chapterTop + rect.height;
+            if (matches.length > 0) {
+                const parent = textNode.parentNode;
+                let lastEnd = 0;
 
-            // Calculate visible area of this chapter in the current viewport
-            const visibleTop = Math.max(chapterTop, scrollTop + headerOffset);
-            const visibleBottom = Math.min(chapterBottom, scrollTop + viewportHeight);
-            const visibleArea = Math.max(0, visibleBottom - visibleTop);
+                matches.forEach(match => {
+                    if (match.position > lastEnd) {
+                        parent.insertBefore(document.createTextNode(text.substring(lastEnd, match.position)), textNode);
+                    }
 
-            // Prefer the chapter with the most visible area
-            if (visibleArea > maxVisibleArea) {
-                maxVisibleArea = visibleArea;
-                bestChapter = chapter;
-            }
-            // If visible areas are close, prefer the chapter containing the viewport center
-            else if (Math.abs(visibleArea - maxVisibleArea) < 100) {
-                if (viewportCenter >= chapterTop && viewportCenter <= chapterBottom) {
-                    bestChapter = chapter;
-                    maxVisibleArea = visibleArea;
+                    const highlight = document.createElement('span');
+                    highlight.className = 'search-highlight';
+                    highlight.textContent = match.matchText;
+                    parent.insertBefore(highlight, textNode);
+
+                    // Track highlight elements with their position within the scope
+                    allHighlights.push({
+                        element: highlight,
+                        textPosition: nodeStartPosition
+                    });
+
+                    lastEnd = match.position + match.matchText.length;
+                });
+
+                if (lastEnd < text.length) {
+                    parent.insertBefore(document.createTextNode(text.substring(lastEnd)), textNode);
                 }
+                parent.removeChild(textNode);
+                highlightCount++;
             }
+
+            currentTextPosition += text.length;
         });
 
-        // Calculate position percentage within the chapter
-        const chapterRect = bestChapter.getBoundingClientRect();
-        const chapterTop = scrollTop + chapterRect.top;
-        const chapterHeight = chapterRect.height;
-        const relativePosition = Math.max(0, scrollTop + headerOffset - chapterTop);
-        const positionPercent = Math.max(0, Math.min(100, Math.round((relativePosition / chapterHeight) * 100)));
 
-        // Get the title using TOC mapping first, fallback to chapter extraction
-        let chapterTitle = this.getTitleFromTOC(bestChapter) || this.extractBestChapterTitle(bestChapter);
+        // Scroll to the targeted highlight or first one
+        setTimeout(() => {
+            let highlightToScrollTo = null;
 
-        return {
-            title: chapterTitle,
-            anchor: bestChapter.id,
-            positionPercent
-        };
+            if (targetPosition !== null && allHighlights.length > 0) {
+                // Find the highlight closest to our target position within the chapter
+                let closestHighlight = allHighlights[0];
+                let closestDistance = Math.abs(allHighlights[0].textPosition - targetPosition);
+
+                for (let highlight of allHighlights) {
+                    const distance = Math.abs(highlight.textPosition - targetPosition);
+                    if (distance < closestDistance) {
+                        closestDistance = distance;
+                        closestHighlight = highlight;
+                    }
+                }
+
+                highlightToScrollTo = closestHighlight;
+            } else {
+                // No specific target, use first highlight
+                highlightToScrollTo = allHighlights[0];
+            }
+
+            if (highlightToScrollTo && highlightToScrollTo.element) {
+                highlightToScrollTo.element.scrollIntoView({
+                    behavior: 'smooth',
+                    block: 'center',
+                    inline: 'nearest'
+                });
+            }
+        }, 100);
     },
 
     /**
-     * Get chapter title from TOC mapping for accurate naming
+     * Create a function returning [{ position, matchText }] for a search term in a text node
+     * In Sanskrit mode all spellings and scripts equivalent to the term are matched
      */
-    getTitleFromTOC(chapterElement) {
-        const toc = State.bookTOCs[State.currentBookIndex];
-        if (!toc || !toc.length) return null;
+    createHighlightMatcher(searchTerm) {
+        // Several literal terms: merge their matches, earliest first, without overlaps
+        if (Array.isArray(searchTerm)) {
+            const matchers = searchTerm.map(term => this.createHighlightMatcher(SearchCore.escapeRegex(term)));
+            return text => {
+                const matches = [];
+                matchers
+                    .reduce((all, findMatches) => all.concat(findMatches(text)), [])
+                    .sort((a, b) => a.position - b.position || b.matchText.length - a.matchText.length)
+                    .forEach(match => {
+                        const previous = matches[matches.length - 1];
+                        if (!previous || match.position >= previous.position + previous.matchText.length) {
+                            matches.push(match);
+                        }
+                    });
+                return matches;
+            };
+        }
 
-        const chapterId = chapterElement.id;
-        if (!chapterId) return null;
+        if (SearchCore.useFolding(searchTerm, this.getSearchOptions())) {
+            const foldedTerm = SearchCore.foldQuery(searchTerm);
+            return text => SearchCore.findFolded(text, foldedTerm);
+        }
 
-        // Find matching TOC entry by anchor
-        const findTOCEntry = (items) => {
-            for (let item of items) {
-                if (item.anchor === chapterId) {
-                    return item.label;
-                }
-                // Check subitems recursively
-                if (item.subitems && item.subitems.length > 0) {
-                    const subResult = findTOCEntry(item.subitems);
-                    if (subResult) return subResult;
+        const searchPattern = SearchCore.buildPattern(searchTerm);
+        return text => {
+            const matches = [];
+            let match;
+            searchPattern.lastIndex = 0;
+            while ((match = searchPattern.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    // Skip zero-length matches
+                    searchPattern.lastIndex++;
+                    continue;
                 }
+                matches.push({ position: match.index, matchText: match[0] });
             }
-            return null;
+            return matches;
         };
+    },
 
-        return findTOCEntry(toc);
+    /**
+     * Clear search highlights
+     */
+    clearHighlights() {
+        const highlights = Elements.bookContent.querySelectorAll('.search-highlight');
+        highlights.forEach(highlight => {
+            const parent = highlight.parentNode;
+            parent.replaceChild(document.createTextNode(highlight.textContent), highlight);
+            parent.normalize(); // Merge adjacent text nodes
+        });
     },
 
     /**
-     * Extract the best available chapter title from a chapter element
+     * Clear search input and results
      */
-    extractBestChapterTitle(chapterElement) {
-        // First, try to find actual chapter headings in the content
-        const chapterText = this.findChapterHeading(chapterElement);
-        if (chapterText) {
-            return chapterText;
-        }
+    clearSearch() {
+        this.cancelSearch();
+        Elements.searchInput.value = '';
+        State.search.query = '';
+        State.search.activeFilters = this.getActiveFilters(SearchCore.parseQuery('').filters);
+        State.search.results = [];
+        State.search.currentIndex = -1;
+        this.renderResults();
+        this.clearHighlights();
+    },
 
-        // Try to get title from headings, but filter out Project Gutenberg titles
-        const headings = chapterElement.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        for (let heading of headings) {
-            let title = heading.textContent
-                .replace(/\[[^\]]*\]/g, '') // Remove footnote references like [22]
-                .replace(/\s+/g, ' ')
-                .trim();
+    /**
+     * Render search results in the UI
+     */
+    renderResults() {
+        const container = Elements.searchResults;
+        container.innerHTML = '';
+        this.renderResultsHeader();
 
-            // Skip Project Gutenberg titles
-            if (title.includes('Project Gutenberg') || title.includes('eBook') || title.length > 100) {
-                continue;
+        if (State.search.results.length === 0) {
+            let message = 'Enter a search term to find matches across all books';
+            if (State.search.isSearching) {
+                message = 'Searching...';
+            } else if (State.search.query) {
+                message = `No results found for "${State.search.query}"`;
             }
 
-            if (title && title.length > 3 && title.length < 200) {
-                return title
-                    .replace(/:$/, '') // Remove trailing colon
-                    .replace(/\.$/, '') // Remove trailing dot
-                    .trim();
+            container.innerHTML = `<div class="search-no-results">${message}</div>`;
+
+            if (!State.search.isSearching && State.search.suggestions.length > 0) {
+                container.firstChild.appendChild(this.createSuggestionsElement());
             }
+
+            // Disable navigation buttons
+            Elements.searchPrev.disabled = true;
+            Elements.searchNext.disabled = true;
+            return;
         }
 
-        // Fallback to data-title, but clean it up
-        let dataTitle = chapterElement.getAttribute('data-title');
-        if (dataTitle) {
-            // Check if it's a Project Gutenberg section or filename fallback
-            if (dataTitle.startsWith('Section: ') && dataTitle.includes('.htm')) {
-                // This is a filename fallback, try to find something better
-                const alternativeTitle = this.findAlternativeTitle(chapterElement);
-                if (alternativeTitle) {
-                    return alternativeTitle;
-                }
-                // If no alternative found, at least clean up the section name
-                return dataTitle.replace('Section: ', '').replace(/[_\d\-\.htm]+/g, '').trim() || 'Unknown Chapter';
-            }
+        // Enable navigation buttons
+        Elements.searchPrev.disabled = false;
+        Elements.searchNext.disabled = false;
 
-            // Skip Project Gutenberg titles in data-title too
-            if (!dataTitle.includes('Project Gutenberg') && !dataTitle.includes('eBook')) {
-                dataTitle = dataTitle
-                    .replace(/\[[^\]]*\]/g, '') // Remove footnote references
-                    .replace(/:$/, '') // Remove trailing colon
-                    .replace(/\.$/, '') // Remove trailing dot
-                    .trim();
+        // Create result items
+        const fragment = document.createDocumentFragment();
+        State.search.results.forEach((result, index) => {
+            fragment.appendChild(this.createResultItem(result, index));
+        });
+        container.appendChild(fragment);
 
-                if (dataTitle.length > 0) {
-                    return dataTitle;
-                }
-            }
+        this.updateResultsDisplay();
+    },
+
+    /**
+     * Append newly streamed results without re-rendering the existing ones
+     */
+    appendResults(results) {
+        if (!results.length) return;
+
+        const startIndex = State.search.results.length;
+        State.search.results.push(...results);
+
+        // First batch replaces the placeholder message
+        if (startIndex === 0) {
+            this.renderResults();
+            return;
         }
 
-        return 'Unknown Chapter';
+        const fragment = document.createDocumentFragment();
+        results.forEach((result, offset) => {
+            fragment.appendChild(this.createResultItem(result, startIndex + offset));
+        });
+        Elements.searchResults.appendChild(fragment);
+        this.renderResultsHeader();
     },
 
     /**
-     * Find chapter heading text in the content
+     * Render results count and active filters above the results
      */
-    findChapterHeading(chapterElement) {
-        // Look for chapter patterns in the text content
-        const textContent = chapterElement.textContent;
-
-        // Pattern 1: "CHAPTER I." or "CHAPTER 1." followed by title
-        const chapterMatch = textContent.match(/CHAPTER\s+[IVXLCDM\d]+\.?\s*([^\n\r.]*\.?)/i);
-        if (chapterMatch) {
-            let fullTitle = chapterMatch[0].trim();
-            // Clean up the title
-            fullTitle = fullTitle
-                .replace(/\[[^\]]*\]/g, '') // Remove footnote references
-                .replace(/\s+/g, ' ')
-                .trim();
+    renderResultsHeader() {
+        const header = Elements.searchResultsHeader;
+        if (!header) return;
 
-            if (fullTitle.length > 5 && fullTitle.length < 200) {
-                return fullTitle;
-            }
+        const filterParts = this.describeFilters(State.search.activeFilters || {});
+        if (!State.search.query && filterParts.length === 0) {
+            header.hidden = true;
+            header.innerHTML = '';
+            return;
         }
 
-        // Pattern 2: Look for any bold or emphasized text that contains "CHAPTER"
-        const strongElements = chapterElement.querySelectorAll('strong, b, em, i');
-        for (let element of strongElements) {
-            const text = element.textContent.trim();
-            if (text.match(/CHAPTER\s+[IVXLCDM\d]+/i) && text.length > 5 && text.length < 200) {
-                return text
-                    .replace(/\[[^\]]*\]/g, '')
-                    .replace(/\s+/g, ' ')
-                    .trim();
-            }
+        const count = State.search.results.length;
+        let countText = '';
+        if (State.search.query) {
+            countText = State.search.isSearching
+                ? `Searching... ${count} so far`
+                : `${count} result${count === 1 ? '' : 's'}`;
         }
 
-        // Pattern 3: Look in paragraph text at the beginning of the chapter
-        const paragraphs = chapterElement.querySelectorAll('p');
-        for (let i = 0; i < Math.min(3, paragraphs.length); i++) {
-            const pText = paragraphs[i].textContent;
-            const match = pText.match(/CHAPTER\s+[IVXLCDM\d]+\.?\s*([^\n\r.]*\.?)/i);
-            if (match) {
-                let title = match[0].trim();
-                title = title
-                    .replace(/\[[^\]]*\]/g, '')
-                    .replace(/\s+/g, ' ')
-                    .trim();
+        header.innerHTML = '';
+        const countEl = document.createElement('span');
+        countEl.className = 'search-results-count';
+        countEl.textContent = countText;
+        header.appendChild(countEl);
 
-                if (title.length > 5 && title.length < 200) {
-                    return title;
-                }
-            }
+        filterParts.forEach(part => {
+            const chip = document.createElement('span');
+            chip.className = 'search-filter-chip';
+            chip.textContent = part;
+            header.appendChild(chip);
+        });
+
+        // Spelling groups of a finished fuzzy search - click to jump to the group
+        if (!State.search.isSearching) {
+            this.getSpellingCounts().slice(0, 6).forEach(({ spelling, count }) => {
+                const chip = document.createElement('button');
+                chip.className = 'search-filter-chip search-spelling-chip';
+                chip.textContent = `${spelling} (${count})`;
+                chip.title = `Go to results spelled "${spelling}"`;
+                chip.addEventListener('click', () => {
+                    this.navigateToResult(State.search.results.findIndex(result => result.spelling === spelling));
+                });
+                header.appendChild(chip);
+            });
         }
 
-        return null;
+        header.hidden = false;
     },
 
     /**
-     * Find alternative title by looking at content structure
+     * Create the "Did you mean" line - each suggestion re-runs the search, keeping filter syntax
      */
-    findAlternativeTitle(chapterElement) {
-        // Look for any bold or emphasized text that might be a chapter title
-        const strongElements = chapterElement.querySelectorAll('strong, b, em, i');
-        for (let element of strongElements) {
-            const text = element.textContent.trim();
-            if (text.match(/^CHAPTER\s+[IVXLCDM\d]+/i) || text.length > 10) {
-                return text
-                    .replace(/\[[^\]]*\]/g, '')
-                    .replace(/:$/, '')
-                    .replace(/\.$/, '')
-                    .trim();
-            }
-        }
+    createSuggestionsElement() {
+        const element = document.createElement('div');
+        element.className = 'search-did-you-mean';
+        element.appendChild(document.createTextNode('Did you mean: '));
 
-        // Look for any text that looks like a chapter heading
-        const textContent = chapterElement.textContent;
-        const chapterMatch = textContent.match(/CHAPTER\s+[IVXLCDM\d]+[^.]*\.?/i);
-        if (chapterMatch) {
-            return chapterMatch[0]
-                .replace(/\[[^\]]*\]/g, '')
-                .replace(/:$/, '')
-                .replace(/\.$/, '')
-                .trim();
-        }
+        const filterSyntax = Elements.searchInput.value
+            .split(/\s+/)
+            .filter(word => /^(vol|ch|in):/i.test(word));
 
-        return null;
+        State.search.suggestions.forEach((suggestion, index) => {
+            if (index > 0) element.appendChild(document.createTextNode(', '));
+            const button = document.createElement('button');
+            button.className = 'search-suggestion-link';
+            button.textContent = suggestion;
+            button.addEventListener('click', () => {
+                Elements.searchInput.value = [suggestion, ...filterSyntax].join(' ');
+                this.performSearch(Elements.searchInput.value);
+            });
+            element.appendChild(button);
+        });
+
+        return element;
     },
 
     /**
-     * Format bookmark display text
+     * Create a single result item element
      */
-    formatBookmarkDisplay(bookTitle, chapterTitle, positionPercent) {
-        // Format like "Volume 1, 62% in Chapter XIII"
-        return `${bookTitle}, ${positionPercent}% in ${chapterTitle}`;
+    createResultItem(result, index) {
+        const item = document.createElement('div');
+        item.className = 'search-result-item';
+        if (index === State.search.currentIndex) {
+            item.classList.add('active');
+        }
+
+        item.textContent = result.displayText;
+        item.title = result.spelling ? `[${result.spelling}] ${result.context}` : result.context;
+
+        item.addEventListener('click', () => {
+            this.navigateToResult(index);
+        });
+
+        return item;
     },
 
     /**
-     * Navigate to bookmark
+     * Update results display (scroll to current result)
      */
-    navigateToBookmark(bookmark) {
+    updateResultsDisplay() {
+        const resultItems = Elements.searchResults.querySelectorAll('.search-result-item');
 
-        // Switch book if necessary
-        if (bookmark.bookIndex !== State.currentBookIndex) {
-            State.currentBookIndex = bookmark.bookIndex;
-            Elements.bookSelector.value = bookmark.bookIndex;
-            Elements.bookSelectorMobile.value = bookmark.bookIndex;
-            UIManager.displayCurrentBook();
+        // Remove active class from all items
+        resultItems.forEach(item => item.classList.remove('active'));
+
+        // Add active class to current item and scroll to it
+        if (State.search.currentIndex >= 0 && State.search.currentIndex < resultItems.length) {
+            const currentItem = resultItems[State.search.currentIndex];
+            currentItem.classList.add('active');
+            currentItem.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
         }
+    }
+};
 
-        // Navigate to bookmark position
-        requestAnimationFrame(() => {
-            if (bookmark.previousWordIndex !== undefined) {
-                // Use word-index positioning for new word bookmarks
-                this.navigateToWordBookmark(bookmark);
-            } else {
-                // Fallback to scroll position for legacy bookmarks
-                window.scrollTo({
-                    top: bookmark.scrollPosition,
-                    behavior: 'smooth'
-                });
-            }
+// ===== SEARCH HISTORY MANAGER =====
+const SearchHistoryManager = {
+    MAX_HISTORY: 30,
+    MAX_SUGGESTIONS: 8,
+    MAX_HISTORY_SUGGESTIONS: 4,
+    historyIndex: -1, // Position while cycling history with Up/Down (-1 = not cycling)
+    suggestions: [], // Current dropdown entries: [{ type: 'history'|'lexicon', query, entry }]
+    selectedSuggestion: -1,
+    headwords: null, // Lexicon headwords with their folded form, built on first use
+
+    /**
+     * Initialize search history manager
+     */
+    init() {
+        this.loadFromStorage();
+    },
+
+    /**
+     * Record the current query with its filter controls and Sanskrit mode (most recent first)
+     */
+    add() {
+        const query = Elements.searchInput.value.trim();
+        if (query.length < 2) return;
+
+        State.search.history = State.search.history.filter(entry => entry.query !== query);
+        State.search.history.unshift({
+            query: query,
+            filters: { ...State.search.filters },
+            sanskritMode: State.search.sanskritMode,
+            fuzzyMode: State.search.fuzzyMode,
+            timestamp: Date.now()
         });
+        State.search.history = State.search.history.slice(0, this.MAX_HISTORY);
 
-        ModalManager.close('bookmarks');
+        this.saveToStorage();
     },
 
     /**
-     * Navigate to word bookmark using notes-like restoration
+     * Step through past queries (1 = older, -1 = newer); stepping past the newest clears the search box
      */
-    navigateToWordBookmark(bookmark) {
-        // Check if bookmark highlight already exists
-        const existingHighlight = document.querySelector(`[data-bookmark-id="${bookmark.id}"]`);
-        if (existingHighlight) {
-            // Scroll to existing highlight
-            existingHighlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    recall(step) {
+        const history = State.search.history;
+        const index = this.historyIndex + step;
+        if (history.length === 0 || index >= history.length) return;
+
+        this.historyIndex = Math.max(-1, index);
+        if (this.historyIndex === -1) {
+            SearchManager.clearSearch();
             return;
         }
 
-        // Restore bookmark using same system as notes
-        const success = VolumePositioning.restoreBookmarkHighlight(bookmark, State.currentBookIndex);
-        if (success) {
-            // Scroll to newly created highlight
-            const newHighlight = document.querySelector(`[data-bookmark-id="${bookmark.id}"]`);
-            if (newHighlight) {
-                newHighlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            }
-        } else {
-            console.warn('Word bookmark navigation failed, using fallback');
-            // Fallback: scroll to top if no scroll position available
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-        }
+        SearchManager.applySearch(history[this.historyIndex]);
     },
 
     /**
-     * Remove bookmark
+     * Handle search box keys for history and suggestions, returns true if the key was handled
      */
-    removeBookmark(bookmarkId) {
-        // Remove bookmark highlight from DOM if it exists
-        const bookmarkHighlight = document.querySelector(`[data-bookmark-id="${bookmarkId}"]`);
-        if (bookmarkHighlight) {
-            // If it's a highlight, unwrap it (similar to notes removal)
-            if (bookmarkHighlight.classList.contains('bookmark-highlight')) {
-                const parent = bookmarkHighlight.parentNode;
-                while (bookmarkHighlight.firstChild) {
-                    parent.insertBefore(bookmarkHighlight.firstChild, bookmarkHighlight);
+    handleKeydown(e) {
+        if (this.suggestions.length > 0) {
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp': {
+                    e.preventDefault();
+                    const count = this.suggestions.length;
+                    const step = e.key === 'ArrowDown' ? 1 : -1;
+                    this.selectSuggestion((this.selectedSuggestion + step + count) % count);
+                    return true;
                 }
-                parent.removeChild(bookmarkHighlight);
+                case 'Enter':
+                    if (this.selectedSuggestion < 0) break;
+                    e.preventDefault();
+                    this.acceptSuggestion(this.selectedSuggestion);
+                    return true;
+                case 'Escape':
+                    e.stopPropagation(); // Keep the search panel open
+                    this.hideSuggestions();
+                    return true;
             }
+            this.hideSuggestions();
+            return false;
         }
 
-        // Remove bookmark from storage
-        Object.keys(State.bookmarks).forEach(bookIndex => {
-            State.bookmarks[bookIndex] = State.bookmarks[bookIndex].filter(
-                bookmark => bookmark.id !== bookmarkId
-            );
-        });
-
-        this.saveToStorage();
-        this.renderBookmarks();
-
-        // Add deletion event for smart sync to process
-        if (window.syncUI?.addDeletionEvent) {
-            window.syncUI.addDeletionEvent(bookmarkId, 'bookmark');
+        // Up/Down in an empty search box (or while already cycling) recall past queries
+        const cycling = this.historyIndex >= 0 || Elements.searchInput.value === '';
+        if (cycling && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            this.recall(e.key === 'ArrowUp' ? 1 : -1);
+            return true;
         }
-        // Schedule sync for bookmark deletion
-        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('bookmark-delete');
-    },
 
-    /**
-     * Save bookmarks to localStorage (canonical key: 'bookmarks')
-     */
-    saveToStorage() {
-        try {
-            localStorage.setItem('bookmarks', JSON.stringify(State.bookmarks));
-        } catch (error) {
-            console.error('Failed to save bookmarks:', error);
+        if (e.key === 'Enter') {
+            this.historyIndex = -1;
         }
+        return false;
     },
 
     /**
-     * Load bookmarks from localStorage; migrate from legacy key if present
+     * Update suggestions while typing
      */
-    loadFromStorage() {
-        try {
-            const saved = localStorage.getItem('bookmarks');
-            State.bookmarks = saved ? JSON.parse(saved) : {};
-        } catch (error) {
-            console.error('Failed to load bookmarks:', error);
-            State.bookmarks = {};
-        }
+    onInput(value) {
+        this.historyIndex = -1;
+        this.showSuggestions(value);
     },
 
     /**
-     * Render bookmarks in modal
+     * Collect suggestions: matching past queries, then lexicon headwords starting with the text
      */
-    renderBookmarks() {
-        // Update tab title for current book
-        const currentBookTitle = Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]);
-        Elements.currentBookTab.textContent = currentBookTitle;
+    getSuggestions(value) {
+        const text = value.trim().toLowerCase();
+        if (!text) return [];
 
-        const container = Elements.bookmarksContent;
-        container.innerHTML = '';
+        const suggestions = State.search.history
+            .filter(entry => entry.query.toLowerCase().includes(text) && entry.query.toLowerCase() !== text)
+            .slice(0, this.MAX_HISTORY_SUGGESTIONS)
+            .map(entry => ({ type: 'history', query: entry.query, entry }));
 
-        if (this.activeTab === 'current') {
-            this.renderCurrentBookBookmarks(container);
-        } else {
-            this.renderOtherBooksBookmarks(container);
-        }
+        // Sanskrit mode matches headwords regardless of diacritics and script
+        const folding = State.search.sanskritMode;
+        const prefix = folding ? SearchCore.foldQuery(text) : text;
+        const seen = new Set(suggestions.map(s => s.query));
+
+        this.getHeadwords()
+            .filter(headword => (folding ? headword.folded : headword.lower).startsWith(prefix))
+            .sort((a, b) => a.word.length - b.word.length)
+            .forEach(headword => {
+                if (suggestions.length >= this.MAX_SUGGESTIONS || seen.has(headword.word)) return;
+                seen.add(headword.word);
+                suggestions.push({ type: 'lexicon', query: headword.word });
+            });
+
+        return suggestions;
     },
 
     /**
-     * Render bookmarks for current book
+     * Get headwords of both lexicons ([{ word, lower, folded }])
      */
-    renderCurrentBookBookmarks(container) {
-        const currentBookmarks = State.bookmarks[State.currentBookIndex];
-
-        if (!currentBookmarks || currentBookmarks.length === 0) {
-            container.innerHTML = '<div class="no-bookmarks">No bookmarks in current book yet.</div>';
-            return;
-        }
-
-        const bookmarksList = document.createElement('div');
-        bookmarksList.className = 'bookmarks-list';
+    getHeadwords() {
+        if (this.headwords) return this.headwords;
 
-        currentBookmarks.forEach(bookmark => {
-            const item = this.createBookmarkItem(bookmark);
-            bookmarksList.appendChild(item);
-        });
+        const words = [...new Set([...Object.keys(State.lexicon), ...Object.keys(State.iastLexicon)])];
+        const headwords = words.map(word => ({
+            word: word,
+            lower: word.toLowerCase(),
+            folded: SearchCore.foldText(word).text
+        }));
 
-        container.appendChild(bookmarksList);
+        // Lexicons may still be loading - only cache a complete list
+        if (headwords.length > 0) this.headwords = headwords;
+        return headwords;
     },
 
     /**
-     * Render bookmarks for other books
+     * Render the suggestions dropdown under the search box
      */
-    renderOtherBooksBookmarks(container) {
-        const currentBookIndex = State.currentBookIndex;
-        const otherBooksWithBookmarks = Object.keys(State.bookmarks)
-            .filter(bookIndex =>
-                parseInt(bookIndex) !== currentBookIndex &&
-                State.bookmarks[bookIndex] &&
-                State.bookmarks[bookIndex].length > 0
-            )
-            .sort((a, b) => parseInt(a) - parseInt(b)); // Sort by book index
+    showSuggestions(value) {
+        this.suggestions = this.getSuggestions(value);
+        this.selectedSuggestion = -1;
 
-        if (otherBooksWithBookmarks.length === 0) {
-            container.innerHTML = '<div class="no-bookmarks">No bookmarks in other volumes yet.</div>';
+        const list = Elements.searchSuggestions;
+        list.innerHTML = '';
+
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
             return;
         }
 
-        // Create per-book sections with headers (like notes)
-        otherBooksWithBookmarks.forEach(bookIndex => {
-            const bookmarks = State.bookmarks[bookIndex] || [];
-            if (bookmarks.length === 0) return;
+        this.suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('li');
+            item.className = 'search-suggestion';
+            item.id = `search-suggestion-${index}`;
+            item.setAttribute('role', 'option');
 
-            const bookSection = document.createElement('div');
-            bookSection.className = 'bookmark-book-section';
+            const icon = document.createElement('span');
+            icon.className = 'material-icons';
+            icon.textContent = suggestion.type === 'history' ? 'history' : 'menu_book';
 
-            const bookTitle = document.createElement('h3');
-            bookTitle.className = 'bookmark-book-title';
-            bookTitle.textContent = Utils.getBookTitle(CONFIG.EPUB_FILES[bookIndex]);
-            bookSection.appendChild(bookTitle);
+            const text = document.createElement('span');
+            text.className = 'search-suggestion-text';
+            text.textContent = suggestion.query;
 
-            const bookmarksList = document.createElement('div');
-            bookmarksList.className = 'bookmarks-list';
+            item.appendChild(icon);
+            item.appendChild(text);
 
-            bookmarks.forEach(bookmark => {
-                const item = this.createBookmarkItem(bookmark);
-                bookmarksList.appendChild(item);
+            // mousedown keeps focus in the search box
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.acceptSuggestion(index);
             });
 
-            bookSection.appendChild(bookmarksList);
-            container.appendChild(bookSection);
+            list.appendChild(item);
         });
+
+        list.hidden = false;
+        Elements.searchInput.setAttribute('aria-expanded', 'true');
     },
 
     /**
-     * Create bookmark item element
+     * Hide the suggestions dropdown
      */
-    createBookmarkItem(bookmark) {
-        const item = document.createElement('div');
-        item.className = 'bookmark-item';
+    hideSuggestions() {
+        this.suggestions = [];
+        this.selectedSuggestion = -1;
+        Elements.searchSuggestions.hidden = true;
+        Elements.searchSuggestions.innerHTML = '';
+        Elements.searchInput.setAttribute('aria-expanded', 'false');
+        Elements.searchInput.removeAttribute('aria-activedescendant');
+    },
 
-        const date = new Date(bookmark.timestamp);
-        const formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {
-            hour: '2-digit',
-            minute: '2-digit'
+    /**
+     * Mark a suggestion as selected (keyboard navigation)
+     */
+    selectSuggestion(index) {
+        this.selectedSuggestion = index;
+        Elements.searchSuggestions.querySelectorAll('.search-suggestion').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', i === index ? 'true' : 'false');
+            if (i === index) item.scrollIntoView({ block: 'nearest' });
         });
+        Elements.searchInput.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+    },
 
-        item.innerHTML = `
-            <div class="bookmark-info" title="Go to bookmark">
-                <div class="bookmark-chapter">${bookmark.displayText}</div>
-                <div class="bookmark-meta">${formattedDate}</div>
-            </div>
-            <div class="bookmark-actions">
-                <button class="bookmark-action-btn" data-action="remove" data-id="${bookmark.id}"
-                        aria-label="Remove bookmark" title="Remove bookmark">
-                    <span class="material-icons">delete</span>
-                </button>
-            </div>
-        `;
-
-        // Add event listeners
-        item.querySelector('.bookmark-info').addEventListener('click', () => {
-            this.navigateToBookmark(bookmark);
-        });
-
-        item.querySelector('[data-action="remove"]').addEventListener('click', () => {
-            this.removeBookmark(bookmark.id);
-        });
+    /**
+     * Run the chosen suggestion (history entries restore their filters too)
+     */
+    acceptSuggestion(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
 
-        return item;
+        this.hideSuggestions();
+        if (suggestion.type === 'history') {
+            SearchManager.applySearch(suggestion.entry);
+        } else {
+            Elements.searchInput.value = suggestion.query;
+            SearchManager.performSearch(suggestion.query);
+        }
     },
 
     /**
-     * Generate unique ID for bookmark
+     * Save search history to localStorage
      */
-    generateId() {
-        return 'bookmark_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    saveToStorage() {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.SEARCH_HISTORY, JSON.stringify(State.search.history));
+        } catch (error) {
+            console.error('Failed to save search history:', error);
+        }
     },
 
     /**
-     * Restore bookmark highlights for current book (similar to notes restoration)
+     * Load search history from localStorage
      */
-    restoreBookmarkHighlights() {
-        const currentBookmarks = State.bookmarks[State.currentBookIndex];
-        if (!currentBookmarks) {
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem(CONFIG.STORAGE_KEYS.SEARCH_HISTORY);
+            State.search.history = saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Failed to load search history:', error);
+            State.search.history = [];
+        }
+    }
+};
+
+// ===== SEARCH EXPORT MANAGER =====
+const SearchExportManager = {
+    /**
+     * Export current search results as 'markdown', 'csv' or 'json'
+     */
+    async exportResults(format) {
+        const results = State.search.results;
+        if (results.length === 0) {
+            NotificationManager.show('No search results to export', 'info');
             return;
         }
 
-        // Filter for word-based bookmarks (new system)
-        const wordBookmarks = currentBookmarks.filter(b =>
-            b.previousWordIndex !== undefined && b.word
-        );
+        try {
+            const rows = this.getRows(results);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+            const basename = `Yoga-Vasishtha-Search-${timestamp}`;
 
+            if (format === 'markdown') {
+                await this.saveFile(`${basename}.md`, this.toMarkdown(rows), 'text/markdown');
+            } else if (format === 'csv') {
+                await this.saveFile(`${basename}.csv`, this.toCSV(rows), 'text/csv');
+            } else {
+                await this.saveFile(`${basename}.json`, this.toJSON(rows), 'application/json');
+            }
+        } catch (error) {
+            console.error('Failed to export search results:', error);
+            NotificationManager.show('Export failed: ' + error.message, 'error');
+        }
+    },
 
-        wordBookmarks.forEach(bookmark => {
+    /**
+     * Flatten results into export rows: { result, type, book, chapter, verse, match, context, link }
+     */
+    getRows(results) {
+        return results.map(result => {
+            const row = {
+                result: result.displayText,
+                type: 'book',
+                book: result.bookTitle || '',
+                chapter: result.chapterTitle || '',
+                verse: '',
+                match: result.matchText,
+                context: (result.context || '').replace(/\s+/g, ' ').trim(),
+                link: ''
+            };
 
-            // Check if bookmark highlight already exists
-            const existingHighlight = document.querySelector(`[data-bookmark-id="${bookmark.id}"]`);
-            if (existingHighlight) {
-                return;
+            if (result.isLexiconResult) {
+                row.type = 'lexicon';
+                row.book = result.lexiconType === 'iast' ? 'IAST Lexicon' : 'Devanagari Lexicon';
+                row.chapter = result.word;
+            } else if (result.isNoteResult) {
+                row.type = 'note';
+            } else {
+                const verse = this.findVerse(result);
+                if (verse) {
+                    row.verse = verse.number;
+                    row.link = this.getVerseLink(result.bookIndex, verse.id);
+                }
             }
 
-            // Restore bookmark highlight
-            const success = VolumePositioning.restoreBookmarkHighlight(bookmark, State.currentBookIndex);
-            if (!success) {
-                console.warn('Failed to restore bookmark highlight:', bookmark.word);
-            }
+            return row;
         });
-
     },
 
     /**
-     * Remove specific bookmark highlight from DOM
+     * Find the verse a book result falls in (last numbered paragraph before the match)
+     * Returns { number, id } using VerseManager's id scheme, or null if the chapter has no numbered verses
      */
-    removeBookmarkHighlight(bookmarkId) {
-        // Find all elements with this bookmark ID (highlight and icon)
-        const elements = document.querySelectorAll(`[data-bookmark-id="${bookmarkId}"]`);
-
-        if (elements.length > 0) {
-            if (ENABLE_SYNC_LOGGING) {
-                console.log('🔖 Removing bookmark highlight:', bookmarkId, '- found', elements.length, 'elements');
-            }
+    findVerse(result) {
+        const chapter = SearchManager.getChapterCache(result.bookIndex)[result.chapterIndex];
+        if (!chapter || !chapter.blocks) return null;
 
-            elements.forEach(element => {
-                if (element.classList.contains('bookmark-highlight')) {
-                    // Unwrap the highlight, preserving the text content
-                    const parent = element.parentNode;
-                    if (parent) {
-                        while (element.firstChild) {
-                            parent.insertBefore(element.firstChild, element);
-                        }
-                        parent.removeChild(element);
-                    }
-                } else {
-                    // Remove icon elements directly
-                    element.remove();
-                }
-            });
+        for (let i = chapter.blocks.length - 1; i >= 0; i--) {
+            const block = chapter.blocks[i];
+            if (block.start > result.position) continue;
 
-            // Normalize text nodes to clean up any fragmentation
-            const bookContent = document.getElementById('book-content');
-            if (bookContent) {
-                bookContent.normalize();
+            const match = chapter.text.substring(block.start, block.end).match(/^\s*(\d{1,4})\.\s+/);
+            if (match) {
+                return {
+                    number: match[1],
+                    id: `verse-B${result.bookIndex}-C${result.chapterIndex}-V${match[1]}`
+                };
             }
         }
+        return null;
     },
 
     /**
-     * Handle bookmark change events from sync
+     * Build a verse link in the same format as VerseManager.copyVerseLinkById
      */
-    onBookmarkChanged(changeType, bookmarkId, bookData) {
-        switch(changeType) {
-            case 'removed':
-                this.removeBookmarkHighlight(bookmarkId);
-                break;
-            case 'added':
-                // For now, rely on full restore for additions
-                // Could be optimized later to add individual highlights
-                break;
-            case 'batch_update':
-                // Full refresh - clear all and restore
-                this.clearAllBookmarkHighlights();
-                this.restoreBookmarkHighlights();
-                break;
-        }
+    getVerseLink(bookIndex, verseId) {
+        const base = window.location.origin + window.location.pathname + window.location.search;
+        return base + `#book=${bookIndex}&verseId=${encodeURIComponent(verseId)}`;
     },
 
     /**
-     * Clear all existing bookmark highlights from DOM
+     * Describe the current query and filters for export headers
      */
-    clearAllBookmarkHighlights() {
-        const existingHighlights = document.querySelectorAll('.bookmark-highlight');
+    getQueryInfo() {
+        const filters = SearchManager.describeFilters(State.search.activeFilters || {});
+        if (State.search.sanskritMode) filters.push('Sanskrit mode');
+        if (State.search.fuzzyMode) filters.push('Fuzzy mode');
 
-        if (existingHighlights.length > 0 && ENABLE_SYNC_LOGGING) {
-            console.log('🔖 Clearing', existingHighlights.length, 'existing bookmark highlights');
+        return {
+            query: State.search.query,
+            filters: filters,
+            exported: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Markdown report grouped by book (lexicon and notes get their own sections)
+     */
+    toMarkdown(rows) {
+        const info = this.getQueryInfo();
+        const lines = [
+            `# Yoga Vasishtha search: ${info.query}`,
+            '',
+            `- Exported: ${new Date(info.exported).toLocaleString()}`,
+            `- Results: ${rows.length}`
+        ];
+        if (info.filters.length > 0) {
+            lines.push(`- Filters: ${info.filters.join(', ')}`);
         }
 
-        existingHighlights.forEach(highlight => {
-            // Unwrap the highlight, preserving the text content
-            const parent = highlight.parentNode;
-            if (parent) {
-                // Move all child nodes to parent, then remove the highlight wrapper
-                while (highlight.firstChild) {
-                    parent.insertBefore(highlight.firstChild, highlight);
-                }
-                parent.removeChild(highlight);
+        let currentSection = null;
+        rows.forEach(row => {
+            const section = row.type === 'note' ? `My notes – ${row.book}` : row.book;
+            if (section !== currentSection) {
+                lines.push('', `## ${section}`, '');
+                currentSection = section;
             }
-        });
 
-        // Also remove bookmark icons
-        const existingIcons = document.querySelectorAll('[data-bookmark-id]');
-        existingIcons.forEach(icon => {
-            if (!icon.classList.contains('bookmark-highlight')) {
-                icon.remove();
+            let location = row.chapter;
+            if (row.verse) {
+                location += `, [verse ${row.verse}](${row.link})`;
             }
+            lines.push(`- **${row.result}** ${location}`);
+            lines.push(`  > ${row.context}`);
         });
 
-        // Normalize text nodes to clean up any fragmentation
-        const bookContent = document.getElementById('book-content');
-        if (bookContent) {
-            bookContent.normalize();
-        }
+        return lines.join('\n') + '\n';
     },
 
     /**
-     * Export bookmarks to JSON file
+     * CSV with one row per result (all fields quoted)
      */
-    async exportToJSON() {
-        try {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-            const filename = `Yoga-Vasishtha-Bookmarks-${timestamp}.json`;
+    toCSV(rows) {
+        const columns = ['result', 'type', 'book', 'chapter', 'verse', 'match', 'context', 'link'];
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
 
-            const data = {
-                type: 'bookmarks',
-                version: '1.0',
-                timestamp: new Date().toISOString(),
-                data: State.bookmarks
-            };
+        const lines = [columns.join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => quote(row[column])).join(','));
+        });
 
-            const jsonContent = JSON.stringify(data, null, 2);
+        return lines.join('\r\n') + '\r\n';
+    },
 
-            // Check if we're on mobile with Capacitor
-            if (window.Capacitor?.isNativePlatform && window.Capacitor.Plugins?.Filesystem) {
-                try {
-                    const { Filesystem } = window.Capacitor.Plugins;
+    /**
+     * JSON in the same envelope as the bookmarks/notes exports
+     */
+    toJSON(rows) {
+        const info = this.getQueryInfo();
+        return JSON.stringify({
+            type: 'search-results',
+            version: '1.0',
+            timestamp: info.exported,
+            query: info.query,
+            filters: info.filters,
+            data: rows
+        }, null, 2);
+    },
 
-                    await Filesystem.writeFile({
-                        path: filename,
-                        data: jsonContent,
-                        directory: 'DOCUMENTS',
-                        encoding: 'utf8'
-                    });
+    /**
+     * Save a file to Documents (Capacitor) or download it (web)
+     */
+    async saveFile(filename, content, mimeType, notice = 'Search results exported to Documents folder') {
+        if (window.Capacitor?.isNativePlatform && window.Capacitor.Plugins?.Filesystem) {
+            try {
+                const { Filesystem } = window.Capacitor.Plugins;
 
-                    NotificationManager.show('Bookmarks exported to Documents folder', 'info');
-                } catch (capacitorError) {
-                    // Fall back to web download
-                    const blob = new Blob([jsonContent], { type: 'application/json' });
-                    const url = URL.createObjectURL(blob);
+                await Filesystem.writeFile({
+                    path: filename,
+                    data: content,
+                    directory: 'DOCUMENTS',
+                    encoding: 'utf8'
+                });
 
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = filename;
-                    document.body.appendChild(a);
-                    a.click();
-                    document.body.removeChild(a);
-                    URL.revokeObjectURL(url);
+                NotificationManager.show(notice, 'info');
+                return;
+            } catch (capacitorError) {
+                // Fall back to web download
+            }
+        }
 
-                }
-            } else {
-                // Web browser - use blob download
-                const blob = new Blob([jsonContent], { type: 'application/json' });
-                const url = URL.createObjectURL(blob);
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
 
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = filename;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+};
 
-            }
-        } catch (error) {
-            console.error('Failed to export bookmarks:', error);
-            NotificationManager.show('Export failed: ' + error.message, 'error');
+// ===== CONCORDANCE MANAGER =====
+const ConcordanceManager = {
+    CONTEXT_LENGTH: 60, // Characters of context on each side of the keyword
+    MAX_ROWS: 2000,
+    WORD_CHAR: /[\p{L}\p{M}\p{N}]/u,
+    term: '',
+    filters: {}, // Resolved vol:/ch:/in: filters of the term (kept apart from the search panel's)
+    results: [], // Book results in text order (what the rows link to)
+    rows: [],
+    sortBy: 'text',
+    buildId: 0, // Incremented per build - a newer term stops the running one
+
+    /**
+     * Open the keyword-in-context view for a term (defaults to the current search)
+     */
+    async open(term) {
+        const parsed = SearchCore.parseQuery((term || '').trim());
+        term = parsed.text;
+        if (term.length < 2) {
+            NotificationManager.show('Enter a word to build a concordance', 'info');
+            return;
         }
+
+        // Filters typed with the term (vol:, ch:, in:) apply like in the search
+        this.filters = SearchManager.getActiveFilters(parsed.filters);
+        this.term = term;
+        this.results = [];
+        this.rows = [];
+        ModalManager.open('concordance');
+        Elements.concordanceTitle.textContent = `Concordance: ${term}`;
+        Elements.concordanceSummary.textContent = 'Building concordance...';
+        Elements.concordanceCounts.innerHTML = '';
+        Elements.concordanceContent.innerHTML = '';
+        Elements.concordancePassages.innerHTML = '';
+
+        const buildId = ++this.buildId;
+        await this.build(term, buildId);
+        if (buildId !== this.buildId) return;
+
+        this.render();
+        this.renderPassages();
     },
 
     /**
-     * Import bookmarks from JSON file
+     * Collect every occurrence across the filtered volumes with SearchManager.searchInBook (text order)
+     * The term's vol:/ch:/in: filters apply like in the search - in:lexicon and in:notes leave no books
      */
-    importFromJSON() {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
-
-        input.onchange = (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
+    async build(term, buildId) {
+        const counters = {};
+        const options = SearchManager.getSearchOptions(this.filters);
+        const { bookIndices, includeBooks } = options;
+        if (!includeBooks) return;
 
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const importedData = JSON.parse(e.target.result);
+        for (let bookIndex = 0; bookIndex < State.bookContents.length; bookIndex++) {
+            if (!State.bookContents[bookIndex]) continue;
+            if (bookIndices && !bookIndices.includes(bookIndex)) continue;
 
-                    // Validate JSON structure
-                    if (!importedData.type || importedData.type !== 'bookmarks' || !importedData.data) {
-                        throw new Error('Invalid bookmark file format');
-                    }
+            const results = SearchManager.searchInBook(bookIndex, term, options)
+                .sort((a, b) => a.chapterIndex - b.chapterIndex || a.position - b.position);
 
-                    this.mergeBookmarks(importedData.data);
-                } catch (error) {
-                    console.error('❌ Import failed:', error);
-                    NotificationManager.show('Import failed: Invalid bookmark file', 'error');
-                }
-            };
-            reader.readAsText(file);
-        };
+            results.forEach(result => {
+                counters[bookIndex] = (counters[bookIndex] || 0) + 1;
+                result.displayText = SearchManager.formatSimpleResultDisplay(result.bookTitle, counters[bookIndex]);
+                this.results.push(result);
+                this.rows.push(this.createRow(result, this.results.length - 1));
+            });
 
-        input.click();
+            // Yield between books so the modal stays responsive, drop stale builds
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (buildId !== this.buildId) return;
+        }
     },
 
     /**
-     * Merge imported bookmarks with existing ones
+     * Create a KWIC row: the whole word containing the match with left/right context
      */
-    mergeBookmarks(importedBookmarks) {
-        let mergeCount = 0;
+    createRow(result, resultIndex) {
+        const text = SearchManager.getChapterCache(result.bookIndex)[result.chapterIndex].text;
 
-        Object.keys(importedBookmarks).forEach(bookIndex => {
-            const importedBookmarkList = importedBookmarks[bookIndex] || [];
-            const existingBookmarks = State.bookmarks[bookIndex] || [];
+        let start = result.position;
+        while (start > 0 && this.WORD_CHAR.test(text[start - 1])) start--;
+        let end = result.position + result.matchText.length;
+        while (end < text.length && this.WORD_CHAR.test(text[end])) end++;
 
-            importedBookmarkList.forEach(importedBookmark => {
-                // Check for exact duplicates
-                const isDuplicate = existingBookmarks.some(existing =>
-                    existing.bookIndex === importedBookmark.bookIndex &&
-                    existing.chapterAnchor === importedBookmark.chapterAnchor &&
-                    Math.abs(existing.scrollPosition - importedBookmark.scrollPosition) < 10
-                );
+        const left = text.substring(Math.max(0, start - this.CONTEXT_LENGTH), start).replace(/\s+/g, ' ');
+        const right = text.substring(end, end + this.CONTEXT_LENGTH).replace(/\s+/g, ' ');
 
-                if (!isDuplicate) {
-                    if (!State.bookmarks[bookIndex]) {
-                        State.bookmarks[bookIndex] = [];
-                    }
-                    State.bookmarks[bookIndex].push(importedBookmark);
-                    mergeCount++;
-                }
-            });
-        });
+        const leftWords = left.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+        const rightWords = right.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
 
-        this.saveToStorage();
-        this.renderBookmarks();
+        return {
+            resultIndex,
+            volume: SearchManager.getVolumeNumber(result.bookIndex),
+            label: result.displayText,
+            chapterTitle: result.chapterTitle,
+            left,
+            keyword: text.substring(start, end),
+            right,
+            leftWord: (leftWords[leftWords.length - 1] || '').toLowerCase(),
+            rightWord: (rightWords[0] || '').toLowerCase()
+        };
+    },
 
-        if (mergeCount > 0) {
-            NotificationManager.show(`Imported ${mergeCount} bookmarks`, 'info');
-        }
-    }
-};
+    /**
+     * Change sort order ('text', 'left' or 'right' neighbour) and re-render
+     */
+    setSort(sortBy) {
+        this.sortBy = sortBy;
+        this.render();
+    },
 
-// ===== VOLUME POSITIONING MANAGER =====
-const VolumePositioning = {
     /**
-     * Get word index before a DOM range using consistent DOM-level positioning
+     * Get rows in the selected order
      */
-    getWordIndexBeforeRange(range, bookIndex) {
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent) {
-            console.warn('No book content DOM available');
-            return 0;
+    getSortedRows() {
+        const rows = [...this.rows];
+        if (this.sortBy === 'left') {
+            rows.sort((a, b) => a.leftWord.localeCompare(b.leftWord) || a.rightWord.localeCompare(b.rightWord) || a.resultIndex - b.resultIndex);
+        } else if (this.sortBy === 'right') {
+            rows.sort((a, b) => a.rightWord.localeCompare(b.rightWord) || a.leftWord.localeCompare(b.leftWord) || a.resultIndex - b.resultIndex);
         }
+        return rows;
+    },
 
+    /**
+     * Render summary, per-volume counts and the KWIC table
+     */
+    render() {
+        const total = this.rows.length;
+        const filters = SearchManager.describeFilters(this.filters);
+        if (State.search.sanskritMode) filters.push('Sanskrit mode');
+        if (State.search.fuzzyMode) filters.push('Fuzzy mode');
 
-        // Get the character position of the selection start in the processed DOM
-        const selectionStart = this.getRangeOffsetInDOM(range.startContainer, range.startOffset);
+        Elements.concordanceSummary.textContent = `${total} ${total === 1 ? 'occurrence' : 'occurrences'}` +
+            (filters.length ? ` (${filters.join(', ')})` : '') +
+            (total > this.MAX_ROWS ? ` - showing the first ${this.MAX_ROWS}` : '');
 
-        // Get the full processed DOM text content
-        const domText = bookContent.textContent;
+        // Counts per volume
+        const counts = {};
+        this.rows.forEach(row => { counts[row.volume] = (counts[row.volume] || 0) + 1; });
+        Elements.concordanceCounts.innerHTML = '';
+        Object.keys(counts).sort((a, b) => a - b).forEach(volume => {
+            const chip = document.createElement('span');
+            chip.className = 'search-filter-chip';
+            chip.textContent = `Volume ${volume}: ${counts[volume]}`;
+            Elements.concordanceCounts.appendChild(chip);
+        });
 
-        // Get text before the selection
-        const textBeforeSelection = domText.substring(0, selectionStart);
+        const container = Elements.concordanceContent;
+        container.innerHTML = '';
 
-        // Split into words and count them
-        const words = textBeforeSelection.match(/\S+/g) || [];
-        const wordIndex = words.length;
+        if (total === 0) {
+            container.innerHTML = '<div class="no-bookmarks">No occurrences found.</div>';
+            return;
+        }
 
+        const table = document.createElement('table');
+        table.className = 'concordance-table';
+        const tbody = document.createElement('tbody');
+
+        this.getSortedRows().slice(0, this.MAX_ROWS).forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = 'concordance-row';
+            tr.title = `${row.label} - ${row.chapterTitle}`;
+            tr.tabIndex = 0;
+
+            const ref = document.createElement('td');
+            ref.className = 'concordance-ref';
+            ref.textContent = row.label;
+
+            // Left context is right-aligned so keywords line up (overflow is clipped on the left)
+            const left = document.createElement('td');
+            left.className = 'concordance-left';
+            const leftWrapper = document.createElement('div');
+            const leftText = document.createElement('span');
+            leftText.textContent = row.left;
+            leftWrapper.appendChild(leftText);
+            left.appendChild(leftWrapper);
+
+            const keyword = document.createElement('td');
+            keyword.className = 'concordance-keyword';
+            keyword.textContent = row.keyword;
+
+            const right = document.createElement('td');
+            right.className = 'concordance-right';
+            right.textContent = row.right;
+
+            tr.append(ref, left, keyword, right);
+            tr.addEventListener('click', () => this.openRow(row));
+            tr.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.openRow(row);
+            });
+            tbody.appendChild(tr);
+        });
 
-        return wordIndex;
+        table.appendChild(tbody);
+        container.appendChild(table);
     },
 
-
     /**
-     * Get character offset of range in DOM content
+     * List Sanskrit passages (State.passagesMapping) of lexicon words spelled like the term
      */
-    getRangeOffsetInDOM(container, offset) {
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent) {
-            return 0;
-        }
+    renderPassages() {
+        const container = Elements.concordancePassages;
+        container.innerHTML = '';
 
-        // Handle element nodes by finding the correct text node
-        let targetNode = container;
-        let targetOffset = offset;
+        const foldedTerm = SearchCore.foldQuery(this.term);
+        const words = Object.keys(State.passagesMapping)
+            .filter(word => SearchCore.foldText(word).text === foldedTerm);
+        if (words.length === 0) return;
+
+        const title = document.createElement('h3');
+        title.className = 'bookmark-book-title';
+        title.textContent = `Sanskrit passages (${words.join(', ')})`;
+        container.appendChild(title);
+
+        const list = document.createElement('div');
+        list.className = 'bookmarks-list';
+
+        words.forEach(word => {
+            State.passagesMapping[word].forEach(entry => {
+                const item = document.createElement('div');
+                item.className = 'bookmark-item';
+
+                const info = document.createElement('div');
+                info.className = 'bookmark-info';
+                info.title = 'Go to passage';
+
+                const passage = document.createElement('div');
+                passage.className = 'bookmark-chapter';
+                passage.textContent = entry.passage;
+                info.appendChild(passage);
+
+                // Last paragraph of the translation markdown is the English rendering
+                const translation = State.passagesTranslations[entry.hash];
+                if (translation) {
+                    const meta = document.createElement('div');
+                    meta.className = 'bookmark-meta';
+                    meta.textContent = translation.trim().split(/\n\s*\n/).pop();
+                    info.appendChild(meta);
+                }
 
-        if (container.nodeType === Node.ELEMENT_NODE) {
+                info.addEventListener('click', () => {
+                    ModalManager.close('concordance');
+                    LexiconManager.navigateToPassageByWordContext(entry.passage, word);
+                });
 
-            // For element nodes, offset refers to child nodes
-            const childNodes = Array.from(container.childNodes);
-            let currentOffset = 0;
+                item.appendChild(info);
+                list.appendChild(item);
+            });
+        });
 
-            for (let i = 0; i < childNodes.length; i++) {
-                const child = childNodes[i];
-                if (child.nodeType === Node.TEXT_NODE) {
-                    if (currentOffset === offset) {
-                        targetNode = child;
-                        targetOffset = 0;
-                        break;
-                    }
-                    currentOffset++;
-                }
-            }
+        container.appendChild(list);
+    },
+
+    /**
+     * Show the concordance results in the search panel and go to the row's occurrence
+     */
+    openRow(row) {
+        ModalManager.close('concordance');
+        if (!State.search.isOpen) {
+            SearchManager.openPanel();
         }
 
+        if (State.search.results !== this.results) {
+            SearchManager.cancelSearch();
+            Elements.searchInput.value = this.term;
+            State.search.query = this.term;
+            State.search.results = this.results;
+            State.search.activeFilters = this.filters; // The panel now describes the concordance's results
+            State.search.isSearching = false;
+            SearchManager.renderResults();
+        }
 
-        const walker = document.createTreeWalker(
-            bookContent,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
+        SearchManager.navigateToResult(row.resultIndex);
+    }
+};
 
-        let totalOffset = 0;
-        let node;
+// ===== STATISTICS MANAGER =====
+const StatisticsManager = {
+    TOP_WORDS: 25,
+    SVG_NS: 'http://www.w3.org/2000/svg',
+    buildId: 0, // Incremented per distribution - a newer term stops the running one
 
-        while (node = walker.nextNode()) {
-            if (node === targetNode) {
-                return totalOffset + targetOffset;
-            }
-            totalOffset += node.textContent.length;
-        }
+    /**
+     * Open the statistics modal (distribution defaults to the current search term)
+     */
+    open() {
+        ModalManager.open('statistics');
+        this.renderFrequentWords();
 
-        return 0; // Return 0 instead of totalOffset when not found
+        const term = SearchCore.parseQuery(Elements.searchInput.value.trim()).text;
+        Elements.statsTerm.value = term;
+        if (term.length >= 2) {
+            this.showDistribution(term);
+        } else {
+            Elements.statsDistribution.innerHTML = '<div class="no-bookmarks">Enter a term to see how it is distributed across the volumes.</div>';
+        }
     },
 
     /**
-     * Get character offset of range within a specific containerElement (chapter-scoped)
+     * Most frequent Sanskrit words: lexicon and mapping words ranked by number of passages they occur in
      */
-    getRangeOffsetInContainer(container, offset, containerElement) {
-        if (!containerElement) return 0;
+    getFrequentWords() {
+        const words = new Set([...Object.keys(State.lexicon), ...Object.keys(State.passagesMapping)]);
 
-        // Resolve target text node similar to getRangeOffsetInDOM
-        let targetNode = container;
-        let targetOffset = offset;
+        return [...words]
+            // Skip punctuation (।) and single syllables split off by the word extraction
+            .filter(word => SearchCore.foldText(word).text.replace(/[^\p{L}]/gu, '').length >= 3)
+            .map(word => ({ word, count: (State.passagesMapping[word] || []).length }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+            .slice(0, this.TOP_WORDS);
+    },
 
-        if (container.nodeType === Node.ELEMENT_NODE) {
-            const childNodes = Array.from(container.childNodes);
-            let currentOffset = 0;
+    /**
+     * Render the frequent words chart - clicking a bar shows that word's distribution
+     */
+    renderFrequentWords() {
+        const container = Elements.statsWords;
+        container.innerHTML = '';
 
-            for (let i = 0; i < childNodes.length; i++) {
-                const child = childNodes[i];
-                if (child.nodeType === Node.TEXT_NODE) {
-                    if (currentOffset === offset) {
-                        targetNode = child;
-                        targetOffset = 0;
-                        break;
-                    }
-                    currentOffset++;
-                }
-            }
+        const words = this.getFrequentWords();
+        if (words.length === 0) {
+            container.innerHTML = '<div class="no-bookmarks">Passage data not loaded.</div>';
+            return;
         }
 
-        const walker = document.createTreeWalker(
-            containerElement,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
+        container.appendChild(this.createBarChart(words.map(entry => ({
+            label: entry.word,
+            value: entry.count,
+            title: `${entry.word} (${SearchCore.transliterate(entry.word)}): ${entry.count} passages`,
+            onClick: () => {
+                Elements.statsTerm.value = entry.word;
+                this.showDistribution(entry.word);
+            }
+        }))));
+    },
 
-        let totalOffset = 0;
-        let node;
+    /**
+     * Count occurrences of a term per volume (Devanagari terms always use Sanskrit folding)
+     * Returns { sanskritMode, counts: [{ volume, count }] }
+     */
+    async getDistribution(term, buildId) {
+        const sanskritMode = State.search.sanskritMode || /[\u0900-\u097F]/.test(term);
+        const counts = {};
 
-        while (node = walker.nextNode()) {
-            if (node === targetNode) {
-                return totalOffset + targetOffset;
-            }
-            totalOffset += node.textContent.length;
+        for (let bookIndex = 0; bookIndex < State.bookContents.length; bookIndex++) {
+            if (!State.bookContents[bookIndex]) continue;
+
+            const volume = SearchManager.getVolumeNumber(bookIndex);
+            const bookTitle = Utils.getBookTitle(CONFIG.EPUB_FILES[bookIndex]);
+            const results = SearchCore.searchBook(State.searchIndex, SearchManager.getChapterCache(bookIndex),
+                bookIndex, bookTitle, term, { sanskrit: sanskritMode });
+            counts[volume] = (counts[volume] || 0) + results.length;
+
+            // Yield between books so the modal stays responsive, drop stale requests
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (buildId !== this.buildId) return null;
         }
 
-        return 0;
+        return {
+            sanskritMode,
+            counts: Object.keys(counts).map(Number).sort((a, b) => a - b).map(volume => ({ volume, count: counts[volume] }))
+        };
     },
 
     /**
-     * Restore highlight at specific word index using consistent DOM-level positioning
+     * Render the per-volume distribution chart - clicking a bar opens that volume's search results
      */
-    restoreHighlightAtWordIndex(note, bookIndex) {
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent) {
-            console.warn('No book content DOM for restoration');
-            return false;
-        }
+    async showDistribution(term) {
+        term = term.trim();
+        if (term.length < 2) return;
 
-        // Use the same processed DOM content for restoration
-        const domText = bookContent.textContent;
-        const words = domText.match(/\S+/g) || [];
+        const container = Elements.statsDistribution;
+        container.innerHTML = '<div class="bookmark-meta">Counting...</div>';
 
+        const buildId = ++this.buildId;
+        const distribution = await this.getDistribution(term, buildId);
+        if (!distribution) return;
 
-        if (note.previousWordIndex >= words.length) {
-            console.warn('Word index out of range in DOM');
-            return false;
-        }
+        container.innerHTML = '';
+        const total = distribution.counts.reduce((sum, entry) => sum + entry.count, 0);
 
-        // Calculate exact character position from word index
-        let approximateCharPos = 0;
+        const summary = document.createElement('div');
+        summary.className = 'bookmark-meta';
+        summary.textContent = `${total} ${total === 1 ? 'occurrence' : 'occurrences'} of "${term}"` +
+            (distribution.sanskritMode ? ' (Sanskrit mode)' : '');
+        container.appendChild(summary);
 
-        // Walk through DOM text and count words until we reach target word index
-        const wordPattern = /\S+/g;
-        let match;
-        let wordCount = 0;
+        if (total === 0) return;
 
-        while ((match = wordPattern.exec(domText)) !== null && wordCount < note.previousWordIndex) {
-            wordCount++;
-            if (wordCount === note.previousWordIndex) {
-                approximateCharPos = match.index; // Position of the word after our target position
-                break;
-            }
-        }
+        container.appendChild(this.createBarChart(distribution.counts.map(entry => ({
+            label: `Volume ${entry.volume}`,
+            value: entry.count,
+            title: `Volume ${entry.volume}: ${entry.count} - show results`,
+            onClick: entry.count > 0 ? () => this.openResults(term, entry.volume, distribution.sanskritMode) : null
+        }))));
+    },
 
+    /**
+     * Jump into the search results for one volume
+     * The filter controls are reset to the books the distribution counted; fuzzy mode is kept
+     */
+    openResults(term, volume, sanskritMode) {
+        ModalManager.close('statistics');
+        SearchManager.applySearch({
+            query: `${term} vol:${volume}`,
+            filters: { volume: '', scope: 'books', chapterFrom: '', chapterTo: '' },
+            sanskritMode,
+            fuzzyMode: State.search.fuzzyMode
+        });
+    },
 
-        // Find selected text after this approximate position
-        const textFromPosition = domText.substring(approximateCharPos);
-        const relativeIndex = textFromPosition.indexOf(note.selectedText);
+    /**
+     * Create a horizontal bar chart as inline SVG
+     * items: [{ label, value, title, onClick }] - bars with onClick are keyboard focusable
+     */
+    createBarChart(items) {
+        const rowHeight = 24;
+        const labelWidth = 130;
+        const barWidth = 300;
+        const valueWidth = 50;
+        const width = labelWidth + barWidth + valueWidth;
+        const height = items.length * rowHeight;
+        const max = Math.max(...items.map(item => item.value), 1);
+
+        const svg = document.createElementNS(this.SVG_NS, 'svg');
+        svg.setAttribute('class', 'stats-chart');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('role', 'list');
+
+        items.forEach((item, index) => {
+            const y = index * rowHeight;
+            const group = document.createElementNS(this.SVG_NS, 'g');
+            group.setAttribute('class', 'stats-row');
+            group.setAttribute('role', 'listitem');
+
+            const title = document.createElementNS(this.SVG_NS, 'title');
+            title.textContent = item.title || `${item.label}: ${item.value}`;
+            group.appendChild(title);
+
+            const label = document.createElementNS(this.SVG_NS, 'text');
+            label.setAttribute('class', 'stats-label');
+            label.setAttribute('x', labelWidth - 8);
+            label.setAttribute('y', y + rowHeight / 2);
+            label.setAttribute('text-anchor', 'end');
+            label.setAttribute('dominant-baseline', 'middle');
+            label.textContent = item.label;
+            group.appendChild(label);
+
+            const bar = document.createElementNS(this.SVG_NS, 'rect');
+            bar.setAttribute('class', 'stats-bar');
+            bar.setAttribute('x', labelWidth);
+            bar.setAttribute('y', y + 4);
+            bar.setAttribute('width', Math.max(1, (item.value / max) * barWidth));
+            bar.setAttribute('height', rowHeight - 8);
+            bar.setAttribute('rx', 3);
+            group.appendChild(bar);
+
+            const value = document.createElementNS(this.SVG_NS, 'text');
+            value.setAttribute('class', 'stats-value');
+            value.setAttribute('x', labelWidth + (item.value / max) * barWidth + 6);
+            value.setAttribute('y', y + rowHeight / 2);
+            value.setAttribute('dominant-baseline', 'middle');
+            value.textContent = item.value;
+            group.appendChild(value);
+
+            if (item.onClick) {
+                group.classList.add('clickable');
+                group.setAttribute('tabindex', '0');
+                group.addEventListener('click', item.onClick);
+                group.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') item.onClick();
+                });
+            }
 
-        if (relativeIndex === -1) {
-            console.warn('Could not find selected text after word position in DOM');
-            return false;
-        }
+            svg.appendChild(group);
+        });
 
-        const absoluteCharPos = approximateCharPos + relativeIndex;
+        return svg;
+    }
+};
 
-        // Create highlight at this DOM position
-        return this.createHighlightAtDOMPosition(note, absoluteCharPos);
+// ===== SAVED SEARCH MANAGER =====
+const SavedSearchManager = {
+    /**
+     * Initialize saved search manager
+     */
+    init() {
+        this.loadFromStorage();
     },
 
     /**
-     * Restore bookmark highlight using same system as notes
+     * Save current query, filter controls and Sanskrit mode under a name
+     * A search saved under an existing name replaces it
      */
-    restoreBookmarkHighlight(bookmark, bookIndex) {
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent) {
-            console.warn('No book content DOM for bookmark restoration');
-            return false;
+    saveCurrent(name) {
+        const query = Elements.searchInput.value.trim();
+        if (!query) {
+            NotificationManager.show('Enter a search first', 'info');
+            return;
         }
 
-        // Use the same processed DOM content for restoration
-        const domText = bookContent.textContent;
-        const words = domText.match(/\S+/g) || [];
+        name = (name || '').trim() || query;
+        State.savedSearches = State.savedSearches.filter(saved => saved.name !== name);
+        State.savedSearches.unshift({
+            id: this.generateId(),
+            name: name,
+            query: query,
+            filters: { ...State.search.filters },
+            sanskritMode: State.search.sanskritMode,
+            fuzzyMode: State.search.fuzzyMode,
+            timestamp: Date.now()
+        });
 
+        this.saveToStorage();
+        this.render();
+        NotificationManager.show(`Search "${name}" saved`, 'info');
+    },
 
-        if (bookmark.previousWordIndex >= words.length) {
-            console.warn('Bookmark word index out of range in DOM');
-            return false;
-        }
+    /**
+     * Re-run a saved search in the search panel
+     */
+    run(id) {
+        const saved = State.savedSearches.find(s => s.id === id);
+        if (!saved) return;
 
-        // Calculate exact character position from word index
-        let approximateCharPos = 0;
+        ModalManager.close('savedSearches');
+        SearchManager.applySearch(saved);
+    },
 
-        // Walk through DOM text and count words until we reach target word index
-        const wordPattern = /\S+/g;
-        let match;
-        let wordCount = 0;
+    /**
+     * Remove a saved search
+     */
+    remove(id) {
+        State.savedSearches = State.savedSearches.filter(saved => saved.id !== id);
+        this.saveToStorage();
+        this.render();
+    },
 
-        while ((match = wordPattern.exec(domText)) !== null && wordCount < bookmark.previousWordIndex) {
-            wordCount++;
-            if (wordCount === bookmark.previousWordIndex) {
-                approximateCharPos = match.index; // Position of the word after our target position
-                break;
-            }
-        }
+    /**
+     * Render the saved searches modal (export summary and saved list)
+     */
+    render() {
+        const count = State.search.results.length;
+        Elements.searchExportSummary.textContent = count > 0
+            ? `${count} ${count === 1 ? 'result' : 'results'} for "${State.search.query}"`
+            : 'Run a search to export its results.';
+        Elements.searchExportButtons.forEach(btn => { btn.disabled = count === 0; });
 
+        if (!Elements.savedSearchName.value) {
+            Elements.savedSearchName.value = Elements.searchInput.value.trim();
+        }
 
-        // Find the bookmark word after this approximate position
-        const textFromPosition = domText.substring(approximateCharPos);
-        const relativeIndex = textFromPosition.indexOf(bookmark.word);
+        const container = Elements.savedSearchesList;
+        container.innerHTML = '';
 
-        if (relativeIndex === -1) {
-            console.warn('Could not find bookmark word after word position in DOM');
-            return false;
+        if (State.savedSearches.length === 0) {
+            container.innerHTML = '<div class="no-bookmarks">No saved searches yet.</div>';
+            return;
         }
 
-        const absoluteCharPos = approximateCharPos + relativeIndex;
-
-        // Create bookmark highlight at this DOM position
-        return this.createBookmarkHighlightAtDOMPosition(bookmark, absoluteCharPos);
+        const list = document.createElement('div');
+        list.className = 'bookmarks-list';
+        State.savedSearches.forEach(saved => list.appendChild(this.createItem(saved)));
+        container.appendChild(list);
     },
 
     /**
-     * Create bookmark highlight at character position in DOM
+     * Create saved search item element
      */
-    createBookmarkHighlightAtDOMPosition(bookmark, characterPosition) {
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent) return false;
+    createItem(saved) {
+        const item = document.createElement('div');
+        item.className = 'bookmark-item';
 
-        const walker = document.createTreeWalker(
-            bookContent,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
+        const info = document.createElement('div');
+        info.className = 'bookmark-info';
+        info.title = 'Run search';
+
+        const name = document.createElement('div');
+        name.className = 'bookmark-chapter';
+        name.textContent = saved.name;
+
+        // Query plus any filter controls that were set when saving
+        const controls = saved.filters || {};
+        const details = [saved.query];
+        if (controls.volume) details.push(`Volume ${controls.volume}`);
+        if (controls.chapterFrom || controls.chapterTo) details.push(`Chapters ${controls.chapterFrom || 1}–${controls.chapterTo || '…'}`);
+        if (controls.scope && controls.scope !== 'all') details.push(`in:${controls.scope}`);
+        if (saved.sanskritMode) details.push('Sanskrit mode');
+        if (saved.fuzzyMode) details.push('Fuzzy mode');
+
+        const meta = document.createElement('div');
+        meta.className = 'bookmark-meta';
+        meta.textContent = details.join(' · ');
+
+        info.appendChild(name);
+        info.appendChild(meta);
+        info.addEventListener('click', () => this.run(saved.id));
+
+        const actions = document.createElement('div');
+        actions.className = 'bookmark-actions';
+        actions.innerHTML = `
+            <button class="bookmark-action-btn" data-action="remove"
+                    aria-label="Remove saved search" title="Remove saved search">
+                <span class="material-icons">delete</span>
+            </button>
+        `;
+        actions.querySelector('[data-action="remove"]').addEventListener('click', () => this.remove(saved.id));
 
-        let currentOffset = 0;
-        let node;
+        item.appendChild(info);
+        item.appendChild(actions);
+        return item;
+    },
 
-        while (node = walker.nextNode()) {
-            const nodeLength = node.textContent.length;
+    /**
+     * Generate unique ID for saved search
+     */
+    generateId() {
+        return 'search_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    },
 
-            if (currentOffset + nodeLength > characterPosition) {
-                const nodeOffset = characterPosition - currentOffset;
-                const endOffset = nodeOffset + bookmark.word.length;
+    /**
+     * Save saved searches to localStorage
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.SAVED_SEARCHES, JSON.stringify(State.savedSearches));
+        } catch (error) {
+            console.error('Failed to save searches:', error);
+        }
+    },
 
-                // Verify text matches
-                const foundText = node.textContent.substring(nodeOffset, endOffset);
-                if (foundText === bookmark.word) {
-                    // Create range for the bookmark word
-                    const range = document.createRange();
-                    range.setStart(node, nodeOffset);
-                    range.setEnd(node, endOffset);
+    /**
+     * Load saved searches from localStorage
+     */
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem(CONFIG.STORAGE_KEYS.SAVED_SEARCHES);
+            State.savedSearches = saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Failed to load saved searches:', error);
+            State.savedSearches = [];
+        }
+    }
+};
 
-                    // Create bookmark highlight
-                    const highlight = document.createElement('span');
-                    highlight.className = 'bookmark-highlight';
-                    highlight.setAttribute('data-bookmark-id', bookmark.id);
+// ===== NOTIFICATION MANAGER =====
+const NotificationManager = {
+    /**
+     * Show a themed notification
+     */
+    show(message, type = 'info') {
+        // Remove any existing notifications
+        this.clear();
 
-                    try {
-                        range.surroundContents(highlight);
-                    } catch (e) {
-                        const contents = range.extractContents();
-                        highlight.appendChild(contents);
-                        range.insertNode(highlight);
-                    }
+        const notification = document.createElement('div');
+        notification.className = 'notification notification-' + type;
+        notification.textContent = message;
 
-                    // Create bookmark icon
-                    const bookmarkIcon = document.createElement('span');
-                    bookmarkIcon.className = 'bookmark-icon';
-                    bookmarkIcon.setAttribute('data-bookmark-id', bookmark.id);
-                    bookmarkIcon.innerHTML = '<span class="material-icons">bookmark</span>';
+        // Add notification to the body
+        document.body.appendChild(notification);
 
-                    bookmarkIcon.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        ModalManager.open('bookmarks');
-                    });
+        // Animate in
+        setTimeout(() => {
+            notification.classList.add('notification-show');
+        }, 10);
 
-                    highlight.appendChild(bookmarkIcon);
+        // Auto-remove after 2.5 seconds
+        setTimeout(() => {
+            this.hide(notification);
+        }, 2500);
+    },
 
-                    return true;
-                }
+    /**
+     * Hide a notification with animation
+     */
+    hide(notification) {
+        notification.classList.add('notification-hide');
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
             }
+        }, 300);
+    },
 
-            currentOffset += nodeLength;
-        }
+    /**
+     * Clear all notifications
+     */
+    clear() {
+        const notifications = document.querySelectorAll('.notification');
+        notifications.forEach(n => n.parentNode.removeChild(n));
+    }
+};
 
-        return false;
+// ===== BOOKMARK MANAGER =====
+const BookmarkManager = {
+    MAX_BOOKMARKS_PER_BOOK: 10,
+    activeTab: 'current',
+
+    /**
+     * Initialize bookmark manager
+     */
+    init() {
+        this.loadFromStorage();
+    },
+
+    /**
+     * Switch between current book and other books tabs
+     */
+    switchTab(tab) {
+        this.activeTab = tab;
+
+        // Update tab UI
+        Elements.currentBookTab.classList.toggle('active', tab === 'current');
+        Elements.otherBooksTab.classList.toggle('active', tab === 'other');
+
+        // Re-render bookmarks for the selected tab
+        this.renderBookmarks();
     },
 
+    /**
+     * Add bookmark for current position using word highlighting
+     */
+    addBookmark() {
+        const topVisibleWord = this.getTopVisibleWord();
+        if (!topVisibleWord) {
+            console.warn('Could not find top visible word for bookmark');
+            return;
+        }
+
+        this.createWordBookmark(topVisibleWord);
+    },
 
     /**
-     * Create highlight at character position in DOM
+     * Find the topmost visible word in the viewport
      */
-    createHighlightAtDOMPosition(note, characterPosition) {
+    getTopVisibleWord() {
         const bookContent = document.getElementById('book-content');
-        if (!bookContent) return false;
+        if (!bookContent) return null;
 
         const walker = document.createTreeWalker(
             bookContent,
@@ -2766,993 +3247,796 @@ const VolumePositioning = {
             false
         );
 
-        let currentOffset = 0;
         let node;
-
         while (node = walker.nextNode()) {
-            const nodeLength = node.textContent.length;
+            const text = node.textContent.trim();
+            if (!text) continue;
 
-            if (currentOffset + nodeLength > characterPosition) {
-                const nodeOffset = characterPosition - currentOffset;
-                const endOffset = nodeOffset + note.selectedText.length;
+            // Check if this text node is visible in viewport
+            const range = document.createRange();
+            range.selectNodeContents(node);
+            const rect = range.getBoundingClientRect();
 
-                // Verify text matches
-                const foundText = node.textContent.substring(nodeOffset, endOffset);
-                if (foundText === note.selectedText) {
-                    const range = document.createRange();
-                    range.setStart(node, nodeOffset);
-                    range.setEnd(node, endOffset);
+            // Check if top of text is in viewport (allowing for some margin)
+            if (rect.top >= -10 && rect.top <= window.innerHeight) {
+                // Find first word in this text node
+                const words = text.match(/\S+/g);
+                if (words && words.length > 0) {
+                    const firstWord = words[0];
+                    const wordStartIndex = text.indexOf(firstWord);
 
-                    const highlight = document.createElement('span');
-                    highlight.className = 'note-highlight';
-                    highlight.setAttribute('data-note-id', note.id);
+                    // Create range for the first word
+                    const wordRange = document.createRange();
+                    wordRange.setStart(node, wordStartIndex);
+                    wordRange.setEnd(node, wordStartIndex + firstWord.length);
 
-                    try {
-                        range.surroundContents(highlight);
-                        const noteIcon = NotesManager.createNoteIcon(note.id);
-                        highlight.appendChild(noteIcon);
-                        return true;
-                    } catch (e) {
-                        console.warn('Could not surround contents:', e);
-                    }
+                    return {
+                        word: firstWord,
+                        range: wordRange,
+                        textNode: node
+                    };
                 }
-                break;
             }
-
-            currentOffset += nodeLength;
         }
 
-        return false;
-    }
-};
-
-// ===== NOTES MANAGER =====
-const NotesManager = {
-    MAX_NOTES_PER_BOOK: 50,
-    activeTab: 'current',
-    isTextSelectionMode: false,
-    currentSelection: null,
-
-    /**
-     * Initialize notes manager
-     */
-    init() {
-        this.loadFromStorage();
-        this.initEventListeners();
+        return null;
     },
 
     /**
-     * Initialize event listeners for text selection
+     * Create word bookmark using notes-like highlighting system
      */
-    initEventListeners() {
-        // Listen for text selection events (both mouse and touch)
-        document.addEventListener('mouseup', (e) => {
-            if (this.isTextSelectionMode) {
-                this.handleTextSelection(e);
-            }
-        });
+    createWordBookmark(wordInfo) {
+        // Anchor and word index before the highlight changes the DOM
+        const selectors = TextAnchor.describe(wordInfo.range);
+        const previousWordIndex = VolumePositioning.getWordIndexBeforeRange(wordInfo.range, State.currentBookIndex);
 
-        // Mobile touch events - capture selection immediately on touch end
-        document.addEventListener('touchend', (e) => {
-            if (this.isTextSelectionMode) {
+        // Create bookmark highlight similar to notes
+        const highlight = document.createElement('span');
+        highlight.className = 'bookmark-highlight';
+        const bookmarkId = this.generateId();
+        highlight.setAttribute('data-bookmark-id', bookmarkId);
 
-                // Capture selection IMMEDIATELY (before it disappears)
-                const selection = window.getSelection();
-                if (selection.rangeCount && !selection.isCollapsed) {
-                    const range = selection.getRangeAt(0);
-                    const selectedText = range.toString().trim();
+        // Wrap the selected word
+        try {
+            wordInfo.range.surroundContents(highlight);
+        } catch (e) {
+            // If surroundContents fails, use extractContents
+            const contents = wordInfo.range.extractContents();
+            highlight.appendChild(contents);
+            wordInfo.range.insertNode(highlight);
+        }
 
-                    // Store the selection data immediately
-                    this.capturedMobileSelection = {
-                        range: range.cloneRange(),
-                        text: selectedText
-                    };
+        // Create bookmark icon (similar to note icon)
+        const bookmarkIcon = this.createBookmarkIcon(bookmarkId);
+        highlight.appendChild(bookmarkIcon);
 
-                    // Process it after a small delay to avoid conflicts with browser
-                    setTimeout(() => {
-                        this.processCapturedMobileSelection();
-                    }, 50);
-                } else {
-                }
-            }
-        });
-
-        // Selection change event (fires when text selection changes)
-        // Only used to store the selection, not to immediately process it
-        document.addEventListener('selectionchange', (e) => {
-            if (this.isTextSelectionMode) {
-                // Just store the current selection without processing it yet
-                this.storeCurrentSelection();
-            }
-        });
-
-        // Prevent default context menu on mobile only during selection mode
-        document.addEventListener('contextmenu', (e) => {
-            if (this.isTextSelectionMode) {
-                e.preventDefault();
-                e.stopPropagation();
-                return false;
-            }
-            // Allow normal context menu when not in selection mode
-        });
-
-        // Listen for escape key to exit selection mode
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isTextSelectionMode && !ModalManager.activeModal) {
-                this.exitTextSelectionMode();
-            }
-        });
-    },
+        // Create bookmark object
+        const currentChapter = this.getCurrentChapter();
+        const bookmark = {
+            id: bookmarkId,
+            bookIndex: State.currentBookIndex,
+            bookTitle: Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]),
+            chapterTitle: currentChapter ? currentChapter.title : 'Unknown Chapter',
+            chapterAnchor: currentChapter ? currentChapter.anchor : '',
+            word: wordInfo.word,
+            timestamp: new Date().toISOString(),
+            // Store positioning data using the same system as notes
+            previousWordIndex: previousWordIndex,
+            selectors: selectors,
+            displayText: this.formatWordBookmarkDisplay(
+                Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]),
+                currentChapter ? currentChapter.title : 'Unknown Chapter',
+                wordInfo.word
+            )
+        };
 
-    /**
-     * Switch between current book and other books tabs
-     */
-    switchTab(tab) {
-        this.activeTab = tab;
-        // Update tab UI
-        document.getElementById('current-book-notes-tab').classList.toggle('active', tab === 'current');
-        document.getElementById('other-books-notes-tab').classList.toggle('active', tab === 'other');
-        // Re-render notes for the selected tab
-        this.renderNotes();
+        // Save bookmark
+        this.addBookmarkToStorage(bookmark);
     },
 
     /**
-     * Enter text selection mode
+     * Create bookmark icon (similar to note icon)
      */
-    enterTextSelectionMode() {
-        this.isTextSelectionMode = true;
-        document.body.classList.add('text-selection-mode');
+    createBookmarkIcon(bookmarkId) {
+        const icon = document.createElement('span');
+        icon.className = 'bookmark-icon';
+        icon.setAttribute('data-bookmark-id', bookmarkId);
+        icon.innerHTML = '<span class="material-icons">bookmark</span>';
 
-        // Mobile-specific: Initialize properties to handle touch events
-        this.pendingMobileSelection = null;
-        this.capturedMobileSelection = null;
-        this.selectionTimeout = null;
+        icon.addEventListener('click', (e) => {
+            e.stopPropagation();
+            // Open bookmarks modal when clicked
+            ModalManager.open('bookmarks');
+        });
 
-        ModalManager.close('notes');
+        return icon;
     },
 
     /**
-     * Exit text selection mode
+     * Add bookmark to storage (similar to notes storage)
      */
-    exitTextSelectionMode() {
-        this.isTextSelectionMode = false;
-        document.body.classList.remove('text-selection-mode');
-        this.currentSelection = null;
-
-        // Clean up mobile-specific properties
-        this.pendingMobileSelection = null;
-        this.capturedMobileSelection = null;
-        if (this.selectionTimeout) {
-            clearTimeout(this.selectionTimeout);
-            this.selectionTimeout = null;
+    addBookmarkToStorage(bookmark) {
+        // Initialize bookmarks array for this book if needed
+        if (!State.bookmarks[bookmark.bookIndex]) {
+            State.bookmarks[bookmark.bookIndex] = [];
         }
 
-    },
+        const bookBookmarks = State.bookmarks[bookmark.bookIndex];
 
-    /**
-     * Store current selection without processing it
-     */
-    storeCurrentSelection() {
-        const selection = window.getSelection();
-        if (!selection.rangeCount || selection.isCollapsed) {
-            this.pendingMobileSelection = null;
-            return;
-        }
+        // Check if we already have a bookmark close to this position
+        const existingIndex = bookBookmarks.findIndex(b =>
+            b.previousWordIndex !== undefined &&
+            Math.abs(b.previousWordIndex - bookmark.previousWordIndex) < 10
+        );
 
-        const range = selection.getRangeAt(0);
-        const selectedText = range.toString().trim();
+        if (existingIndex >= 0) {
+            // Update existing bookmark
+            bookBookmarks[existingIndex] = bookmark;
+        } else {
+            // Add new bookmark to beginning of array (most recent first)
+            bookBookmarks.unshift(bookmark);
+
+            // Keep only the 10 most recent bookmarks
+            if (bookBookmarks.length > this.MAX_BOOKMARKS_PER_BOOK) {
+                bookBookmarks.splice(this.MAX_BOOKMARKS_PER_BOOK);
+            }
 
-        // Only store if it's within book content
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent || !bookContent.contains(range.commonAncestorContainer)) {
-            this.pendingMobileSelection = null;
-            return;
         }
 
-        // Store the selection (but don't process it yet)
-        this.pendingMobileSelection = {
-            range: range.cloneRange(),
-            text: selectedText
-        };
+        this.saveToStorage();
+        this.renderBookmarks();
+        // Schedule sync for bookmark addition/update
+        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('bookmark');
     },
 
     /**
-     * Handle mobile selection end (when user stops touching)
+     * Format display text for word-based bookmarks
      */
-    handleMobileSelectionEnd(e) {
-
-        // Check if selection is still active
-        const currentSelection = window.getSelection();
+    formatWordBookmarkDisplay(bookTitle, chapterTitle, word) {
+        const shortTitle = bookTitle.replace(/^(Vol\.|Volume)\s*\d+\s*[-:]?\s*/i, '').substring(0, 30);
+        const shortChapter = chapterTitle.length > 40 ? chapterTitle.substring(0, 40) + '...' : chapterTitle;
+        return `"${word}" in ${shortChapter}`;
+    },
 
-        if (!currentSelection.rangeCount || currentSelection.isCollapsed) {
-            this.pendingMobileSelection = null;
-            return;
-        }
+    /**
+     * Add bookmark at specific position
+     */
+    addBookmarkAtPosition(position) {
+        const currentChapter = this.getCurrentChapter(position.scrollTop);
+        if (!currentChapter) return;
 
-        const selectedText = currentSelection.toString().trim();
-        if (selectedText.length < 3) {
-            this.pendingMobileSelection = null;
-            return;
-        }
+        const bookmark = {
+            id: this.generateId(),
+            bookIndex: position.bookIndex,
+            bookTitle: Utils.getBookTitle(CONFIG.EPUB_FILES[position.bookIndex]),
+            chapterTitle: currentChapter.title,
+            chapterAnchor: currentChapter.anchor,
+            scrollPosition: position.scrollTop,
+            positionPercent: currentChapter.positionPercent,
+            timestamp: new Date().toISOString(),
+            displayText: this.formatBookmarkDisplay(
+                Utils.getBookTitle(CONFIG.EPUB_FILES[position.bookIndex]),
+                currentChapter.title,
+                currentChapter.positionPercent
+            )
+        };
 
-        // Check if selection is within book content
-        const range = currentSelection.getRangeAt(0);
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent || !bookContent.contains(range.commonAncestorContainer)) {
-            return;
+        // Initialize bookmarks array for this book if needed
+        if (!State.bookmarks[position.bookIndex]) {
+            State.bookmarks[position.bookIndex] = [];
         }
 
+        const bookBookmarks = State.bookmarks[position.bookIndex];
 
-        // Create the note directly with current selection
-        this.createNoteFromSelection(range, selectedText);
-    },
-
-    /**
-     * Process captured mobile selection and create note
-     */
-    processCapturedMobileSelection() {
-        if (!this.capturedMobileSelection || !this.isTextSelectionMode) {
-            return;
-        }
+        // Check if we already have a bookmark very close to this position (within 5% of chapter)
+        const existingIndex = bookBookmarks.findIndex(b =>
+            b.chapterAnchor === bookmark.chapterAnchor &&
+            Math.abs(b.positionPercent - bookmark.positionPercent) < 5
+        );
 
-        const { range, text } = this.capturedMobileSelection;
-        this.capturedMobileSelection = null;
+        if (existingIndex >= 0) {
+            // Update existing bookmark
+            bookBookmarks[existingIndex] = bookmark;
+        } else {
+            // Add new bookmark to beginning of array (most recent first)
+            bookBookmarks.unshift(bookmark);
 
+            // Keep only the 10 most recent bookmarks
+            if (bookBookmarks.length > this.MAX_BOOKMARKS_PER_BOOK) {
+                bookBookmarks.splice(this.MAX_BOOKMARKS_PER_BOOK);
+            }
 
-        // Validate the captured selection
-        if (text.length < 3) {
-            return;
         }
 
-        // Check if selection is within book content
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent || !bookContent.contains(range.commonAncestorContainer)) {
-            return;
-        }
+        this.saveToStorage();
+        this.renderBookmarks();
 
-        // Create the note with the captured selection
-        this.createNoteFromSelection(range, text);
+        return bookmark;
     },
 
     /**
-     * Process mobile selection and create note (legacy method)
+     * Get current position info
      */
-    processMobileSelection() {
-        if (!this.pendingMobileSelection || !this.isTextSelectionMode) return;
-
-        const { range, text } = this.pendingMobileSelection;
-        this.pendingMobileSelection = null;
-
-        // Create the note with the stored selection
-        this.createNoteFromSelection(range, text);
+    getCurrentPosition() {
+        return {
+            bookIndex: State.currentBookIndex,
+            scrollTop: window.pageYOffset || document.documentElement.scrollTop
+        };
     },
 
     /**
-     * Create note from selection (used by both desktop and mobile)
+     * Get current chapter info with position percentage
      */
-    createNoteFromSelection(range, selectedText) {
-        // Check for overlapping highlights
-        const existingHighlight = this.findOverlappingHighlight(range);
-        if (existingHighlight) {
-            // Merge with existing highlight
-            this.mergeWithExistingHighlight(existingHighlight, range);
-        } else {
-            // Create new highlight
-            this.createNewHighlight(range, selectedText);
+    getCurrentChapter(scrollTop = null) {
+        if (scrollTop === null) {
+            scrollTop = window.pageYOffset || document.documentElement.scrollTop;
         }
 
-        // Clear selection and exit selection mode
-        window.getSelection().removeAllRanges();
-        this.exitTextSelectionMode();
-    },
-
-    /**
-     * Handle text selection
-     */
-    handleTextSelection(e) {
-        const selection = window.getSelection();
-        if (!selection.rangeCount || selection.isCollapsed) return;
+        const chapters = document.querySelectorAll('.chapter-content');
+        if (!chapters.length) return null;
 
-        const range = selection.getRangeAt(0);
-        const selectedText = range.toString().trim();
+        const viewportHeight = window.innerHeight;
+        const viewportCenter = scrollTop + viewportHeight / 2;
+        const headerOffset = 80; // Account for fixed header
 
-        if (selectedText.length < 3) return; // Ignore very short selections
+        let bestChapter = chapters[0]; // Fallback to first chapter
+        let maxVisibleArea = 0;
 
-        // Check if selection is within book content
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent.contains(range.commonAncestorContainer)) return;
+        // Find the chapter with the most visible area in the current viewport
+        chapters.forEach(chapter => {
+            const rect = chapter.getBoundingClientRect();
+            const chapterTop = scrollTop + rect.top;
+            const chapterBottom = chapterTop + rect.height;
 
-        // Create the note
-        this.createNoteFromSelection(range, selectedText);
-    },
+            // Calculate visible area of this chapter in the current viewport
+            const visibleTop = Math.max(chapterTop, scrollTop + headerOffset);
+            const visibleBottom = Math.min(chapterBottom, scrollTop + viewportHeight);
+            const visibleArea = Math.max(0, visibleBottom - visibleTop);
 
-    /**
-     * Find overlapping highlight
-     */
-    findOverlappingHighlight(range) {
-        const highlights = document.querySelectorAll('.note-highlight');
-        for (let highlight of highlights) {
-            if (this.rangesOverlap(range, highlight)) {
-                return highlight;
+            // Prefer the chapter with the most visible area
+            if (visibleArea > maxVisibleArea) {
+                maxVisibleArea = visibleArea;
+                bestChapter = chapter;
             }
-        }
-        return null;
-    },
+            // If visible areas are close, prefer the chapter containing the viewport center
+            else if (Math.abs(visibleArea - maxVisibleArea) < 100) {
+                if (viewportCenter >= chapterTop && viewportCenter <= chapterBottom) {
+                    bestChapter = chapter;
+                    maxVisibleArea = visibleArea;
+                }
+            }
+        });
 
-    /**
-     * Check if ranges overlap
-     */
-    rangesOverlap(range, element) {
-        try {
-            const elementRange = document.createRange();
-            elementRange.selectNodeContents(element);
+        // Calculate position percentage within the chapter
+        const chapterRect = bestChapter.getBoundingClientRect();
+        const chapterTop = scrollTop + chapterRect.top;
+        const chapterHeight = chapterRect.height;
+        const relativePosition = Math.max(0, scrollTop + headerOffset - chapterTop);
+        const positionPercent = Math.max(0, Math.min(100, Math.round((relativePosition / chapterHeight) * 100)));
 
-            const startComparison = range.compareBoundaryPoints(Range.END_TO_START, elementRange);
-            const endComparison = range.compareBoundaryPoints(Range.START_TO_END, elementRange);
+        // Get the title using TOC mapping first, fallback to chapter extraction
+        let chapterTitle = this.getTitleFromTOC(bestChapter) || this.extractBestChapterTitle(bestChapter);
 
-            return startComparison <= 0 && endComparison >= 0;
-        } catch (e) {
-            return false;
-        }
+        return {
+            title: chapterTitle,
+            anchor: bestChapter.id,
+            positionPercent
+        };
     },
 
     /**
-     * Merge with existing highlight
+     * Get chapter title from TOC mapping for accurate naming
      */
-    mergeWithExistingHighlight(existingHighlight, newRange) {
-        const noteId = existingHighlight.getAttribute('data-note-id');
-        const note = this.findNoteById(noteId);
-        if (!note) return;
+    getTitleFromTOC(chapterElement) {
+        const toc = State.bookTOCs[State.currentBookIndex];
+        if (!toc || !toc.length) return null;
 
-        // Open note editor for existing note
-        this.openNoteEditor(note);
+        const chapterId = chapterElement.id;
+        if (!chapterId) return null;
+
+        // Find matching TOC entry by anchor
+        const findTOCEntry = (items) => {
+            for (let item of items) {
+                if (item.anchor === chapterId) {
+                    return item.label;
+                }
+                // Check subitems recursively
+                if (item.subitems && item.subitems.length > 0) {
+                    const subResult = findTOCEntry(item.subitems);
+                    if (subResult) return subResult;
+                }
+            }
+            return null;
+        };
+
+        return findTOCEntry(toc);
     },
 
     /**
-     * Create new highlight
+     * Extract the best available chapter title from a chapter element
      */
-    createNewHighlight(range, selectedText) {
-        // Get word index BEFORE inserting highlight (to avoid counting the note's own words)
-        const previousWordIndex = this.getPreviousWordIndex(range);
+    extractBestChapterTitle(chapterElement) {
+        // First, try to find actual chapter headings in the content
+        const chapterText = this.findChapterHeading(chapterElement);
+        if (chapterText) {
+            return chapterText;
+        }
 
-        // Create highlight element
-        const highlight = document.createElement('span');
-        highlight.className = 'note-highlight';
-        const noteId = this.generateId();
-        highlight.setAttribute('data-note-id', noteId);
+        // Try to get title from headings, but filter out Project Gutenberg titles
+        const headings = chapterElement.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        for (let heading of headings) {
+            let title = heading.textContent
+                .replace(/\[[^\]]*\]/g, '') // Remove footnote references like [22]
+                .replace(/\s+/g, ' ')
+                .trim();
 
-        // Wrap the selected content
-        try {
-            range.surroundContents(highlight);
-        } catch (e) {
-            // If surroundContents fails, try to highlight just the first text node
-            try {
-                const startContainer = range.startContainer;
-                const startOffset = range.startOffset;
+            // Skip Project Gutenberg titles
+            if (title.includes('Project Gutenberg') || title.includes('eBook') || title.length > 100) {
+                continue;
+            }
 
-                // Find the first text node in the selection
-                let textNode = startContainer;
-                if (textNode.nodeType !== Node.TEXT_NODE) {
-                    textNode = textNode.childNodes[startOffset] || textNode.firstChild;
-                    while (textNode && textNode.nodeType !== Node.TEXT_NODE) {
-                        textNode = textNode.firstChild || textNode.nextSibling;
-                    }
+            if (title && title.length > 3 && title.length < 200) {
+                return title
+                    .replace(/:$/, '') // Remove trailing colon
+                    .replace(/\.$/, '') // Remove trailing dot
+                    .trim();
+            }
+        }
+
+        // Fallback to data-title, but clean it up
+        let dataTitle = chapterElement.getAttribute('data-title');
+        if (dataTitle) {
+            // Check if it's a Project Gutenberg section or filename fallback
+            if (dataTitle.startsWith('Section: ') && dataTitle.includes('.htm')) {
+                // This is a filename fallback, try to find something better
+                const alternativeTitle = this.findAlternativeTitle(chapterElement);
+                if (alternativeTitle) {
+                    return alternativeTitle;
                 }
+                // If no alternative found, at least clean up the section name
+                return dataTitle.replace('Section: ', '').replace(/[_\d\-\.htm]+/g, '').trim() || 'Unknown Chapter';
+            }
 
-                if (textNode && textNode.nodeType === Node.TEXT_NODE) {
-                    // Create a range for just this text node
-                    const textRange = document.createRange();
-                    textRange.setStart(textNode, startContainer === textNode ? startOffset : 0);
-                    textRange.setEnd(textNode, textNode.textContent.length);
+            // Skip Project Gutenberg titles in data-title too
+            if (!dataTitle.includes('Project Gutenberg') && !dataTitle.includes('eBook')) {
+                dataTitle = dataTitle
+                    .replace(/\[[^\]]*\]/g, '') // Remove footnote references
+                    .replace(/:$/, '') // Remove trailing colon
+                    .replace(/\.$/, '') // Remove trailing dot
+                    .trim();
 
-                    textRange.surroundContents(highlight);
-                } else {
-                    // Final fallback: just insert the highlight at start position
-                    const startRange = document.createRange();
-                    startRange.setStart(range.startContainer, range.startOffset);
-                    startRange.collapse(true);
-                    startRange.insertNode(highlight);
+                if (dataTitle.length > 0) {
+                    return dataTitle;
                 }
-            } catch (fallbackError) {
-                // Final fallback: just insert the highlight at start position
-                const startRange = document.createRange();
-                startRange.setStart(range.startContainer, range.startOffset);
-                startRange.collapse(true);
-                startRange.insertNode(highlight);
             }
         }
 
-        // Create note icon
-        const noteIcon = this.createNoteIcon(noteId);
-        highlight.appendChild(noteIcon);
-
-        // Create note object
-        const position = this.getCurrentPosition();
-        const currentChapter = BookmarkManager.getCurrentChapter();
-
-        const note = {
-            id: noteId,
-            bookIndex: State.currentBookIndex,
-            bookTitle: Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]),
-            chapterTitle: currentChapter ? currentChapter.title : 'Unknown Chapter',
-            chapterAnchor: currentChapter ? currentChapter.anchor : '',
-            selectedText: selectedText,
-            noteText: '',
-            timestamp: new Date().toISOString(),
-            scrollPosition: window.pageYOffset || document.documentElement.scrollTop,
-            previousWordIndex: previousWordIndex
-        };
-
-        // Save note
-        this.addNoteToStorage(note);
-
-        // Open note editor
-        this.openNoteEditor(note);
-
+        return 'Unknown Chapter';
     },
 
     /**
-     * Create note icon
+     * Find chapter heading text in the content
      */
-    createNoteIcon(noteId) {
-        const icon = document.createElement('span');
-        icon.className = 'note-icon';
-        icon.setAttribute('data-note-id', noteId);
-        icon.innerHTML = '<span class="material-icons">sticky_note_2</span>';
-
-        icon.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const note = this.findNoteById(noteId);
-            if (note) {
-                this.openNoteEditor(note);
-            }
-        });
+    findChapterHeading(chapterElement) {
+        // Look for chapter patterns in the text content
+        const textContent = chapterElement.textContent;
 
-        return icon;
+        // Pattern 1: "CHAPTER I." or "CHAPTER 1." followed by title
+        const chapterMatch = textContent.match(/CHAPTER\s+[IVXLCDM\d]+\.?\s*([^\n\r.]*\.?)/i);
+        if (chapterMatch) {
+            let fullTitle = chapterMatch[0].trim();
+            // Clean up the title
+            fullTitle = fullTitle
+                .replace(/\[[^\]]*\]/g, '') // Remove footnote references
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            if (fullTitle.length > 5 && fullTitle.length < 200) {
+                return fullTitle;
+            }
+        }
+
+        // Pattern 2: Look for any bold or emphasized text that contains "CHAPTER"
+        const strongElements = chapterElement.querySelectorAll('strong, b, em, i');
+        for (let element of strongElements) {
+            const text = element.textContent.trim();
+            if (text.match(/CHAPTER\s+[IVXLCDM\d]+/i) && text.length > 5 && text.length < 200) {
+                return text
+                    .replace(/\[[^\]]*\]/g, '')
+                    .replace(/\s+/g, ' ')
+                    .trim();
+            }
+        }
+
+        // Pattern 3: Look in paragraph text at the beginning of the chapter
+        const paragraphs = chapterElement.querySelectorAll('p');
+        for (let i = 0; i < Math.min(3, paragraphs.length); i++) {
+            const pText = paragraphs[i].textContent;
+            const match = pText.match(/CHAPTER\s+[IVXLCDM\d]+\.?\s*([^\n\r.]*\.?)/i);
+            if (match) {
+                let title = match[0].trim();
+                title = title
+                    .replace(/\[[^\]]*\]/g, '')
+                    .replace(/\s+/g, ' ')
+                    .trim();
+
+                if (title.length > 5 && title.length < 200) {
+                    return title;
+                }
+            }
+        }
+
+        return null;
     },
 
     /**
-     * Open note editor
+     * Find alternative title by looking at content structure
      */
-    openNoteEditor(note) {
-        const textarea = document.getElementById('note-editor-textarea');
-        textarea.value = note.noteText || '';
-        textarea.setAttribute('data-note-id', note.id);
+    findAlternativeTitle(chapterElement) {
+        // Look for any bold or emphasized text that might be a chapter title
+        const strongElements = chapterElement.querySelectorAll('strong, b, em, i');
+        for (let element of strongElements) {
+            const text = element.textContent.trim();
+            if (text.match(/^CHAPTER\s+[IVXLCDM\d]+/i) || text.length > 10) {
+                return text
+                    .replace(/\[[^\]]*\]/g, '')
+                    .replace(/:$/, '')
+                    .replace(/\.$/, '')
+                    .trim();
+            }
+        }
 
-        ModalManager.open('noteEditor');
+        // Look for any text that looks like a chapter heading
+        const textContent = chapterElement.textContent;
+        const chapterMatch = textContent.match(/CHAPTER\s+[IVXLCDM\d]+[^.]*\.?/i);
+        if (chapterMatch) {
+            return chapterMatch[0]
+                .replace(/\[[^\]]*\]/g, '')
+                .replace(/:$/, '')
+                .replace(/\.$/, '')
+                .trim();
+        }
 
-        // Focus the textarea
-        setTimeout(() => textarea.focus(), 100);
+        return null;
+    },
 
+    /**
+     * Format bookmark display text
+     */
+    formatBookmarkDisplay(bookTitle, chapterTitle, positionPercent) {
+        // Format like "Volume 1, 62% in Chapter XIII"
+        return `${bookTitle}, ${positionPercent}% in ${chapterTitle}`;
     },
 
     /**
-     * Save note content
+     * Navigate to bookmark
      */
-    saveNoteContent(noteId, content) {
-        const note = this.findNoteById(noteId);
-        if (!note) return;
+    navigateToBookmark(bookmark) {
 
-        note.noteText = content;
-        note.timestamp = new Date().toISOString();
+        // Switch book if necessary
+        if (bookmark.bookIndex !== State.currentBookIndex) {
+            State.currentBookIndex = bookmark.bookIndex;
+            Elements.bookSelector.value = bookmark.bookIndex;
+            Elements.bookSelectorMobile.value = bookmark.bookIndex;
+            UIManager.displayCurrentBook();
+        }
 
-        this.saveToStorage();
-        this.renderNotes();
+        // Navigate to bookmark position
+        requestAnimationFrame(() => {
+            if (bookmark.previousWordIndex !== undefined) {
+                // Use word-index positioning for new word bookmarks
+                this.navigateToWordBookmark(bookmark);
+            } else {
+                // Fallback to scroll position for legacy bookmarks
+                window.scrollTo({
+                    top: bookmark.scrollPosition,
+                    behavior: 'smooth'
+                });
+            }
+        });
 
-        // Schedule sync for note content change
-        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('note');
+        ModalManager.close('bookmarks');
     },
 
     /**
-     * Delete note
+     * Navigate to word bookmark using notes-like restoration
      */
-    deleteNote(noteId) {
-        // Remove from storage first
-        for (let bookIndex in State.notes) {
-            const bookNotes = State.notes[bookIndex];
-            const noteIndex = bookNotes.findIndex(n => n.id === noteId);
-            if (noteIndex >= 0) {
-                bookNotes.splice(noteIndex, 1);
-                break;
+    navigateToWordBookmark(bookmark) {
+        // Check if bookmark highlight already exists
+        const existingHighlight = document.querySelector(`[data-bookmark-id="${bookmark.id}"]`);
+        if (existingHighlight) {
+            // Scroll to existing highlight
+            existingHighlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+
+        // Restore bookmark using same system as notes
+        const success = this.restoreBookmarkHighlight(bookmark);
+        if (success) {
+            // Scroll to newly created highlight
+            const newHighlight = document.querySelector(`[data-bookmark-id="${bookmark.id}"]`);
+            if (newHighlight) {
+                newHighlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
             }
+        } else {
+            console.warn('Word bookmark navigation failed, using fallback');
+            // Fallback: scroll to top if no scroll position available
+            window.scrollTo({ top: 0, behavior: 'smooth' });
         }
+    },
 
-        // Remove highlight from DOM
-        const highlight = document.querySelector(`[data-note-id="${noteId}"]`);
-        if (highlight) {
-            const parent = highlight.parentNode;
-            while (highlight.firstChild) {
-                parent.insertBefore(highlight.firstChild, highlight);
+    /**
+     * Remove bookmark
+     */
+    removeBookmark(bookmarkId) {
+        // Remove bookmark highlight from DOM if it exists
+        const bookmarkHighlight = document.querySelector(`[data-bookmark-id="${bookmarkId}"]`);
+        if (bookmarkHighlight) {
+            // If it's a highlight, unwrap it (similar to notes removal)
+            if (bookmarkHighlight.classList.contains('bookmark-highlight')) {
+                const parent = bookmarkHighlight.parentNode;
+                while (bookmarkHighlight.firstChild) {
+                    parent.insertBefore(bookmarkHighlight.firstChild, bookmarkHighlight);
+                }
+                parent.removeChild(bookmarkHighlight);
             }
-            parent.removeChild(highlight);
         }
 
+        // Remove bookmark from storage
+        Object.keys(State.bookmarks).forEach(bookIndex => {
+            State.bookmarks[bookIndex] = State.bookmarks[bookIndex].filter(
+                bookmark => bookmark.id !== bookmarkId
+            );
+        });
+
         this.saveToStorage();
-        this.renderNotes();
-        ModalManager.close('noteEditor');
+        this.renderBookmarks();
 
         // Add deletion event for smart sync to process
         if (window.syncUI?.addDeletionEvent) {
-            window.syncUI.addDeletionEvent(noteId, 'note');
+            window.syncUI.addDeletionEvent(bookmarkId, 'bookmark');
         }
-        // Schedule sync for note deletion
-        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('note-delete');
+        // Schedule sync for bookmark deletion
+        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('bookmark-delete');
     },
 
     /**
-     * Navigate to note
+     * Save bookmarks to localStorage (canonical key: 'bookmarks')
      */
-    async navigateToNote(noteId) {
-
-        const note = this.findNoteById(noteId);
-        if (!note) {
-            return;
+    saveToStorage() {
+        try {
+            localStorage.setItem('bookmarks', JSON.stringify(State.bookmarks));
+        } catch (error) {
+            console.error('Failed to save bookmarks:', error);
         }
+    },
 
-        // Switch to the correct book if needed
-        if (note.bookIndex !== State.currentBookIndex) {
-            State.currentBookIndex = note.bookIndex;
-            // Update selectors immediately so UI reflects the switch
-            if (Elements.bookSelector) Elements.bookSelector.value = State.currentBookIndex;
-            if (Elements.bookSelectorMobile) Elements.bookSelectorMobile.value = State.currentBookIndex;
-            // Wait for book content to render and highlights to be restored
-            await UIManager.displayCurrentBook();
+    /**
+     * Load bookmarks from localStorage; migrate from legacy key if present
+     */
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem('bookmarks');
+            State.bookmarks = saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('Failed to load bookmarks:', error);
+            State.bookmarks = {};
         }
+    },
 
-        // Wait briefly for the highlight to be inserted (poll with timeout)
-        const waitForHighlight = async (timeout = 500, interval = 50) => {
-            const start = Date.now();
-            while (Date.now() - start < timeout) {
-                const h = document.querySelector(`[data-note-id="${noteId}"]`);
-                if (h) return h;
-                await new Promise(r => setTimeout(r, interval));
-            }
-            return null;
-        };
+    /**
+     * Render bookmarks in modal
+     */
+    renderBookmarks() {
+        // Update tab title for current book
+        const currentBookTitle = Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]);
+        Elements.currentBookTab.textContent = currentBookTitle;
 
-        let highlight = await waitForHighlight();
+        const container = Elements.bookmarksContent;
+        container.innerHTML = '';
 
-        if (highlight) {
-            highlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            // Briefly highlight the note
-            highlight.style.backgroundColor = 'rgba(255, 193, 7, 0.6)';
-            setTimeout(() => {
-                highlight.style.backgroundColor = '';
-            }, 2000);
+        if (this.activeTab === 'current') {
+            this.renderCurrentBookBookmarks(container);
         } else {
-            // Try to restore this specific note on demand and re-check
-            try {
-                this.restoreHighlight(note);
-            } catch (e) {
-                console.warn('On-demand restoreHighlight failed for note', note.id, e);
-            }
-
-            // Wait again briefly after attempting per-note restore
-            highlight = await waitForHighlight(400, 50);
-
-            if (highlight) {
-                highlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                highlight.style.backgroundColor = 'rgba(255, 193, 7, 0.6)';
-                setTimeout(() => {
-                    highlight.style.backgroundColor = '';
-                }, 2000);
-                ModalManager.close('notes');
-                return;
-            }
-
-            // Fallback: try chapter anchor first
-            if (note.chapterAnchor) {
-                const anchorElement = document.getElementById(note.chapterAnchor) || document.querySelector(`[name="${note.chapterAnchor}"]`);
-                if (anchorElement) {
-                    anchorElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                    ModalManager.close('notes');
-                    return;
-                }
-            }
-
-            // Final fallback to stored scroll position
-            window.scrollTo({
-                top: note.scrollPosition,
-                behavior: 'smooth'
-            });
-        }
-
-        ModalManager.close('notes');
-    },
-
-    /**
-     * Find note by ID
-     */
-    findNoteById(noteId) {
-        for (let bookIndex in State.notes) {
-            const bookNotes = State.notes[bookIndex];
-            const note = bookNotes.find(n => n.id === noteId);
-            if (note) return note;
-        }
-        return null;
-    },
-
-    /**
-     * Add note to storage
-     */
-    addNoteToStorage(note) {
-        if (!State.notes[note.bookIndex]) {
-            State.notes[note.bookIndex] = [];
-        }
-
-        State.notes[note.bookIndex].unshift(note);
-
-        // Keep only the most recent notes
-        if (State.notes[note.bookIndex].length > this.MAX_NOTES_PER_BOOK) {
-            State.notes[note.bookIndex].splice(this.MAX_NOTES_PER_BOOK);
-        }
-
-        this.saveToStorage();
-        // Schedule sync for new note
-        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('note');
-    },
-
-    /**
-     * Get current position
-     */
-    getCurrentPosition() {
-        return {
-            bookIndex: State.currentBookIndex,
-            scrollTop: window.pageYOffset || document.documentElement.scrollTop
-        };
-    },
-
-    /**
-     * Render notes in the modal
-     */
-    renderNotes() {
-        const content = document.getElementById('notes-content');
-        const currentTab = document.getElementById('current-book-notes-tab');
-        const otherTab = document.getElementById('other-books-notes-tab');
-
-        // Update tab titles
-        currentTab.textContent = Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]);
-
-        if (this.activeTab === 'current') {
-            this.renderCurrentBookNotes(content);
-        } else {
-            this.renderOtherBooksNotes(content);
-        }
-    },
+            this.renderOtherBooksBookmarks(container);
+        }
+    },
 
     /**
-     * Render current book notes
+     * Render bookmarks for current book
      */
-    renderCurrentBookNotes(container) {
-        const notes = State.notes[State.currentBookIndex] || [];
+    renderCurrentBookBookmarks(container) {
+        const currentBookmarks = State.bookmarks[State.currentBookIndex];
 
-        if (notes.length === 0) {
-            container.innerHTML = '<div class="no-notes">No notes in this book yet.</div>';
+        if (!currentBookmarks || currentBookmarks.length === 0) {
+            container.innerHTML = '<div class="no-bookmarks">No bookmarks in current book yet.</div>';
             return;
         }
 
-        const notesList = document.createElement('div');
-        notesList.className = 'notes-list';
+        const bookmarksList = document.createElement('div');
+        bookmarksList.className = 'bookmarks-list';
 
-        notes.forEach(note => {
-            const noteItem = this.createNoteItem(note);
-            notesList.appendChild(noteItem);
+        currentBookmarks.forEach(bookmark => {
+            const item = this.createBookmarkItem(bookmark);
+            bookmarksList.appendChild(item);
         });
 
-        container.innerHTML = '';
-        container.appendChild(notesList);
+        container.appendChild(bookmarksList);
     },
 
     /**
-     * Render other books notes
+     * Render bookmarks for other books
      */
-    renderOtherBooksNotes(container) {
-        container.innerHTML = '';
-        let hasNotes = false;
+    renderOtherBooksBookmarks(container) {
+        const currentBookIndex = State.currentBookIndex;
+        const otherBooksWithBookmarks = Object.keys(State.bookmarks)
+            .filter(bookIndex =>
+                parseInt(bookIndex) !== currentBookIndex &&
+                State.bookmarks[bookIndex] &&
+                State.bookmarks[bookIndex].length > 0
+            )
+            .sort((a, b) => parseInt(a) - parseInt(b)); // Sort by book index
 
-        CONFIG.EPUB_FILES.forEach((fileName, bookIndex) => {
-            if (bookIndex === State.currentBookIndex) return;
+        if (otherBooksWithBookmarks.length === 0) {
+            container.innerHTML = '<div class="no-bookmarks">No bookmarks in other volumes yet.</div>';
+            return;
+        }
 
-            const bookNotes = State.notes[bookIndex] || [];
-            if (bookNotes.length === 0) return;
+        // Create per-book sections with headers (like notes)
+        otherBooksWithBookmarks.forEach(bookIndex => {
+            const bookmarks = State.bookmarks[bookIndex] || [];
+            if (bookmarks.length === 0) return;
 
-            hasNotes = true;
             const bookSection = document.createElement('div');
-            bookSection.className = 'note-book-section';
+            bookSection.className = 'bookmark-book-section';
 
             const bookTitle = document.createElement('h3');
-            bookTitle.className = 'note-book-title';
-            bookTitle.textContent = Utils.getBookTitle(fileName);
+            bookTitle.className = 'bookmark-book-title';
+            bookTitle.textContent = Utils.getBookTitle(CONFIG.EPUB_FILES[bookIndex]);
             bookSection.appendChild(bookTitle);
 
-            const notesList = document.createElement('div');
-            notesList.className = 'notes-list';
+            const bookmarksList = document.createElement('div');
+            bookmarksList.className = 'bookmarks-list';
 
-            bookNotes.forEach(note => {
-                const noteItem = this.createNoteItem(note);
-                notesList.appendChild(noteItem);
+            bookmarks.forEach(bookmark => {
+                const item = this.createBookmarkItem(bookmark);
+                bookmarksList.appendChild(item);
             });
 
-            bookSection.appendChild(notesList);
+            bookSection.appendChild(bookmarksList);
             container.appendChild(bookSection);
         });
-
-        if (!hasNotes) {
-            container.innerHTML = '<div class="no-notes">No notes in other books yet.</div>';
-        }
     },
 
     /**
-     * Create note item element
+     * Create bookmark item element
      */
-    createNoteItem(note) {
+    createBookmarkItem(bookmark) {
         const item = document.createElement('div');
-        item.className = 'note-item';
-
-        const noteInfo = document.createElement('div');
-        noteInfo.className = 'note-info';
-        noteInfo.addEventListener('click', () => this.navigateToNote(note.id));
-
-        const notePreview = document.createElement('div');
-        notePreview.className = 'note-preview';
-        const previewText = note.noteText.trim() || note.selectedText;
-        const firstLine = previewText.split('\n')[0];
-        notePreview.textContent = firstLine.substring(0, 60) + (firstLine.length > 60 ? '...' : '');
-
-        const noteMeta = document.createElement('div');
-        noteMeta.className = 'note-meta';
-        const timestamp = new Date(note.timestamp).toLocaleDateString();
-        noteMeta.textContent = `${note.chapterTitle} • ${timestamp}`;
+        item.className = 'bookmark-item';
 
-        noteInfo.appendChild(notePreview);
-        noteInfo.appendChild(noteMeta);
+        const date = new Date(bookmark.timestamp);
+        const formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
 
-        const noteActions = document.createElement('div');
-        noteActions.className = 'note-actions';
+        item.innerHTML = `
+            <div class="bookmark-info" title="Go to bookmark">
+                <div class="bookmark-chapter">${bookmark.displayText}</div>
+                <div class="bookmark-meta">${formattedDate}</div>
+            </div>
+            <div class="bookmark-actions">
+                <button class="bookmark-action-btn" data-action="remove" data-id="${bookmark.id}"
+                        aria-label="Remove bookmark" title="Remove bookmark">
+                    <span class="material-icons">delete</span>
+                </button>
+            </div>
+        `;
 
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'note-action-btn';
-        deleteBtn.setAttribute('data-action', 'remove');
-        deleteBtn.setAttribute('aria-label', 'Delete note');
-        deleteBtn.innerHTML = '<span class="material-icons">delete</span>';
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.deleteNote(note.id);
+        // Add event listeners
+        item.querySelector('.bookmark-info').addEventListener('click', () => {
+            this.navigateToBookmark(bookmark);
         });
 
-        noteActions.appendChild(deleteBtn);
-
-        item.appendChild(noteInfo);
-        item.appendChild(noteActions);
+        item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            this.removeBookmark(bookmark.id);
+        });
 
         return item;
     },
 
     /**
-     * Load notes from localStorage; migrate from legacy key if present
+     * Generate unique ID for bookmark
      */
-    loadFromStorage() {
-        try {
-            const stored = localStorage.getItem('notes');
-            State.notes = stored ? JSON.parse(stored) : {};
-        } catch (error) {
-            console.error('Failed to load notes:', error);
-            State.notes = {};
-        }
+    generateId() {
+        return 'bookmark_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     },
 
     /**
-     * Save notes to localStorage (canonical key: 'notes')
+     * Restore bookmark highlights for current book (similar to notes restoration)
      */
-    saveToStorage() {
-        try {
-            localStorage.setItem('notes', JSON.stringify(State.notes));
-        } catch (error) {
-            console.error('Failed to save notes:', error);
+    restoreBookmarkHighlights() {
+        const currentBookmarks = State.bookmarks[State.currentBookIndex];
+        if (!currentBookmarks) {
+            return;
         }
-    },
-
-    /**
-     * Get the word index before the selection for robust volume-level positioning
-     */
-    getPreviousWordIndex(range) {
-        // Use volume-level positioning based on raw content
-        return VolumePositioning.getWordIndexBeforeRange(range, State.currentBookIndex);
-    },
 
-    /**
-     * Get the character offset of a range position within the document
-     */
-    getRangeOffsetInDocument(container, offset) {
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent) return 0;
-
-        const walker = document.createTreeWalker(
-            bookContent,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
+        // Filter for word-based bookmarks (new system)
+        const wordBookmarks = currentBookmarks.filter(b =>
+            b.previousWordIndex !== undefined && b.word
         );
 
-        let totalOffset = 0;
-        let node;
-
-        while (node = walker.nextNode()) {
-            if (node === container) {
-                return totalOffset + offset;
-            }
-            totalOffset += node.textContent.length;
-        }
-
-        return totalOffset;
-    },
-
-    /**
-     * Generate unique ID for note
-     */
-    generateId() {
-        return 'note_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    },
-
-    /**
-     * Restore notes highlights after content load
-     */
-    restoreHighlights() {
-        const currentBookNotes = State.notes[State.currentBookIndex] || [];
 
-        // Normalize text nodes to reduce fragmentation before attempting restores
-        const bookContent = document.getElementById('book-content');
-        if (bookContent) bookContent.normalize();
+        wordBookmarks.forEach(bookmark => {
 
-        const failed = [];
+            // Check if bookmark highlight already exists
+            const existingHighlight = document.querySelector(`[data-bookmark-id="${bookmark.id}"]`);
+            if (existingHighlight) {
+                return;
+            }
 
-        currentBookNotes.forEach((note, index) => {
-            // Try to find and restore highlight based on text content
-            // This is a simplified restoration - in a production app you'd want more robust text anchoring
-            const ok = this.restoreHighlight(note);
-            if (!ok) failed.push(note);
+            // Restore bookmark highlight
+            const success = this.restoreBookmarkHighlight(bookmark);
+            if (!success) {
+                console.warn('Failed to restore bookmark highlight:', bookmark.word);
+            }
         });
 
-        // Retry failed restores a few times in case DOM processing (lexicon, links) completes slightly later
-        if (failed.length > 0) {
-            let tries = 0;
-            const maxTries = 4;
-            const retryDelay = 200;
-
-            const retry = () => {
-                tries++;
-                const remaining = [];
-                failed.forEach(note => {
-                    const ok = this.restoreHighlight(note);
-                    if (!ok) remaining.push(note);
-                });
-
-                if (remaining.length > 0 && tries < maxTries) {
-                    // Replace failed list and schedule another attempt
-                    failed.length = 0;
-                    failed.push(...remaining);
-                    setTimeout(retry, retryDelay);
-                } else if (remaining.length > 0) {
-                    if (ENABLE_SYNC_LOGGING) console.warn('Notes restoration: some notes could not be restored after retries', remaining.map(n => n.id));
-                }
-            };
-
-            setTimeout(retry, retryDelay);
-        }
     },
 
     /**
-     * Restore individual highlight using word-index-based positioning
-     * Returns true on success, false otherwise
+     * Restore a word bookmark highlight: text anchors, or the word index for bookmarks
+     * stored before them (which are migrated once found)
      */
-    restoreHighlight(note) {
-        // Check if note highlight already exists
-        const existingHighlight = document.querySelector(`[data-note-id="${note.id}"]`);
-        if (existingHighlight) {
-            return true;
-        }
-
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent) {
-            return false;
+    restoreBookmarkHighlight(bookmark) {
+        if (bookmark.selectors) {
+            const range = TextAnchor.resolve(bookmark.selectors);
+            if (range) this.createHighlightForRange(bookmark, range);
+            TextAnchor.record('bookmark', bookmark, range ? 'anchored' : 'failed');
+            return !!range;
         }
 
-        // Check if note has word index data (new format)
-        if (note.previousWordIndex !== undefined) {
-            // Use word-index-based restoration
-            const success = this.restoreHighlightWithWordIndex(note);
-            if (success) return true;
-            // Try fallback
-            return this.restoreHighlightFallback(note);
-        } else {
-            // Fallback to old method for backward compatibility
-            return this.restoreHighlightFallback(note);
+        const success = VolumePositioning.restoreBookmarkHighlight(bookmark, State.currentBookIndex);
+        TextAnchor.record('bookmark', bookmark, success ? 'anchored' : 'failed');
+        if (success && TextAnchor.migrate('bookmark', bookmark, document.querySelector(`.bookmark-highlight[data-bookmark-id="${bookmark.id}"]`))) {
+            this.saveToStorage();
         }
+        return success;
     },
 
     /**
-     * Restore highlight using volume-level word index positioning
-     * Returns true if restored, false otherwise
-     */
-    restoreHighlightWithWordIndex(note) {
-        // Use the new volume-level positioning system
-        return VolumePositioning.restoreHighlightAtWordIndex(note, State.currentBookIndex);
-    },
-
-
-    /**
-     * Fallback restoration method for old notes or when word index fails
-     * Returns true on success, false otherwise
+     * Highlight a resolved range for a word bookmark
      */
-    restoreHighlightFallback(note) {
-        const bookContent = document.getElementById('book-content');
-        if (!bookContent) return false;
-
-
-        // Original method: find first occurrence
-        const walker = document.createTreeWalker(
-            bookContent,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
-
-        let node;
-        while (node = walker.nextNode()) {
-            const text = node.textContent;
-            const index = text.indexOf(note.selectedText);
-            if (index >= 0) {
-                // Found matching text, create highlight
-                const range = document.createRange();
-                range.setStart(node, index);
-                range.setEnd(node, index + note.selectedText.length);
-
-                const highlight = document.createElement('span');
-                highlight.className = 'note-highlight';
-                highlight.setAttribute('data-note-id', note.id);
+    createHighlightForRange(bookmark, range) {
+        const highlight = document.createElement('span');
+        highlight.className = 'bookmark-highlight';
+        highlight.setAttribute('data-bookmark-id', bookmark.id);
 
-                try {
-                    range.surroundContents(highlight);
-                    const noteIcon = this.createNoteIcon(note.id);
-                    highlight.appendChild(noteIcon);
-                    return true; // restored successfully
-                } catch (e) {
-                    // Fallback: try a robust extract-and-insert approach which works when surroundContents fails
-                    try {
-                        range.setStart(node, index);
-                        range.setEnd(node, index + note.selectedText.length);
-                        const fragment = range.extractContents();
-                        highlight.appendChild(fragment);
-                        range.insertNode(highlight);
-                        const noteIcon = this.createNoteIcon(note.id);
-                        highlight.appendChild(noteIcon);
-                        return true; // restored with fallback
-                    } catch (e2) {
-                        console.warn('Could not restore highlight for note (fallback also failed):', note.id, e2);
-                        return false;
-                    }
-                }
-            }
+        try {
+            range.surroundContents(highlight);
+        } catch (e) {
+            highlight.appendChild(range.extractContents());
+            range.insertNode(highlight);
         }
 
-        return false;
+        highlight.appendChild(this.createBookmarkIcon(bookmark.id));
     },
 
-
     /**
-     * Remove specific note highlight from DOM
+     * Remove specific bookmark highlight from DOM
      */
-    removeNoteHighlight(noteId) {
-        // Find all elements with this note ID (highlight and icon)
-        const elements = document.querySelectorAll(`[data-note-id="${noteId}"]`);
+    removeBookmarkHighlight(bookmarkId) {
+        // Find all elements with this bookmark ID (highlight and icon)
+        const elements = document.querySelectorAll(`[data-bookmark-id="${bookmarkId}"]`);
 
         if (elements.length > 0) {
             if (ENABLE_SYNC_LOGGING) {
-                console.log('📝 Removing note highlight:', noteId, '- found', elements.length, 'elements');
+                console.log('🔖 Removing bookmark highlight:', bookmarkId, '- found', elements.length, 'elements');
             }
 
             elements.forEach(element => {
-                if (element.classList.contains('note-highlight')) {
+                if (element.classList.contains('bookmark-highlight')) {
                     // Unwrap the highlight, preserving the text content
                     const parent = element.parentNode;
                     if (parent) {
@@ -3776,12 +4060,12 @@ const NotesManager = {
     },
 
     /**
-     * Handle note change events from sync
+     * Handle bookmark change events from sync
      */
-    onNoteChanged(changeType, noteId, noteData) {
+    onBookmarkChanged(changeType, bookmarkId, bookData) {
         switch(changeType) {
             case 'removed':
-                this.removeNoteHighlight(noteId);
+                this.removeBookmarkHighlight(bookmarkId);
                 break;
             case 'added':
                 // For now, rely on full restore for additions
@@ -3789,20 +4073,20 @@ const NotesManager = {
                 break;
             case 'batch_update':
                 // Full refresh - clear all and restore
-                this.clearAllNoteHighlights();
-                this.restoreHighlights();
+                this.clearAllBookmarkHighlights();
+                this.restoreBookmarkHighlights();
                 break;
         }
     },
 
     /**
-     * Clear all existing note highlights from DOM
+     * Clear all existing bookmark highlights from DOM
      */
-    clearAllNoteHighlights() {
-        const existingHighlights = document.querySelectorAll('.note-highlight');
+    clearAllBookmarkHighlights() {
+        const existingHighlights = document.querySelectorAll('.bookmark-highlight');
 
         if (existingHighlights.length > 0 && ENABLE_SYNC_LOGGING) {
-            console.log('📝 Clearing', existingHighlights.length, 'existing note highlights');
+            console.log('🔖 Clearing', existingHighlights.length, 'existing bookmark highlights');
         }
 
         existingHighlights.forEach(highlight => {
@@ -3817,10 +4101,10 @@ const NotesManager = {
             }
         });
 
-        // Also remove note icons that aren't part of highlights
-        const existingIcons = document.querySelectorAll('[data-note-id]');
+        // Also remove bookmark icons
+        const existingIcons = document.querySelectorAll('[data-bookmark-id]');
         existingIcons.forEach(icon => {
-            if (!icon.classList.contains('note-highlight')) {
+            if (!icon.classList.contains('bookmark-highlight')) {
                 icon.remove();
             }
         });
@@ -3833,18 +4117,18 @@ const NotesManager = {
     },
 
     /**
-     * Export notes to JSON file
+     * Export bookmarks to JSON file
      */
     async exportToJSON() {
         try {
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-            const filename = `Yoga-Vasishtha-Notes-${timestamp}.json`;
+            const filename = `Yoga-Vasishtha-Bookmarks-${timestamp}.json`;
 
             const data = {
-                type: 'notes',
+                type: 'bookmarks',
                 version: '1.0',
                 timestamp: new Date().toISOString(),
-                data: State.notes
+                data: State.bookmarks
             };
 
             const jsonContent = JSON.stringify(data, null, 2);
@@ -3861,7 +4145,7 @@ const NotesManager = {
                         encoding: 'utf8'
                     });
 
-                    NotificationManager.show('Notes exported to Documents folder', 'info');
+                    NotificationManager.show('Bookmarks exported to Documents folder', 'info');
                 } catch (capacitorError) {
                     // Fall back to web download
                     const blob = new Blob([jsonContent], { type: 'application/json' });
@@ -3891,1704 +4175,5845 @@ const NotesManager = {
 
             }
         } catch (error) {
-            console.error('Failed to export notes:', error);
+            console.error('Failed to export bookmarks:', error);
             NotificationManager.show('Export failed: ' + error.message, 'error');
         }
     },
 
     /**
-     * Import notes from JSON file
+     * Import bookmarks from JSON file
      */
     importFromJSON() {
         const input = document.createElement('input');
         input.type = 'file';
         input.accept = '.json';
-        input.style.display = 'none';
-        document.body.appendChild(input);
 
         input.onchange = (e) => {
             const file = e.target.files[0];
             if (!file) return;
 
             const reader = new FileReader();
-            reader.onerror = () => {
-                NotificationManager.show('Import failed: Cannot read file', 'error');
-            };
             reader.onload = (e) => {
                 try {
                     const importedData = JSON.parse(e.target.result);
 
                     // Validate JSON structure
-                    if (!importedData.data || importedData.type !== 'notes') {
-                        NotificationManager.show('Import failed: Invalid notes file', 'error');
-                        return;
-                    }
-
-                    const importedNotes = importedData.data;
-                    let mergedCount = 0;
-                    let newCount = 0;
-                    let ignoredCount = 0;
-
-                    // Merge notes for each book
-                    for (const [bookIndex, bookNotes] of Object.entries(importedNotes)) {
-                        if (!State.notes[bookIndex]) {
-                            State.notes[bookIndex] = [];
-                        }
-
-                        for (const importedNote of bookNotes) {
-                            const result = this.mergeNote(State.notes[bookIndex], importedNote);
-                            if (result === 'merged') mergedCount++;
-                            else if (result === 'new') newCount++;
-                            else if (result === 'ignored') ignoredCount++;
-                        }
+                    if (!importedData.type || importedData.type !== 'bookmarks' || !importedData.data) {
+                        throw new Error('Invalid bookmark file format');
                     }
 
-                    this.saveToStorage();
-                    this.renderNotes();
-
-                    const totalImported = newCount + mergedCount;
-                    NotificationManager.show(`Imported ${totalImported} notes`, 'info');
+                    this.mergeBookmarks(importedData.data);
                 } catch (error) {
-                    console.error('Import error:', error);
-                    NotificationManager.show('Import failed: Invalid notes file', 'error');
+                    console.error('❌ Import failed:', error);
+                    NotificationManager.show('Import failed: Invalid bookmark file', 'error');
                 }
             };
             reader.readAsText(file);
         };
 
         input.click();
-        document.body.removeChild(input);
     },
 
     /**
-     * Merge a single note into the existing notes array
-     * Returns 'ignored' for exact duplicates, 'merged' for location conflicts, 'new' for new notes
+     * Merge imported bookmarks with existing ones
      */
-    mergeNote(existingNotes, importedNote) {
-        // Find notes at the same location
-        const sameLocationNotes = existingNotes.filter(note =>
-            note.bookIndex === importedNote.bookIndex &&
-            note.chapterAnchor === importedNote.chapterAnchor &&
-            note.scrollPosition === importedNote.scrollPosition &&
-            note.selectedText === importedNote.selectedText
-        );
-
-        // Check for exact duplicate
-        const exactDuplicate = sameLocationNotes.find(note =>
-            note.noteText === importedNote.noteText
-        );
-
-        if (exactDuplicate) {
-            return 'ignored'; // Ignore exact duplicates
-        }
-
-        // Check if there are conflicting notes at the same location
-        if (sameLocationNotes.length > 0) {
-            // Merge notes at the same location
-            const allNotes = [...sameLocationNotes, importedNote];
+    mergeBookmarks(importedBookmarks) {
+        let mergeCount = 0;
 
-            // Sort by timestamp (chronological order)
-            allNotes.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        Object.keys(importedBookmarks).forEach(bookIndex => {
+            const importedBookmarkList = importedBookmarks[bookIndex] || [];
+            const existingBookmarks = State.bookmarks[bookIndex] || [];
 
-            // Create merged note text
-            const mergedText = 'Merged Notes\n\n' + allNotes.map(note => {
-                const timestamp = new Date(note.timestamp).toLocaleString();
-                return `-- Note From ${timestamp} --\n\n${note.noteText}`;
-            }).join('\n\n');
+            importedBookmarkList.forEach(importedBookmark => {
+                // Check for exact duplicates
+                const isDuplicate = existingBookmarks.some(existing =>
+                    existing.bookIndex === importedBookmark.bookIndex &&
+                    existing.chapterAnchor === importedBookmark.chapterAnchor &&
+                    Math.abs(existing.scrollPosition - importedBookmark.scrollPosition) < 10
+                );
 
-            // Remove existing notes at this location
-            for (let i = existingNotes.length - 1; i >= 0; i--) {
-                if (sameLocationNotes.includes(existingNotes[i])) {
-                    existingNotes.splice(i, 1);
+                if (!isDuplicate) {
+                    if (!State.bookmarks[bookIndex]) {
+                        State.bookmarks[bookIndex] = [];
+                    }
+                    State.bookmarks[bookIndex].push(importedBookmark);
+                    mergeCount++;
                 }
-            }
+            });
+        });
 
-            // Add the merged note (use the earliest timestamp for the merged note)
-            const mergedNote = {
-                ...importedNote,
-                noteText: mergedText,
-                timestamp: allNotes[0].timestamp // Use earliest timestamp
-            };
-            existingNotes.push(mergedNote);
+        this.saveToStorage();
+        this.renderBookmarks();
 
-            return 'merged';
-        } else {
-            // New note at a different location
-            existingNotes.push(importedNote);
-            return 'new';
+        if (mergeCount > 0) {
+            NotificationManager.show(`Imported ${mergeCount} bookmarks`, 'info');
         }
     }
 };
 
-// ===== EPUB MANAGER =====
-const EPUBManager = {
+// ===== VOLUME POSITIONING MANAGER =====
+const VolumePositioning = {
+    WORD_INDEX_WINDOW: 200, // Characters after a word-index position searched for the stored text
+
     /**
-     * Load all EPUB files
+     * Get word index before a DOM range using consistent DOM-level positioning
      */
-    async loadAll() {
-        for (let i = 0; i < CONFIG.EPUB_FILES.length; i++) {
-            const fileName = CONFIG.EPUB_FILES[i];
-
-            try {
-                await this.loadSingle(fileName, i);
-            } catch (error) {
-                console.error(`Failed to load EPUB: ${fileName}`, error);
-                // Add placeholder for failed book
-                State.epubBooks[i] = null;
-                State.bookContents[i] = `<div class="error-content">
-                    <h2>Failed to Load Book</h2>
-                    <p>Could not load "${Utils.getBookTitle(fileName)}"</p>
-                    <p>Error: ${error.message}</p>
-                </div>`;
-                State.bookTOCs[i] = [];
-            }
+    getWordIndexBeforeRange(range, bookIndex) {
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent) {
+            console.warn('No book content DOM available');
+            return 0;
         }
 
-    },
 
-    /**
-     * Load single EPUB file using custom JSZip implementation
-     */
-    async loadSingle(fileName, index) {
-        // Fetch the EPUB file
-        const response = await fetch(fileName);
-        if (!response.ok) {
-            throw new Error(`File not found (${response.status})`);
-        }
+        // Get the character position of the selection start in the processed DOM
+        const selectionStart = this.getRangeOffsetInDOM(range.startContainer, range.startOffset);
 
-        const arrayBuffer = await response.arrayBuffer();
-        // Load EPUB with JSZip
-        const zip = await JSZip.loadAsync(arrayBuffer);
+        // Get the full processed DOM text content
+        const domText = bookContent.textContent;
 
-        // Parse EPUB structure
-        const epubData = await this.parseEPUB(zip);
+        // Get text before the selection
+        const textBeforeSelection = domText.substring(0, selectionStart);
 
-        // Extract content and get filtered spine
-        const { content, filteredSpine } = await this.extractContentFromZip(zip, epubData);
-        const toc = this.extractTOCFromManifest(epubData, filteredSpine);
+        // Split into words and count them
+        const words = textBeforeSelection.match(/\S+/g) || [];
+        const wordIndex = words.length;
 
-        // Store in state
-        State.epubBooks[index] = epubData;
-        State.bookContents[index] = content;
-        State.bookTOCs[index] = toc;
 
-        return epubData;
+        return wordIndex;
     },
 
+
     /**
-     * Parse EPUB structure from ZIP
+     * Get character offset of range in DOM content
      */
-    async parseEPUB(zip) {
-        // Read container.xml to find OPF file
-        const containerXML = await zip.file('META-INF/container.xml').async('text');
-        const containerDoc = new DOMParser().parseFromString(containerXML, 'application/xml');
-        const opfPath = containerDoc.querySelector('rootfile').getAttribute('full-path');
-
+    getRangeOffsetInDOM(container, offset) {
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent) {
+            return 0;
+        }
 
-        // Read OPF file
-        const opfXML = await zip.file(opfPath).async('text');
-        const opfDoc = new DOMParser().parseFromString(opfXML, 'application/xml');
+        // Handle element nodes by finding the correct text node
+        let targetNode = container;
+        let targetOffset = offset;
 
-        // Extract metadata
-        const metadata = {
-            title: opfDoc.querySelector('title')?.textContent || 'Unknown Title',
-            creator: opfDoc.querySelector('creator')?.textContent || 'Unknown Author',
-            version: opfDoc.documentElement.getAttribute('version') || '2.0'
-        };
+        if (container.nodeType === Node.ELEMENT_NODE) {
 
-        // Extract manifest (list of files)
-        const manifest = {};
-        opfDoc.querySelectorAll('manifest item').forEach(item => {
-            manifest[item.getAttribute('id')] = {
-                href: item.getAttribute('href'),
-                mediaType: item.getAttribute('media-type')
-            };
-        });
+            // For element nodes, offset refers to child nodes
+            const childNodes = Array.from(container.childNodes);
+            let currentOffset = 0;
 
-        // Extract spine (reading order)
-        const spine = [];
-        opfDoc.querySelectorAll('spine itemref').forEach(itemref => {
-            const idref = itemref.getAttribute('idref');
-            if (manifest[idref]) {
-                spine.push({
-                    id: idref,
-                    href: manifest[idref].href,
-                    mediaType: manifest[idref].mediaType
-                });
+            for (let i = 0; i < childNodes.length; i++) {
+                const child = childNodes[i];
+                if (child.nodeType === Node.TEXT_NODE) {
+                    if (currentOffset === offset) {
+                        targetNode = child;
+                        targetOffset = 0;
+                        break;
+                    }
+                    currentOffset++;
+                }
             }
-        });
+        }
 
-        // Extract TOC (try NCX first, then navigation document)
-        let tocHref = null;
-        const tocItem = opfDoc.querySelector('spine').getAttribute('toc');
-        if (tocItem && manifest[tocItem]) {
-            tocHref = manifest[tocItem].href;
-        } else {
-            // Look for navigation document in EPUB3
-            const navItem = opfDoc.querySelector('item[properties*="nav"]');
-            if (navItem) {
-                tocHref = navItem.getAttribute('href');
+
+        const walker = document.createTreeWalker(
+            bookContent,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
+
+        let totalOffset = 0;
+        let node;
+
+        while (node = walker.nextNode()) {
+            if (node === targetNode) {
+                return totalOffset + targetOffset;
             }
+            totalOffset += node.textContent.length;
         }
 
-        return {
-            opfPath,
-            metadata,
-            manifest,
-            spine,
-            tocHref,
-            version: metadata.version
-        };
+        return 0; // Return 0 instead of totalOffset when not found
     },
 
     /**
-     * Extract content from ZIP using parsed EPUB data
+     * Get character offset of range within a specific containerElement (chapter-scoped)
      */
-    async extractContentFromZip(zip, epubData) {
-        const chapters = [];
-        const filteredSpine = [];
-        const basePath = epubData.opfPath.replace(/[^/]*$/, ''); // Get directory path
-
-
-        for (let i = 0; i < epubData.spine.length; i++) {
-            const spineItem = epubData.spine[i];
-            const filePath = basePath + spineItem.href;
+    getRangeOffsetInContainer(container, offset, containerElement) {
+        if (!containerElement) return 0;
 
-            // Processing chapter silently
+        // Resolve target text node similar to getRangeOffsetInDOM
+        let targetNode = container;
+        let targetOffset = offset;
 
-            try {
-                // Get file from ZIP
-                const file = zip.file(filePath);
-                if (!file) {
-                    chapters.push(`<p><em>Chapter ${i + 1}: File not found</em></p>`);
-                    continue;
-                }
+        if (container.nodeType === Node.ELEMENT_NODE) {
+            const childNodes = Array.from(container.childNodes);
+            let currentOffset = 0;
 
-                // Read file content
-                const fileContent = await file.async('text');
-                // File loaded
-
-                // Parse XHTML content
-                let doc;
-                try {
-                    // Try XML parser first for XHTML
-                    const parser = new DOMParser();
-                    doc = parser.parseFromString(fileContent, 'application/xhtml+xml');
-
-                    // Check if parsing failed
-                    const parserError = doc.querySelector('parsererror');
-                    if (parserError) {
-                        throw new Error('XML parsing failed');
-                    }
-                } catch (xmlError) {
-                    // Fallback to HTML parser
-                    // XML->HTML fallback
-                    const parser = new DOMParser();
-                    doc = parser.parseFromString(fileContent, 'text/html');
-                }
-
-                // Extract body content
-                let html = '';
-                const body = doc.querySelector('body');
-                if (body) {
-                    html = body.innerHTML;
-                } else {
-                    // No body tag, try to get meaningful content
-                    const content = doc.documentElement;
-                    if (content) {
-                        html = content.innerHTML;
-                    } else {
-                        html = fileContent;
+            for (let i = 0; i < childNodes.length; i++) {
+                const child = childNodes[i];
+                if (child.nodeType === Node.TEXT_NODE) {
+                    if (currentOffset === offset) {
+                        targetNode = child;
+                        targetOffset = 0;
+                        break;
                     }
+                    currentOffset++;
                 }
+            }
+        }
 
-                // Clean up XHTML/XML artifacts
-                if (html) {
-                    html = this.cleanXHTMLContent(html);
-                    // Fix links and images
-                    html = this.fixContentLinks(html, epubData, zip);
-
-                    // Extract chapter title from content
-                    const chapterTitle = this.extractChapterTitle(html, spineItem.href);
-
-                    // Skip sections marked for removal
-                    if (chapterTitle === '__SKIP_SECTION__') {
-                        continue; // Skip this iteration entirely
-                    }
-
-                    // Add to filtered spine for TOC generation
-                    filteredSpine.push(spineItem);
-
-                    // Add chapter anchor for navigation
-                    const chapterAnchor = spineItem.href.replace(/[^a-zA-Z0-9]/g, '_');
-                    html = `<div id="chapter_${chapterAnchor}" class="chapter-content" data-title="${chapterTitle}">${html}</div>`;
-                }
+        const walker = document.createTreeWalker(
+            containerElement,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
 
-                if (html && html.length > 0) {
-                    chapters.push(html);
-                    // Chapter processed
-                } else {
-                    // No content warning
-                    chapters.push(`<p><em>Chapter ${i + 1}: No content available</em></p>`);
-                }
+        let totalOffset = 0;
+        let node;
 
-            } catch (error) {
-                chapters.push(`<p><em>Chapter ${i + 1}: Error loading - ${error.message}</em></p>`);
+        while (node = walker.nextNode()) {
+            if (node === targetNode) {
+                return totalOffset + targetOffset;
             }
+            totalOffset += node.textContent.length;
         }
 
-        const fullContent = chapters.join('\n<div class="chapter-separator"></div>\n');
-        return { content: fullContent, filteredSpine };
+        return 0;
     },
 
     /**
-     * Clean XHTML content for display
+     * Restore highlight at specific word index using consistent DOM-level positioning
      */
-    cleanXHTMLContent(html) {
-        return html
-            .replace(/xmlns[^=]*="[^"]*"/g, '') // Remove xmlns attributes
-            .replace(/<\?xml[^>]*\?>/g, '') // Remove XML declarations
-            .replace(/epub:type="[^"]*"/g, '') // Remove epub:type attributes
-            .replace(/xml:lang="[^"]*"/g, '') // Remove xml:lang attributes
-            .replace(/<head>[\s\S]*?<\/head>/gi, '') // Remove head sections
-            .replace(/<html[^>]*>/gi, '') // Remove html tags
-            .replace(/<\/html>/gi, '')
-            .replace(/<body[^>]*>/gi, '') // Remove body opening tags
-            .replace(/<\/body>/gi, '') // Remove body closing tags
-            .replace(/<img[^>]*>/gi, '') // Remove img tags to avoid 404 errors
-            .trim();
+    restoreHighlightAtWordIndex(note, bookIndex) {
+        const absoluteCharPos = this.findTextAfterWordIndex(note.previousWordIndex, note.selectedText);
+        if (absoluteCharPos === -1) return false;
+
+        // Create highlight at this DOM position
+        return this.createHighlightAtDOMPosition(note, absoluteCharPos);
     },
 
     /**
-     * Fix internal links and images in content
+     * Character position of `text` in the book DOM text, searched from the word before it
+     * (`previousWordIndex` words precede the text); -1 if not found within WORD_INDEX_WINDOW,
+     * so a repeated word elsewhere in the volume is not taken for it
      */
-    fixContentLinks(html, epubData, zip) {
-        const basePath = epubData.opfPath.replace(/[^/]*$/, '');
+    findTextAfterWordIndex(previousWordIndex, text) {
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent) {
+            console.warn('No book content DOM for restoration');
+            return -1;
+        }
 
-        // Images are hidden via CSS, skip processing for now
-        // html = html.replace(/src="([^"]+\.(jpg|jpeg|png|gif|svg))"/gi, ...);
+        // Use the same processed DOM content for restoration
+        const domText = bookContent.textContent;
+        const words = domText.match(/\S+/g) || [];
 
-        // Fix internal links to work as anchors within the same page
-        let linkCount = 0;
-        html = html.replace(/href="([^"]+\.xhtml?)(?:#([^"]+))?"/gi, (match, filePath, anchor) => {
-            linkCount++;
-            if (anchor) {
-                // Convert to internal anchor link
-                return `href="#${anchor}"`;
-            } else {
-                // Link to another chapter - convert to anchor based on file name
-                const chapterAnchor = filePath.replace(/[^a-zA-Z0-9]/g, '_');
-                return `href="#chapter_${chapterAnchor}"`;
-            }
-        });
 
-        if (linkCount > 0) {
+        if (previousWordIndex >= words.length) {
+            console.warn('Word index out of range in DOM');
+            return -1;
         }
 
-        return html;
-    },
-
-    /**
-     * Detect common Project Gutenberg metadata sections
-     */
-    detectProjectGutenbergSection(html, href) {
-        const cleanText = html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+        // Calculate exact character position from word index
+        let approximateCharPos = 0;
 
-        // Check for empty or minimal content sections that should be filtered out
-        if (cleanText.length < 50 ||
-            cleanText.match(/^\s*$/) ||
-            href.includes('wrapooo') ||
-            cleanText.match(/^\s*[\w\d\-_]+\s*$/)) {
-            return '__SKIP_SECTION__'; // Special marker for sections to skip
-        }
+        // Walk through DOM text and count words until we reach target word index
+        const wordPattern = /\S+/g;
+        let match;
+        let wordCount = 0;
 
-        // Project Gutenberg title page detection
-        if (cleanText.includes('The Project Gutenberg eBook') ||
-            cleanText.includes('This ebook is for the use of anyone anywhere')) {
-            return 'Project Gutenberg Information';
+        while ((match = wordPattern.exec(domText)) !== null && wordCount < previousWordIndex) {
+            wordCount++;
+            if (wordCount === previousWordIndex) {
+                approximateCharPos = match.index; // Position of the word after our target position
+                break;
+            }
         }
 
-        // Publisher/distributor information detection
-        if (cleanText.includes('Distributed By:') && cleanText.includes('D K Publishers') ||
-            cleanText.includes('Published By:') && cleanText.includes('Low Price Publications') ||
-            cleanText.includes('ISBN') && cleanText.includes('Reprinted')) {
-            return 'Publisher Information';
-        }
 
-        // Table of Contents detection
-        if (cleanText.includes('TABLE OF CONTENTS') || cleanText.includes('CONTENTS')) {
-            return 'Table of Contents';
-        }
+        // Find selected text shortly after this approximate position
+        const textFromPosition = domText.substring(approximateCharPos, approximateCharPos + this.WORD_INDEX_WINDOW + text.length);
+        const relativeIndex = textFromPosition.indexOf(text);
 
-        // Preface/Introduction detection - only for standalone preface sections, not chapter introductions
-        if (cleanText.includes('PREFACE') ||
-            (cleanText.includes('INTRODUCTION') && !cleanText.includes('CHAPTER'))) {
-            return 'Preface';
+        if (relativeIndex === -1) {
+            console.warn('Could not find selected text near word position in DOM');
+            return -1;
         }
 
-        return null;
+        return approximateCharPos + relativeIndex;
     },
 
     /**
-     * Extract chapter title from HTML content
+     * DOM range over `length` characters of the book text from a character position,
+     * which may span several text nodes (unlike createHighlightAtDOMPosition)
      */
-    extractChapterTitle(html, href) {
-        // Check for common Project Gutenberg sections first
-        const pgSections = this.detectProjectGutenbergSection(html, href);
-        if (pgSections) {
-            if (pgSections === '__SKIP_SECTION__') {
-                return pgSections;
-            }
-            return pgSections;
-        }
+    getRangeAtDOMPosition(characterPosition, length) {
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent) return null;
 
-        // Try multiple patterns to find chapter titles
-        const patterns = [
-            // Pattern 1: CHAPTER IX. Title
-            /<h[1-6][^>]*>(\s*CHAPTER\s+[IVX\d]+\.?\s*[^<]*?)<\/h[1-6]>/i,
-            // Pattern 2: Any heading with "CHAPTER"
-            /<h[1-6][^>]*>([^<]*CHAPTER[^<]*)<\/h[1-6]>/i,
-            // Pattern 3: First substantial heading (more than 10 chars)
-            /<h[1-6][^>]*>([^<]{10,})<\/h[1-6]>/i,
-            // Pattern 4: Any first heading
-            /<h[1-6][^>]*>(.*?)<\/h[1-6]>/i
-        ];
+        const walker = document.createTreeWalker(
+            bookContent,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
 
-        for (const pattern of patterns) {
-            const match = html.match(pattern);
-            if (match) {
-                let title = match[1]
-                    .replace(/<[^>]*>/g, '') // Remove HTML tags
-                    .replace(/\[[^\]]*\]/g, '') // Remove footnote references like [22]
-                    .replace(/\s+/g, ' ') // Normalize whitespace
-                    .replace(/^\s*\d+\.\s*/, '') // Remove leading numbers like "1. "
-                    .replace(/:$/, '') // Remove trailing colon
-                    .replace(/\.$/, '') // Remove trailing dot
-                    .trim();
+        const range = document.createRange();
+        const endPosition = characterPosition + length;
+        let started = false;
+        let currentOffset = 0;
+        let node;
 
-                // If we found a chapter title, clean it up nicely
-                if (title && title.length > 3 && title.length < 200) {
-                    // Fix common formatting issues
-                    title = title
-                        .replace(/\.\s*\.\s*\./g, '...') // Fix multiple dots
-                        .replace(/\s*\.\s*$/, '.') // Ensure single dot at end
-                        .replace(/([A-Z])\s+([A-Z])/g, '$1 $2'); // Fix spacing
+        while (node = walker.nextNode()) {
+            const nodeLength = node.textContent.length;
 
-                    return title;
-                }
+            if (!started && currentOffset + nodeLength > characterPosition) {
+                range.setStart(node, characterPosition - currentOffset);
+                started = true;
+            }
+            if (started && currentOffset + nodeLength >= endPosition) {
+                range.setEnd(node, endPosition - currentOffset);
+                return range;
             }
+
+            currentOffset += nodeLength;
         }
 
-        // Last resort: use filename but make it more readable
-        const fileName = href.split('/').pop().replace(/\.(x?html?)$/, '');
-        return `Section: ${fileName}`;
+        return null;
     },
 
     /**
-     * Extract TOC from parsed EPUB manifest
+     * Restore bookmark highlight using same system as notes
      */
-    extractTOCFromManifest(epubData, filteredSpine = null) {
-        // Use filtered spine if provided, otherwise fall back to full spine
-        const spineItems = filteredSpine || epubData.spine;
+    restoreBookmarkHighlight(bookmark, bookIndex) {
+        const absoluteCharPos = this.findTextAfterWordIndex(bookmark.previousWordIndex, bookmark.word);
+        if (absoluteCharPos === -1) return false;
 
-        // Generate TOC from spine items with better titles
-        const toc = spineItems.map((item, index) => {
-            // Generate chapter anchor that matches our content
-            const chapterAnchor = item.href.replace(/[^a-zA-Z0-9]/g, '_');
-
-            return {
-                label: `Chapter ${index + 1}`, // Will be updated after content loads
-                href: item.href,
-                id: item.id,
-                anchor: `chapter_${chapterAnchor}`
-            };
-        });
-
-        return toc;
-    },
+        // Create bookmark highlight at this DOM position
+        return this.createBookmarkHighlightAtDOMPosition(bookmark, absoluteCharPos);
+    },
 
     /**
-     * Update TOC with actual chapter titles after content is loaded
+     * Create bookmark highlight at character position in DOM
      */
-    updateTOCWithTitles() {
-        const toc = State.bookTOCs[State.currentBookIndex];
-        if (!toc) return;
+    createBookmarkHighlightAtDOMPosition(bookmark, characterPosition) {
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent) return false;
 
+        const walker = document.createTreeWalker(
+            bookContent,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
 
-        // Find all chapter content divs and extract titles from actual content
-        document.querySelectorAll('.chapter-content').forEach((chapterDiv, index) => {
-            let title = null;
+        let currentOffset = 0;
+        let node;
 
-            // First check if this is a Project Gutenberg section
-            const pgSection = this.detectProjectGutenbergSection(chapterDiv.innerHTML, '');
-            if (pgSection) {
-                if (pgSection === '__SKIP_SECTION__') {
-                    return; // Skip this section in TOC
-                }
-                title = pgSection;
-            } else {
-                // Try to extract title from the actual rendered content
-                const heading = chapterDiv.querySelector('h1, h2, h3, h4, h5, h6');
+        while (node = walker.nextNode()) {
+            const nodeLength = node.textContent.length;
 
-                if (heading) {
-                    title = heading.textContent
-                        .replace(/\[[^\]]*\]/g, '') // Remove footnote references like [22]
-                        .replace(/\s+/g, ' ')
-                        .replace(/:$/, '') // Remove trailing colon
-                        .replace(/\.$/, '') // Remove trailing dot
-                        .trim();
+            if (currentOffset + nodeLength > characterPosition) {
+                const nodeOffset = characterPosition - currentOffset;
+                const endOffset = nodeOffset + bookmark.word.length;
 
-                    // If title is too long, truncate it
-                    if (title.length > 80) {
-                        title = title.substring(0, 80) + '...';
+                // Verify text matches
+                const foundText = node.textContent.substring(nodeOffset, endOffset);
+                if (foundText === bookmark.word) {
+                    // Create range for the bookmark word
+                    const range = document.createRange();
+                    range.setStart(node, nodeOffset);
+                    range.setEnd(node, endOffset);
+
+                    // Create bookmark highlight
+                    const highlight = document.createElement('span');
+                    highlight.className = 'bookmark-highlight';
+                    highlight.setAttribute('data-bookmark-id', bookmark.id);
+
+                    try {
+                        range.surroundContents(highlight);
+                    } catch (e) {
+                        const contents = range.extractContents();
+                        highlight.appendChild(contents);
+                        range.insertNode(highlight);
                     }
 
-                } else {
-                    // Fallback to data-title attribute
-                    title = chapterDiv.getAttribute('data-title');
+                    // Create bookmark icon
+                    const bookmarkIcon = document.createElement('span');
+                    bookmarkIcon.className = 'bookmark-icon';
+                    bookmarkIcon.setAttribute('data-bookmark-id', bookmark.id);
+                    bookmarkIcon.innerHTML = '<span class="material-icons">bookmark</span>';
+
+                    bookmarkIcon.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        ModalManager.open('bookmarks');
+                    });
+
+                    highlight.appendChild(bookmarkIcon);
+
+                    return true;
                 }
             }
 
-            if (title && toc[index]) {
-                toc[index].label = title;
-            }
-        });
+            currentOffset += nodeLength;
+        }
 
+        return false;
     },
 
+
     /**
-     * Parse NCX or navigation document for detailed TOC (future enhancement)
+     * Create highlight at character position in DOM
      */
-    async extractDetailedTOC(zip, epubData) {
-        if (!epubData.tocHref) {
-            return this.extractTOCFromManifest(epubData);
-        }
+    createHighlightAtDOMPosition(note, characterPosition) {
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent) return false;
 
-        try {
-            const basePath = epubData.opfPath.replace(/[^/]*$/, '');
-            const tocPath = basePath + epubData.tocHref;
-            const tocFile = zip.file(tocPath);
+        const walker = document.createTreeWalker(
+            bookContent,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
 
-            if (!tocFile) {
-                return this.extractTOCFromManifest(epubData);
-            }
+        let currentOffset = 0;
+        let node;
 
-            const tocContent = await tocFile.async('text');
-            const tocDoc = new DOMParser().parseFromString(tocContent, 'application/xml');
+        while (node = walker.nextNode()) {
+            const nodeLength = node.textContent.length;
 
-            // Parse NCX format
-            if (tocContent.includes('ncx')) {
-                return this.parseNCXTOC(tocDoc);
-            }
+            if (currentOffset + nodeLength > characterPosition) {
+                const nodeOffset = characterPosition - currentOffset;
+                const endOffset = nodeOffset + note.selectedText.length;
 
-            // Parse EPUB3 navigation document
-            if (tocContent.includes('nav')) {
-                return this.parseNavTOC(tocDoc);
+                // Verify text matches
+                const foundText = node.textContent.substring(nodeOffset, endOffset);
+                if (foundText === note.selectedText) {
+                    const range = document.createRange();
+                    range.setStart(node, nodeOffset);
+                    range.setEnd(node, endOffset);
+
+                    const highlight = document.createElement('span');
+                    highlight.className = 'note-highlight';
+                    highlight.setAttribute('data-note-id', note.id);
+
+                    try {
+                        range.surroundContents(highlight);
+                        const noteIcon = NotesManager.createNoteIcon(note.id);
+                        highlight.appendChild(noteIcon);
+                        return true;
+                    } catch (e) {
+                        console.warn('Could not surround contents:', e);
+                    }
+                }
+                break;
             }
 
-            return this.extractTOCFromManifest(epubData);
-        } catch (error) {
-            return this.extractTOCFromManifest(epubData);
+            currentOffset += nodeLength;
+        }
+
+        return false;
+    }
+};
+
+// ===== TEXT ANCHOR MANAGER =====
+/**
+ * Anchors notes, bookmarks and highlights to the book text with a W3C Web Annotation
+ * style selector set (https://www.w3.org/TR/annotation-model/#selectors):
+ *   { type: 'TextQuoteSelector', exact, prefix, suffix }
+ *   { type: 'TextPositionSelector', start, end }   - offsets in the volume text
+ *   { type: 'FragmentSelector', value: <verse id>, refinedBy: { type: 'TextPositionSelector', start, end } }
+ * Offsets count the rendered volume text without note and bookmark icons, so they do not
+ * depend on which annotations are shown. resolve() tries the position, then the verse
+ * (VerseManager ids), then the quote anywhere in the volume. Items stored before selectors
+ * existed are found by word index (VolumePositioning) and migrated once found; notes only
+ * found by their first occurrence are reported as unverified and keep no selectors.
+ */
+const TextAnchor = {
+    CONTEXT_LENGTH: 32,
+    // Elements inside the book whose text is not book text
+    EXCLUDED_SELECTOR: '.note-icon, .bookmark-icon',
+    failures: new Map(), // Items that could not be re-anchored: 'kind:id' → { kind, id, bookIndex }
+    unverified: new Map(), // Items placed at the first occurrence of their text, same shape
+    migrated: new Set(), // 'kind:id' of items given selectors in this session
+    running: false, // Checking all volumes
+
+    /**
+     * Volume text and its text nodes: { text, nodes: [{ node, start }] }
+     */
+    getText(root = Elements.bookContent) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement && node.parentElement.closest(this.EXCLUDED_SELECTOR)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        }, false);
+
+        const nodes = [];
+        let text = '';
+        let node;
+        while (node = walker.nextNode()) {
+            nodes.push({ node, start: text.length });
+            text += node.textContent;
         }
+        return { text, nodes };
     },
 
     /**
-     * Parse NCX TOC format
+     * Text offset of a DOM boundary point
      */
-    parseNCXTOC(doc) {
-        const navPoints = doc.querySelectorAll('navPoint');
-        const toc = [];
+    positionOf(map, container, offset) {
+        if (container.nodeType === Node.TEXT_NODE) {
+            const entry = map.nodes.find(e => e.node === container);
+            if (entry) return entry.start + offset;
+        }
 
-        navPoints.forEach(navPoint => {
-            const navLabel = navPoint.querySelector('navLabel text');
-            const content = navPoint.querySelector('content');
+        // Between nodes (or inside an icon): the text that follows the point
+        const point = document.createRange();
+        point.setStart(container, offset);
+        const next = map.nodes.find(e => point.comparePoint(e.node, 0) >= 0);
+        return next ? next.start : map.text.length;
+    },
 
-            if (navLabel && content) {
-                toc.push({
-                    label: navLabel.textContent.trim(),
-                    href: content.getAttribute('src'),
-                    id: navPoint.getAttribute('id')
-                });
-            }
-        });
+    /**
+     * DOM range of text offsets, or null
+     */
+    toRange(map, start, end) {
+        const startEntry = map.nodes.find(e => start < e.start + e.node.textContent.length);
+        const endEntry = map.nodes.find(e => end <= e.start + e.node.textContent.length);
+        if (!startEntry || !endEntry) return null;
 
-        return toc;
+        const range = document.createRange();
+        range.setStart(startEntry.node, start - startEntry.start);
+        range.setEnd(endEntry.node, end - endEntry.start);
+        return range;
     },
 
     /**
-     * Parse EPUB3 navigation document
+     * Text offsets covered by an element, or null
      */
-    parseNavTOC(doc) {
-        const tocNav = doc.querySelector('nav[*|type="toc"]') || doc.querySelector('nav');
-        if (!tocNav) return [];
+    elementBounds(map, element) {
+        const inside = map.nodes.filter(e => element.contains(e.node));
+        if (inside.length === 0) return null;
+        const last = inside[inside.length - 1];
+        return { start: inside[0].start, end: last.start + last.node.textContent.length };
+    },
 
-        const links = tocNav.querySelectorAll('a');
-        const toc = [];
+    /**
+     * Selectors of a range of the rendered volume
+     */
+    describe(range, root = Elements.bookContent) {
+        const map = this.getText(root);
+        const start = this.positionOf(map, range.startContainer, range.startOffset);
+        const end = Math.max(start, this.positionOf(map, range.endContainer, range.endOffset));
 
-        links.forEach(link => {
-            toc.push({
-                label: link.textContent.trim(),
-                href: link.getAttribute('href'),
-                id: link.getAttribute('href')
+        const selectors = [
+            {
+                type: 'TextQuoteSelector',
+                exact: map.text.substring(start, end),
+                prefix: map.text.substring(Math.max(0, start - this.CONTEXT_LENGTH), start),
+                suffix: map.text.substring(end, end + this.CONTEXT_LENGTH)
+            },
+            { type: 'TextPositionSelector', start, end }
+        ];
+
+        const startElement = range.startContainer.nodeType === Node.TEXT_NODE
+            ? range.startContainer.parentElement
+            : range.startContainer;
+        const verse = startElement && startElement.closest('[data-verse-processed]');
+        const bounds = verse && verse.id && root.contains(verse) ? this.elementBounds(map, verse) : null;
+        if (bounds) {
+            selectors.push({
+                type: 'FragmentSelector',
+                value: verse.id,
+                refinedBy: { type: 'TextPositionSelector', start: start - bounds.start, end: end - bounds.start }
             });
-        });
+        }
 
-        return toc;
-    }
-};
+        return selectors;
+    },
 
-// ===== LEXICON MANAGER =====
-const LexiconManager = {
     /**
-     * Load lexicon data
+     * Selectors of the text inside annotation elements (icons left out)
      */
-    async load() {
-        try {
-            // Load Devanagari lexicon
-            const devaResponse = await fetch(CONFIG.LEXICON_FILE_DEVA);
-            if (devaResponse.ok) {
-                State.lexicon = await devaResponse.json();
-            } else {
-                console.warn('Devanagari lexicon file not found');
-            }
-        } catch (error) {
-            console.error('Failed to load Devanagari lexicon:', error);
+    describeElements(first, last = first) {
+        const range = document.createRange();
+        range.setStart(first, 0);
+        range.setEnd(last, last.childNodes.length);
+        return this.describe(range);
+    },
+
+    /**
+     * Range of the rendered volume the selectors point to, or null
+     * Tries the position (if quote and context are still there), the verse, then the quote.
+     */
+    resolve(selectors, root = Elements.bookContent) {
+        const get = type => (selectors || []).find(selector => selector.type === type);
+        const quote = get('TextQuoteSelector');
+        const position = get('TextPositionSelector');
+        const fragment = get('FragmentSelector');
+        if (!quote || !quote.exact) return null;
+
+        const map = this.getText(root);
+        const length = quote.exact.length;
+
+        if (position && map.text.substring(position.start, position.end) === quote.exact &&
+            this.contextScore(map.text, quote, position.start) === quote.prefix.length + quote.suffix.length) {
+            return this.toRange(map, position.start, position.end);
         }
 
-        try {
-            // Load IAST lexicon
-            const iastResponse = await fetch(CONFIG.LEXICON_FILE_IAST);
-            if (iastResponse.ok) {
-                State.iastLexicon = await iastResponse.json();
-                // Create fast lookup set for IAST keys
-                State.iastKeySet = new Set(Object.keys(State.iastLexicon));
-            } else {
-                console.warn('IAST lexicon file not found');
+        const verse = fragment ? document.getElementById(fragment.value) : null;
+        const bounds = verse && root.contains(verse) ? this.elementBounds(map, verse) : null;
+        if (bounds) {
+            const expected = bounds.start + (fragment.refinedBy ? fragment.refinedBy.start : 0);
+            const start = this.findQuote(map.text, quote, bounds.start, bounds.end, expected);
+            if (start !== -1) return this.toRange(map, start, start + length);
+        }
+
+        const start = this.findQuote(map.text, quote, 0, map.text.length, position ? position.start : 0);
+        return start !== -1 ? this.toRange(map, start, start + length) : null;
+    },
+
+    /**
+     * Occurrence of the quote between `from` and `to` whose prefix and suffix match best,
+     * the one nearest `expected` among equals; -1 if none
+     */
+    findQuote(text, quote, from, to, expected) {
+        let best = -1;
+        let bestScore = -1;
+        let bestDistance = Infinity;
+
+        let index = text.indexOf(quote.exact, from);
+        while (index !== -1 && index + quote.exact.length <= to) {
+            const score = this.contextScore(text, quote, index);
+            const distance = Math.abs(index - expected);
+            if (score > bestScore || (score === bestScore && distance < bestDistance)) {
+                best = index;
+                bestScore = score;
+                bestDistance = distance;
             }
-        } catch (error) {
-            console.error('Failed to load IAST lexicon:', error);
+            index = text.indexOf(quote.exact, index + 1);
         }
 
-        try {
-            // Load passages mapping
-            const mappingResponse = await fetch(CONFIG.PASSAGES_MAPPING_FILE);
-            if (mappingResponse.ok) {
-                State.passagesMapping = await mappingResponse.json();
-            } else {
-                console.warn('Passages mapping file not found');
-            }
-        } catch (error) {
-            console.error('Failed to load passages mapping:', error);
-        }
+        return best;
+    },
 
-        try {
-            // Load passages translations
-            const translationsResponse = await fetch(CONFIG.PASSAGES_TRANSLATIONS_FILE);
-            if (translationsResponse.ok) {
-                State.passagesTranslations = await translationsResponse.json();
-            } else {
-                console.warn('Passages translations file not found');
-            }
-        } catch (error) {
-            console.error('Failed to load passages translations:', error);
-        }
+    /**
+     * Number of prefix and suffix characters matching around an occurrence of the quote
+     */
+    contextScore(text, quote, index) {
+        const before = text.substring(Math.max(0, index - quote.prefix.length), index);
+        const after = text.substring(index + quote.exact.length, index + quote.exact.length + quote.suffix.length);
+
+        let score = 0;
+        while (score < before.length && before[before.length - 1 - score] === quote.prefix[quote.prefix.length - 1 - score]) score++;
+        let suffixScore = 0;
+        while (suffixScore < after.length && after[suffixScore] === quote.suffix[suffixScore]) suffixScore++;
+        return score + suffixScore;
     },
 
+    /**
+     * Record how an item was placed in the rendered volume: 'anchored', 'unverified'
+     * (first occurrence of its text, may be the wrong passage) or 'failed'
+     */
+    record(kind, item, status) {
+        const key = `${kind}:${item.id}`;
+        const entry = { kind, id: item.id, bookIndex: item.bookIndex };
+        this.failures.delete(key);
+        this.unverified.delete(key);
+        if (status === 'failed') this.failures.set(key, entry);
+        if (status === 'unverified') this.unverified.set(key, entry);
+    },
 
+    /**
+     * Give an item found the legacy way the selectors of its elements
+     * Returns true when the caller should save the item
+     */
+    migrate(kind, item, first, last = first) {
+        if (!first || !first.isConnected) return false;
+        item.selectors = this.describeElements(first, last);
+        this.migrated.add(`${kind}:${item.id}`);
+        return true;
+    },
 
     /**
-     * Generate a unique hash key for a Sanskrit passage (browser-compatible version)
-     * This replicates the exact same hashing as passage-manager.js
-     * @param {string} passage - The Sanskrit passage text
-     * @returns {Promise<string>} - 12-character hash key
+     * Open the anchor report (developer tool)
      */
-    async generatePassageHash(passage) {
-        // HYBRID HASHING APPROACH:
-        // - For passages with Devanagari: use Devanagari-only hashing (immune to whitespace)
-        // - For pure IAST/romanized: use full-text normalization (original working method)
-
-        const hasDevanagari = /[\u0900-\u097F]/.test(passage);
-
-        let normalized;
-        if (hasDevanagari) {
-            // Extract only Devanagari characters (U+0900 to U+097F)
-            // This makes hashing immune to whitespace and punctuation variations
-            const devanagariOnly = passage.match(/[\u0900-\u097F]/g);
-            normalized = devanagariOnly ? devanagariOnly.join('') : '';
-        } else {
-            // Pure IAST/romanized passage - use full-text normalization
-            // Normalize: remove extra whitespace, trim (original working method)
-            normalized = passage.trim().replace(/\s+/g, ' ');
-        }
+    open() {
+        ModalManager.open('anchors');
+        this.render();
+    },
 
-        // Use Web Crypto API (browser equivalent of Node's crypto)
-        // Use window.crypto explicitly to avoid conflicts
-        if (!window.crypto || !window.crypto.subtle) {
-            console.error('Web Crypto API not available. Requires HTTPS or localhost.');
-            throw new Error('Web Crypto API not available');
-        }
+    /**
+     * Render every volume with annotations once, so legacy items are migrated
+     * and the ones that cannot be found are reported
+     */
+    async checkAll() {
+        if (this.running) return;
+        this.running = true;
 
-        const encoder = new TextEncoder();
-        const data = encoder.encode(normalized);
-        const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
+        const originalBook = State.currentBookIndex;
+        SettingsManager.savePosition();
+
+        const books = CONFIG.EPUB_FILES.map((_, bookIndex) => bookIndex).filter(bookIndex =>
+            (State.notes[bookIndex] || []).length > 0 ||
+            (State.bookmarks[bookIndex] || []).some(bookmark => bookmark.word) ||
+            (State.highlights[bookIndex] || []).length > 0
+        );
 
-        // Convert to hex string
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+        try {
+            for (const bookIndex of books) {
+                Elements.anchorsContent.innerHTML = `<div class="bookmark-meta">Checking ${Utils.escapeHTML(Utils.getBookTitle(CONFIG.EPUB_FILES[bookIndex]))}...</div>`;
+                State.currentBookIndex = bookIndex;
+                await UIManager.displayCurrentBook();
+                // Note restores are retried for up to a second (NotesManager.restoreHighlights)
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        } finally {
+            State.currentBookIndex = originalBook;
+            await UIManager.displayCurrentBook();
+            this.running = false;
+        }
 
-        // Return first 12 characters (same as passage-manager.js)
-        return hashHex.substring(0, 12);
+        this.render(true);
     },
 
     /**
-     * Process content to make Sanskrit words clickable
+     * Notes, word bookmarks and highlights of all volumes with their text
      */
-    processContent(element) {
-        const walker = document.createTreeWalker(
-            element,
-            NodeFilter.SHOW_TEXT,
-            {
-                acceptNode: (node) => {
-                    // Skip script and style elements
-                    const parent = node.parentElement;
-                    return parent && !['SCRIPT', 'STYLE'].includes(parent.tagName)
-                        ? NodeFilter.FILTER_ACCEPT
-                        : NodeFilter.FILTER_REJECT;
-                }
-            }
-        );
+    getItems() {
+        const items = [];
+        Object.values(State.notes).forEach(bookNotes => (bookNotes || []).forEach(note =>
+            items.push({ kind: 'note', item: note, text: note.selectedText })));
+        Object.values(State.bookmarks).forEach(bookBookmarks => (bookBookmarks || []).filter(b => b.word).forEach(bookmark =>
+            items.push({ kind: 'bookmark', item: bookmark, text: bookmark.word })));
+        Object.values(State.highlights).forEach(bookHighlights => (bookHighlights || []).forEach(highlight =>
+            items.push({ kind: 'highlight', item: highlight, text: highlight.selectedText })));
+        return items;
+    },
 
-        const textNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            textNodes.push(node);
-        }
+    /**
+     * Render the anchor report
+     */
+    render(checked = false) {
+        const escape = Utils.escapeHTML;
+        const items = this.getItems();
+        const anchored = items.filter(({ item }) => item.selectors).length;
+        const failed = items.filter(({ kind, item }) => this.failures.has(`${kind}:${item.id}`));
+        const unverified = items.filter(({ kind, item }) => this.unverified.has(`${kind}:${item.id}`));
 
-        textNodes.forEach(textNode => {
-            const text = textNode.textContent;
-            const matches = [];
+        let html = `<div class="bookmark-meta">${items.length} notes, bookmarks and highlights - ` +
+            `${anchored} with text anchors (${this.migrated.size} migrated this session), ${items.length - anchored} by word index only</div>`;
 
-            // Find all Devanagari matches that exist in lexicon
-            CONFIG.DEVANAGARI_REGEX.lastIndex = 0;
-            let match;
-            while ((match = CONFIG.DEVANAGARI_REGEX.exec(text)) !== null) {
-                // Normalize: remove zero-width spaces for lexicon lookup
-                const normalized = match[0].replace(/[\u200B\u200C\u200D\uFEFF]/g, '');
-                if (State.lexicon[normalized]) {
-                    matches.push({
-                        index: match.index,
-                        length: match[0].length,
-                        text: match[0],  // Keep original text with zero-width chars
-                        normalizedText: normalized,  // Store normalized for lexicon lookup
-                        type: 'devanagari'
-                    });
-                }
-            }
+        html += `<div class="saved-searches-actions">`;
+        html += `<button class="search-nav-btn" onclick="TextAnchor.checkAll(); return false;"${this.running ? ' disabled' : ''}>` +
+            `<span class="material-icons">sync</span> Check all volumes</button>`;
+        html += `</div>`;
 
-            // Find all [Sanskrit: ...] patterns and process words within them
-            CONFIG.SANSKRIT_PATTERN_REGEX.lastIndex = 0;
-            while ((match = CONFIG.SANSKRIT_PATTERN_REGEX.exec(text)) !== null) {
-                const patternStart = match.index;
-                const patternEnd = match.index + match[0].length;
-                const sanskritContent = match[1]; // Content inside [Sanskrit: ...]
+        const renderList = list => {
+            let listHtml = `<div class="bookmarks-list">`;
+            list.forEach(({ kind, item, text }) => {
+                listHtml += `<div class="bookmark-item anchor-failure">`;
+                listHtml += `<div class="bookmark-info">`;
+                listHtml += `<div class="bookmark-chapter">${escape((text || '').substring(0, 120))}</div>`;
+                listHtml += `<div class="bookmark-meta">${kind} · ${escape(Utils.getBookTitle(CONFIG.EPUB_FILES[item.bookIndex]) || '')} · ${escape(item.chapterTitle || '')}</div>`;
+                listHtml += `</div>`;
+                listHtml += `</div>`;
+            });
+            return listHtml + `</div>`;
+        };
 
-                // Skip if this pattern overlaps with any Devanagari match
-                const patternOverlaps = matches.some(existing =>
-                    patternStart < existing.index + existing.length &&
-                    patternEnd > existing.index
-                );
+        html += `<h3 class="bookmark-book-title">Not Re-anchored (${failed.length})</h3>`;
+        if (failed.length === 0) {
+            html += `<div class="no-bookmarks">${checked ? 'Every item was found in its volume.' : 'Nothing failed in the volumes opened so far. Check all volumes to find out for the others.'}</div>`;
+        } else {
+            html += renderList(failed);
+        }
 
-                if (patternOverlaps) continue;
+        // Placed at the first occurrence of their text - shown, but not migrated until verified
+        if (unverified.length > 0) {
+            html += `<h3 class="bookmark-book-title">Unverified (${unverified.length})</h3>`;
+            html += `<div class="bookmark-meta">Found only by the first occurrence of their text, which may be another passage - these keep no text anchors.</div>`;
+            html += renderList(unverified);
+        }
 
-                // Extract individual words from the Sanskrit pattern content
-                const words = sanskritContent
-                    .split(/[,;]/) // Split on comma or semicolon
-                    .map(word => word.trim())
-                    .filter(word => word.length > 0)
-                    .map(word => word.replace(/\s+and\s+/g, ', ')) // Handle "and" between words
-                    .flatMap(word => word.split(/,\s*/)) // Split on remaining commas
-                    .map(word => word.trim())
-                    .filter(word => word.length > 0)
-                    .filter(word => !word.includes('|')) // Filter out long passages with |
-                    .filter(word => word.length < 100) // Filter out very long entries
-                    .flatMap(phrase => {
-                        // Split each phrase into individual words
-                        return phrase.split(/\s+/)
-                            .map(w => w.trim())
-                            .filter(w => w.length > 0)
-                            .filter(w => w.length > 1) // At least 2 characters
-                            .filter(w => !/^[.,:;!?()[\]{}]$/.test(w)); // Filter out punctuation
-                    });
+        Elements.anchorsContent.innerHTML = html;
+    }
+};
 
-                // For each word, check if it exists in IAST lexicon and find its position in the pattern
-                words.forEach(word => {
-                    if (State.iastKeySet.has(word)) {
-                        // Find the word's position within the Sanskrit pattern content
-                        const wordIndex = sanskritContent.indexOf(word);
-                        if (wordIndex !== -1) {
-                            const absoluteIndex = patternStart + '[Sanskrit: '.length + wordIndex;
+// ===== NOTES MANAGER =====
+const NotesManager = {
+    MAX_NOTES_PER_BOOK: 50,
+    // #tag in note text: not part of a word, URL fragment or HTML entity
+    TAG_REGEX: /(^|[^\p{L}\p{M}\p{N}_&#/])#([\p{L}\p{M}][\p{L}\p{M}\p{N}_-]*)/gu,
+    activeTab: 'current',
+    activeTag: null,
+    isTextSelectionMode: false,
+    currentSelection: null,
 
-                            matches.push({
-                                index: absoluteIndex,
-                                length: word.length,
-                                text: word,
-                                type: 'iast',
-                                patternStart: patternStart,
-                                patternEnd: patternEnd
-                            });
-                        }
-                    }
-                });
+    /**
+     * Initialize notes manager
+     */
+    init() {
+        this.loadFromStorage();
+        this.initEventListeners();
+    },
+
+    /**
+     * Initialize event listeners for text selection
+     */
+    initEventListeners() {
+        // Listen for text selection events (both mouse and touch)
+        document.addEventListener('mouseup', (e) => {
+            if (this.isTextSelectionMode) {
+                this.handleTextSelection(e);
             }
+        });
 
-            // If no matches found, skip processing
-            if (matches.length === 0) return;
+        // Mobile touch events - capture selection immediately on touch end
+        document.addEventListener('touchend', (e) => {
+            if (this.isTextSelectionMode) {
 
-            // Sort matches by index
-            matches.sort((a, b) => a.index - b.index);
+                // Capture selection IMMEDIATELY (before it disappears)
+                const selection = window.getSelection();
+                if (selection.rangeCount && !selection.isCollapsed) {
+                    const range = selection.getRangeAt(0);
+                    const selectedText = range.toString().trim();
 
-            // Build fragment with clickable words
-            const fragment = document.createDocumentFragment();
-            let lastIndex = 0;
+                    // Store the selection data immediately
+                    this.capturedMobileSelection = {
+                        range: range.cloneRange(),
+                        text: selectedText
+                    };
 
-            matches.forEach(match => {
-                // Add text before match
-                if (match.index > lastIndex) {
-                    fragment.appendChild(
-                        document.createTextNode(text.slice(lastIndex, match.index))
-                    );
+                    // Process it after a small delay to avoid conflicts with browser
+                    setTimeout(() => {
+                        this.processCapturedMobileSelection();
+                    }, 50);
+                } else {
                 }
+            }
+        });
 
-                // Create clickable Sanskrit word
-                const span = document.createElement('span');
-                span.className = 'sanskrit-word';
-                span.textContent = match.text;
-                // Use normalized text for lexicon lookup (removes zero-width spaces)
-                const lookupWord = match.normalizedText || match.text;
-                span.setAttribute('data-word', lookupWord);
-                span.setAttribute('data-type', match.type);
-                span.setAttribute('role', 'button');
-                span.setAttribute('tabindex', '0');
-                span.setAttribute('aria-label', `Sanskrit word: ${lookupWord}`);
-                fragment.appendChild(span);
-
-                lastIndex = match.index + match.length;
-            });
+        // Selection change event (fires when text selection changes)
+        // Only used to store the selection, not to immediately process it
+        document.addEventListener('selectionchange', (e) => {
+            if (this.isTextSelectionMode) {
+                // Just store the current selection without processing it yet
+                this.storeCurrentSelection();
+            }
+        });
 
-            // Add remaining text
-            if (lastIndex < text.length) {
-                fragment.appendChild(
-                    document.createTextNode(text.slice(lastIndex))
-                );
+        // Prevent default context menu on mobile only during selection mode
+        document.addEventListener('contextmenu', (e) => {
+            if (this.isTextSelectionMode) {
+                e.preventDefault();
+                e.stopPropagation();
+                return false;
             }
+            // Allow normal context menu when not in selection mode
+        });
 
-            if (fragment.childNodes.length > 0) {
-                textNode.parentNode.replaceChild(fragment, textNode);
+        // Listen for escape key to exit selection mode
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isTextSelectionMode && !ModalManager.activeModal) {
+                this.exitTextSelectionMode();
             }
         });
     },
 
     /**
-     * Show lexicon entry for word
+     * Switch between current book and other books tabs
      */
-    showEntry(word, searchQuery = null, passageHash = null) {
-        // Store current word and reset view state
-        State.lexiconView.currentWord = word;
-        State.lexiconView.showingPassages = false;
-        State.lexiconView.contextPassageHash = passageHash; // Store passage hash for context
-
-        this.renderLexiconView(word, searchQuery);
-        ModalManager.open('lexicon');
+    switchTab(tab) {
+        this.activeTab = tab;
+        this.activeTag = null;
+        // Update tab UI
+        document.getElementById('current-book-notes-tab').classList.toggle('active', tab === 'current');
+        document.getElementById('other-books-notes-tab').classList.toggle('active', tab === 'other');
+        // Re-render notes for the selected tab
+        this.renderNotes();
+    },
+
+    /**
+     * Enter text selection mode
+     */
+    enterTextSelectionMode() {
+        this.isTextSelectionMode = true;
+        document.body.classList.add('text-selection-mode');
+
+        // Mobile-specific: Initialize properties to handle touch events
+        this.pendingMobileSelection = null;
+        this.capturedMobileSelection = null;
+        this.selectionTimeout = null;
+
+        ModalManager.close('notes');
+    },
+
+    /**
+     * Exit text selection mode
+     */
+    exitTextSelectionMode() {
+        this.isTextSelectionMode = false;
+        document.body.classList.remove('text-selection-mode');
+        this.currentSelection = null;
+
+        // Clean up mobile-specific properties
+        this.pendingMobileSelection = null;
+        this.capturedMobileSelection = null;
+        if (this.selectionTimeout) {
+            clearTimeout(this.selectionTimeout);
+            this.selectionTimeout = null;
+        }
+
+    },
+
+    /**
+     * Store current selection without processing it
+     */
+    storeCurrentSelection() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount || selection.isCollapsed) {
+            this.pendingMobileSelection = null;
+            return;
+        }
+
+        const range = selection.getRangeAt(0);
+        const selectedText = range.toString().trim();
+
+        // Only store if it's within book content
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent || !bookContent.contains(range.commonAncestorContainer)) {
+            this.pendingMobileSelection = null;
+            return;
+        }
+
+        // Store the selection (but don't process it yet)
+        this.pendingMobileSelection = {
+            range: range.cloneRange(),
+            text: selectedText
+        };
+    },
+
+    /**
+     * Handle mobile selection end (when user stops touching)
+     */
+    handleMobileSelectionEnd(e) {
+
+        // Check if selection is still active
+        const currentSelection = window.getSelection();
+
+        if (!currentSelection.rangeCount || currentSelection.isCollapsed) {
+            this.pendingMobileSelection = null;
+            return;
+        }
+
+        const selectedText = currentSelection.toString().trim();
+        if (selectedText.length < 3) {
+            this.pendingMobileSelection = null;
+            return;
+        }
+
+        // Check if selection is within book content
+        const range = currentSelection.getRangeAt(0);
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent || !bookContent.contains(range.commonAncestorContainer)) {
+            return;
+        }
+
+
+        // Create the note directly with current selection
+        this.createNoteFromSelection(range, selectedText);
+    },
+
+    /**
+     * Process captured mobile selection and create note
+     */
+    processCapturedMobileSelection() {
+        if (!this.capturedMobileSelection || !this.isTextSelectionMode) {
+            return;
+        }
+
+        const { range, text } = this.capturedMobileSelection;
+        this.capturedMobileSelection = null;
+
+
+        // Validate the captured selection
+        if (text.length < 3) {
+            return;
+        }
+
+        // Check if selection is within book content
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent || !bookContent.contains(range.commonAncestorContainer)) {
+            return;
+        }
+
+        // Create the note with the captured selection
+        this.createNoteFromSelection(range, text);
+    },
+
+    /**
+     * Process mobile selection and create note (legacy method)
+     */
+    processMobileSelection() {
+        if (!this.pendingMobileSelection || !this.isTextSelectionMode) return;
+
+        const { range, text } = this.pendingMobileSelection;
+        this.pendingMobileSelection = null;
+
+        // Create the note with the stored selection
+        this.createNoteFromSelection(range, text);
+    },
+
+    /**
+     * Create note from selection (used by both desktop and mobile)
+     */
+    createNoteFromSelection(range, selectedText) {
+        // Check for overlapping highlights
+        const existingHighlight = this.findOverlappingHighlight(range);
+        if (existingHighlight) {
+            // Merge with existing highlight
+            this.mergeWithExistingHighlight(existingHighlight, range);
+        } else {
+            // Create new highlight
+            this.createNewHighlight(range, selectedText);
+        }
+
+        // Clear selection and exit selection mode
+        window.getSelection().removeAllRanges();
+        this.exitTextSelectionMode();
+    },
+
+    /**
+     * Handle text selection
+     */
+    handleTextSelection(e) {
+        const selection = window.getSelection();
+        if (!selection.rangeCount || selection.isCollapsed) return;
+
+        const range = selection.getRangeAt(0);
+        const selectedText = range.toString().trim();
+
+        if (selectedText.length < 3) return; // Ignore very short selections
+
+        // Check if selection is within book content
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent.contains(range.commonAncestorContainer)) return;
+
+        // Create the note
+        this.createNoteFromSelection(range, selectedText);
+    },
+
+    /**
+     * Find overlapping highlight
+     */
+    findOverlappingHighlight(range) {
+        const highlights = document.querySelectorAll('.note-highlight');
+        for (let highlight of highlights) {
+            if (this.rangesOverlap(range, highlight)) {
+                return highlight;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Check if ranges overlap
+     */
+    rangesOverlap(range, element) {
+        try {
+            const elementRange = document.createRange();
+            elementRange.selectNodeContents(element);
+
+            const startComparison = range.compareBoundaryPoints(Range.END_TO_START, elementRange);
+            const endComparison = range.compareBoundaryPoints(Range.START_TO_END, elementRange);
+
+            return startComparison <= 0 && endComparison >= 0;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Merge with existing highlight
+     */
+    mergeWithExistingHighlight(existingHighlight, newRange) {
+        const noteId = existingHighlight.getAttribute('data-note-id');
+        const note = this.findNoteById(noteId);
+        if (!note) return;
+
+        // Open note editor for existing note
+        this.openNoteEditor(note);
+    },
+
+    /**
+     * Create new highlight
+     */
+    createNewHighlight(range, selectedText) {
+        // Get word index BEFORE inserting highlight (to avoid counting the note's own words)
+        const previousWordIndex = this.getPreviousWordIndex(range);
+        const selectors = TextAnchor.describe(range);
+
+        // Create highlight element
+        const highlight = document.createElement('span');
+        highlight.className = 'note-highlight';
+        const noteId = this.generateId();
+        highlight.setAttribute('data-note-id', noteId);
+
+        // Wrap the selected content
+        try {
+            range.surroundContents(highlight);
+        } catch (e) {
+            // If surroundContents fails, try to highlight just the first text node
+            try {
+                const startContainer = range.startContainer;
+                const startOffset = range.startOffset;
+
+                // Find the first text node in the selection
+                let textNode = startContainer;
+                if (textNode.nodeType !== Node.TEXT_NODE) {
+                    textNode = textNode.childNodes[startOffset] || textNode.firstChild;
+                    while (textNode && textNode.nodeType !== Node.TEXT_NODE) {
+                        textNode = textNode.firstChild || textNode.nextSibling;
+                    }
+                }
+
+                if (textNode && textNode.nodeType === Node.TEXT_NODE) {
+                    // Create a range for just this text node
+                    const textRange = document.createRange();
+                    textRange.setStart(textNode, startContainer === textNode ? startOffset : 0);
+                    textRange.setEnd(textNode, textNode.textContent.length);
+
+                    textRange.surroundContents(highlight);
+                } else {
+                    // Final fallback: just insert the highlight at start position
+                    const startRange = document.createRange();
+                    startRange.setStart(range.startContainer, range.startOffset);
+                    startRange.collapse(true);
+                    startRange.insertNode(highlight);
+                }
+            } catch (fallbackError) {
+                // Final fallback: just insert the highlight at start position
+                const startRange = document.createRange();
+                startRange.setStart(range.startContainer, range.startOffset);
+                startRange.collapse(true);
+                startRange.insertNode(highlight);
+            }
+        }
+
+        // Create note icon
+        const noteIcon = this.createNoteIcon(noteId);
+        highlight.appendChild(noteIcon);
+
+        // Create note object
+        const position = this.getCurrentPosition();
+        const currentChapter = BookmarkManager.getCurrentChapter();
+
+        const note = {
+            id: noteId,
+            bookIndex: State.currentBookIndex,
+            bookTitle: Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]),
+            chapterTitle: currentChapter ? currentChapter.title : 'Unknown Chapter',
+            chapterAnchor: currentChapter ? currentChapter.anchor : '',
+            selectedText: selectedText,
+            noteText: '',
+            timestamp: new Date().toISOString(),
+            scrollPosition: window.pageYOffset || document.documentElement.scrollTop,
+            previousWordIndex: previousWordIndex,
+            selectors: selectors
+        };
+
+        // Save note
+        this.addNoteToStorage(note);
+
+        // Open note editor
+        this.openNoteEditor(note);
+
+    },
+
+    /**
+     * Create note icon
+     */
+    createNoteIcon(noteId) {
+        const icon = document.createElement('span');
+        icon.className = 'note-icon';
+        icon.setAttribute('data-note-id', noteId);
+        icon.innerHTML = '<span class="material-icons">sticky_note_2</span>';
+
+        icon.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const note = this.findNoteById(noteId);
+            if (note) {
+                this.openNoteEditor(note);
+            }
+        });
+
+        return icon;
+    },
+
+    /**
+     * Open note editor
+     */
+    openNoteEditor(note) {
+        const textarea = document.getElementById('note-editor-textarea');
+        textarea.value = note.noteText || '';
+        textarea.setAttribute('data-note-id', note.id);
+        this.renderEditorPreview();
+
+        ModalManager.open('noteEditor');
+
+        // Focus the textarea
+        setTimeout(() => textarea.focus(), 100);
+
+    },
+
+    /**
+     * Save note content
+     */
+    saveNoteContent(noteId, content) {
+        const note = this.findNoteById(noteId);
+        if (!note) return;
+
+        note.noteText = content;
+        note.timestamp = new Date().toISOString();
+
+        this.saveToStorage();
+        this.renderNotes();
+
+        // Schedule sync for note content change
+        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('note');
+    },
+
+    /**
+     * Lowercase #tags of a note text, without duplicates
+     */
+    getTags(text) {
+        const tags = new Set();
+        for (const match of (text || '').matchAll(this.TAG_REGEX)) {
+            tags.add(match[2].toLowerCase());
+        }
+        return [...tags];
+    },
+
+    /**
+     * All tags of all volumes with the number of notes carrying each, most used first
+     */
+    getAllTags() {
+        const counts = new Map();
+        Object.values(State.notes).forEach(bookNotes => {
+            (bookNotes || []).forEach(note => {
+                this.getTags(note.noteText).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+            });
+        });
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([tag, count]) => ({ tag, count }));
+    },
+
+    /**
+     * Render note Markdown to HTML
+     * Raw HTML is shown as text and only http(s) and mailto links and images are kept -
+     * notes also arrive through import and sync.
+     */
+    renderMarkdown(text) {
+        const converter = new showdown.Converter({
+            // Keep "#maya" at the start of a line a tag, not a heading
+            requireSpaceBeforeHeadingText: true,
+            simplifiedAutoLink: true,
+            strikethrough: true
+        });
+        const template = document.createElement('template');
+        template.innerHTML = converter.makeHtml((text || '').replace(/</g, '&lt;'));
+
+        template.content.querySelectorAll('a[href], img[src]').forEach(element => {
+            const attribute = element.tagName === 'A' ? 'href' : 'src';
+            if (!this.isSafeUrl(element.getAttribute(attribute))) {
+                element.removeAttribute(attribute);
+            }
+        });
+        return template.innerHTML;
+    },
+
+    /**
+     * Whether a link or image URL of a note may be rendered (http, https, mailto)
+     */
+    isSafeUrl(url) {
+        try {
+            return ['http:', 'https:', 'mailto:'].includes(new URL(url, window.location.href).protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * First line of a note without Markdown markers, for the notes list
+     */
+    getPlainPreview(text) {
+        const firstLine = text.trim().split('\n')[0];
+        return firstLine
+            .replace(/^\s*(#{1,6}\s+|>\s*|[-*+]\s+|\d+\.\s+)/, '')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/(\*\*|__|\*|_|~~|`)(.+?)\1/g, '$2');
+    },
+
+    /**
+     * Live preview and tags of the note being edited
+     */
+    renderEditorPreview() {
+        const text = document.getElementById('note-editor-textarea').value;
+        const preview = document.getElementById('note-editor-preview');
+        const tags = document.getElementById('note-editor-tags');
+
+        preview.innerHTML = text.trim()
+            ? this.renderMarkdown(text)
+            : '<div class="no-notes">Preview appears here as you type.</div>';
+        tags.innerHTML = this.getTags(text)
+            .map(tag => `<span class="note-tag">#${Utils.escapeHTML(tag)}</span>`)
+            .join('');
+    },
+
+    /**
+     * Apply a toolbar format to the selection of the note editor
+     */
+    applyFormat(kind) {
+        const textarea = document.getElementById('note-editor-textarea');
+        const { selectionStart: start, selectionEnd: end, value } = textarea;
+        const selected = value.substring(start, end);
+        let before = value.substring(0, start);
+        let after = value.substring(end);
+        let replacement;
+
+        switch (kind) {
+            case 'bold':
+                replacement = `**${selected || 'bold'}**`;
+                break;
+            case 'italic':
+                replacement = `*${selected || 'italic'}*`;
+                break;
+            case 'link':
+                replacement = `[${selected || 'link'}](https://)`;
+                break;
+            case 'tag':
+                replacement = `#${(selected || 'tag').trim().toLowerCase().replace(/\s+/g, '-')}`;
+                if (before && !/\s$/.test(before)) replacement = ' ' + replacement;
+                break;
+            case 'quote':
+            case 'list': {
+                // Prefix every line touched by the selection
+                const prefix = kind === 'quote' ? '> ' : '- ';
+                const lineStart = before.lastIndexOf('\n') + 1;
+                const lineEnd = after.indexOf('\n');
+                const block = value.substring(lineStart, lineEnd === -1 ? value.length : end + lineEnd);
+                replacement = block.split('\n').map(line => prefix + line).join('\n');
+                before = value.substring(0, lineStart);
+                after = lineEnd === -1 ? '' : after.substring(lineEnd);
+                break;
+            }
+            default:
+                return;
+        }
+
+        textarea.value = before + replacement + after;
+        textarea.focus();
+        textarea.setSelectionRange(before.length, before.length + replacement.length);
+        // Save and refresh the preview like typed input
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    },
+
+    /**
+     * Show only notes with the tag (all volumes); the active tag again clears the filter
+     */
+    setTagFilter(tag) {
+        this.activeTag = tag && tag !== this.activeTag ? tag : null;
+        this.renderNotes();
+    },
+
+    /**
+     * Delete note
+     */
+    deleteNote(noteId) {
+        // Remove from storage first
+        for (let bookIndex in State.notes) {
+            const bookNotes = State.notes[bookIndex];
+            const noteIndex = bookNotes.findIndex(n => n.id === noteId);
+            if (noteIndex >= 0) {
+                bookNotes.splice(noteIndex, 1);
+                break;
+            }
+        }
+
+        // Remove highlight from DOM
+        const highlight = document.querySelector(`[data-note-id="${noteId}"]`);
+        if (highlight) {
+            const parent = highlight.parentNode;
+            while (highlight.firstChild) {
+                parent.insertBefore(highlight.firstChild, highlight);
+            }
+            parent.removeChild(highlight);
+        }
+
+        this.saveToStorage();
+        this.renderNotes();
+        ModalManager.close('noteEditor');
+
+        // Add deletion event for smart sync to process
+        if (window.syncUI?.addDeletionEvent) {
+            window.syncUI.addDeletionEvent(noteId, 'note');
+        }
+        // Schedule sync for note deletion
+        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('note-delete');
+    },
+
+    /**
+     * Navigate to note
+     */
+    async navigateToNote(noteId) {
+
+        const note = this.findNoteById(noteId);
+        if (!note) {
+            return;
+        }
+
+        // Switch to the correct book if needed
+        if (note.bookIndex !== State.currentBookIndex) {
+            State.currentBookIndex = note.bookIndex;
+            // Update selectors immediately so UI reflects the switch
+            if (Elements.bookSelector) Elements.bookSelector.value = State.currentBookIndex;
+            if (Elements.bookSelectorMobile) Elements.bookSelectorMobile.value = State.currentBookIndex;
+            // Wait for book content to render and highlights to be restored
+            await UIManager.displayCurrentBook();
+        }
+
+        // Wait briefly for the highlight to be inserted (poll with timeout)
+        const waitForHighlight = async (timeout = 500, interval = 50) => {
+            const start = Date.now();
+            while (Date.now() - start < timeout) {
+                const h = document.querySelector(`[data-note-id="${noteId}"]`);
+                if (h) return h;
+                await new Promise(r => setTimeout(r, interval));
+            }
+            return null;
+        };
+
+        let highlight = await waitForHighlight();
+
+        if (highlight) {
+            highlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            // Briefly highlight the note
+            highlight.style.backgroundColor = 'rgba(255, 193, 7, 0.6)';
+            setTimeout(() => {
+                highlight.style.backgroundColor = '';
+            }, 2000);
+        } else {
+            // Try to restore this specific note on demand and re-check
+            try {
+                this.restoreHighlight(note);
+            } catch (e) {
+                console.warn('On-demand restoreHighlight failed for note', note.id, e);
+            }
+
+            // Wait again briefly after attempting per-note restore
+            highlight = await waitForHighlight(400, 50);
+
+            if (highlight) {
+                highlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                highlight.style.backgroundColor = 'rgba(255, 193, 7, 0.6)';
+                setTimeout(() => {
+                    highlight.style.backgroundColor = '';
+                }, 2000);
+                ModalManager.close('notes');
+                return;
+            }
+
+            // Fallback: try chapter anchor first
+            if (note.chapterAnchor) {
+                const anchorElement = document.getElementById(note.chapterAnchor) || document.querySelector(`[name="${note.chapterAnchor}"]`);
+                if (anchorElement) {
+                    anchorElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                    ModalManager.close('notes');
+                    return;
+                }
+            }
+
+            // Final fallback to stored scroll position
+            window.scrollTo({
+                top: note.scrollPosition,
+                behavior: 'smooth'
+            });
+        }
+
+        ModalManager.close('notes');
+    },
+
+    /**
+     * Find note by ID
+     */
+    findNoteById(noteId) {
+        for (let bookIndex in State.notes) {
+            const bookNotes = State.notes[bookIndex];
+            const note = bookNotes.find(n => n.id === noteId);
+            if (note) return note;
+        }
+        return null;
+    },
+
+    /**
+     * Add note to storage
+     */
+    addNoteToStorage(note) {
+        if (!State.notes[note.bookIndex]) {
+            State.notes[note.bookIndex] = [];
+        }
+
+        State.notes[note.bookIndex].unshift(note);
+
+        // Keep only the most recent notes
+        if (State.notes[note.bookIndex].length > this.MAX_NOTES_PER_BOOK) {
+            State.notes[note.bookIndex].splice(this.MAX_NOTES_PER_BOOK);
+        }
+
+        this.saveToStorage();
+        // Schedule sync for new note
+        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('note');
+    },
+
+    /**
+     * Get current position
+     */
+    getCurrentPosition() {
+        return {
+            bookIndex: State.currentBookIndex,
+            scrollTop: window.pageYOffset || document.documentElement.scrollTop
+        };
+    },
+
+    /**
+     * Render notes in the modal
+     */
+    renderNotes() {
+        const content = document.getElementById('notes-content');
+        const currentTab = document.getElementById('current-book-notes-tab');
+        const otherTab = document.getElementById('other-books-notes-tab');
+
+        // Update tab titles
+        currentTab.textContent = Utils.getBookTitle(CONFIG.EPUB_FILES[State.currentBookIndex]);
+
+        this.renderTagFilter();
+        currentTab.classList.toggle('active', !this.activeTag && this.activeTab === 'current');
+        otherTab.classList.toggle('active', !this.activeTag && this.activeTab === 'other');
+
+        if (this.activeTag) {
+            this.renderTaggedNotes(content);
+        } else if (this.activeTab === 'current') {
+            this.renderCurrentBookNotes(content);
+        } else {
+            this.renderOtherBooksNotes(content);
+        }
+    },
+
+    /**
+     * Render current book notes
+     */
+    renderCurrentBookNotes(container) {
+        const notes = State.notes[State.currentBookIndex] || [];
+
+        if (notes.length === 0) {
+            container.innerHTML = '<div class="no-notes">No notes in this book yet.</div>';
+            return;
+        }
+
+        const notesList = document.createElement('div');
+        notesList.className = 'notes-list';
+
+        notes.forEach(note => {
+            const noteItem = this.createNoteItem(note);
+            notesList.appendChild(noteItem);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(notesList);
+    },
+
+    /**
+     * Render other books notes
+     */
+    renderOtherBooksNotes(container) {
+        container.innerHTML = '';
+        let hasNotes = false;
+
+        CONFIG.EPUB_FILES.forEach((fileName, bookIndex) => {
+            if (bookIndex === State.currentBookIndex) return;
+
+            const bookNotes = State.notes[bookIndex] || [];
+            if (bookNotes.length === 0) return;
+
+            hasNotes = true;
+            const bookSection = document.createElement('div');
+            bookSection.className = 'note-book-section';
+
+            const bookTitle = document.createElement('h3');
+            bookTitle.className = 'note-book-title';
+            bookTitle.textContent = Utils.getBookTitle(fileName);
+            bookSection.appendChild(bookTitle);
+
+            const notesList = document.createElement('div');
+            notesList.className = 'notes-list';
+
+            bookNotes.forEach(note => {
+                const noteItem = this.createNoteItem(note);
+                notesList.appendChild(noteItem);
+            });
+
+            bookSection.appendChild(notesList);
+            container.appendChild(bookSection);
+        });
+
+        if (!hasNotes) {
+            container.innerHTML = '<div class="no-notes">No notes in other books yet.</div>';
+        }
+    },
+
+    /**
+     * Render the tag chips above the notes list
+     */
+    renderTagFilter() {
+        const filter = document.getElementById('notes-tag-filter');
+        const tags = this.getAllTags();
+
+        // A tag whose last note was edited away no longer filters anything
+        if (this.activeTag && !tags.some(({ tag }) => tag === this.activeTag)) {
+            this.activeTag = null;
+        }
+
+        filter.hidden = tags.length === 0;
+        filter.innerHTML = tags.map(({ tag, count }) => {
+            const active = tag === this.activeTag ? ' active' : '';
+            return `<button class="note-tag${active}" data-tag="${Utils.escapeHTML(tag)}" onclick="NotesManager.setTagFilter(this.dataset.tag); return false;">#${Utils.escapeHTML(tag)} <span class="note-tag-count">${count}</span></button>`;
+        }).join('');
+    },
+
+    /**
+     * Render notes with the active tag from all volumes, grouped by volume
+     */
+    renderTaggedNotes(container) {
+        container.innerHTML = '';
+
+        // Current volume first, then the others in order
+        const bookIndexes = CONFIG.EPUB_FILES.map((_, index) => index)
+            .sort((a, b) => (b === State.currentBookIndex) - (a === State.currentBookIndex));
+
+        bookIndexes.forEach(bookIndex => {
+            const bookNotes = (State.notes[bookIndex] || [])
+                .filter(note => this.getTags(note.noteText).includes(this.activeTag));
+            if (bookNotes.length === 0) return;
+
+            const bookSection = document.createElement('div');
+            bookSection.className = 'note-book-section';
+
+            const bookTitle = document.createElement('h3');
+            bookTitle.className = 'note-book-title';
+            bookTitle.textContent = `${Utils.getBookTitle(CONFIG.EPUB_FILES[bookIndex])} (${bookNotes.length})`;
+            bookSection.appendChild(bookTitle);
+
+            const notesList = document.createElement('div');
+            notesList.className = 'notes-list';
+            bookNotes.forEach(note => notesList.appendChild(this.createNoteItem(note)));
+
+            bookSection.appendChild(notesList);
+            container.appendChild(bookSection);
+        });
+    },
+
+    /**
+     * Create note item element
+     */
+    createNoteItem(note) {
+        const item = document.createElement('div');
+        item.className = 'note-item';
+
+        const noteInfo = document.createElement('div');
+        noteInfo.className = 'note-info';
+        noteInfo.addEventListener('click', () => this.navigateToNote(note.id));
+
+        const notePreview = document.createElement('div');
+        notePreview.className = 'note-preview';
+        const previewText = note.noteText.trim() ? this.getPlainPreview(note.noteText) : note.selectedText;
+        const firstLine = previewText.split('\n')[0];
+        notePreview.textContent = firstLine.substring(0, 60) + (firstLine.length > 60 ? '...' : '');
+
+        const noteMeta = document.createElement('div');
+        noteMeta.className = 'note-meta';
+        const timestamp = new Date(note.timestamp).toLocaleDateString();
+        noteMeta.textContent = `${note.chapterTitle} • ${timestamp}`;
+
+        noteInfo.appendChild(notePreview);
+        noteInfo.appendChild(noteMeta);
+
+        const tags = this.getTags(note.noteText);
+        if (tags.length > 0) {
+            const noteTags = document.createElement('div');
+            noteTags.className = 'note-tags';
+            tags.forEach(tag => {
+                const chip = document.createElement('button');
+                chip.className = 'note-tag' + (tag === this.activeTag ? ' active' : '');
+                chip.textContent = `#${tag}`;
+                chip.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.setTagFilter(tag);
+                });
+                noteTags.appendChild(chip);
+            });
+            noteInfo.appendChild(noteTags);
+        }
+
+        const noteActions = document.createElement('div');
+        noteActions.className = 'note-actions';
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'note-action-btn';
+        deleteBtn.setAttribute('data-action', 'remove');
+        deleteBtn.setAttribute('aria-label', 'Delete note');
+        deleteBtn.innerHTML = '<span class="material-icons">delete</span>';
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteNote(note.id);
+        });
+
+        noteActions.appendChild(deleteBtn);
+
+        item.appendChild(noteInfo);
+        item.appendChild(noteActions);
+
+        return item;
+    },
+
+    /**
+     * Load notes from localStorage; migrate from legacy key if present
+     */
+    loadFromStorage() {
+        try {
+            const stored = localStorage.getItem('notes');
+            State.notes = stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load notes:', error);
+            State.notes = {};
+        }
+    },
+
+    /**
+     * Save notes to localStorage (canonical key: 'notes')
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem('notes', JSON.stringify(State.notes));
+        } catch (error) {
+            console.error('Failed to save notes:', error);
+        }
+    },
+
+    /**
+     * Get the word index before the selection for robust volume-level positioning
+     */
+    getPreviousWordIndex(range) {
+        // Use volume-level positioning based on raw content
+        return VolumePositioning.getWordIndexBeforeRange(range, State.currentBookIndex);
+    },
+
+    /**
+     * Get the character offset of a range position within the document
+     */
+    getRangeOffsetInDocument(container, offset) {
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent) return 0;
+
+        const walker = document.createTreeWalker(
+            bookContent,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
+
+        let totalOffset = 0;
+        let node;
+
+        while (node = walker.nextNode()) {
+            if (node === container) {
+                return totalOffset + offset;
+            }
+            totalOffset += node.textContent.length;
+        }
+
+        return totalOffset;
+    },
+
+    /**
+     * Generate unique ID for note
+     */
+    generateId() {
+        return 'note_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    },
+
+    /**
+     * Restore notes highlights after content load
+     */
+    restoreHighlights() {
+        const currentBookNotes = State.notes[State.currentBookIndex] || [];
+
+        // Normalize text nodes to reduce fragmentation before attempting restores
+        const bookContent = document.getElementById('book-content');
+        if (bookContent) bookContent.normalize();
+
+        const failed = [];
+
+        currentBookNotes.forEach((note, index) => {
+            // Try to find and restore highlight based on text content
+            // This is a simplified restoration - in a production app you'd want more robust text anchoring
+            const ok = this.restoreHighlight(note);
+            if (!ok) failed.push(note);
+        });
+
+        // Retry failed restores a few times in case DOM processing (lexicon, links) completes slightly later
+        if (failed.length > 0) {
+            let tries = 0;
+            const maxTries = 4;
+            const retryDelay = 200;
+
+            const retry = () => {
+                tries++;
+                const remaining = [];
+                failed.forEach(note => {
+                    const ok = this.restoreHighlight(note);
+                    if (!ok) remaining.push(note);
+                });
+
+                if (remaining.length > 0 && tries < maxTries) {
+                    // Replace failed list and schedule another attempt
+                    failed.length = 0;
+                    failed.push(...remaining);
+                    setTimeout(retry, retryDelay);
+                } else if (remaining.length > 0) {
+                    if (ENABLE_SYNC_LOGGING) console.warn('Notes restoration: some notes could not be restored after retries', remaining.map(n => n.id));
+                }
+            };
+
+            setTimeout(retry, retryDelay);
+        }
+    },
+
+    /**
+     * Restore individual highlight using word-index-based positioning
+     * Returns true on success, false otherwise
+     */
+    restoreHighlight(note) {
+        // Check if note highlight already exists
+        const existingHighlight = document.querySelector(`[data-note-id="${note.id}"]`);
+        if (existingHighlight) {
+            return true;
+        }
+
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent) {
+            return false;
+        }
+
+        // Text anchors - no guessing when they fail, the note is reported instead
+        if (note.selectors) {
+            const range = TextAnchor.resolve(note.selectors);
+            if (range) this.createHighlightForRange(note, range);
+            TextAnchor.record('note', note, range ? 'anchored' : 'failed');
+            return !!range;
+        }
+
+        // Notes stored before text anchors: word index, then first occurrence. Only the word
+        // index is trusted with a migration - the first occurrence may be another passage
+        if (note.previousWordIndex !== undefined && this.restoreHighlightWithWordIndex(note)) {
+            TextAnchor.record('note', note, 'anchored');
+            if (TextAnchor.migrate('note', note, document.querySelector(`.note-highlight[data-note-id="${note.id}"]`))) {
+                this.saveToStorage();
+            }
+            return true;
+        }
+
+        const success = this.restoreHighlightFallback(note);
+        TextAnchor.record('note', note, success ? 'unverified' : 'failed');
+        return success;
+    },
+
+    /**
+     * Highlight a resolved range for a note
+     */
+    createHighlightForRange(note, range) {
+        const highlight = document.createElement('span');
+        highlight.className = 'note-highlight';
+        highlight.setAttribute('data-note-id', note.id);
+
+        try {
+            range.surroundContents(highlight);
+        } catch (e) {
+            // The range crosses element boundaries
+            highlight.appendChild(range.extractContents());
+            range.insertNode(highlight);
+        }
+
+        highlight.appendChild(this.createNoteIcon(note.id));
+    },
+
+    /**
+     * Restore highlight using volume-level word index positioning
+     * Returns true if restored, false otherwise
+     */
+    restoreHighlightWithWordIndex(note) {
+        // Use the new volume-level positioning system
+        return VolumePositioning.restoreHighlightAtWordIndex(note, State.currentBookIndex);
+    },
+
+
+    /**
+     * Fallback restoration method for old notes or when word index fails
+     * Returns true on success, false otherwise
+     */
+    restoreHighlightFallback(note) {
+        const bookContent = document.getElementById('book-content');
+        if (!bookContent) return false;
+
+
+        // Original method: find first occurrence
+        const walker = document.createTreeWalker(
+            bookContent,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
+
+        let node;
+        while (node = walker.nextNode()) {
+            const text = node.textContent;
+            const index = text.indexOf(note.selectedText);
+            if (index >= 0) {
+                // Found matching text, create highlight
+                const range = document.createRange();
+                range.setStart(node, index);
+                range.setEnd(node, index + note.selectedText.length);
+
+                const highlight = document.createElement('span');
+                highlight.className = 'note-highlight';
+                highlight.setAttribute('data-note-id', note.id);
+
+                try {
+                    range.surroundContents(highlight);
+                    const noteIcon = this.createNoteIcon(note.id);
+                    highlight.appendChild(noteIcon);
+                    return true; // restored successfully
+                } catch (e) {
+                    // Fallback: try a robust extract-and-insert approach which works when surroundContents fails
+                    try {
+                        range.setStart(node, index);
+                        range.setEnd(node, index + note.selectedText.length);
+                        const fragment = range.extractContents();
+                        highlight.appendChild(fragment);
+                        range.insertNode(highlight);
+                        const noteIcon = this.createNoteIcon(note.id);
+                        highlight.appendChild(noteIcon);
+                        return true; // restored with fallback
+                    } catch (e2) {
+                        console.warn('Could not restore highlight for note (fallback also failed):', note.id, e2);
+                        return false;
+                    }
+                }
+            }
+        }
+
+        return false;
+    },
+
+
+    /**
+     * Remove specific note highlight from DOM
+     */
+    removeNoteHighlight(noteId) {
+        // Find all elements with this note ID (highlight and icon)
+        const elements = document.querySelectorAll(`[data-note-id="${noteId}"]`);
+
+        if (elements.length > 0) {
+            if (ENABLE_SYNC_LOGGING) {
+                console.log('📝 Removing note highlight:', noteId, '- found', elements.length, 'elements');
+            }
+
+            elements.forEach(element => {
+                if (element.classList.contains('note-highlight')) {
+                    // Unwrap the highlight, preserving the text content
+                    const parent = element.parentNode;
+                    if (parent) {
+                        while (element.firstChild) {
+                            parent.insertBefore(element.firstChild, element);
+                        }
+                        parent.removeChild(element);
+                    }
+                } else {
+                    // Remove icon elements directly
+                    element.remove();
+                }
+            });
+
+            // Normalize text nodes to clean up any fragmentation
+            const bookContent = document.getElementById('book-content');
+            if (bookContent) {
+                bookContent.normalize();
+            }
+        }
+    },
+
+    /**
+     * Handle note change events from sync
+     */
+    onNoteChanged(changeType, noteId, noteData) {
+        switch(changeType) {
+            case 'removed':
+                this.removeNoteHighlight(noteId);
+                break;
+            case 'added':
+                // For now, rely on full restore for additions
+                // Could be optimized later to add individual highlights
+                break;
+            case 'batch_update':
+                // Full refresh - clear all and restore
+                this.clearAllNoteHighlights();
+                this.restoreHighlights();
+                break;
+        }
+    },
+
+    /**
+     * Clear all existing note highlights from DOM
+     */
+    clearAllNoteHighlights() {
+        const existingHighlights = document.querySelectorAll('.note-highlight');
+
+        if (existingHighlights.length > 0 && ENABLE_SYNC_LOGGING) {
+            console.log('📝 Clearing', existingHighlights.length, 'existing note highlights');
+        }
+
+        existingHighlights.forEach(highlight => {
+            // Unwrap the highlight, preserving the text content
+            const parent = highlight.parentNode;
+            if (parent) {
+                // Move all child nodes to parent, then remove the highlight wrapper
+                while (highlight.firstChild) {
+                    parent.insertBefore(highlight.firstChild, highlight);
+                }
+                parent.removeChild(highlight);
+            }
+        });
+
+        // Also remove note icons that aren't part of highlights
+        const existingIcons = document.querySelectorAll('[data-note-id]');
+        existingIcons.forEach(icon => {
+            if (!icon.classList.contains('note-highlight')) {
+                icon.remove();
+            }
+        });
+
+        // Normalize text nodes to clean up any fragmentation
+        const bookContent = document.getElementById('book-content');
+        if (bookContent) {
+            bookContent.normalize();
+        }
+    },
+
+    /**
+     * Export notes to JSON file
+     */
+    async exportToJSON() {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+            const filename = `Yoga-Vasishtha-Notes-${timestamp}.json`;
+
+            const data = {
+                type: 'notes',
+                version: '1.0',
+                timestamp: new Date().toISOString(),
+                data: State.notes
+            };
+
+            const jsonContent = JSON.stringify(data, null, 2);
+
+            // Check if we're on mobile with Capacitor
+            if (window.Capacitor?.isNativePlatform && window.Capacitor.Plugins?.Filesystem) {
+                try {
+                    const { Filesystem } = window.Capacitor.Plugins;
+
+                    await Filesystem.writeFile({
+                        path: filename,
+                        data: jsonContent,
+                        directory: 'DOCUMENTS',
+                        encoding: 'utf8'
+                    });
+
+                    NotificationManager.show('Notes exported to Documents folder', 'info');
+                } catch (capacitorError) {
+                    // Fall back to web download
+                    const blob = new Blob([jsonContent], { type: 'application/json' });
+                    const url = URL.createObjectURL(blob);
+
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = filename;
+                    document.body.appendChild(a);
+                    a.click();
+                    document.body.removeChild(a);
+                    URL.revokeObjectURL(url);
+
+                }
+            } else {
+                // Web browser - use blob download
+                const blob = new Blob([jsonContent], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = filename;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+
+            }
+        } catch (error) {
+            console.error('Failed to export notes:', error);
+            NotificationManager.show('Export failed: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Import notes from JSON file
+     */
+    importFromJSON() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.style.display = 'none';
+        document.body.appendChild(input);
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onerror = () => {
+                NotificationManager.show('Import failed: Cannot read file', 'error');
+            };
+            reader.onload = (e) => {
+                try {
+                    const importedData = JSON.parse(e.target.result);
+
+                    // Validate JSON structure
+                    if (!importedData.data || importedData.type !== 'notes') {
+                        NotificationManager.show('Import failed: Invalid notes file', 'error');
+                        return;
+                    }
+
+                    const importedNotes = importedData.data;
+                    let mergedCount = 0;
+                    let newCount = 0;
+                    let ignoredCount = 0;
+
+                    // Merge notes for each book
+                    for (const [bookIndex, bookNotes] of Object.entries(importedNotes)) {
+                        if (!State.notes[bookIndex]) {
+                            State.notes[bookIndex] = [];
+                        }
+
+                        for (const importedNote of bookNotes) {
+                            const result = this.mergeNote(State.notes[bookIndex], importedNote);
+                            if (result === 'merged') mergedCount++;
+                            else if (result === 'new') newCount++;
+                            else if (result === 'ignored') ignoredCount++;
+                        }
+                    }
+
+                    this.saveToStorage();
+                    this.renderNotes();
+
+                    const totalImported = newCount + mergedCount;
+                    NotificationManager.show(`Imported ${totalImported} notes`, 'info');
+                } catch (error) {
+                    console.error('Import error:', error);
+                    NotificationManager.show('Import failed: Invalid notes file', 'error');
+                }
+            };
+            reader.readAsText(file);
+        };
+
+        input.click();
+        document.body.removeChild(input);
+    },
+
+    /**
+     * Merge a single note into the existing notes array
+     * Returns 'ignored' for exact duplicates, 'merged' for location conflicts, 'new' for new notes
+     */
+    mergeNote(existingNotes, importedNote) {
+        // Find notes at the same location
+        const sameLocationNotes = existingNotes.filter(note =>
+            note.bookIndex === importedNote.bookIndex &&
+            note.chapterAnchor === importedNote.chapterAnchor &&
+            note.scrollPosition === importedNote.scrollPosition &&
+            note.selectedText === importedNote.selectedText
+        );
+
+        // Check for exact duplicate
+        const exactDuplicate = sameLocationNotes.find(note =>
+            note.noteText === importedNote.noteText
+        );
+
+        if (exactDuplicate) {
+            return 'ignored'; // Ignore exact duplicates
+        }
+
+        // Check if there are conflicting notes at the same location
+        if (sameLocationNotes.length > 0) {
+            // Merge notes at the same location
+            const allNotes = [...sameLocationNotes, importedNote];
+
+            // Sort by timestamp (chronological order)
+            allNotes.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+            // Create merged note text
+            const mergedText = 'Merged Notes\n\n' + allNotes.map(note => {
+                const timestamp = new Date(note.timestamp).toLocaleString();
+                return `-- Note From ${timestamp} --\n\n${note.noteText}`;
+            }).join('\n\n');
+
+            // Remove existing notes at this location
+            for (let i = existingNotes.length - 1; i >= 0; i--) {
+                if (sameLocationNotes.includes(existingNotes[i])) {
+                    existingNotes.splice(i, 1);
+                }
+            }
+
+            // Add the merged note (use the earliest timestamp for the merged note)
+            const mergedNote = {
+                ...importedNote,
+                noteText: mergedText,
+                timestamp: allNotes[0].timestamp // Use earliest timestamp
+            };
+            existingNotes.push(mergedNote);
+
+            return 'merged';
+        } else {
+            // New note at a different location
+            existingNotes.push(importedNote);
+            return 'new';
+        }
+    }
+};
+
+// ===== HIGHLIGHT MANAGER =====
+const HighlightManager = {
+    // Colors given to new categories in turn
+    NEW_COLORS: ['#ff9800', '#9c27b0', '#00bcd4', '#795548', '#607d8b'],
+    DEFAULT_CATEGORIES: [
+        { id: 'doctrine', name: 'Doctrine', color: '#4caf50' },
+        { id: 'story', name: 'Story', color: '#2196f3' },
+        { id: 'question', name: 'Question', color: '#e91e63' }
+    ],
+    COLOR_REGEX: /^#[0-9a-f]{6}$/i,
+    pendingRange: null, // Selection the palette would highlight
+    paletteTarget: null, // Id of the highlight the palette recolors
+
+    /**
+     * Initialize highlight manager
+     */
+    init() {
+        this.loadFromStorage();
+        this.initEventListeners();
+        this.renderLegend();
+    },
+
+    /**
+     * Offer the palette for text selected in the book, and for highlights clicked
+     */
+    initEventListeners() {
+        const palette = document.getElementById('highlight-palette');
+
+        document.addEventListener('mouseup', (e) => {
+            if (palette.contains(e.target)) return;
+            // Let the selection settle before reading it
+            setTimeout(() => this.onSelectionEnd(), 10);
+        });
+        document.addEventListener('touchend', (e) => {
+            if (palette.contains(e.target)) return;
+            setTimeout(() => this.onSelectionEnd(), 50);
+        });
+
+        // Keep the selection when a swatch is pressed
+        palette.addEventListener('mousedown', (e) => e.preventDefault());
+
+        document.addEventListener('mousedown', (e) => {
+            if (!palette.contains(e.target)) this.hidePalette();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hidePalette();
+        });
+        window.addEventListener('scroll', () => this.hidePalette(), { passive: true });
+
+        Elements.bookContent.addEventListener('click', (e) => {
+            const highlight = e.target.closest('.color-highlight');
+            // Sanskrit words open the lexicon, icons their note or bookmark
+            if (!highlight || highlight.classList.contains('filtered-out')) return;
+            if (e.target.closest('.sanskrit-word, a, .note-icon, .bookmark-icon')) return;
+            if (!window.getSelection().isCollapsed) return;
+
+            this.paletteTarget = highlight.dataset.highlightId;
+            this.pendingRange = null;
+            this.showPalette(highlight.getBoundingClientRect());
+        });
+    },
+
+    /**
+     * Show the palette above text just selected in the book
+     */
+    onSelectionEnd() {
+        if (NotesManager.isTextSelectionMode || ModalManager.activeModal) return;
+
+        const selection = window.getSelection();
+        if (!selection.rangeCount || selection.isCollapsed) return;
+
+        const range = selection.getRangeAt(0);
+        if (range.toString().trim().length < 3) return; // Ignore very short selections
+        if (!Elements.bookContent.contains(range.commonAncestorContainer)) return;
+
+        this.pendingRange = range.cloneRange();
+        this.paletteTarget = null;
+        this.showPalette(range.getBoundingClientRect());
+    },
+
+    /**
+     * Show the palette next to a rectangle of the viewport
+     */
+    showPalette(rect) {
+        const palette = document.getElementById('highlight-palette');
+        const current = this.paletteTarget ? this.findHighlightById(this.paletteTarget) : null;
+
+        let html = State.highlightCategories.map(category => {
+            const active = current && current.category === category.id ? ' active' : '';
+            return `<button class="highlight-swatch${active}" style="--highlight-color: ${category.color}" data-category="${category.id}" title="${Utils.escapeHTML(category.name)}" aria-label="Highlight: ${Utils.escapeHTML(category.name)}" onclick="HighlightManager.pick(this.dataset.category); return false;"></button>`;
+        }).join('');
+        if (current) {
+            html += `<button class="note-action-btn" data-action="remove" aria-label="Remove highlight" title="Remove highlight" onclick="HighlightManager.remove(HighlightManager.paletteTarget); return false;"><span class="material-icons">delete</span></button>`;
+        }
+        palette.innerHTML = html;
+        palette.hidden = false;
+
+        // Above the text, or below it near the top of the window
+        const top = rect.top - palette.offsetHeight - 8;
+        palette.style.top = `${top > 0 ? top : rect.bottom + 8}px`;
+        palette.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - palette.offsetWidth - 8))}px`;
+    },
+
+    /**
+     * Hide the palette
+     */
+    hidePalette() {
+        const palette = document.getElementById('highlight-palette');
+        if (palette.hidden) return;
+        palette.hidden = true;
+        this.pendingRange = null;
+        this.paletteTarget = null;
+    },
+
+    /**
+     * Palette swatch clicked: highlight the selection or recolor the highlight
+     */
+    pick(categoryId) {
+        if (this.paletteTarget) {
+            this.recolor(this.paletteTarget, categoryId);
+        } else if (this.pendingRange) {
+            this.create(this.pendingRange, categoryId);
+            window.getSelection().removeAllRanges();
+        }
+        this.hidePalette();
+    },
+
+    /**
+     * Highlight a range of the book in a category
+     */
+    create(range, categoryId) {
+        // Anchor and word index BEFORE inserting highlight, like notes
+        const selectors = TextAnchor.describe(range);
+        const previousWordIndex = VolumePositioning.getWordIndexBeforeRange(range, State.currentBookIndex);
+        const currentChapter = BookmarkManager.getCurrentChapter();
+
+        const highlight = {
+            id: this.generateId(),
+            bookIndex: State.currentBookIndex,
+            category: categoryId,
+            selectedText: range.toString(),
+            chapterTitle: currentChapter ? currentChapter.title : 'Unknown Chapter',
+            timestamp: new Date().toISOString(),
+            previousWordIndex: previousWordIndex,
+            selectors: selectors
+        };
+
+        this.wrapRange(range, highlight);
+
+        if (!State.highlights[State.currentBookIndex]) {
+            State.highlights[State.currentBookIndex] = [];
+        }
+        State.highlights[State.currentBookIndex].push(highlight);
+        this.saveToStorage();
+        this.applyFilter();
+        this.renderLegend();
+    },
+
+    /**
+     * Wrap every text node of a range in a highlight span
+     * Ranges crossing words, paragraphs or note highlights get one span per text node.
+     */
+    wrapRange(range, highlight) {
+        const category = this.getCategory(highlight.category);
+        const root = range.commonAncestorContainer;
+        const nodes = [];
+
+        if (root.nodeType === Node.TEXT_NODE) {
+            nodes.push(root);
+        } else {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+            let node;
+            while (node = walker.nextNode()) {
+                if (range.intersectsNode(node)) nodes.push(node);
+            }
+        }
+
+        nodes.forEach(node => {
+            // Icon glyphs are text too
+            if (node.parentElement.closest('.note-icon, .bookmark-icon')) return;
+
+            const start = node === range.startContainer ? range.startOffset : 0;
+            const end = node === range.endContainer ? range.endOffset : node.textContent.length;
+            if (!node.textContent.substring(start, end).trim()) return;
+
+            const segment = document.createRange();
+            segment.setStart(node, start);
+            segment.setEnd(node, end);
+
+            const span = document.createElement('span');
+            span.className = 'color-highlight';
+            span.setAttribute('data-highlight-id', highlight.id);
+            span.setAttribute('data-category', highlight.category);
+            span.style.setProperty('--highlight-color', category.color);
+            segment.surroundContents(span);
+        });
+    },
+
+    /**
+     * Move a highlight to another category
+     */
+    recolor(highlightId, categoryId) {
+        const highlight = this.findHighlightById(highlightId);
+        if (!highlight) return;
+
+        highlight.category = categoryId;
+        highlight.timestamp = new Date().toISOString();
+        this.saveToStorage();
+
+        const color = this.getCategory(categoryId).color;
+        document.querySelectorAll(`.color-highlight[data-highlight-id="${highlightId}"]`).forEach(span => {
+            span.setAttribute('data-category', categoryId);
+            span.style.setProperty('--highlight-color', color);
+        });
+        this.applyFilter();
+        this.renderLegend();
+    },
+
+    /**
+     * Remove a highlight
+     */
+    remove(highlightId) {
+        Object.keys(State.highlights).forEach(bookIndex => {
+            State.highlights[bookIndex] = State.highlights[bookIndex].filter(h => h.id !== highlightId);
+        });
+        this.saveToStorage();
+        this.removeHighlightSpans(`.color-highlight[data-highlight-id="${highlightId}"]`);
+        this.hidePalette();
+        this.renderLegend();
+    },
+
+    /**
+     * Unwrap highlight spans, preserving the text content
+     */
+    removeHighlightSpans(selector) {
+        document.querySelectorAll(selector).forEach(span => {
+            const parent = span.parentNode;
+            while (span.firstChild) {
+                parent.insertBefore(span.firstChild, span);
+            }
+            parent.removeChild(span);
+            parent.normalize();
+        });
+    },
+
+    /**
+     * Restore the highlights of the current book after content load
+     */
+    restoreHighlights() {
+        const bookHighlights = State.highlights[State.currentBookIndex] || [];
+
+        let migrated = false;
+
+        bookHighlights.forEach(highlight => {
+            if (document.querySelector(`[data-highlight-id="${highlight.id}"]`)) return;
+            if (!this.getCategory(highlight.category)) return;
+
+            // Text anchors like notes; the word index for highlights stored before them
+            let range = null;
+            if (highlight.selectors) {
+                range = TextAnchor.resolve(highlight.selectors);
+            } else {
+                const position = VolumePositioning.findTextAfterWordIndex(highlight.previousWordIndex, highlight.selectedText);
+                if (position !== -1) range = VolumePositioning.getRangeAtDOMPosition(position, highlight.selectedText.length);
+            }
+
+            TextAnchor.record('highlight', highlight, range ? 'anchored' : 'failed');
+            if (!range) {
+                console.warn('Could not restore highlight:', highlight.id);
+                return;
+            }
+
+            this.wrapRange(range, highlight);
+            if (!highlight.selectors) {
+                const spans = document.querySelectorAll(`.color-highlight[data-highlight-id="${highlight.id}"]`);
+                migrated = TextAnchor.migrate('highlight', highlight, spans[0], spans[spans.length - 1]) || migrated;
+            }
+        });
+
+        if (migrated) this.saveToStorage();
+        this.applyFilter();
+    },
+
+    /**
+     * Show only the highlights of the filtered category
+     */
+    setFilter(categoryId) {
+        State.highlightFilter = categoryId;
+        this.applyFilter();
+    },
+
+    /**
+     * Fade highlights of other categories while a filter is set
+     */
+    applyFilter() {
+        const filter = State.highlightFilter;
+        document.querySelectorAll('.color-highlight').forEach(span => {
+            span.classList.toggle('filtered-out', !!filter && span.dataset.category !== filter);
+        });
+    },
+
+    /**
+     * Render the legend and the filter in the settings
+     */
+    renderLegend() {
+        const counts = {};
+        Object.values(State.highlights).forEach(bookHighlights => {
+            bookHighlights.forEach(h => { counts[h.category] = (counts[h.category] || 0) + 1; });
+        });
+
+        Elements.highlightLegend.innerHTML = State.highlightCategories.map(category => {
+            const id = Utils.escapeHTML(category.id);
+            const name = Utils.escapeHTML(category.name);
+            return `<div class="highlight-legend-row">
+                <input type="color" class="highlight-color-input" value="${category.color}" data-id="${id}" aria-label="Color of ${name}" onchange="HighlightManager.updateCategory(this.dataset.id, { color: this.value })">
+                <input type="text" class="setting-control highlight-name-input" value="${name}" data-id="${id}" aria-label="Name of ${name}" onchange="HighlightManager.updateCategory(this.dataset.id, { name: this.value })">
+                <span class="highlight-count" title="Highlights in all volumes">${counts[category.id] || 0}</span>
+                <button class="note-action-btn" data-action="remove" data-id="${id}" aria-label="Remove ${name}" title="Remove color and its highlights" onclick="HighlightManager.removeCategory(this.dataset.id); return false;"><span class="material-icons">delete</span></button>
+            </div>`;
+        }).join('');
+
+        if (State.highlightFilter && !this.getCategory(State.highlightFilter)) {
+            State.highlightFilter = '';
+        }
+        Elements.highlightFilter.innerHTML = '<option value="">Show all colors</option>' +
+            State.highlightCategories.map(category =>
+                `<option value="${Utils.escapeHTML(category.id)}">Only ${Utils.escapeHTML(category.name)}</option>`
+            ).join('');
+        Elements.highlightFilter.value = State.highlightFilter;
+    },
+
+    /**
+     * Rename or recolor a category
+     */
+    updateCategory(categoryId, changes) {
+        const category = this.getCategory(categoryId);
+        if (!category) return;
+
+        if (changes.name !== undefined && changes.name.trim()) category.name = changes.name.trim();
+        if (changes.color !== undefined && this.COLOR_REGEX.test(changes.color)) category.color = changes.color;
+        this.saveToStorage();
+
+        document.querySelectorAll(`.color-highlight[data-category="${categoryId}"]`).forEach(span => {
+            span.style.setProperty('--highlight-color', category.color);
+        });
+        this.renderLegend();
+    },
+
+    /**
+     * Add a category with the next unused color
+     */
+    addCategory() {
+        const used = new Set(State.highlightCategories.map(category => category.color));
+        const color = this.NEW_COLORS.find(c => !used.has(c)) || this.NEW_COLORS[0];
+
+        State.highlightCategories.push({
+            id: 'cat_' + Date.now(),
+            name: `Color ${State.highlightCategories.length + 1}`,
+            color
+        });
+        this.saveToStorage();
+        this.renderLegend();
+    },
+
+    /**
+     * Remove a category together with its highlights
+     */
+    removeCategory(categoryId) {
+        const category = this.getCategory(categoryId);
+        if (!category) return;
+        if (State.highlightCategories.length === 1) {
+            NotificationManager.show('Keep at least one highlight color', 'info');
+            return;
+        }
+
+        let removed = 0;
+        Object.keys(State.highlights).forEach(bookIndex => {
+            const before = State.highlights[bookIndex].length;
+            State.highlights[bookIndex] = State.highlights[bookIndex].filter(h => h.category !== categoryId);
+            removed += before - State.highlights[bookIndex].length;
+        });
+        State.highlightCategories = State.highlightCategories.filter(c => c.id !== categoryId);
+        this.saveToStorage();
+
+        this.removeHighlightSpans(`.color-highlight[data-category="${categoryId}"]`);
+        this.renderLegend();
+        this.applyFilter();
+        NotificationManager.show(`Removed "${category.name}" and ${removed} highlight${removed !== 1 ? 's' : ''}`, 'info');
+    },
+
+    /**
+     * Find a category by id
+     */
+    getCategory(categoryId) {
+        return State.highlightCategories.find(category => category.id === categoryId) || null;
+    },
+
+    /**
+     * Find a highlight by id
+     */
+    findHighlightById(highlightId) {
+        for (const bookHighlights of Object.values(State.highlights)) {
+            const highlight = bookHighlights.find(h => h.id === highlightId);
+            if (highlight) return highlight;
+        }
+        return null;
+    },
+
+    /**
+     * Generate unique ID for highlight
+     */
+    generateId() {
+        return 'hl_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    },
+
+    /**
+     * Save highlights and categories to localStorage
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.HIGHLIGHTS, JSON.stringify(State.highlights));
+            localStorage.setItem(CONFIG.STORAGE_KEYS.HIGHLIGHT_CATEGORIES, JSON.stringify(State.highlightCategories));
+        } catch (error) {
+            console.error('Failed to save highlights:', error);
+        }
+    },
+
+    /**
+     * Load highlights and categories from localStorage
+     */
+    loadFromStorage() {
+        try {
+            const highlights = localStorage.getItem(CONFIG.STORAGE_KEYS.HIGHLIGHTS);
+            const categories = localStorage.getItem(CONFIG.STORAGE_KEYS.HIGHLIGHT_CATEGORIES);
+            State.highlights = highlights ? JSON.parse(highlights) : {};
+            State.highlightCategories = categories ? JSON.parse(categories) : this.DEFAULT_CATEGORIES.map(c => ({ ...c }));
+        } catch (error) {
+            console.error('Failed to load highlights:', error);
+            State.highlights = {};
+            State.highlightCategories = this.DEFAULT_CATEGORIES.map(c => ({ ...c }));
+        }
+        // Colors end up in style attributes
+        State.highlightCategories = State.highlightCategories.filter(c => this.COLOR_REGEX.test(c.color));
+    }
+};
+
+// ===== EPUB MANAGER =====
+const EPUBManager = {
+    /**
+     * Load all EPUB files
+     */
+    async loadAll() {
+        for (let i = 0; i < CONFIG.EPUB_FILES.length; i++) {
+            const fileName = CONFIG.EPUB_FILES[i];
+
+            try {
+                await this.loadSingle(fileName, i);
+            } catch (error) {
+                console.error(`Failed to load EPUB: ${fileName}`, error);
+                // Add placeholder for failed book
+                State.epubBooks[i] = null;
+                State.bookContents[i] = `<div class="error-content">
+                    <h2>Failed to Load Book</h2>
+                    <p>Could not load "${Utils.getBookTitle(fileName)}"</p>
+                    <p>Error: ${error.message}</p>
+                </div>`;
+                State.bookTOCs[i] = [];
+            }
+        }
+
+    },
+
+    /**
+     * Load single EPUB file using custom JSZip implementation
+     */
+    async loadSingle(fileName, index) {
+        // Fetch the EPUB file
+        const response = await fetch(fileName);
+        if (!response.ok) {
+            throw new Error(`File not found (${response.status})`);
+        }
+
+        const arrayBuffer = await response.arrayBuffer();
+        // Load EPUB with JSZip
+        const zip = await JSZip.loadAsync(arrayBuffer);
+
+        // Parse EPUB structure
+        const epubData = await this.parseEPUB(zip);
+
+        // Extract content and get filtered spine
+        const { content, filteredSpine } = await this.extractContentFromZip(zip, epubData);
+        const toc = this.extractTOCFromManifest(epubData, filteredSpine);
+
+        // Store in state
+        State.epubBooks[index] = epubData;
+        State.bookContents[index] = content;
+        State.bookTOCs[index] = toc;
+
+        return epubData;
+    },
+
+    /**
+     * Parse EPUB structure from ZIP
+     */
+    async parseEPUB(zip) {
+        // Read container.xml to find OPF file
+        const containerXML = await zip.file('META-INF/container.xml').async('text');
+        const containerDoc = new DOMParser().parseFromString(containerXML, 'application/xml');
+        const opfPath = containerDoc.querySelector('rootfile').getAttribute('full-path');
+
+
+        // Read OPF file
+        const opfXML = await zip.file(opfPath).async('text');
+        const opfDoc = new DOMParser().parseFromString(opfXML, 'application/xml');
+
+        // Extract metadata
+        const metadata = {
+            title: opfDoc.querySelector('title')?.textContent || 'Unknown Title',
+            creator: opfDoc.querySelector('creator')?.textContent || 'Unknown Author',
+            version: opfDoc.documentElement.getAttribute('version') || '2.0'
+        };
+
+        // Extract manifest (list of files)
+        const manifest = {};
+        opfDoc.querySelectorAll('manifest item').forEach(item => {
+            manifest[item.getAttribute('id')] = {
+                href: item.getAttribute('href'),
+                mediaType: item.getAttribute('media-type')
+            };
+        });
+
+        // Extract spine (reading order)
+        const spine = [];
+        opfDoc.querySelectorAll('spine itemref').forEach(itemref => {
+            const idref = itemref.getAttribute('idref');
+            if (manifest[idref]) {
+                spine.push({
+                    id: idref,
+                    href: manifest[idref].href,
+                    mediaType: manifest[idref].mediaType
+                });
+            }
+        });
+
+        // Extract TOC (try NCX first, then navigation document)
+        let tocHref = null;
+        const tocItem = opfDoc.querySelector('spine').getAttribute('toc');
+        if (tocItem && manifest[tocItem]) {
+            tocHref = manifest[tocItem].href;
+        } else {
+            // Look for navigation document in EPUB3
+            const navItem = opfDoc.querySelector('item[properties*="nav"]');
+            if (navItem) {
+                tocHref = navItem.getAttribute('href');
+            }
+        }
+
+        return {
+            opfPath,
+            metadata,
+            manifest,
+            spine,
+            tocHref,
+            version: metadata.version
+        };
+    },
+
+    /**
+     * Extract content from ZIP using parsed EPUB data
+     */
+    async extractContentFromZip(zip, epubData) {
+        const chapters = [];
+        const filteredSpine = [];
+        const basePath = epubData.opfPath.replace(/[^/]*$/, ''); // Get directory path
+
+
+        for (let i = 0; i < epubData.spine.length; i++) {
+            const spineItem = epubData.spine[i];
+            const filePath = basePath + spineItem.href;
+
+            // Processing chapter silently
+
+            try {
+                // Get file from ZIP
+                const file = zip.file(filePath);
+                if (!file) {
+                    chapters.push(`<p><em>Chapter ${i + 1}: File not found</em></p>`);
+                    continue;
+                }
+
+                // Read file content
+                const fileContent = await file.async('text');
+                // File loaded
+
+                // Parse XHTML content
+                let doc;
+                try {
+                    // Try XML parser first for XHTML
+                    const parser = new DOMParser();
+                    doc = parser.parseFromString(fileContent, 'application/xhtml+xml');
+
+                    // Check if parsing failed
+                    const parserError = doc.querySelector('parsererror');
+                    if (parserError) {
+                        throw new Error('XML parsing failed');
+                    }
+                } catch (xmlError) {
+                    // Fallback to HTML parser
+                    // XML->HTML fallback
+                    const parser = new DOMParser();
+                    doc = parser.parseFromString(fileContent, 'text/html');
+                }
+
+                // Extract body content
+                let html = '';
+                const body = doc.querySelector('body');
+                if (body) {
+                    html = body.innerHTML;
+                } else {
+                    // No body tag, try to get meaningful content
+                    const content = doc.documentElement;
+                    if (content) {
+                        html = content.innerHTML;
+                    } else {
+                        html = fileContent;
+                    }
+                }
+
+                // Clean up XHTML/XML artifacts
+                if (html) {
+                    html = this.cleanXHTMLContent(html);
+                    // Fix links and images
+                    html = this.fixContentLinks(html, epubData, zip);
+
+                    // Extract chapter title from content
+                    const chapterTitle = this.extractChapterTitle(html, spineItem.href);
+
+                    // Skip sections marked for removal
+                    if (chapterTitle === '__SKIP_SECTION__') {
+                        continue; // Skip this iteration entirely
+                    }
+
+                    // Add to filtered spine for TOC generation
+                    filteredSpine.push(spineItem);
+
+                    // Add chapter anchor for navigation
+                    const chapterAnchor = spineItem.href.replace(/[^a-zA-Z0-9]/g, '_');
+                    html = `<div id="chapter_${chapterAnchor}" class="chapter-content" data-title="${chapterTitle}">${html}</div>`;
+                }
+
+                if (html && html.length > 0) {
+                    chapters.push(html);
+                    // Chapter processed
+                } else {
+                    // No content warning
+                    chapters.push(`<p><em>Chapter ${i + 1}: No content available</em></p>`);
+                }
+
+            } catch (error) {
+                chapters.push(`<p><em>Chapter ${i + 1}: Error loading - ${error.message}</em></p>`);
+            }
+        }
+
+        const fullContent = chapters.join('\n<div class="chapter-separator"></div>\n');
+        return { content: fullContent, filteredSpine };
+    },
+
+    /**
+     * Clean XHTML content for display
+     */
+    cleanXHTMLContent(html) {
+        return html
+            .replace(/xmlns[^=]*="[^"]*"/g, '') // Remove xmlns attributes
+            .replace(/<\?xml[^>]*\?>/g, '') // Remove XML declarations
+            .replace(/epub:type="[^"]*"/g, '') // Remove epub:type attributes
+            .replace(/xml:lang="[^"]*"/g, '') // Remove xml:lang attributes
+            .replace(/<head>[\s\S]*?<\/head>/gi, '') // Remove head sections
+            .replace(/<html[^>]*>/gi, '') // Remove html tags
+            .replace(/<\/html>/gi, '')
+            .replace(/<body[^>]*>/gi, '') // Remove body opening tags
+            .replace(/<\/body>/gi, '') // Remove body closing tags
+            .replace(/<img[^>]*>/gi, '') // Remove img tags to avoid 404 errors
+            .trim();
+    },
+
+    /**
+     * Fix internal links and images in content
+     */
+    fixContentLinks(html, epubData, zip) {
+        const basePath = epubData.opfPath.replace(/[^/]*$/, '');
+
+        // Images are hidden via CSS, skip processing for now
+        // html = html.replace(/src="([^"]+\.(jpg|jpeg|png|gif|svg))"/gi, ...);
+
+        // Fix internal links to work as anchors within the same page
+        let linkCount = 0;
+        html = html.replace(/href="([^"]+\.xhtml?)(?:#([^"]+))?"/gi, (match, filePath, anchor) => {
+            linkCount++;
+            if (anchor) {
+                // Convert to internal anchor link
+                return `href="#${anchor}"`;
+            } else {
+                // Link to another chapter - convert to anchor based on file name
+                const chapterAnchor = filePath.replace(/[^a-zA-Z0-9]/g, '_');
+                return `href="#chapter_${chapterAnchor}"`;
+            }
+        });
+
+        if (linkCount > 0) {
+        }
+
+        return html;
+    },
+
+    /**
+     * Detect common Project Gutenberg metadata sections
+     */
+    detectProjectGutenbergSection(html, href) {
+        const cleanText = html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+        // Check for empty or minimal content sections that should be filtered out
+        if (cleanText.length < 50 ||
+            cleanText.match(/^\s*$/) ||
+            href.includes('wrapooo') ||
+            cleanText.match(/^\s*[\w\d\-_]+\s*$/)) {
+            return '__SKIP_SECTION__'; // Special marker for sections to skip
+        }
+
+        // Project Gutenberg title page detection
+        if (cleanText.includes('The Project Gutenberg eBook') ||
+            cleanText.includes('This ebook is for the use of anyone anywhere')) {
+            return 'Project Gutenberg Information';
+        }
+
+        // Publisher/distributor information detection
+        if (cleanText.includes('Distributed By:') && cleanText.includes('D K Publishers') ||
+            cleanText.includes('Published By:') && cleanText.includes('Low Price Publications') ||
+            cleanText.includes('ISBN') && cleanText.includes('Reprinted')) {
+            return 'Publisher Information';
+        }
+
+        // Table of Contents detection
+        if (cleanText.includes('TABLE OF CONTENTS') || cleanText.includes('CONTENTS')) {
+            return 'Table of Contents';
+        }
+
+        // Preface/Introduction detection - only for standalone preface sections, not chapter introductions
+        if (cleanText.includes('PREFACE') ||
+            (cleanText.includes('INTRODUCTION') && !cleanText.includes('CHAPTER'))) {
+            return 'Preface';
+        }
+
+        return null;
+    },
+
+    /**
+     * Extract chapter title from HTML content
+     */
+    extractChapterTitle(html, href) {
+        // Check for common Project Gutenberg sections first
+        const pgSections = this.detectProjectGutenbergSection(html, href);
+        if (pgSections) {
+            if (pgSections === '__SKIP_SECTION__') {
+                return pgSections;
+            }
+            return pgSections;
+        }
+
+        // Try multiple patterns to find chapter titles
+        const patterns = [
+            // Pattern 1: CHAPTER IX. Title
+            /<h[1-6][^>]*>(\s*CHAPTER\s+[IVX\d]+\.?\s*[^<]*?)<\/h[1-6]>/i,
+            // Pattern 2: Any heading with "CHAPTER"
+            /<h[1-6][^>]*>([^<]*CHAPTER[^<]*)<\/h[1-6]>/i,
+            // Pattern 3: First substantial heading (more than 10 chars)
+            /<h[1-6][^>]*>([^<]{10,})<\/h[1-6]>/i,
+            // Pattern 4: Any first heading
+            /<h[1-6][^>]*>(.*?)<\/h[1-6]>/i
+        ];
+
+        for (const pattern of patterns) {
+            const match = html.match(pattern);
+            if (match) {
+                let title = match[1]
+                    .replace(/<[^>]*>/g, '') // Remove HTML tags
+                    .replace(/\[[^\]]*\]/g, '') // Remove footnote references like [22]
+                    .replace(/\s+/g, ' ') // Normalize whitespace
+                    .replace(/^\s*\d+\.\s*/, '') // Remove leading numbers like "1. "
+                    .replace(/:$/, '') // Remove trailing colon
+                    .replace(/\.$/, '') // Remove trailing dot
+                    .trim();
+
+                // If we found a chapter title, clean it up nicely
+                if (title && title.length > 3 && title.length < 200) {
+                    // Fix common formatting issues
+                    title = title
+                        .replace(/\.\s*\.\s*\./g, '...') // Fix multiple dots
+                        .replace(/\s*\.\s*$/, '.') // Ensure single dot at end
+                        .replace(/([A-Z])\s+([A-Z])/g, '$1 $2'); // Fix spacing
+
+                    return title;
+                }
+            }
+        }
+
+        // Last resort: use filename but make it more readable
+        const fileName = href.split('/').pop().replace(/\.(x?html?)$/, '');
+        return `Section: ${fileName}`;
+    },
+
+    /**
+     * Extract TOC from parsed EPUB manifest
+     */
+    extractTOCFromManifest(epubData, filteredSpine = null) {
+        // Use filtered spine if provided, otherwise fall back to full spine
+        const spineItems = filteredSpine || epubData.spine;
+
+        // Generate TOC from spine items with better titles
+        const toc = spineItems.map((item, index) => {
+            // Generate chapter anchor that matches our content
+            const chapterAnchor = item.href.replace(/[^a-zA-Z0-9]/g, '_');
+
+            return {
+                label: `Chapter ${index + 1}`, // Will be updated after content loads
+                href: item.href,
+                id: item.id,
+                anchor: `chapter_${chapterAnchor}`
+            };
+        });
+
+        return toc;
+    },
+
+    /**
+     * Update TOC with actual chapter titles after content is loaded
+     */
+    updateTOCWithTitles() {
+        const toc = State.bookTOCs[State.currentBookIndex];
+        if (!toc) return;
+
+
+        // Find all chapter content divs and extract titles from actual content
+        document.querySelectorAll('.chapter-content').forEach((chapterDiv, index) => {
+            let title = null;
+
+            // First check if this is a Project Gutenberg section
+            const pgSection = this.detectProjectGutenbergSection(chapterDiv.innerHTML, '');
+            if (pgSection) {
+                if (pgSection === '__SKIP_SECTION__') {
+                    return; // Skip this section in TOC
+                }
+                title = pgSection;
+            } else {
+                // Try to extract title from the actual rendered content
+                const heading = chapterDiv.querySelector('h1, h2, h3, h4, h5, h6');
+
+                if (heading) {
+                    title = heading.textContent
+                        .replace(/\[[^\]]*\]/g, '') // Remove footnote references like [22]
+                        .replace(/\s+/g, ' ')
+                        .replace(/:$/, '') // Remove trailing colon
+                        .replace(/\.$/, '') // Remove trailing dot
+                        .trim();
+
+                    // If title is too long, truncate it
+                    if (title.length > 80) {
+                        title = title.substring(0, 80) + '...';
+                    }
+
+                } else {
+                    // Fallback to data-title attribute
+                    title = chapterDiv.getAttribute('data-title');
+                }
+            }
+
+            if (title && toc[index]) {
+                toc[index].label = title;
+            }
+        });
+
+    },
+
+    /**
+     * Parse NCX or navigation document for detailed TOC (future enhancement)
+     */
+    async extractDetailedTOC(zip, epubData) {
+        if (!epubData.tocHref) {
+            return this.extractTOCFromManifest(epubData);
+        }
+
+        try {
+            const basePath = epubData.opfPath.replace(/[^/]*$/, '');
+            const tocPath = basePath + epubData.tocHref;
+            const tocFile = zip.file(tocPath);
+
+            if (!tocFile) {
+                return this.extractTOCFromManifest(epubData);
+            }
+
+            const tocContent = await tocFile.async('text');
+            const tocDoc = new DOMParser().parseFromString(tocContent, 'application/xml');
+
+            // Parse NCX format
+            if (tocContent.includes('ncx')) {
+                return this.parseNCXTOC(tocDoc);
+            }
+
+            // Parse EPUB3 navigation document
+            if (tocContent.includes('nav')) {
+                return this.parseNavTOC(tocDoc);
+            }
+
+            return this.extractTOCFromManifest(epubData);
+        } catch (error) {
+            return this.extractTOCFromManifest(epubData);
+        }
+    },
+
+    /**
+     * Parse NCX TOC format
+     */
+    parseNCXTOC(doc) {
+        const navPoints = doc.querySelectorAll('navPoint');
+        const toc = [];
+
+        navPoints.forEach(navPoint => {
+            const navLabel = navPoint.querySelector('navLabel text');
+            const content = navPoint.querySelector('content');
+
+            if (navLabel && content) {
+                toc.push({
+                    label: navLabel.textContent.trim(),
+                    href: content.getAttribute('src'),
+                    id: navPoint.getAttribute('id')
+                });
+            }
+        });
+
+        return toc;
+    },
+
+    /**
+     * Parse EPUB3 navigation document
+     */
+    parseNavTOC(doc) {
+        const tocNav = doc.querySelector('nav[*|type="toc"]') || doc.querySelector('nav');
+        if (!tocNav) return [];
+
+        const links = tocNav.querySelectorAll('a');
+        const toc = [];
+
+        links.forEach(link => {
+            toc.push({
+                label: link.textContent.trim(),
+                href: link.getAttribute('href'),
+                id: link.getAttribute('href')
+            });
+        });
+
+        return toc;
+    }
+};
+
+// ===== LEXICON MANAGER =====
+const LexiconManager = {
+    splitCache: new Map(), // word → SanskritSplitter.split result (null if nothing was found)
+    lemmaCache: new Map(), // word → SanskritLemmatizer.lemmatize analyses
+
+    /**
+     * Load lexicon data
+     */
+    async load() {
+        try {
+            // Load Devanagari lexicon
+            const devaResponse = await fetch(CONFIG.LEXICON_FILE_DEVA);
+            if (devaResponse.ok) {
+                State.lexicon = await devaResponse.json();
+            } else {
+                console.warn('Devanagari lexicon file not found');
+            }
+        } catch (error) {
+            console.error('Failed to load Devanagari lexicon:', error);
+        }
+
+        try {
+            // Load IAST lexicon
+            const iastResponse = await fetch(CONFIG.LEXICON_FILE_IAST);
+            if (iastResponse.ok) {
+                State.iastLexicon = await iastResponse.json();
+                // Create fast lookup set for IAST keys
+                State.iastKeySet = new Set(Object.keys(State.iastLexicon));
+            } else {
+                console.warn('IAST lexicon file not found');
+            }
+        } catch (error) {
+            console.error('Failed to load IAST lexicon:', error);
+        }
+
+        // Structured entries are optional - definitions fall back to the Markdown text
+        for (const file of CONFIG.STRUCTURED_LEXICON_FILES) {
+            try {
+                const structuredResponse = await fetch(file);
+                if (structuredResponse.ok) {
+                    Object.assign(State.structuredLexicon, await structuredResponse.json());
+                }
+            } catch (error) {
+                console.warn(`Failed to load structured lexicon ${file}:`, error);
+            }
+        }
+        State.rootIndex = null; // Rebuilt from the loaded lexicons on first use
+        State.splitDictionary = null;
+        this.splitCache.clear();
+        this.lemmaCache.clear();
+
+        try {
+            // Load passages mapping
+            const mappingResponse = await fetch(CONFIG.PASSAGES_MAPPING_FILE);
+            if (mappingResponse.ok) {
+                State.passagesMapping = await mappingResponse.json();
+            } else {
+                console.warn('Passages mapping file not found');
+            }
+        } catch (error) {
+            console.error('Failed to load passages mapping:', error);
+        }
+
+        try {
+            // Load passages translations
+            const translationsResponse = await fetch(CONFIG.PASSAGES_TRANSLATIONS_FILE);
+            if (translationsResponse.ok) {
+                State.passagesTranslations = await translationsResponse.json();
+            } else {
+                console.warn('Passages translations file not found');
+            }
+        } catch (error) {
+            console.error('Failed to load passages translations:', error);
+        }
+    },
+
+
+
+    /**
+     * Generate the hash key of a Sanskrit passage (passage-hash.js, Web Crypto)
+     * @param {string} passage - The Sanskrit passage text
+     * @returns {Promise<string>} - 12-character hash key
+     */
+    async generatePassageHash(passage) {
+        return PassageHash.generatePassageHashAsync(passage);
+    },
+
+    /**
+     * Process content to make Sanskrit words clickable
+     */
+    processContent(element) {
+        const walker = document.createTreeWalker(
+            element,
+            NodeFilter.SHOW_TEXT,
+            {
+                acceptNode: (node) => {
+                    // Skip script and style elements
+                    const parent = node.parentElement;
+                    return parent && !['SCRIPT', 'STYLE'].includes(parent.tagName)
+                        ? NodeFilter.FILTER_ACCEPT
+                        : NodeFilter.FILTER_REJECT;
+                }
+            }
+        );
+
+        const textNodes = [];
+        let node;
+        while (node = walker.nextNode()) {
+            textNodes.push(node);
+        }
+
+        textNodes.forEach(textNode => {
+            const text = textNode.textContent;
+            const matches = [];
+
+            // Find all Devanagari matches that exist in lexicon
+            CONFIG.DEVANAGARI_REGEX.lastIndex = 0;
+            let match;
+            while ((match = CONFIG.DEVANAGARI_REGEX.exec(text)) !== null) {
+                // Normalize: remove zero-width spaces for lexicon lookup
+                const normalized = match[0].replace(/[\u200B\u200C\u200D\uFEFF]/g, '');
+                const type = State.lexicon[normalized] ? 'devanagari' : this.getLookupType(normalized);
+                if (type) {
+                    matches.push({
+                        index: match.index,
+                        length: match[0].length,
+                        text: match[0],  // Keep original text with zero-width chars
+                        normalizedText: normalized,  // Store normalized for lexicon lookup
+                        type: type
+                    });
+                }
+            }
+
+            // Find all [Sanskrit: ...] patterns and process words within them
+            CONFIG.SANSKRIT_PATTERN_REGEX.lastIndex = 0;
+            while ((match = CONFIG.SANSKRIT_PATTERN_REGEX.exec(text)) !== null) {
+                const patternStart = match.index;
+                const patternEnd = match.index + match[0].length;
+                const sanskritContent = match[1]; // Content inside [Sanskrit: ...]
+
+                // Skip if this pattern overlaps with any Devanagari match
+                const patternOverlaps = matches.some(existing =>
+                    patternStart < existing.index + existing.length &&
+                    patternEnd > existing.index
+                );
+
+                if (patternOverlaps) continue;
+
+                // Extract individual words from the Sanskrit pattern content
+                const words = sanskritContent
+                    .split(/[,;]/) // Split on comma or semicolon
+                    .map(word => word.trim())
+                    .filter(word => word.length > 0)
+                    .map(word => word.replace(/\s+and\s+/g, ', ')) // Handle "and" between words
+                    .flatMap(word => word.split(/,\s*/)) // Split on remaining commas
+                    .map(word => word.trim())
+                    .filter(word => word.length > 0)
+                    .filter(word => !word.includes('|')) // Filter out long passages with |
+                    .filter(word => word.length < 100) // Filter out very long entries
+                    .flatMap(phrase => {
+                        // Split each phrase into individual words
+                        return phrase.split(/\s+/)
+                            .map(w => w.trim())
+                            .filter(w => w.length > 0)
+                            .filter(w => w.length > 1) // At least 2 characters
+                            .filter(w => !/^[.,:;!?()[\]{}]$/.test(w)); // Filter out punctuation
+                    });
+
+                // For each word, check if it exists in IAST lexicon and find its position in the pattern
+                words.forEach(word => {
+                    const type = State.iastKeySet.has(word) ? 'iast' : this.getLookupType(word);
+                    if (type) {
+                        // Find the word's position within the Sanskrit pattern content
+                        const wordIndex = sanskritContent.indexOf(word);
+                        if (wordIndex !== -1) {
+                            const absoluteIndex = patternStart + '[Sanskrit: '.length + wordIndex;
+
+                            matches.push({
+                                index: absoluteIndex,
+                                length: word.length,
+                                text: word,
+                                type: type,
+                                patternStart: patternStart,
+                                patternEnd: patternEnd
+                            });
+                        }
+                    }
+                });
+            }
+
+            // If no matches found, skip processing
+            if (matches.length === 0) return;
+
+            // Sort matches by index
+            matches.sort((a, b) => a.index - b.index);
+
+            // Build fragment with clickable words
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+
+            matches.forEach(match => {
+                // Add text before match
+                if (match.index > lastIndex) {
+                    fragment.appendChild(
+                        document.createTextNode(text.slice(lastIndex, match.index))
+                    );
+                }
+
+                // Create clickable Sanskrit word
+                const span = document.createElement('span');
+                span.className = 'sanskrit-word';
+                span.textContent = match.text;
+                // Use normalized text for lexicon lookup (removes zero-width spaces)
+                const lookupWord = match.normalizedText || match.text;
+                span.setAttribute('data-word', lookupWord);
+                span.setAttribute('data-type', match.type);
+                span.setAttribute('role', 'button');
+                span.setAttribute('tabindex', '0');
+                span.setAttribute('aria-label', `Sanskrit word: ${lookupWord}`);
+                fragment.appendChild(span);
+
+                lastIndex = match.index + match.length;
+            });
+
+            // Add remaining text
+            if (lastIndex < text.length) {
+                fragment.appendChild(
+                    document.createTextNode(text.slice(lastIndex))
+                );
+            }
+
+            if (fragment.childNodes.length > 0) {
+                textNode.parentNode.replaceChild(fragment, textNode);
+            }
+        });
+    },
+
+    /**
+     * Show lexicon entry for word
+     */
+    showEntry(word, searchQuery = null, passageHash = null) {
+        // Store current word and reset view state
+        State.lexiconView.currentWord = word;
+        State.lexiconView.showingPassages = false;
+        State.lexiconView.contextPassageHash = passageHash; // Store passage hash for context
+        State.lexiconView.showingIndex = false;
+        State.lexiconView.editing = false;
+        State.lexiconView.tab = 'definition';
+
+        this.renderLexiconView(word, searchQuery);
+        ModalManager.open('lexicon');
     },
 
     /**
      * Render lexicon view (either definition or passages)
      */
-    renderLexiconView(word, searchQuery = null) {
-        let entry = null;
-        let lexiconType = '';
+    renderLexiconView(word, searchQuery = null) {
+        let entry = null;
+        let lexiconType = '';
+
+        // First check Devanagari lexicon
+        if (State.lexicon[word]) {
+            entry = State.lexicon[word];
+            lexiconType = 'Devanagari';
+        }
+        // Then check IAST lexicon
+        else if (State.iastLexicon[word]) {
+            entry = State.iastLexicon[word];
+            lexiconType = 'IAST';
+        }
+
+        // Get passages for this word
+        const passages = State.passagesMapping[word] || [];
+        const passagesCount = passages.length;
+
+        let content = '';
+        this.updateTabs();
+        FlashcardManager.updateStarButton(word);
+
+        if (State.lexiconView.tab === 'roots') {
+            content = this.renderRootsView();
+        } else if (State.lexiconView.showingIndex) {
+            content = this.renderIndexView();
+        } else if (State.lexiconView.editing) {
+            content = LexiconOverrideManager.renderEditor(word);
+        } else if (!State.lexiconView.showingPassages) {
+            // Check if we have passage context from word click
+            const contextHash = State.lexiconView.contextPassageHash;
+            const contextTranslation = contextHash ? State.passagesTranslations[contextHash] : null;
+
+            // If we have passage context with translation, show it first
+            if (contextTranslation) {
+                const converter = new showdown.Converter();
+                content += `<h2 class="passage-section-title">Passage</h2>`;
+
+                // Render translation with word highlighted
+                const translationHtml = converter.makeHtml(contextTranslation);
+
+                // Remove the "# Passage" heading and horizontal rule from the markdown-rendered HTML
+                // The translation markdown contains "# Passage" which creates duplicate heading
+                const cleanedTranslationHtml = translationHtml
+                    .replace(/<h1[^>]*>Passage<\/h1>/gi, '')
+                    .replace(/<hr\s*\/?>/gi, '');
+
+                const highlightedTranslation = this.highlightWordInPassage(cleanedTranslationHtml, word);
+                content += `<div class="passage-translation passage-context">`;
+                content += highlightedTranslation;
+                content += `</div>`;
+            }
+
+            // Show definition view - words missing from the lexicon are resolved by their
+            // ending (declined / conjugated forms) or split into lexicon words
+            let definitionContent = this.renderDefinition(word);
+            const found = definitionContent !== null;
+            if (!found) {
+                const lemmas = this.lemmatizeWord(word);
+                const split = lemmas.length > 0 ? null : this.splitWord(word);
+                if (lemmas.length > 0) {
+                    definitionContent = this.renderLemmaView(word, lemmas);
+                } else if (split) {
+                    definitionContent = this.renderComponentsView(word, split);
+                } else {
+                    definitionContent = `<h2>${word}</h2><p>Definition not found in lexicon.</p><p><em>Searched in both Devanagari and IAST lexicons.</em></p>`;
+                }
+            }
+
+            // Highlight search query if provided (text only - tags and attributes are left alone)
+            let highlightedDefinition = definitionContent;
+            if (searchQuery && found) {
+                try {
+                    const searchPattern = new RegExp(searchQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+                    highlightedDefinition = definitionContent
+                        .split(/(<[^>]*>)/)
+                        .map(part => part.startsWith('<') ? part : part.replace(searchPattern, (match) => {
+                            return `<span class="search-highlight">${match}</span>`;
+                        }))
+                        .join('');
+                } catch (e) {
+                    // If regex fails, skip highlighting
+                }
+            }
+
+            content += highlightedDefinition;
+
+            if (LexiconOverrideManager.getShippedEntry(word)) {
+                content += `
+                    <div class="lexicon-passages-toggle">
+                        <button class="passages-toggle-btn lexicon-edit-btn" onclick="LexiconOverrideManager.edit(); return false;">
+                            ${LexiconOverrideManager.get(word) ? 'Change my edit' : 'Edit entry or add a gloss'}
+                        </button>
+                    </div>
+                `;
+            }
+
+            // Add toggle button if passages exist
+            if (passagesCount > 0) {
+                content += `
+                    <div class="lexicon-passages-toggle">
+                        <button class="passages-toggle-btn" onclick="LexiconManager.togglePassagesView(); return false;">
+                            Appears in ${passagesCount} passage${passagesCount !== 1 ? 's' : ''}
+                        </button>
+                    </div>
+                `;
+            }
+
+            if (Object.keys(State.structuredLexicon).length > 0) {
+                content += `
+                    <div class="lexicon-passages-toggle">
+                        <button class="passages-toggle-btn lexicon-browse-btn" onclick="LexiconManager.showIndex(); return false;">
+                            Browse all entries by POS or root
+                        </button>
+                    </div>
+                `;
+            }
+        } else {
+            // Show passages view
+            content = this.renderPassagesView(word, passages);
+        }
+
+        Elements.lexiconContent.innerHTML = Utils.createSafeHTML(content);
+    },
+
+    /**
+     * Render the definition of a lexicon word (structured fields when available) merged with
+     * the personal edit, null if not found
+     */
+    renderDefinition(word) {
+        const shipped = this.renderShippedDefinition(word);
+        const override = LexiconOverrideManager.get(word);
+        return shipped !== null && override ? LexiconOverrideManager.renderMerged(word, override, shipped) : shipped;
+    },
+
+    /**
+     * Render the shipped definition of a lexicon word, null if not found
+     */
+    renderShippedDefinition(word) {
+        const structured = State.structuredLexicon[word];
+        if (structured) return this.renderStructuredEntry(word, structured);
+
+        const entry = State.lexicon[word] || State.iastLexicon[word];
+        return entry ? new showdown.Converter().makeHtml(entry) : null;
+    },
+
+    /**
+     * Lexicon keys by folded form, shared by SanskritSplitter and SanskritLemmatizer
+     */
+    getSplitDictionary() {
+        if (!State.splitDictionary) {
+            State.splitDictionary = SanskritSplitter.createDictionary([
+                ...Object.keys(State.lexicon),
+                ...State.iastKeySet
+            ]);
+        }
+        return State.splitDictionary;
+    },
+
+    /**
+     * Split a word missing from the lexicon into lexicon words (sandhi reversal, compound segmentation)
+     */
+    splitWord(word) {
+        if (!this.splitCache.has(word)) {
+            this.splitCache.set(word, SanskritSplitter.split(word, this.getSplitDictionary()));
+        }
+        return this.splitCache.get(word);
+    },
+
+    /**
+     * Resolve a declined or conjugated word to lexicon headwords by its ending
+     */
+    lemmatizeWord(word) {
+        if (!this.lemmaCache.has(word)) {
+            this.lemmaCache.set(word, SanskritLemmatizer.lemmatize(word, this.getSplitDictionary()));
+        }
+        return this.lemmaCache.get(word);
+    },
+
+    /**
+     * How a word missing from the lexicon can still be looked up: 'inflected' when its ending
+     * leads to a headword, otherwise 'unresolved' - splitting into lexicon words is left for
+     * the click (renderLexiconView), it is too slow to run for every word on the page
+     */
+    getLookupType(word) {
+        return this.lemmatizeWord(word).length > 0 ? 'inflected' : 'unresolved';
+    },
+
+    /**
+     * Render the entry of an inflected word's headword with the guessed grammatical form
+     */
+    renderLemmaView(word, lemmas) {
+        const escape = Utils.escapeHTML;
+        const [lemma, ...others] = lemmas;
+        const link = key => `<a href="#" data-word="${escape(key)}" onclick="LexiconManager.showEntry(this.dataset.word); return false;">${escape(key)}</a>`;
+
+        let html = `<p class="lexicon-lemma-form">${escape(word)}: <strong>${escape(lemma.description)}</strong> of ${link(lemma.key)}` +
+            ` <span class="lexicon-index-meta">(guessed from the ending -${escape(lemma.ending)})</span></p>`;
+
+        if (others.length > 0) {
+            html += `<p class="lexicon-lemma-alternatives">Other readings: ` +
+                others.map(other => `${escape(other.description)} of ${link(other.key)}`).join('; ') + `</p>`;
+        }
+
+        return html + (this.renderDefinition(lemma.key) || '');
+    },
+
+    /**
+     * Render the components of a split word, each with its own entry
+     */
+    renderComponentsView(word, split) {
+        const escape = Utils.escapeHTML;
+        let html = `<h1>${escape(word)}</h1>`;
+
+        html += `<p class="lexicon-split-summary">${split.complete ? 'Compound or sandhi' : 'Partly recognized'}: ` +
+            split.components.map(component => `<strong>${escape(component.keys[0])}</strong>`).join(' + ') + `</p>`;
+        if (!split.complete) {
+            html += `<p><em>Some parts of this word are not in the lexicon.</em></p>`;
+        }
+
+        split.components.forEach(component => {
+            const key = component.keys[0];
+            html += `<details class="lexicon-component" open>`;
+            html += `<summary><span class="lexicon-index-word">${escape(component.text)}</span> → `;
+            html += `<a href="#" data-word="${escape(key)}" onclick="LexiconManager.showEntry(this.dataset.word); return false;">${escape(key)}</a>`;
+            if (component.sandhi) {
+                html += ` <span class="lexicon-index-meta">sandhi: ${escape(component.sandhi)}</span>`;
+            }
+            html += `</summary>`;
+            html += `<div class="lexicon-component-entry">${this.renderDefinition(key) || ''}</div>`;
+            html += `</details>`;
+        });
+
+        return html;
+    },
+
+    // Labels of structured entry fields (other fields are labelled from their name)
+    FIELD_LABELS: {
+        literal: 'Literal',
+        contextual: 'Contextual',
+        symbolic: 'Symbolic',
+        cosmicRole: 'Cosmic Role',
+        energeticYogicApplication: 'Energetic/Yogic Application',
+        deityOrEnergyForm: 'Deity or Energy Form',
+        mantricSignificance: 'Mantric Significance',
+        dharmicSignificance: 'Dharmic Significance',
+        symbolicRepresentation: 'Symbolic Representation',
+        primaryTextualAttestation: 'Primary Textual Attestation'
+    },
+
+    /**
+     * Render a structured entry (see create-structured-lexicon.js) field by field
+     * POS and roots link to the entry index filtered by them
+     */
+    renderStructuredEntry(word, entry) {
+        const escape = Utils.escapeHTML;
+        let html = `<h1>${escape(entry.headword || word)}</h1>`;
+
+        html += `<div class="lexicon-entry-meta">`;
+        if (entry.transliteration) {
+            html += `<span class="lexicon-transliteration">${escape(entry.transliteration)}</span>`;
+        }
+        if (entry.pos) {
+            html += this.renderFilterChip('pos', entry.pos.category, entry.pos.category);
+            html += `<span class="lexicon-pos-text">${escape(entry.pos.text)}</span>`;
+        }
+        html += `</div>`;
+
+        if (entry.rootAnalysis.length > 0) {
+            html += `<h3>Root Analysis</h3>`;
+            if (entry.roots.length > 0) {
+                html += `<div class="lexicon-roots">`;
+                entry.roots.forEach(root => {
+                    const label = `√${root.root}` + (root.meaning ? ` “${root.meaning}”` : '');
+                    html += `<button class="lexicon-chip" data-root="${escape(root.root)}" title="Show all words from this root" ` +
+                        `onclick="LexiconManager.showRoot(this.dataset.root); return false;">${escape(label)}</button>`;
+                });
+                html += `</div>`;
+            }
+            html += `<ul>${entry.rootAnalysis.map(line => `<li>${escape(line)}</li>`).join('')}</ul>`;
+        }
+
+        html += this.renderFieldList('Meanings', entry.meanings);
+
+        if (entry.learningTips.length > 0) {
+            html += `<h3>Learning Tip</h3>`;
+            html += `<ul>${entry.learningTips.map(tip => `<li>${escape(tip)}</li>`).join('')}</ul>`;
+        }
+
+        html += this.renderFieldList('Metaphysics', entry.metaphysics);
+
+        Object.keys(entry.sections || {}).forEach(name => {
+            html += `<h3>${escape(name)}</h3>`;
+            html += `<ul>${entry.sections[name].map(line => `<li>${escape(line)}</li>`).join('')}</ul>`;
+        });
+
+        return html;
+    },
+
+    /**
+     * Render labelled fields ({ literal: '...', ... }) as a definition list, skipping empty ones
+     */
+    renderFieldList(title, fields) {
+        const names = Object.keys(fields || {}).filter(name => fields[name]);
+        if (names.length === 0) return '';
+
+        let html = `<h3>${title}</h3><dl class="lexicon-fields">`;
+        names.forEach(name => {
+            const label = this.FIELD_LABELS[name] ||
+                name.replace(/([A-Z])/g, ' $1').replace(/^./, first => first.toUpperCase());
+            html += `<dt>${Utils.escapeHTML(label)}</dt><dd>${Utils.escapeHTML(fields[name])}</dd>`;
+        });
+        html += `</dl>`;
+        return html;
+    },
+
+    /**
+     * Render a chip that opens the entry index filtered by POS or root
+     */
+    renderFilterChip(filter, value, label) {
+        const escape = Utils.escapeHTML;
+        return `<button class="lexicon-chip" data-filter="${filter}" data-value="${escape(value)}" ` +
+            `title="Show all entries with this ${filter === 'pos' ? 'part of speech' : 'root'}" ` +
+            `onclick="LexiconManager.showIndex({ [this.dataset.filter]: this.dataset.value }); return false;">${escape(label)}</button>`;
+    },
+
+    /**
+     * Switch between the definition and roots tabs
+     */
+    switchTab(tab) {
+        State.lexiconView.tab = tab;
+        this.renderLexiconView(State.lexiconView.currentWord);
+    },
+
+    /**
+     * Reflect the active tab in the tab buttons
+     */
+    updateTabs() {
+        if (!Elements.lexiconDefinitionTab) return;
+        Elements.lexiconDefinitionTab.classList.toggle('active', State.lexiconView.tab === 'definition');
+        Elements.lexiconRootsTab.classList.toggle('active', State.lexiconView.tab === 'roots');
+    },
+
+    /**
+     * Open the roots tab with one root expanded
+     */
+    showRoot(root) {
+        State.lexiconView.tab = 'roots';
+        State.lexiconView.selectedRoot = this.getRootKey(root);
+        this.renderLexiconView(State.lexiconView.currentWord);
+        ModalManager.open('lexicon');
+
+        const selected = Elements.lexiconContent.querySelector('.lexicon-root[open]');
+        if (selected) selected.scrollIntoView({ block: 'start' });
+    },
+
+    /**
+     * Show the passages of a word (from the roots tab)
+     */
+    showPassages(word) {
+        State.lexiconView.currentWord = word;
+        State.lexiconView.contextPassageHash = null;
+        State.lexiconView.showingIndex = false;
+        State.lexiconView.showingPassages = true;
+        State.lexiconView.tab = 'definition';
+        this.renderLexiconView(word);
+    },
+
+    /**
+     * Roots spelled differently (bhū, bhU, भू) share one key
+     */
+    getRootKey(root) {
+        return SearchCore.foldText(root).text;
+    },
+
+    /**
+     * Verbal roots (√kṛ (kar) "to do") of a Markdown entry's Root Analysis section
+     * Parsed by lexicon-roots.js like the structured lexicon - used for entries without a structured form
+     */
+    extractRoots(markdown) {
+        const section = String(markdown || '').match(/\*\*Root Analysis\*\*:([\s\S]*?)(?:\n\s*\n|$)/);
+        if (!section) return [];
+        return LexiconRoots.parseRoots(section[1].split('\n')).roots;
+    },
+
+    /**
+     * Build the root index from the loaded lexicons (structured entries when available)
+     * Returns [{ key, root, meaning, words }] sorted by root
+     */
+    getRootIndex() {
+        if (State.rootIndex) return State.rootIndex;
+
+        const groups = new Map();
+        const words = new Set([
+            ...Object.keys(State.lexicon),
+            ...Object.keys(State.iastLexicon),
+            ...Object.keys(State.structuredLexicon)
+        ]);
+
+        words.forEach(word => {
+            const structured = State.structuredLexicon[word];
+            const roots = structured
+                ? structured.roots
+                : this.extractRoots(State.lexicon[word] || State.iastLexicon[word]);
+
+            roots.forEach(({ root, meaning }) => {
+                const key = this.getRootKey(root);
+                if (!key) return;
+
+                if (!groups.has(key)) {
+                    groups.set(key, { key, root, meaning: null, words: [] });
+                }
+                const group = groups.get(key);
+                // Prefer the IAST spelling and the first meaning given
+                if (/[\u0900-\u097F]/.test(group.root) && !/[\u0900-\u097F]/.test(root)) group.root = root;
+                if (!group.meaning && meaning) group.meaning = meaning;
+                if (!group.words.includes(word)) group.words.push(word);
+            });
+        });
+
+        State.rootIndex = [...groups.values()]
+            .map(group => ({ ...group, words: group.words.sort((a, b) => a.localeCompare(b)) }))
+            .sort((a, b) => a.root.localeCompare(b.root));
+        return State.rootIndex;
+    },
+
+    /**
+     * Render the roots tab - every root with the headwords derived from it
+     */
+    renderRootsView() {
+        const escape = Utils.escapeHTML;
+        const rootIndex = this.getRootIndex();
+
+        if (rootIndex.length === 0) {
+            return `<h2>Verbal roots</h2><p>No verbal roots found in the lexicons.</p>`;
+        }
+
+        let html = `<h2>Verbal roots</h2>`;
+        html += `<p class="lexicon-index-count">${rootIndex.length} roots</p>`;
+
+        rootIndex.forEach(group => {
+            const isOpen = group.key === State.lexiconView.selectedRoot;
+            html += `<details class="lexicon-root"${isOpen ? ' open' : ''}>`;
+            html += `<summary><span class="lexicon-index-word">√${escape(group.root)}</span>`;
+            if (group.meaning) html += ` <span class="lexicon-index-meaning">“${escape(group.meaning)}”</span>`;
+            html += ` <span class="lexicon-index-meta">${group.words.length} word${group.words.length !== 1 ? 's' : ''}</span></summary>`;
+
+            html += `<ul class="lexicon-index">`;
+            group.words.forEach(word => {
+                const structured = State.structuredLexicon[word];
+                const headword = structured && structured.headword ? structured.headword : word;
+                const passagesCount = (State.passagesMapping[word] || []).length;
+
+                html += `<li class="lexicon-root-word">`;
+                html += `<a href="#" class="lexicon-index-item" data-word="${escape(word)}" onclick="LexiconManager.showEntry(this.dataset.word); return false;">`;
+                html += `<span class="lexicon-index-word">${escape(headword)}</span> `;
+                html += `<span class="lexicon-transliteration">${escape(word)}</span></a>`;
+                if (passagesCount > 0) {
+                    html += `<a href="#" class="lexicon-root-passages" data-word="${escape(word)}" onclick="LexiconManager.showPassages(this.dataset.word); return false;">` +
+                        `${passagesCount} passage${passagesCount !== 1 ? 's' : ''}</a>`;
+                }
+                html += `</li>`;
+            });
+            html += `</ul></details>`;
+        });
+
+        return html;
+    },
+
+    /**
+     * Show the entry index, optionally filtered ({ pos } or { root })
+     */
+    showIndex(filter = null) {
+        if (filter) {
+            State.lexiconView.indexFilter = { pos: '', root: '', ...filter };
+        }
+        State.lexiconView.showingIndex = true;
+        State.lexiconView.showingPassages = false;
+        State.lexiconView.tab = 'definition';
+        this.renderLexiconView(State.lexiconView.currentWord);
+        ModalManager.open('lexicon');
+    },
+
+    /**
+     * Change an index filter or the sort order and re-render
+     */
+    setIndexOption(option, value) {
+        if (option === 'sort') {
+            State.lexiconView.indexSort = value;
+        } else {
+            State.lexiconView.indexFilter = { ...State.lexiconView.indexFilter, [option]: value };
+        }
+        this.renderLexiconView(State.lexiconView.currentWord);
+    },
+
+    /**
+     * Open an entry from the index
+     */
+    openIndexEntry(word) {
+        State.lexiconView.currentWord = word;
+        State.lexiconView.contextPassageHash = null;
+        State.lexiconView.showingIndex = false;
+        State.lexiconView.editing = false;
+        this.renderLexiconView(word);
+    },
+
+    /**
+     * Structured entries matching the index filters, in the chosen order
+     */
+    getIndexEntries() {
+        const { pos, root } = State.lexiconView.indexFilter;
+        const firstRoot = entry => entry.roots.length > 0 ? entry.roots[0].root : null;
+
+        const entries = Object.keys(State.structuredLexicon)
+            .map(word => ({ word, entry: State.structuredLexicon[word] }))
+            .filter(({ entry }) => !pos || (entry.pos && entry.pos.category === pos))
+            .filter(({ entry }) => !root || entry.roots.some(r => r.root === root));
+
+        const byWord = (a, b) => a.word.localeCompare(b.word);
+        switch (State.lexiconView.indexSort) {
+            case 'pos':
+                return entries.sort((a, b) =>
+                    (a.entry.pos ? a.entry.pos.category : '~').localeCompare(b.entry.pos ? b.entry.pos.category : '~') ||
+                    byWord(a, b));
+            case 'root':
+                // Entries without a verbal root last
+                return entries.sort((a, b) => {
+                    const rootA = firstRoot(a.entry);
+                    const rootB = firstRoot(b.entry);
+                    if (rootA === rootB) return byWord(a, b);
+                    if (!rootA) return 1;
+                    if (!rootB) return -1;
+                    return rootA.localeCompare(rootB);
+                });
+            default:
+                return entries.sort(byWord);
+        }
+    },
+
+    /**
+     * Render the entry index with POS / root filters and sort order
+     */
+    renderIndexView() {
+        const escape = Utils.escapeHTML;
+        const { pos, root } = State.lexiconView.indexFilter;
+        const all = Object.values(State.structuredLexicon);
+
+        const posCounts = {};
+        const rootCounts = {};
+        all.forEach(entry => {
+            if (entry.pos) posCounts[entry.pos.category] = (posCounts[entry.pos.category] || 0) + 1;
+            entry.roots.forEach(r => { rootCounts[r.root] = (rootCounts[r.root] || 0) + 1; });
+        });
+
+        const options = (counts, selected, allLabel) => `<option value="">${allLabel}</option>` +
+            Object.keys(counts).sort((a, b) => a.localeCompare(b)).map(value =>
+                `<option value="${escape(value)}"${value === selected ? ' selected' : ''}>${escape(value)} (${counts[value]})</option>`
+            ).join('');
+
+        const entries = this.getIndexEntries();
+        const sort = State.lexiconView.indexSort;
+
+        let html = `<h2>Lexicon entries</h2>`;
+        if (State.lexiconView.currentWord) {
+            html += `
+                <div class="lexicon-passages-toggle">
+                    <button class="passages-toggle-btn" data-word="${escape(State.lexiconView.currentWord)}" onclick="LexiconManager.openIndexEntry(this.dataset.word); return false;">
+                        ← Back to definition
+                    </button>
+                </div>
+            `;
+        }
+        html += `<div class="lexicon-index-controls">`;
+        html += `<select aria-label="Part of speech" onchange="LexiconManager.setIndexOption('pos', this.value)">${options(posCounts, pos, 'All parts of speech')}</select>`;
+        html += `<select aria-label="Verbal root" onchange="LexiconManager.setIndexOption('root', this.value)">${options(rootCounts, root, 'All roots')}</select>`;
+        html += `<select aria-label="Sort by" onchange="LexiconManager.setIndexOption('sort', this.value)">` +
+            `<option value="word"${sort === 'word' ? ' selected' : ''}>Sort by word</option>` +
+            `<option value="pos"${sort === 'pos' ? ' selected' : ''}>Sort by POS</option>` +
+            `<option value="root"${sort === 'root' ? ' selected' : ''}>Sort by root</option>` +
+            `</select>`;
+        html += `</div>`;
+        html += `<p class="lexicon-index-count">${entries.length} of ${all.length} entries</p>`;
+
+        html += `<ul class="lexicon-index">`;
+        entries.forEach(({ word, entry }) => {
+            const roots = entry.roots.map(r => `√${r.root}`).join(', ');
+            const meaning = entry.meanings && entry.meanings.literal;
+            html += `<li><a href="#" class="lexicon-index-item" data-word="${escape(word)}" onclick="LexiconManager.openIndexEntry(this.dataset.word); return false;">`;
+            html += `<span class="lexicon-index-word">${escape(entry.headword || word)}</span> `;
+            html += `<span class="lexicon-transliteration">${escape(entry.transliteration || word)}</span>`;
+            html += `<span class="lexicon-index-meta">${escape(entry.pos ? entry.pos.category : '')}${roots ? ' · ' + escape(roots) : ''}</span>`;
+            if (meaning) html += `<span class="lexicon-index-meaning">${escape(meaning)}</span>`;
+            html += `</a></li>`;
+        });
+        html += `</ul>`;
+
+        return html;
+    },
+
+    /**
+     * Render passages view
+     */
+    renderPassagesView(word, passages) {
+        if (!passages || passages.length === 0) {
+            return `<h2>${word}</h2><p>No passages found.</p>`;
+        }
+
+        const converter = new showdown.Converter();
+        let html = `<h2>${word}</h2>`;
+
+        // Add back button
+        html += `
+            <div class="lexicon-passages-toggle">
+                <button class="passages-toggle-btn" onclick="LexiconManager.togglePassagesView(); return false;">
+                    ← Back to definition
+                </button>
+            </div>
+        `;
+
+        html += `<div class="passages-list">`;
+
+        // Track location number across all passages
+        let locationNumber = 1;
+
+        passages.forEach((passageEntry, index) => {
+
+            const { hash, passage } = passageEntry;
+            const translation = State.passagesTranslations[hash];
+
+            html += `<div class="passage-item">`;
+
+            if (translation) {
+                // When translation exists: show translation with word highlighted, then link button
+                const translationHtml = converter.makeHtml(translation);
+                const highlightedTranslation = this.highlightWordInPassage(translationHtml, word);
+                html += `<div class="passage-translation">`;
+                html += highlightedTranslation;
+                html += `</div>`;
+
+                // Render location link after translation
+                html += `<div class="passage-locations">`;
+                html += `<a href="#" class="passage-location-link" data-hash="${hash}" onclick="LexiconManager.navigateToPassageFromLink(this); return false;">Link ${locationNumber}</a>`;
+                locationNumber++;
+                html += `</div>`;
+            } else {
+                // When translation not found: show raw passage with word highlighted, then link button
+                const highlightedPassage = this.highlightWordInPassage(passage, word);
+                html += `<div class="passage-text">${highlightedPassage}</div>`;
+
+                // Render location link after passage
+                html += `<div class="passage-locations">`;
+                html += `<a href="#" class="passage-location-link" data-hash="${hash}" onclick="LexiconManager.navigateToPassageFromLink(this); return false;">Link ${locationNumber}</a>`;
+                locationNumber++;
+                html += `</div>`;
+            }
+
+            html += `</div>`;
+        });
+
+        html += `</div>`;
+
+        return html;
+    },
+
+    /**
+     * Highlight word in passage
+     */
+    highlightWordInPassage(passage, word) {
+        try {
+            // Escape special regex characters in word
+            const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const regex = new RegExp(escapedWord, 'g');
+            return passage.replace(regex, `<mark class="passage-word-highlight">${word}</mark>`);
+        } catch (e) {
+            return passage;
+        }
+    },
+
+    /**
+     * Toggle between definition and passages view
+     */
+    togglePassagesView() {
+        State.lexiconView.showingPassages = !State.lexiconView.showingPassages;
+        this.renderLexiconView(State.lexiconView.currentWord);
+    },
+
+    /**
+     * Navigate to passage from a link element (extracts data from data attributes)
+     */
+    navigateToPassageFromLink(linkElement) {
+        const hash = linkElement.getAttribute('data-hash');
+
+        // Find the passage text and the word it belongs to
+        let passageText = null;
+        let lexiconWord = null;
+
+        // Search through all words in the mapping to find the passage by hash
+        for (const word in State.passagesMapping) {
+            const passages = State.passagesMapping[word];
+            for (const entry of passages) {
+                if (entry.hash === hash) {
+                    passageText = entry.passage;
+                    lexiconWord = word;
+                    break;
+                }
+            }
+            if (passageText) break;
+        }
+
+        if (passageText && lexiconWord) {
+            this.navigateToPassageByWordContext(passageText, lexiconWord);
+        }
+    },
+
+    /**
+     * Navigate to passage by finding the lexicon word and matching surrounding context
+     * Much more robust than trying to match entire passage text
+     */
+    navigateToPassageByWordContext(passageText, lexiconWord) {
+        // Close lexicon modal first
+        ModalManager.close('lexicon');
+
+        // Normalize function for context comparison
+        const normalize = (text) => text.replace(/\s+/g, '').replace(/[-।॥]/g, '').toLowerCase();
+
+        // Extract context words from passage (words around the lexicon word)
+        const passageNormalized = normalize(passageText);
+        const wordNormalized = normalize(lexiconWord);
+
+        // Get words before and after the lexicon word in the passage
+        const wordIndex = passageNormalized.indexOf(wordNormalized);
+        if (wordIndex === -1) {
+            return;
+        }
+
+        const contextBefore = passageNormalized.substring(Math.max(0, wordIndex - 30), wordIndex);
+        const contextAfter = passageNormalized.substring(wordIndex + wordNormalized.length, Math.min(passageNormalized.length, wordIndex + wordNormalized.length + 30));
+
+        // Search for all occurrences of the lexicon word in the rendered content
+        const bookContent = Elements.bookContent;
+        const walker = document.createTreeWalker(
+            bookContent,
+            NodeFilter.SHOW_TEXT,
+            null
+        );
+
+        const candidates = [];
+        let node;
+
+        while (node = walker.nextNode()) {
+            const nodeText = node.textContent;
+            if (nodeText.includes(lexiconWord)) {
+                // Found an occurrence - check context
+                const parentElement = node.parentElement;
+
+                // Get surrounding text nodes for context
+                const surroundingText = this.getSurroundingText(node, 5);
+                const surroundingNormalized = normalize(surroundingText);
+
+                // Calculate context match score
+                const contextScore = this.calculateContextScore(
+                    surroundingNormalized,
+                    wordNormalized,
+                    contextBefore,
+                    contextAfter
+                );
+
+                if (contextScore > 0) {
+                    candidates.push({
+                        node: node,
+                        score: contextScore,
+                        text: surroundingText.substring(0, 100)
+                    });
+                }
+            }
+        }
+
+        if (candidates.length === 0) {
+            return;
+        }
+
+        // Sort by score and pick best match
+        candidates.sort((a, b) => b.score - a.score);
+
+        const bestMatch = candidates[0].node;
+
+        // Navigate to the best match
+        this.scrollToAndHighlightNode(bestMatch);
+    },
+
+    /**
+     * Get surrounding text from nearby text nodes
+     */
+    getSurroundingText(centerNode, radius) {
+        const walker = document.createTreeWalker(
+            Elements.bookContent,
+            NodeFilter.SHOW_TEXT,
+            null
+        );
+
+        // Collect all text nodes
+        const allNodes = [];
+        let node;
+        while (node = walker.nextNode()) {
+            allNodes.push(node);
+        }
+
+        // Find center node index
+        const centerIndex = allNodes.indexOf(centerNode);
+        if (centerIndex === -1) return centerNode.textContent;
+
+        // Get surrounding nodes
+        const start = Math.max(0, centerIndex - radius);
+        const end = Math.min(allNodes.length, centerIndex + radius + 1);
+
+        return allNodes.slice(start, end).map(n => n.textContent).join(' ');
+    },
+
+    /**
+     * Calculate how well the context matches
+     */
+    calculateContextScore(surroundingText, word, expectedBefore, expectedAfter) {
+        const wordIndex = surroundingText.indexOf(word);
+        if (wordIndex === -1) return 0;
+
+        const actualBefore = surroundingText.substring(Math.max(0, wordIndex - 50), wordIndex);
+        const actualAfter = surroundingText.substring(wordIndex + word.length, Math.min(surroundingText.length, wordIndex + word.length + 50));
+
+        let score = 0;
+
+        // Check how much of expected context appears in actual context
+        // Score based on longest common substring
+        if (expectedBefore.length > 5) {
+            const beforeMatch = this.longestCommonSubstring(actualBefore, expectedBefore);
+            score += (beforeMatch / expectedBefore.length) * 50;
+        }
+
+        if (expectedAfter.length > 5) {
+            const afterMatch = this.longestCommonSubstring(actualAfter, expectedAfter);
+            score += (afterMatch / expectedAfter.length) * 50;
+        }
+
+        return score;
+    },
+
+    /**
+     * Find longest common substring length
+     */
+    longestCommonSubstring(str1, str2) {
+        let maxLen = 0;
+        for (let i = 0; i < str1.length; i++) {
+            for (let j = 0; j < str2.length; j++) {
+                let len = 0;
+                while (i + len < str1.length && j + len < str2.length && str1[i + len] === str2[j + len]) {
+                    len++;
+                }
+                maxLen = Math.max(maxLen, len);
+            }
+        }
+        return maxLen;
+    },
+
+    /**
+     * Scroll to node and highlight its container
+     */
+    scrollToAndHighlightNode(node) {
+        // Find the paragraph/block bounded by newlines that contains this node
+        const highlightElement = this.findParagraphBoundedByNewlines(node);
+
+        if (highlightElement) {
+            const headerOffset = 100;
+            const elementPosition = highlightElement.getBoundingClientRect().top + window.pageYOffset;
+            const offsetPosition = elementPosition - headerOffset;
+
+            window.scrollTo({
+                top: offsetPosition,
+                behavior: 'smooth'
+            });
+
+            // Highlight only the paragraph bounded by newlines
+            this.highlightPassageElement(highlightElement);
+        }
+    },
+
+    /**
+     * Find the paragraph/block bounded by newlines containing the node
+     */
+    findParagraphBoundedByNewlines(centerNode) {
+        // Collect all text nodes in order
+        const walker = document.createTreeWalker(
+            Elements.bookContent,
+            NodeFilter.SHOW_TEXT,
+            null
+        );
+
+        const allNodes = [];
+        let node;
+        while (node = walker.nextNode()) {
+            allNodes.push(node);
+        }
+
+        // Find the center node index
+        const centerIndex = allNodes.indexOf(centerNode);
+        if (centerIndex === -1) return centerNode.parentElement;
+
+        // Scan backwards to find paragraph start (double newline or block-level element boundary)
+        let startIndex = centerIndex;
+        for (let i = centerIndex; i >= 0; i--) {
+            const text = allNodes[i].textContent;
+
+            // Check if this node has double newlines (paragraph break)
+            if (/\n\s*\n/.test(text)) {
+                // Found paragraph break within this node - start after it
+                startIndex = i;
+                break;
+            }
+
+            // Check if we hit a block boundary
+            const parent = allNodes[i].parentElement;
+            const prevParent = i > 0 ? allNodes[i - 1].parentElement : null;
+
+            if (prevParent && this.isBlockBoundary(prevParent, parent)) {
+                startIndex = i;
+                break;
+            }
+
+            startIndex = i;
+        }
+
+        // Scan forwards to find paragraph end
+        let endIndex = centerIndex;
+        for (let i = centerIndex; i < allNodes.length; i++) {
+            const text = allNodes[i].textContent;
+
+            // Check if this node has double newlines
+            if (/\n\s*\n/.test(text)) {
+                endIndex = i;
+                break;
+            }
+
+            // Check if we hit a block boundary
+            const parent = allNodes[i].parentElement;
+            const nextParent = i < allNodes.length - 1 ? allNodes[i + 1].parentElement : null;
+
+            if (nextParent && this.isBlockBoundary(parent, nextParent)) {
+                endIndex = i;
+                break;
+            }
+
+            endIndex = i;
+        }
+
+        // Find common ancestor of all nodes in range
+        const rangeNodes = allNodes.slice(startIndex, endIndex + 1);
+        const commonAncestor = this.findCommonAncestor(rangeNodes);
+
+        return commonAncestor;
+    },
+
+    /**
+     * Check if there's a block-level boundary between two elements
+     */
+    isBlockBoundary(elem1, elem2) {
+        if (!elem1 || !elem2) return false;
+
+        const blockTags = ['P', 'DIV', 'SECTION', 'ARTICLE', 'LI', 'TD', 'TH', 'BLOCKQUOTE', 'PRE'];
+
+        // If they're different block elements, it's a boundary
+        if (blockTags.includes(elem1.tagName) && blockTags.includes(elem2.tagName) && elem1 !== elem2) {
+            return true;
+        }
+
+        // If one is inside a different block container than the other
+        let p1 = elem1;
+        while (p1 && !blockTags.includes(p1.tagName)) {
+            p1 = p1.parentElement;
+        }
+
+        let p2 = elem2;
+        while (p2 && !blockTags.includes(p2.tagName)) {
+            p2 = p2.parentElement;
+        }
+
+        return p1 !== p2;
+    },
+
+    /**
+     * Find common ancestor element of multiple text nodes
+     */
+    findCommonAncestor(nodes) {
+        if (nodes.length === 0) return null;
+        if (nodes.length === 1) return nodes[0].parentElement;
+
+        // Get all ancestors of first node
+        const ancestors = [];
+        let current = nodes[0].parentElement;
+        while (current) {
+            ancestors.push(current);
+            current = current.parentElement;
+        }
+
+        // Find first ancestor that contains all nodes
+        for (const ancestor of ancestors) {
+            if (nodes.every(node => ancestor.contains(node))) {
+                return ancestor;
+            }
+        }
+
+        return nodes[0].parentElement;
+    },
+
+    /**
+     * Navigate to passage location in the EPUB using text search
+     */
+    navigateToPassage(passageText) {
+        // Close lexicon modal first
+        ModalManager.close('lexicon');
+
+        // Helper to aggressively normalize for searching
+        const normalizeForSearch = (text) => {
+            return text
+                .replace(/<[^>]*>/g, '')  // Remove HTML tags
+                .replace(/\s+/g, '')  // Remove whitespace
+                .replace(/[\u00a0\u200b\u200c\u200d\ufeff]/g, '')  // Remove special spaces
+                .replace(/[-।॥]/g, '')  // Remove hyphens and Devanagari punctuation
+                .replace(/[^\u0900-\u097F\u0980-\u09FF]/g, '');  // Keep only Devanagari and Bengali script
+        };
+
+        const normalizedSearchPassage = normalizeForSearch(passageText);
+        // Use shorter truncation for very short passages
+        const truncateLength = Math.min(Math.max(15, Math.floor(normalizedSearchPassage.length * 0.6)), 30);
+        const truncatedSearchPassage = normalizedSearchPassage.substring(0, truncateLength);
+
+        // Search for passage in current book first
+        let found = this.findAndScrollToPassage(passageText, State.currentBookIndex);
+
+        if (!found) {
+            // Search in other books using aggressive normalization
+            for (let bookIndex = 0; bookIndex < State.bookContents.length; bookIndex++) {
+                if (bookIndex === State.currentBookIndex) continue;
+
+                const content = State.bookContents[bookIndex];
+                if (!content) continue;
+
+                // Use aggressive normalization for book content search
+                const normalizedContent = normalizeForSearch(content);
+
+                // Try full match first, then truncated
+                const fullMatch = normalizedContent.includes(normalizedSearchPassage);
+                const truncMatch = truncatedSearchPassage.length >= 10 && normalizedContent.includes(truncatedSearchPassage);
+                const containsPassage = fullMatch || truncMatch;
+
+                if (containsPassage) {
+                    // Switch to this book
+                    State.currentBookIndex = bookIndex;
+                    Elements.bookSelector.value = bookIndex;
+                    Elements.bookSelectorMobile.value = bookIndex;
+                    SettingsManager.save(CONFIG.STORAGE_KEYS.CURRENT_BOOK, bookIndex);
+                    UIManager.displayCurrentBook();
+
+                    // Wait for book to render, then scroll to passage
+                    setTimeout(() => {
+                        this.findAndScrollToPassage(passageText, bookIndex);
+                    }, 500);
+
+                    found = true;
+                    break;
+                }
+            }
+        }
+
+        if (!found) {
+            console.warn('Could not find passage in any book:', passageText.substring(0, 50));
+        }
+    },
+
+    /**
+     * Find passage text in rendered content and scroll to it
+     * @param {string} passageText - The passage text to search for
+     * @param {number} bookIndex - The book index being searched
+     */
+    findAndScrollToPassage(passageText, bookIndex) {
+        // Multi-level normalization for robust matching
+
+        // Level 1: Standard normalization (spaces)
+        const normalizeText = (text) => {
+            return text
+                .trim()
+                .replace(/\s+/g, ' ')  // Normalize whitespace
+                .replace(/\u00a0/g, ' ');  // Replace non-breaking spaces
+        };
+
+        // Level 2: Aggressive normalization (remove all whitespace and punctuation)
+        const normalizeAggressive = (text) => {
+            return text
+                .replace(/<[^>]*>/g, '')  // Remove HTML tags
+                .replace(/\s+/g, '')  // Remove all whitespace
+                .replace(/[\u00a0\u200b\u200c\u200d\ufeff]/g, '')  // Remove special spaces
+                .replace(/[-।॥]/g, '')  // Remove hyphens and Devanagari punctuation
+                .replace(/[^\u0900-\u097F\u0980-\u09FF]/g, '');  // Keep only Devanagari and Bengali script
+        };
+
+        const normalizedPassage = normalizeText(passageText);
+        const aggressivePassage = normalizeAggressive(passageText);
+
+        // Also prepare a truncated version for partial matching (first 30 chars)
+        const truncatedPassage = aggressivePassage.substring(0, Math.min(30, aggressivePassage.length));
+
+        // Get all text nodes in the book content and concatenate them with context
+        const bookContent = Elements.bookContent;
+        const walker = document.createTreeWalker(
+            bookContent,
+            NodeFilter.SHOW_TEXT,
+            null
+        );
 
-        // First check Devanagari lexicon
-        if (State.lexicon[word]) {
-            entry = State.lexicon[word];
-            lexiconType = 'Devanagari';
+        const allNodes = [];
+        let node;
+        while (node = walker.nextNode()) {
+            if (node.textContent.trim().length > 0) {
+                allNodes.push(node);
+            }
         }
-        // Then check IAST lexicon
-        else if (State.iastLexicon[word]) {
-            entry = State.iastLexicon[word];
-            lexiconType = 'IAST';
+
+        let bestMatch = null;
+        let bestMatchScore = 0;
+
+        // Strategy 1: Check individual nodes (for passages within single elements)
+        for (let i = 0; i < allNodes.length; i++) {
+            const nodeText = allNodes[i].textContent;
+            const normalizedNode = normalizeText(nodeText);
+            const aggressiveNode = normalizeAggressive(nodeText);
+
+            // Try exact match with standard normalization
+            if (normalizedNode.includes(normalizedPassage)) {
+                bestMatch = allNodes[i];
+                bestMatchScore = 3; // Highest score
+                break;
+            }
+
+            // Try exact match with aggressive normalization
+            if (aggressiveNode.includes(aggressivePassage)) {
+                if (bestMatchScore < 2) {
+                    bestMatch = allNodes[i];
+                    bestMatchScore = 2;
+                }
+            }
         }
 
-        // Get passages for this word
-        const passages = State.passagesMapping[word] || [];
-        const passagesCount = passages.length;
+        // Strategy 2: Check sliding windows of concatenated nodes (for passages split across elements)
+        if (!bestMatch) {
+            const windowSize = 5; // Look at groups of 5 consecutive text nodes
 
-        let content = '';
+            // Track all matches with their quality scores
+            const allMatches = [];
 
-        if (!State.lexiconView.showingPassages) {
-            // Check if we have passage context from word click
-            const contextHash = State.lexiconView.contextPassageHash;
-            const contextTranslation = contextHash ? State.passagesTranslations[contextHash] : null;
+            for (let i = 0; i < allNodes.length - 1; i++) {
+                const endIdx = Math.min(i + windowSize, allNodes.length);
+                const windowText = allNodes.slice(i, endIdx).map(n => n.textContent).join('');
+                const aggressiveWindow = normalizeAggressive(windowText);
 
-            // If we have passage context with translation, show it first
-            if (contextTranslation) {
-                const converter = new showdown.Converter();
-                content += `<h2 class="passage-section-title">Passage</h2>`;
+                // Check for exact match
+                if (aggressiveWindow.includes(aggressivePassage)) {
+                    // Calculate match quality based on position and context length
+                    const matchIndex = aggressiveWindow.indexOf(aggressivePassage);
+                    const contextBefore = aggressiveWindow.substring(0, matchIndex).length;
+                    const contextAfter = aggressiveWindow.substring(matchIndex + aggressivePassage.length).length;
 
-                // Render translation with word highlighted
-                const translationHtml = converter.makeHtml(contextTranslation);
+                    // Prefer matches with balanced context (passage in middle of window)
+                    const balanceScore = Math.min(contextBefore, contextAfter);
 
-                // Remove the "# Passage" heading and horizontal rule from the markdown-rendered HTML
-                // The translation markdown contains "# Passage" which creates duplicate heading
-                const cleanedTranslationHtml = translationHtml
-                    .replace(/<h1[^>]*>Passage<\/h1>/gi, '')
-                    .replace(/<hr\s*\/?>/gi, '');
+                    allMatches.push({
+                        node: allNodes[i],
+                        nodeIndex: i,
+                        score: 2,
+                        balanceScore: balanceScore
+                    });
+                }
 
-                const highlightedTranslation = this.highlightWordInPassage(cleanedTranslationHtml, word);
-                content += `<div class="passage-translation passage-context">`;
-                content += highlightedTranslation;
-                content += `</div>`;
+                // Try partial match with truncated passage (only as fallback)
+                if (truncatedPassage.length >= 15 && aggressiveWindow.includes(truncatedPassage)) {
+                    if (bestMatchScore < 1) {
+                        allMatches.push({
+                            node: allNodes[i],
+                            nodeIndex: i,
+                            score: 1,
+                            balanceScore: 0
+                        });
+                    }
+                }
             }
 
-            // Show definition view
-            const definitionContent = entry
-                ? new showdown.Converter().makeHtml(entry)
-                : `<h2>${word}</h2><p>Definition not found in lexicon.</p><p><em>Searched in both Devanagari and IAST lexicons.</em></p>`;
+            // If we found multiple matches, prefer the one with best balance (most likely to be complete passage)
+            if (allMatches.length > 0) {
+                // If we have a spine index hint, use it to prefer matches closer to that location
+                if (targetSpineIndex !== null && allMatches.length > 1) {
+                    // Estimate which match is closer to the target spine index
+                    allMatches.forEach((match) => {
+                        // Calculate position score (prefer matches in later part of doc if spine index is high)
+                        const relativePosition = match.nodeIndex / allNodes.length;
+                        const estimatedSpineProgress = relativePosition * 100; // Rough estimate
+                        const distanceFromTarget = Math.abs(estimatedSpineProgress - targetSpineIndex);
+                        match.positionScore = 100 - distanceFromTarget;
+                    });
 
-            // Highlight search query if provided
-            let highlightedDefinition = definitionContent;
-            if (searchQuery && entry) {
-                try {
-                    const searchPattern = new RegExp(searchQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-                    highlightedDefinition = definitionContent.replace(searchPattern, (match) => {
-                        return `<span class="search-highlight">${match}</span>`;
+                    // Sort by score first, then position score, then balance
+                    allMatches.sort((a, b) => {
+                        if (a.score !== b.score) return b.score - a.score;
+                        if (Math.abs(a.positionScore - b.positionScore) > 10) return b.positionScore - a.positionScore;
+                        return b.balanceScore - a.balanceScore;
                     });
-                } catch (e) {
-                    // If regex fails, skip highlighting
+                } else {
+                    // Sort by score first, then by balance
+                    allMatches.sort((a, b) => {
+                        if (a.score !== b.score) return b.score - a.score;
+                        return b.balanceScore - a.balanceScore;
+                    });
+                }
+
+                bestMatch = allMatches[0].node;
+                bestMatchScore = allMatches[0].score;
+            }
+        }
+
+        // If we found a match, scroll to it
+        if (bestMatch) {
+            let targetElement = bestMatch.parentElement;
+
+            // Find the most specific element containing primarily Sanskrit text
+            // Start from immediate parent and check if it contains Devanagari
+            const hasDevanagari = (text) => /[\u0900-\u097F]/.test(text);
+
+            let highlightElement = targetElement;
+            let scrollElement = targetElement;
+
+            // Walk up to find a good scrollable container
+            let currentElement = targetElement;
+            while (currentElement && !['P', 'DIV', 'SECTION', 'ARTICLE'].includes(currentElement.tagName)) {
+                currentElement = currentElement.parentElement;
+            }
+            scrollElement = currentElement || targetElement;
+
+            // For highlighting, prefer the most specific element with Sanskrit text
+            // Check if the immediate parent is a small container (like <span> or <em>)
+            if (targetElement.textContent.length < 200 && hasDevanagari(targetElement.textContent)) {
+                // This is likely a Sanskrit-only element, use it for highlighting
+                highlightElement = targetElement;
+            } else {
+                // Check if there's a child element with Sanskrit that's more specific
+                const children = Array.from(scrollElement.children || []);
+                for (const child of children) {
+                    const childText = child.textContent;
+                    if (hasDevanagari(childText) &&
+                        childText.length < 500 &&
+                        normalizeAggressive(childText).includes(aggressivePassage.substring(0, 20))) {
+                        highlightElement = child;
+                        break;
+                    }
                 }
             }
 
-            content += highlightedDefinition;
+            if (scrollElement) {
+                // Calculate offset for fixed header
+                const headerOffset = 100;
+                const elementPosition = scrollElement.getBoundingClientRect().top + window.pageYOffset;
+                const offsetPosition = elementPosition - headerOffset;
 
-            // Add toggle button if passages exist
-            if (passagesCount > 0) {
-                content += `
-                    <div class="lexicon-passages-toggle">
-                        <button class="passages-toggle-btn" onclick="LexiconManager.togglePassagesView(); return false;">
-                            Appears in ${passagesCount} passage${passagesCount !== 1 ? 's' : ''}
-                        </button>
-                    </div>
-                `;
+                // Scroll to position
+                window.scrollTo({
+                    top: offsetPosition,
+                    behavior: 'smooth'
+                });
+
+                // Briefly highlight the specific Sanskrit passage element
+                this.highlightPassageElement(highlightElement);
+
+                return true;
             }
-        } else {
-            // Show passages view
-            content = this.renderPassagesView(word, passages);
         }
 
-        Elements.lexiconContent.innerHTML = Utils.createSafeHTML(content);
+        // Passage not found
+        return false;
     },
 
     /**
-     * Render passages view
+     * Temporarily highlight a passage element
      */
-    renderPassagesView(word, passages) {
-        if (!passages || passages.length === 0) {
-            return `<h2>${word}</h2><p>No passages found.</p>`;
-        }
+    highlightPassageElement(element) {
+        const originalBg = element.style.backgroundColor;
+        const originalTransition = element.style.transition;
 
-        const converter = new showdown.Converter();
-        let html = `<h2>${word}</h2>`;
+        element.style.transition = 'background-color 0.3s ease';
+        element.style.backgroundColor = 'rgba(255, 235, 59, 0.3)'; // Yellow highlight
 
-        // Add back button
-        html += `
-            <div class="lexicon-passages-toggle">
-                <button class="passages-toggle-btn" onclick="LexiconManager.togglePassagesView(); return false;">
-                    ← Back to definition
-                </button>
-            </div>
-        `;
+        setTimeout(() => {
+            element.style.backgroundColor = originalBg;
+            setTimeout(() => {
+                element.style.transition = originalTransition;
+            }, 300);
+        }, 2000);
+    }
+};
+
+// ===== FLASHCARD MANAGER =====
+const FlashcardManager = {
+    DAY_MS: 24 * 60 * 60 * 1000,
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+    GRADES: [ // SM-2 quality of recall (0-5)
+        { quality: 1, label: 'Again' },
+        { quality: 3, label: 'Hard' },
+        { quality: 4, label: 'Good' },
+        { quality: 5, label: 'Easy' }
+    ],
+    activeTab: 'review',
+    queue: [], // Card ids left in the current review session
+    showingAnswer: false,
+
+    /**
+     * Initialize flashcard manager
+     */
+    init() {
+        this.loadFromStorage();
+    },
+
+    /**
+     * Open the flashcards modal with a fresh review session
+     */
+    open() {
+        this.activeTab = 'review';
+        this.startSession();
+        ModalManager.open('flashcards');
+        this.render();
+    },
+
+    /**
+     * Queue every due card, most overdue first
+     */
+    startSession() {
+        this.queue = this.getDueCards().map(card => card.id);
+        this.showingAnswer = false;
+    },
+
+    /**
+     * Cards due for review now
+     */
+    getDueCards(now = Date.now()) {
+        return State.flashcards
+            .filter(card => card.due <= now)
+            .sort((a, b) => a.due - b.due);
+    },
+
+    /**
+     * Find the card for a lexicon word
+     */
+    getCard(word) {
+        return State.flashcards.find(card => card.word === word) || null;
+    },
+
+    /**
+     * Star a lexicon word (add it to the deck) or unstar it
+     */
+    toggleCard(word) {
+        if (!word) return;
+
+        const existing = this.getCard(word);
+        if (existing) {
+            this.removeCard(existing.id);
+            NotificationManager.show(`"${word}" removed from flashcards`, 'info');
+        } else {
+            const now = new Date().toISOString();
+            State.flashcards.push({
+                id: this.generateId(),
+                word: word,
+                ease: this.DEFAULT_EASE,
+                interval: 0, // Days until the next review
+                repetitions: 0, // Successful reviews in a row
+                lapses: 0,
+                due: Date.now(), // New cards are due at once
+                created: now,
+                lastReview: null,
+                timestamp: now
+            });
+            this.saveToStorage();
+            NotificationManager.show(`"${word}" added to flashcards`, 'info');
+            if (window.syncController?.scheduleSync) window.syncController.scheduleSync('flashcard');
+        }
 
-        html += `<div class="passages-list">`;
+        this.updateStarButton(word);
+    },
 
-        // Track location number across all passages
-        let locationNumber = 1;
+    /**
+     * Remove a card from the deck
+     */
+    removeCard(cardId) {
+        State.flashcards = State.flashcards.filter(card => card.id !== cardId);
+        this.queue = this.queue.filter(id => id !== cardId);
+        this.saveToStorage();
 
-        passages.forEach((passageEntry, index) => {
+        // Add deletion event for smart sync to process
+        if (window.syncUI?.addDeletionEvent) {
+            window.syncUI.addDeletionEvent(cardId, 'flashcard');
+        }
+        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('flashcard-delete');
 
-            const { hash, passage } = passageEntry;
-            const translation = State.passagesTranslations[hash];
+        if (ModalManager.activeModal === 'flashcards') this.render();
+    },
 
-            html += `<div class="passage-item">`;
+    /**
+     * SM-2 scheduling: the card's next ease, interval, repetitions and due time after a review
+     * Quality below 3 is a lapse - the card starts over with a one day interval
+     */
+    schedule(card, quality, now = Date.now()) {
+        let { ease, interval, repetitions, lapses } = card;
 
-            if (translation) {
-                // When translation exists: show translation with word highlighted, then link button
-                const translationHtml = converter.makeHtml(translation);
-                const highlightedTranslation = this.highlightWordInPassage(translationHtml, word);
-                html += `<div class="passage-translation">`;
-                html += highlightedTranslation;
-                html += `</div>`;
+        if (quality < 3) {
+            repetitions = 0;
+            interval = 1;
+            lapses = (lapses || 0) + 1;
+        } else {
+            repetitions += 1;
+            if (repetitions === 1) interval = 1;
+            else if (repetitions === 2) interval = 6;
+            else interval = Math.round(interval * ease);
+        }
 
-                // Render location link after translation
-                html += `<div class="passage-locations">`;
-                html += `<a href="#" class="passage-location-link" data-hash="${hash}" onclick="LexiconManager.navigateToPassageFromLink(this); return false;">Link ${locationNumber}</a>`;
-                locationNumber++;
-                html += `</div>`;
-            } else {
-                // When translation not found: show raw passage with word highlighted, then link button
-                const highlightedPassage = this.highlightWordInPassage(passage, word);
-                html += `<div class="passage-text">${highlightedPassage}</div>`;
+        ease = Math.max(this.MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
 
-                // Render location link after passage
-                html += `<div class="passage-locations">`;
-                html += `<a href="#" class="passage-location-link" data-hash="${hash}" onclick="LexiconManager.navigateToPassageFromLink(this); return false;">Link ${locationNumber}</a>`;
-                locationNumber++;
-                html += `</div>`;
-            }
+        return {
+            ease: Math.round(ease * 100) / 100,
+            interval,
+            repetitions,
+            lapses,
+            due: now + interval * this.DAY_MS
+        };
+    },
 
-            html += `</div>`;
+    /**
+     * Grade the current card, reschedule it and move to the next one
+     * Lapsed cards come back at the end of the session
+     */
+    grade(quality) {
+        const card = State.flashcards.find(c => c.id === this.queue[0]);
+        if (!card) return;
+
+        const now = Date.now();
+        Object.assign(card, this.schedule(card, quality, now), {
+            lastReview: new Date(now).toISOString(),
+            timestamp: new Date(now).toISOString()
         });
 
-        html += `</div>`;
+        this.queue.shift();
+        if (quality < 3) this.queue.push(card.id);
+        this.showingAnswer = false;
 
-        return html;
+        this.saveToStorage();
+        if (window.syncController?.scheduleSync) window.syncController.scheduleSync('flashcard-review');
+        this.render();
     },
 
     /**
-     * Highlight word in passage
+     * Turn the current card over
      */
-    highlightWordInPassage(passage, word) {
-        try {
-            // Escape special regex characters in word
-            const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            const regex = new RegExp(escapedWord, 'g');
-            return passage.replace(regex, `<mark class="passage-word-highlight">${word}</mark>`);
-        } catch (e) {
-            return passage;
-        }
+    showAnswer() {
+        this.showingAnswer = true;
+        this.render();
     },
 
     /**
-     * Toggle between definition and passages view
+     * Switch between the review and deck tabs
      */
-    togglePassagesView() {
-        State.lexiconView.showingPassages = !State.lexiconView.showingPassages;
-        this.renderLexiconView(State.lexiconView.currentWord);
+    switchTab(tab) {
+        this.activeTab = tab;
+        this.render();
     },
 
     /**
-     * Navigate to passage from a link element (extracts data from data attributes)
+     * Reflect whether the word shown in the lexicon modal is starred
      */
-    navigateToPassageFromLink(linkElement) {
-        const hash = linkElement.getAttribute('data-hash');
-
-        // Find the passage text and the word it belongs to
-        let passageText = null;
-        let lexiconWord = null;
-
-        // Search through all words in the mapping to find the passage by hash
-        for (const word in State.passagesMapping) {
-            const passages = State.passagesMapping[word];
-            for (const entry of passages) {
-                if (entry.hash === hash) {
-                    passageText = entry.passage;
-                    lexiconWord = word;
-                    break;
-                }
-            }
-            if (passageText) break;
-        }
+    updateStarButton(word) {
+        const button = Elements.lexiconStarBtn;
+        if (!button) return;
 
-        if (passageText && lexiconWord) {
-            this.navigateToPassageByWordContext(passageText, lexiconWord);
-        }
+        const isEntry = Boolean(word && (State.lexicon[word] || State.iastLexicon[word] || State.structuredLexicon[word]));
+        const starred = isEntry && this.getCard(word) !== null;
+        button.hidden = !isEntry;
+        button.classList.toggle('active', starred);
+        button.setAttribute('aria-pressed', String(starred));
+        button.title = starred ? 'Remove from flashcards' : 'Add to flashcards';
+        button.querySelector('.material-icons').textContent = starred ? 'star' : 'star_border';
     },
 
     /**
-     * Navigate to passage by finding the lexicon word and matching surrounding context
-     * Much more robust than trying to match entire passage text
+     * Render the flashcards modal
      */
-    navigateToPassageByWordContext(passageText, lexiconWord) {
-        // Close lexicon modal first
-        ModalManager.close('lexicon');
+    render() {
+        Elements.flashcardsReviewTab.classList.toggle('active', this.activeTab === 'review');
+        Elements.flashcardsDeckTab.classList.toggle('active', this.activeTab === 'deck');
 
-        // Normalize function for context comparison
-        const normalize = (text) => text.replace(/\s+/g, '').replace(/[-।॥]/g, '').toLowerCase();
+        const due = this.getDueCards().length;
+        Elements.flashcardsSummary.textContent =
+            `${State.flashcards.length} ${State.flashcards.length === 1 ? 'card' : 'cards'}, ${due} due`;
 
-        // Extract context words from passage (words around the lexicon word)
-        const passageNormalized = normalize(passageText);
-        const wordNormalized = normalize(lexiconWord);
+        const content = this.activeTab === 'review' ? this.renderReview() : this.renderDeck();
+        Elements.flashcardsContent.innerHTML = Utils.createSafeHTML(content);
+    },
 
-        // Get words before and after the lexicon word in the passage
-        const wordIndex = passageNormalized.indexOf(wordNormalized);
-        if (wordIndex === -1) {
-            return;
+    /**
+     * Render the current card of the session: front (word), then back (definition and passage) with grade buttons
+     */
+    renderReview() {
+        const card = State.flashcards.find(c => c.id === this.queue[0]);
+        if (!card) {
+            return State.flashcards.length === 0
+                ? '<div class="no-bookmarks">No flashcards yet. Star a word in the lexicon to add it.</div>'
+                : `<div class="no-bookmarks">No cards due. Next review: ${this.formatDue(this.getNextDue())}.</div>`;
         }
 
-        const contextBefore = passageNormalized.substring(Math.max(0, wordIndex - 30), wordIndex);
-        const contextAfter = passageNormalized.substring(wordIndex + wordNormalized.length, Math.min(passageNormalized.length, wordIndex + wordNormalized.length + 30));
+        const escape = Utils.escapeHTML;
+        let html = `<div class="flashcard">`;
+        html += `<div class="flashcard-front">`;
+        html += `<div class="flashcard-word">${escape(card.word)}</div>`;
+        html += `<div class="flashcard-transliteration">${escape(SearchCore.transliterate(card.word))}</div>`;
+        html += `<div class="bookmark-meta">${this.queue.length} left in this session</div>`;
+        html += `</div>`;
 
-        // Search for all occurrences of the lexicon word in the rendered content
-        const bookContent = Elements.bookContent;
-        const walker = document.createTreeWalker(
-            bookContent,
-            NodeFilter.SHOW_TEXT,
-            null
-        );
+        if (!this.showingAnswer) {
+            html += `<div class="flashcard-actions">`;
+            html += `<button class="search-nav-btn" onclick="FlashcardManager.showAnswer(); return false;">Show answer</button>`;
+            html += `</div></div>`;
+            return html;
+        }
 
-        const candidates = [];
-        let node;
+        html += `<div class="flashcard-back">`;
+        html += `<div class="lexicon-content">${LexiconManager.renderDefinition(card.word) || '<p>Definition not found in lexicon.</p>'}</div>`;
+        html += this.renderPassageContext(card);
+        html += `</div>`;
 
-        while (node = walker.nextNode()) {
-            const nodeText = node.textContent;
-            if (nodeText.includes(lexiconWord)) {
-                // Found an occurrence - check context
-                const parentElement = node.parentElement;
+        html += `<div class="flashcard-actions">`;
+        this.GRADES.forEach(({ quality, label }) => {
+            const next = this.schedule(card, quality);
+            html += `<button class="search-nav-btn flashcard-grade-btn" data-quality="${quality}" ` +
+                `onclick="FlashcardManager.grade(Number(this.dataset.quality)); return false;">` +
+                `${label} <span class="flashcard-interval">${next.interval}d</span></button>`;
+        });
+        html += `</div></div>`;
+        return html;
+    },
 
-                // Get surrounding text nodes for context
-                const surroundingText = this.getSurroundingText(node, 5);
-                const surroundingNormalized = normalize(surroundingText);
+    /**
+     * Passage the word occurs in (State.passagesMapping) - a different one as the card matures
+     */
+    renderPassageContext(card) {
+        const passages = State.passagesMapping[card.word] || [];
+        if (passages.length === 0) return '';
 
-                // Calculate context match score
-                const contextScore = this.calculateContextScore(
-                    surroundingNormalized,
-                    wordNormalized,
-                    contextBefore,
-                    contextAfter
-                );
+        const index = card.repetitions % passages.length;
+        const { hash, passage } = passages[index];
+        const translation = State.passagesTranslations[hash];
 
-                if (contextScore > 0) {
-                    candidates.push({
-                        node: node,
-                        score: contextScore,
-                        text: surroundingText.substring(0, 100)
-                    });
-                }
-            }
+        let html = `<h3 class="passage-section-title">Passage ${index + 1} of ${passages.length}</h3>`;
+        if (translation) {
+            const translationHtml = new showdown.Converter().makeHtml(translation)
+                .replace(/<h1[^>]*>Passage<\/h1>/gi, '')
+                .replace(/<hr\s*\/?>/gi, '');
+            html += `<div class="passage-translation passage-context">${LexiconManager.highlightWordInPassage(translationHtml, card.word)}</div>`;
+        } else {
+            html += `<div class="passage-text">${LexiconManager.highlightWordInPassage(passage, card.word)}</div>`;
         }
+        html += `<div class="passage-locations">`;
+        html += `<a href="#" class="passage-location-link" data-hash="${hash}" data-index="${index}" data-word="${Utils.escapeHTML(card.word)}" ` +
+            `onclick="FlashcardManager.openPassage(this.dataset.word, Number(this.dataset.index)); return false;">Open in book</a>`;
+        html += `</div>`;
+        return html;
+    },
 
-        if (candidates.length === 0) {
-            return;
+    /**
+     * Close the modal and scroll to a passage of the card's word
+     */
+    openPassage(word, index) {
+        const entry = (State.passagesMapping[word] || [])[index];
+        if (!entry) return;
+
+        ModalManager.close('flashcards');
+        LexiconManager.navigateToPassageByWordContext(entry.passage, word);
+    },
+
+    /**
+     * Render every card with its schedule, soonest due first
+     */
+    renderDeck() {
+        if (State.flashcards.length === 0) {
+            return '<div class="no-bookmarks">No flashcards yet. Star a word in the lexicon to add it.</div>';
         }
 
-        // Sort by score and pick best match
-        candidates.sort((a, b) => b.score - a.score);
+        const escape = Utils.escapeHTML;
+        let html = `<div class="bookmarks-list">`;
+        [...State.flashcards].sort((a, b) => a.due - b.due).forEach(card => {
+            const details = [
+                `Due ${this.formatDue(card.due)}`,
+                `interval ${card.interval}d`,
+                `ease ${card.ease.toFixed(2)}`
+            ];
+            if (card.lapses) details.push(`${card.lapses} ${card.lapses === 1 ? 'lapse' : 'lapses'}`);
 
-        const bestMatch = candidates[0].node;
+            html += `<div class="bookmark-item">`;
+            html += `<div class="bookmark-info" data-word="${escape(card.word)}" title="Show definition" ` +
+                `onclick="ModalManager.close('flashcards'); LexiconManager.showEntry(this.dataset.word); return false;">`;
+            html += `<div class="bookmark-chapter">${escape(card.word)}</div>`;
+            html += `<div class="bookmark-meta">${escape(details.join(' · '))}</div>`;
+            html += `</div>`;
+            html += `<div class="bookmark-actions">`;
+            html += `<button class="bookmark-action-btn" data-id="${card.id}" aria-label="Remove flashcard" title="Remove flashcard" ` +
+                `onclick="FlashcardManager.removeCard(this.dataset.id); return false;"><span class="material-icons">delete</span></button>`;
+            html += `</div></div>`;
+        });
+        html += `</div>`;
+        return html;
+    },
 
-        // Navigate to the best match
-        this.scrollToAndHighlightNode(bestMatch);
+    /**
+     * Earliest due time in the deck
+     */
+    getNextDue() {
+        return Math.min(...State.flashcards.map(card => card.due));
     },
 
     /**
-     * Get surrounding text from nearby text nodes
+     * "now", "today", "tomorrow" or a date
      */
-    getSurroundingText(centerNode, radius) {
-        const walker = document.createTreeWalker(
-            Elements.bookContent,
-            NodeFilter.SHOW_TEXT,
-            null
-        );
+    formatDue(due) {
+        const now = Date.now();
+        if (due <= now) return 'now';
 
-        // Collect all text nodes
-        const allNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            allNodes.push(node);
+        const startOfDay = time => new Date(time).setHours(0, 0, 0, 0);
+        const days = Math.round((startOfDay(due) - startOfDay(now)) / this.DAY_MS);
+        if (days === 0) return 'today';
+        if (days === 1) return 'tomorrow';
+        return new Date(due).toLocaleDateString();
+    },
+
+    /**
+     * Generate unique ID for flashcard
+     */
+    generateId() {
+        return 'card_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    },
+
+    /**
+     * Save flashcards to localStorage (canonical key: 'flashcards', synced by TrueHeart)
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem('flashcards', JSON.stringify(State.flashcards));
+        } catch (error) {
+            console.error('Failed to save flashcards:', error);
         }
+    },
 
-        // Find center node index
-        const centerIndex = allNodes.indexOf(centerNode);
-        if (centerIndex === -1) return centerNode.textContent;
+    /**
+     * Load flashcards from localStorage
+     */
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem('flashcards');
+            State.flashcards = saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Failed to load flashcards:', error);
+            State.flashcards = [];
+        }
+    }
+};
 
-        // Get surrounding nodes
-        const start = Math.max(0, centerIndex - radius);
-        const end = Math.min(allNodes.length, centerIndex + radius + 1);
+// ===== LEXICON OVERRIDE MANAGER =====
+const LexiconOverrideManager = {
+    TRANSLITERATION_PREFIX: '**Transliteration**: ',
 
-        return allNodes.slice(start, end).map(n => n.textContent).join(' ');
+    /**
+     * Initialize lexicon override manager
+     */
+    init() {
+        this.loadFromStorage();
     },
 
     /**
-     * Calculate how well the context matches
+     * Personal edit of a lexicon headword: { definition, gloss, timestamp } or null
      */
-    calculateContextScore(surroundingText, word, expectedBefore, expectedAfter) {
-        const wordIndex = surroundingText.indexOf(word);
-        if (wordIndex === -1) return 0;
+    get(word) {
+        return State.lexiconOverrides[word] || null;
+    },
 
-        const actualBefore = surroundingText.substring(Math.max(0, wordIndex - 50), wordIndex);
-        const actualAfter = surroundingText.substring(wordIndex + word.length, Math.min(surroundingText.length, wordIndex + word.length + 50));
+    /**
+     * Shipped Markdown entry of a headword, null for words outside the lexicons
+     */
+    getShippedEntry(word) {
+        return State.lexicon[word] || State.iastLexicon[word] || null;
+    },
 
-        let score = 0;
+    /**
+     * Render a shipped definition merged with the personal edit - a corrected definition
+     * replaces the shipped one (kept in a collapsed "Original entry"), a gloss is added below
+     */
+    renderMerged(word, override, shippedHtml) {
+        const marker = `<span class="lexicon-edit-marker" title="Your own edit - not part of the shipped lexicon">my edit</span>`;
+        let html = '';
 
-        // Check how much of expected context appears in actual context
-        // Score based on longest common substring
-        if (expectedBefore.length > 5) {
-            const beforeMatch = this.longestCommonSubstring(actualBefore, expectedBefore);
-            score += (beforeMatch / expectedBefore.length) * 50;
+        if (override.definition) {
+            html += `<div class="lexicon-user-edit">${marker}${new showdown.Converter().makeHtml(override.definition)}</div>`;
+            html += `<details class="lexicon-original"><summary>Original entry</summary>${shippedHtml}</details>`;
+        } else {
+            html += shippedHtml;
         }
 
-        if (expectedAfter.length > 5) {
-            const afterMatch = this.longestCommonSubstring(actualAfter, expectedAfter);
-            score += (afterMatch / expectedAfter.length) * 50;
+        if (override.gloss) {
+            html += `<div class="lexicon-user-edit lexicon-user-gloss">${marker}<h3>My Gloss</h3>` +
+                `<p>${Utils.escapeHTML(override.gloss).replace(/\n/g, '<br>')}</p></div>`;
         }
 
-        return score;
+        return html;
     },
 
     /**
-     * Find longest common substring length
+     * Open the editor for the word shown in the lexicon modal
      */
-    longestCommonSubstring(str1, str2) {
-        let maxLen = 0;
-        for (let i = 0; i < str1.length; i++) {
-            for (let j = 0; j < str2.length; j++) {
-                let len = 0;
-                while (i + len < str1.length && j + len < str2.length && str1[i + len] === str2[j + len]) {
-                    len++;
-                }
-                maxLen = Math.max(maxLen, len);
-            }
-        }
-        return maxLen;
+    edit() {
+        State.lexiconView.editing = true;
+        LexiconManager.renderLexiconView(State.lexiconView.currentWord);
     },
 
     /**
-     * Scroll to node and highlight its container
+     * Leave the editor without saving
      */
-    scrollToAndHighlightNode(node) {
-        // Find the paragraph/block bounded by newlines that contains this node
-        const highlightElement = this.findParagraphBoundedByNewlines(node);
+    cancel() {
+        State.lexiconView.editing = false;
+        LexiconManager.renderLexiconView(State.lexiconView.currentWord);
+    },
 
-        if (highlightElement) {
-            const headerOffset = 100;
-            const elementPosition = highlightElement.getBoundingClientRect().top + window.pageYOffset;
-            const offsetPosition = elementPosition - headerOffset;
+    /**
+     * Render the editor: personal gloss and the definition Markdown (prefilled with the shipped entry)
+     */
+    renderEditor(word) {
+        const escape = Utils.escapeHTML;
+        const override = this.get(word) || {};
+        const definition = override.definition || this.getShippedEntry(word) || '';
 
-            window.scrollTo({
-                top: offsetPosition,
-                behavior: 'smooth'
-            });
+        let html = `<h2>Edit ${escape(word)}</h2>`;
+        html += `<div class="lexicon-editor">`;
+        html += `<label class="bookmark-book-title" for="lexicon-edit-gloss">My gloss</label>`;
+        html += `<textarea id="lexicon-edit-gloss" class="note-editor-textarea lexicon-edit-gloss" rows="3" ` +
+            `placeholder="Your own note on this word">${escape(override.gloss || '')}</textarea>`;
+        html += `<label class="bookmark-book-title" for="lexicon-edit-definition">Definition (Markdown)</label>`;
+        html += `<textarea id="lexicon-edit-definition" class="note-editor-textarea lexicon-edit-definition" rows="14">${escape(definition)}</textarea>`;
+        html += `<div class="bookmark-meta">Leave the definition unchanged to keep the shipped entry.</div>`;
 
-            // Highlight only the paragraph bounded by newlines
-            this.highlightPassageElement(highlightElement);
+        html += `<div class="saved-searches-actions">`;
+        html += `<button class="search-nav-btn" data-word="${escape(word)}" onclick="LexiconOverrideManager.saveFromEditor(this.dataset.word); return false;">` +
+            `<span class="material-icons">save</span> Save</button>`;
+        html += `<button class="search-nav-btn" onclick="LexiconOverrideManager.cancel(); return false;">Cancel</button>`;
+        if (this.get(word)) {
+            html += `<button class="search-nav-btn" data-word="${escape(word)}" onclick="LexiconOverrideManager.remove(this.dataset.word); return false;">` +
+                `<span class="material-icons">undo</span> Revert to original</button>`;
+        }
+        if (Object.keys(State.lexiconOverrides).length > 0) {
+            html += `<button class="search-nav-btn" onclick="LexiconOverrideManager.exportPatch(); return false;">` +
+                `<span class="material-icons">download</span> Export my edits</button>`;
         }
+        html += `</div></div>`;
+        return html;
     },
 
     /**
-     * Find the paragraph/block bounded by newlines containing the node
+     * Save the editor's gloss and definition (an unchanged definition is not stored)
      */
-    findParagraphBoundedByNewlines(centerNode) {
-        // Collect all text nodes in order
-        const walker = document.createTreeWalker(
-            Elements.bookContent,
-            NodeFilter.SHOW_TEXT,
-            null
-        );
+    saveFromEditor(word) {
+        const gloss = document.getElementById('lexicon-edit-gloss').value.trim();
+        let definition = document.getElementById('lexicon-edit-definition').value.trim();
+        const shipped = (this.getShippedEntry(word) || '').trim();
+        if (definition === shipped) definition = '';
 
-        const allNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            allNodes.push(node);
+        if (!gloss && !definition) {
+            this.remove(word);
+            return;
         }
 
-        // Find the center node index
-        const centerIndex = allNodes.indexOf(centerNode);
-        if (centerIndex === -1) return centerNode.parentElement;
-
-        // Scan backwards to find paragraph start (double newline or block-level element boundary)
-        let startIndex = centerIndex;
-        for (let i = centerIndex; i >= 0; i--) {
-            const text = allNodes[i].textContent;
-
-            // Check if this node has double newlines (paragraph break)
-            if (/\n\s*\n/.test(text)) {
-                // Found paragraph break within this node - start after it
-                startIndex = i;
-                break;
-            }
-
-            // Check if we hit a block boundary
-            const parent = allNodes[i].parentElement;
-            const prevParent = i > 0 ? allNodes[i - 1].parentElement : null;
+        State.lexiconOverrides[word] = {
+            definition: definition || null,
+            gloss: gloss || null,
+            timestamp: new Date().toISOString()
+        };
+        this.saveToStorage();
 
-            if (prevParent && this.isBlockBoundary(prevParent, parent)) {
-                startIndex = i;
-                break;
-            }
+        State.lexiconView.editing = false;
+        LexiconManager.renderLexiconView(word);
+        NotificationManager.show(`Your edit of "${word}" was saved`, 'info');
+    },
 
-            startIndex = i;
-        }
+    /**
+     * Drop the personal edit of a word, back to the shipped entry
+     */
+    remove(word) {
+        delete State.lexiconOverrides[word];
+        this.saveToStorage();
 
-        // Scan forwards to find paragraph end
-        let endIndex = centerIndex;
-        for (let i = centerIndex; i < allNodes.length; i++) {
-            const text = allNodes[i].textContent;
+        State.lexiconView.editing = false;
+        LexiconManager.renderLexiconView(word);
+    },
 
-            // Check if this node has double newlines
-            if (/\n\s*\n/.test(text)) {
-                endIndex = i;
-                break;
-            }
+    /**
+     * Transliteration line of the shipped IAST entry - the importer finds the headword by it
+     */
+    getShippedTransliterationLine(word) {
+        const line = (this.getShippedEntry(word) || '').split('\n').find(line => line.startsWith(this.TRANSLITERATION_PREFIX));
+        return line ? line.trim() : `${this.TRANSLITERATION_PREFIX}${word}`;
+    },
 
-            // Check if we hit a block boundary
-            const parent = allNodes[i].parentElement;
-            const nextParent = i < allNodes.length - 1 ? allNodes[i + 1].parentElement : null;
+    /**
+     * Check if an edited definition changes the transliteration line (not exported, see getPatchEntry)
+     */
+    changesTransliteration(word, override) {
+        if (!override.definition) return false;
+        const line = override.definition.split('\n').find(line => line.startsWith(this.TRANSLITERATION_PREFIX));
+        return Boolean(line) && line.trim() !== this.getShippedTransliterationLine(word);
+    },
 
-            if (nextParent && this.isBlockBoundary(parent, nextParent)) {
-                endIndex = i;
-                break;
-            }
+    /**
+     * Patch entry for lexicon-manager.js: the corrected (or shipped) Markdown with the gloss appended
+     * Devanagari entries must start with "# <key>" - the importer takes the key from that line.
+     * IAST entries keep the shipped transliteration as line 2: the importer fuzzy-matches that
+     * line to pick the key, so an edited one would be written to another headword.
+     */
+    getPatchEntry(word, override, isDevanagari) {
+        let entry = (override.definition || this.getShippedEntry(word) || `# ${word}`).trim();
+        const lines = entry.split('\n');
 
-            endIndex = i;
+        if (isDevanagari) {
+            if (lines[0].startsWith('# ')) lines[0] = `# ${word}`;
+            else lines.unshift(`# ${word}`);
+            entry = lines.join('\n');
+        } else {
+            const rest = lines.filter(line => !line.startsWith(this.TRANSLITERATION_PREFIX));
+            if (!rest[0].startsWith('# ')) rest.unshift(`# ${word}`);
+            rest.splice(1, 0, this.getShippedTransliterationLine(word));
+            entry = rest.join('\n');
         }
 
-        // Find common ancestor of all nodes in range
-        const rangeNodes = allNodes.slice(startIndex, endIndex + 1);
-        const commonAncestor = this.findCommonAncestor(rangeNodes);
-
-        return commonAncestor;
+        if (override.gloss) {
+            entry += `\n\n**Gloss**: ${override.gloss.replace(/\s*\n\s*/g, ' ')}`;
+        }
+        return entry;
     },
 
     /**
-     * Check if there's a block-level boundary between two elements
+     * Export personal edits as batch files for `node lexicon-manager.js -i <file> --overwrite`
+     * (Devanagari lexicon) and `-j <file> --overwrite` (IAST lexicon)
      */
-    isBlockBoundary(elem1, elem2) {
-        if (!elem1 || !elem2) return false;
+    async exportPatch() {
+        const words = Object.keys(State.lexiconOverrides);
+        if (words.length === 0) {
+            NotificationManager.show('No lexicon edits to export', 'info');
+            return;
+        }
 
-        const blockTags = ['P', 'DIV', 'SECTION', 'ARTICLE', 'LI', 'TD', 'TH', 'BLOCKQUOTE', 'PRE'];
+        const devanagari = [];
+        const iast = [];
+        const keptTransliterations = [];
+        words.forEach(word => {
+            const isDevanagari = Boolean(State.lexicon[word]);
+            const override = State.lexiconOverrides[word];
+            if (!isDevanagari && this.changesTransliteration(word, override)) keptTransliterations.push(word);
+            (isDevanagari ? devanagari : iast).push(this.getPatchEntry(word, override, isDevanagari));
+        });
 
-        // If they're different block elements, it's a boundary
-        if (blockTags.includes(elem1.tagName) && blockTags.includes(elem2.tagName) && elem1 !== elem2) {
-            return true;
+        // Same delimiter as lexicon-manager.js batch files
+        const delimiter = '\n--- WORD DELIMITER ---\n';
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const notice = 'Lexicon edits exported to Documents folder';
+
+        try {
+            if (devanagari.length > 0) {
+                await SearchExportManager.saveFile(`Yoga-Vasishtha-Lexicon-Patch-Devanagari-${timestamp}.txt`,
+                    devanagari.join(delimiter) + '\n', 'text/plain', notice);
+            }
+            if (iast.length > 0) {
+                await SearchExportManager.saveFile(`Yoga-Vasishtha-Lexicon-Patch-IAST-${timestamp}.txt`,
+                    iast.join(delimiter) + '\n', 'text/plain', notice);
+            }
+            if (keptTransliterations.length > 0) {
+                NotificationManager.show(`Transliteration edits of ${keptTransliterations.join(', ')} were not exported - ` +
+                    'the import finds the headword by that line', 'info');
+            }
+        } catch (error) {
+            console.error('Failed to export lexicon edits:', error);
+            NotificationManager.show('Failed to export lexicon edits', 'error');
         }
+    },
 
-        // If one is inside a different block container than the other
-        let p1 = elem1;
-        while (p1 && !blockTags.includes(p1.tagName)) {
-            p1 = p1.parentElement;
+    /**
+     * Save lexicon edits to localStorage
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.LEXICON_OVERRIDES, JSON.stringify(State.lexiconOverrides));
+        } catch (error) {
+            console.error('Failed to save lexicon edits:', error);
         }
+    },
 
-        let p2 = elem2;
-        while (p2 && !blockTags.includes(p2.tagName)) {
-            p2 = p2.parentElement;
+    /**
+     * Load lexicon edits from localStorage
+     */
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem(CONFIG.STORAGE_KEYS.LEXICON_OVERRIDES);
+            State.lexiconOverrides = saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('Failed to load lexicon edits:', error);
+            State.lexiconOverrides = {};
         }
+    }
+};
 
-        return p1 !== p2;
+// ===== INTERLINEAR MANAGER =====
+const InterlinearManager = {
+    // Elements whose end closes the line a gloss is shown under
+    BLOCK_SELECTOR: 'p, li, blockquote, pre, h1, h2, h3, h4, h5, h6, td, div',
+
+    /**
+     * Initialize interlinear manager
+     */
+    init() {
+        this.loadFromStorage();
     },
 
     /**
-     * Find common ancestor element of multiple text nodes
+     * Whether interlinear mode is switched on in the settings
      */
-    findCommonAncestor(nodes) {
-        if (nodes.length === 0) return null;
-        if (nodes.length === 1) return nodes[0].parentElement;
+    isEnabled() {
+        return State.settings.interlinear === 'on';
+    },
 
-        // Get all ancestors of first node
-        const ancestors = [];
-        let current = nodes[0].parentElement;
-        while (current) {
-            ancestors.push(current);
-            current = current.parentElement;
-        }
+    /**
+     * Storage key of a chapter's collapsed state
+     */
+    getChapterKey(chapterId) {
+        return `${State.currentBookIndex}:${chapterId}`;
+    },
 
-        // Find first ancestor that contains all nodes
-        for (const ancestor of ancestors) {
-            if (nodes.every(node => ancestor.contains(node))) {
-                return ancestor;
-            }
-        }
+    /**
+     * Split a passage translation into its IAST line and English gloss
+     * Batch translations read "# Passage", original text, IAST, then the translation
+     */
+    parseTranslation(translation) {
+        const paragraphs = translation
+            .replace(/^#.*$/gm, '')
+            .trim()
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean);
 
-        return nodes[0].parentElement;
+        const plain = text => text.replace(/\*\*|__/g, '').trim();
+        if (paragraphs.length >= 3) {
+            return { iast: plain(paragraphs[1]), gloss: plain(paragraphs.slice(2).join('\n\n')) };
+        }
+        return { iast: '', gloss: plain(paragraphs[paragraphs.length - 1] || '') };
     },
 
     /**
-     * Navigate to passage location in the EPUB using text search
+     * Find the Sanskrit passages of a chapter the way create-words-passages-mapping.js
+     * extracts them: Devanagari runs between Roman letters and [Sanskrit: ...] constructs.
+     * Returns [{ passage, node, offset }] - the text node the passage ends in and the end offset within it
      */
-    navigateToPassage(passageText) {
-        // Close lexicon modal first
-        ModalManager.close('lexicon');
+    findPassages(chapterEl) {
+        // Also used on volumes parsed outside the page (CoverageManager)
+        const walker = chapterEl.ownerDocument.createTreeWalker(chapterEl, NodeFilter.SHOW_TEXT, null, false);
+        const nodes = [];
+        let text = '';
+        let node;
+        while (node = walker.nextNode()) {
+            nodes.push({ node, start: text.length });
+            text += node.textContent;
+        }
 
-        // Helper to aggressively normalize for searching
-        const normalizeForSearch = (text) => {
-            return text
-                .replace(/<[^>]*>/g, '')  // Remove HTML tags
-                .replace(/\s+/g, '')  // Remove whitespace
-                .replace(/[\u00a0\u200b\u200c\u200d\ufeff]/g, '')  // Remove special spaces
-                .replace(/[-।॥]/g, '')  // Remove hyphens and Devanagari punctuation
-                .replace(/[^\u0900-\u097F\u0980-\u09FF]/g, '');  // Keep only Devanagari and Bengali script
+        // Text node holding the character before `end`
+        const locate = (passage, end) => {
+            let found = nodes[0];
+            for (const entry of nodes) {
+                if (entry.start >= end) break;
+                found = entry;
+            }
+            return { passage, node: found.node, offset: end - found.start };
         };
 
-        const normalizedSearchPassage = normalizeForSearch(passageText);
-        // Use shorter truncation for very short passages
-        const truncateLength = Math.min(Math.max(15, Math.floor(normalizedSearchPassage.length * 0.6)), 30);
-        const truncatedSearchPassage = normalizedSearchPassage.substring(0, truncateLength);
+        const passages = [];
 
-        // Search for passage in current book first
-        let found = this.findAndScrollToPassage(passageText, State.currentBookIndex);
+        // Devanagari passages: stop only at Roman letters, trim to the first and last Devanagari character
+        const runRegex = /[^a-zA-Z]+/g;
+        let match;
+        while ((match = runRegex.exec(text)) !== null) {
+            const run = match[0];
+            const first = run.search(/[\u0900-\u097F]/);
+            if (first === -1) continue;
 
-        if (!found) {
-            // Search in other books using aggressive normalization
-            for (let bookIndex = 0; bookIndex < State.bookContents.length; bookIndex++) {
-                if (bookIndex === State.currentBookIndex) continue;
+            let last = run.length - 1;
+            while (!/[\u0900-\u097F]/.test(run[last])) last--;
 
-                const content = State.bookContents[bookIndex];
-                if (!content) continue;
+            const passage = run.slice(first, last + 1);
+            const devanagariChars = passage.match(/[\u0900-\u097F]/g) || [];
+            if (/\s/.test(passage) && devanagariChars.length >= 2) {
+                passages.push(locate(passage, match.index + last + 1));
+            }
+        }
 
-                // Use aggressive normalization for book content search
-                const normalizedContent = normalizeForSearch(content);
+        // Romanized passages: [Sanskrit: ...]
+        const patternRegex = new RegExp(CONFIG.SANSKRIT_PATTERN_REGEX.source, 'g');
+        while ((match = patternRegex.exec(text)) !== null) {
+            const passage = match[1].trim();
+            if (/\s/.test(passage) && !passage.includes('illegible')) {
+                passages.push(locate(passage, match.index + match[0].length));
+            }
+        }
 
-                // Try full match first, then truncated
-                const fullMatch = normalizedContent.includes(normalizedSearchPassage);
-                const truncMatch = truncatedSearchPassage.length >= 10 && normalizedContent.includes(truncatedSearchPassage);
-                const containsPassage = fullMatch || truncMatch;
+        return passages;
+    },
 
-                if (containsPassage) {
-                    // Switch to this book
-                    State.currentBookIndex = bookIndex;
-                    Elements.bookSelector.value = bookIndex;
-                    Elements.bookSelectorMobile.value = bookIndex;
-                    SettingsManager.save(CONFIG.STORAGE_KEYS.CURRENT_BOOK, bookIndex);
-                    UIManager.displayCurrentBook();
+    /**
+     * Annotate every translated passage of the rendered book
+     * Glosses carry their text in data attributes and show it through CSS, so the
+     * book's text - and the word positions savePosition, notes and bookmarks count - is unchanged.
+     */
+    async annotate(container) {
+        if (!container || !this.isEnabled()) return;
 
-                    // Wait for book to render, then scroll to passage
-                    setTimeout(() => {
-                        this.findAndScrollToPassage(passageText, bookIndex);
-                    }, 500);
+        const chapters = Array.from(container.querySelectorAll('.chapter-content'))
+            .filter(chapterEl => !chapterEl.dataset.interlinear);
 
-                    found = true;
-                    break;
+        const annotated = await Promise.all(chapters.map(async chapterEl => {
+            const passages = this.findPassages(chapterEl);
+            const found = [];
+            for (const { passage, node } of passages) {
+                try {
+                    const hash = await LexiconManager.generatePassageHash(passage);
+                    if (State.passagesTranslations[hash]) found.push({ hash, node });
+                } catch (error) {
+                    console.error('Interlinear hash error:', error);
+                    return { chapterEl, found: [] };
                 }
             }
-        }
+            return { chapterEl, found };
+        }));
+
+        // Mode switched off or book changed while hashing
+        if (!this.isEnabled()) return;
+
+        this.keepReadingPosition(() => {
+            annotated.forEach(({ chapterEl, found }) => {
+                if (!chapterEl.isConnected) return;
+                chapterEl.dataset.interlinear = String(found.length);
+                if (found.length === 0) return;
+
+                const lastGloss = new Map(); // block → last gloss inserted after it
+                found.forEach(({ hash, node }) => {
+                    const gloss = this.createGloss(hash);
+                    const block = (node.parentElement && node.parentElement.closest(this.BLOCK_SELECTOR)) || null;
+                    const anchor = block && block !== chapterEl && chapterEl.contains(block) ? block : node;
+                    (lastGloss.get(anchor) || anchor).after(gloss);
+                    lastGloss.set(anchor, gloss);
+                });
 
-        if (!found) {
-            console.warn('Could not find passage in any book:', passageText.substring(0, 50));
-        }
+                chapterEl.prepend(this.createToggle(chapterEl.id, found.length));
+                chapterEl.classList.toggle('interlinear-collapsed', !!State.interlinearCollapsed[this.getChapterKey(chapterEl.id)]);
+            });
+        });
     },
 
     /**
-     * Find passage text in rendered content and scroll to it
-     * @param {string} passageText - The passage text to search for
-     * @param {number} bookIndex - The book index being searched
+     * Gloss element for a passage - text lives in data attributes (shown with CSS content)
      */
-    findAndScrollToPassage(passageText, bookIndex) {
-        // Multi-level normalization for robust matching
+    createGloss(hash) {
+        const { iast, gloss } = this.parseTranslation(State.passagesTranslations[hash]);
+        const element = document.createElement('div');
+        element.className = 'interlinear-gloss';
+        element.dataset.hash = hash;
+        element.dataset.iast = iast;
+        element.dataset.gloss = gloss;
+        element.setAttribute('role', 'note');
+        element.setAttribute('aria-label', [iast, gloss].filter(Boolean).join('. '));
+        return element;
+    },
 
-        // Level 1: Standard normalization (spaces)
-        const normalizeText = (text) => {
-            return text
-                .trim()
-                .replace(/\s+/g, ' ')  // Normalize whitespace
-                .replace(/\u00a0/g, ' ');  // Replace non-breaking spaces
-        };
+    /**
+     * Per-chapter show / hide button (label shown with CSS content as well)
+     */
+    createToggle(chapterId, count) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'interlinear-toggle';
+        button.dataset.chapter = chapterId;
+        button.dataset.count = count;
+        button.addEventListener('click', () => this.toggleChapter(chapterId));
+        this.updateToggle(button, !!State.interlinearCollapsed[this.getChapterKey(chapterId)]);
+        return button;
+    },
 
-        // Level 2: Aggressive normalization (remove all whitespace and punctuation)
-        const normalizeAggressive = (text) => {
-            return text
-                .replace(/<[^>]*>/g, '')  // Remove HTML tags
-                .replace(/\s+/g, '')  // Remove all whitespace
-                .replace(/[\u00a0\u200b\u200c\u200d\ufeff]/g, '')  // Remove special spaces
-                .replace(/[-।॥]/g, '')  // Remove hyphens and Devanagari punctuation
-                .replace(/[^\u0900-\u097F\u0980-\u09FF]/g, '');  // Keep only Devanagari and Bengali script
-        };
+    updateToggle(button, collapsed) {
+        const count = button.dataset.count;
+        const label = collapsed
+            ? `Show ${count} passage translation${count !== '1' ? 's' : ''}`
+            : `Hide passage translations`;
+        button.dataset.label = label;
+        button.setAttribute('aria-label', label);
+        button.setAttribute('aria-expanded', String(!collapsed));
+    },
 
-        const normalizedPassage = normalizeText(passageText);
-        const aggressivePassage = normalizeAggressive(passageText);
+    /**
+     * Collapse or expand the glosses of one chapter, keeping the reading position
+     */
+    toggleChapter(chapterId) {
+        const chapterEl = document.getElementById(chapterId);
+        if (!chapterEl) return;
 
-        // Also prepare a truncated version for partial matching (first 30 chars)
-        const truncatedPassage = aggressivePassage.substring(0, Math.min(30, aggressivePassage.length));
+        const key = this.getChapterKey(chapterId);
+        const collapsed = !State.interlinearCollapsed[key];
+        if (collapsed) {
+            State.interlinearCollapsed[key] = true;
+        } else {
+            delete State.interlinearCollapsed[key];
+        }
+        this.saveToStorage();
 
-        // Get all text nodes in the book content and concatenate them with context
-        const bookContent = Elements.bookContent;
-        const walker = document.createTreeWalker(
-            bookContent,
-            NodeFilter.SHOW_TEXT,
-            null
-        );
+        this.keepReadingPosition(() => {
+            chapterEl.classList.toggle('interlinear-collapsed', collapsed);
+        });
+        const button = chapterEl.querySelector('.interlinear-toggle');
+        if (button) this.updateToggle(button, collapsed);
+    },
 
-        const allNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            if (node.textContent.trim().length > 0) {
-                allNodes.push(node);
-            }
+    /**
+     * Apply the interlinear setting to the rendered book
+     */
+    async refresh() {
+        if (this.isEnabled()) {
+            await this.annotate(Elements.bookContent);
+        } else {
+            this.clear(Elements.bookContent);
         }
+    },
 
-        let bestMatch = null;
-        let bestMatchScore = 0;
+    /**
+     * Remove all glosses and toggles
+     */
+    clear(container) {
+        if (!container) return;
+        this.keepReadingPosition(() => {
+            container.querySelectorAll('.interlinear-gloss, .interlinear-toggle').forEach(element => element.remove());
+            container.querySelectorAll('.chapter-content[data-interlinear]').forEach(chapterEl => {
+                delete chapterEl.dataset.interlinear;
+                chapterEl.classList.remove('interlinear-collapsed');
+            });
+        });
+    },
 
-        // Strategy 1: Check individual nodes (for passages within single elements)
-        for (let i = 0; i < allNodes.length; i++) {
-            const nodeText = allNodes[i].textContent;
-            const normalizedNode = normalizeText(nodeText);
-            const aggressiveNode = normalizeAggressive(nodeText);
+    /**
+     * Run a layout change without moving the text at the top of the viewport
+     */
+    keepReadingPosition(change) {
+        const topWord = SettingsManager.findTopVisibleWord();
+        const before = topWord ? topWord.range.getBoundingClientRect().top : null;
 
-            // Try exact match with standard normalization
-            if (normalizedNode.includes(normalizedPassage)) {
-                bestMatch = allNodes[i];
-                bestMatchScore = 3; // Highest score
-                break;
-            }
+        change();
 
-            // Try exact match with aggressive normalization
-            if (aggressiveNode.includes(aggressivePassage)) {
-                if (bestMatchScore < 2) {
-                    bestMatch = allNodes[i];
-                    bestMatchScore = 2;
-                }
-            }
+        if (topWord && topWord.textNode.isConnected) {
+            const shift = topWord.range.getBoundingClientRect().top - before;
+            if (shift !== 0) window.scrollBy({ top: shift, behavior: 'auto' });
         }
+    },
 
-        // Strategy 2: Check sliding windows of concatenated nodes (for passages split across elements)
-        if (!bestMatch) {
-            const windowSize = 5; // Look at groups of 5 consecutive text nodes
+    /**
+     * Save collapsed chapters to localStorage
+     */
+    saveToStorage() {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.INTERLINEAR_COLLAPSED, JSON.stringify(State.interlinearCollapsed));
+        } catch (error) {
+            console.error('Failed to save interlinear state:', error);
+        }
+    },
 
-            // Track all matches with their quality scores
-            const allMatches = [];
+    /**
+     * Load collapsed chapters from localStorage
+     */
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem(CONFIG.STORAGE_KEYS.INTERLINEAR_COLLAPSED);
+            State.interlinearCollapsed = saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('Failed to load interlinear state:', error);
+            State.interlinearCollapsed = {};
+        }
+    }
+};
 
-            for (let i = 0; i < allNodes.length - 1; i++) {
-                const endIdx = Math.min(i + windowSize, allNodes.length);
-                const windowText = allNodes.slice(i, endIdx).map(n => n.textContent).join('');
-                const aggressiveWindow = normalizeAggressive(windowText);
+// ===== COVERAGE MANAGER =====
+const CoverageManager = {
+    report: null, // { volumes: [{ volume, total, translated }], untranslated: [{ bookIndex, volume, hash, passage }] }
+    cursor: -1, // Index in report.untranslated of the passage last jumped to
 
-                // Check for exact match
-                if (aggressiveWindow.includes(aggressivePassage)) {
-                    // Calculate match quality based on position and context length
-                    const matchIndex = aggressiveWindow.indexOf(aggressivePassage);
-                    const contextBefore = aggressiveWindow.substring(0, matchIndex).length;
-                    const contextAfter = aggressiveWindow.substring(matchIndex + aggressivePassage.length).length;
+    /**
+     * Open the translation coverage panel (developer tool)
+     */
+    async open() {
+        ModalManager.open('coverage');
+        if (!this.report) {
+            Elements.coverageContent.innerHTML = '<div class="bookmark-meta">Hashing passages...</div>';
+            this.report = await this.buildReport();
+        }
+        this.render();
+    },
 
-                    // Prefer matches with balanced context (passage in middle of window)
-                    const balanceScore = Math.min(contextBefore, contextAfter);
+    /**
+     * Hash every passage of every volume and check it against State.passagesTranslations
+     * Passages are found like the reader finds them (InterlinearManager.findPassages),
+     * counted once per volume and listed in reading order.
+     */
+    async buildReport() {
+        const volumes = new Map();
+        const untranslated = [];
+        const parser = new DOMParser();
 
-                    allMatches.push({
-                        node: allNodes[i],
-                        nodeIndex: i,
-                        score: 2,
-                        balanceScore: balanceScore
-                    });
-                }
+        for (let bookIndex = 0; bookIndex < State.bookContents.length; bookIndex++) {
+            const content = State.bookContents[bookIndex];
+            if (!content) continue;
 
-                // Try partial match with truncated passage (only as fallback)
-                if (truncatedPassage.length >= 15 && aggressiveWindow.includes(truncatedPassage)) {
-                    if (bestMatchScore < 1) {
-                        allMatches.push({
-                            node: allNodes[i],
-                            nodeIndex: i,
-                            score: 1,
-                            balanceScore: 0
-                        });
-                    }
-                }
-            }
+            const volume = SearchManager.getVolumeNumber(bookIndex);
+            if (!volumes.has(volume)) volumes.set(volume, { volume, hashes: new Set(), translated: 0 });
+            const stats = volumes.get(volume);
 
-            // If we found multiple matches, prefer the one with best balance (most likely to be complete passage)
-            if (allMatches.length > 0) {
-                // If we have a spine index hint, use it to prefer matches closer to that location
-                if (targetSpineIndex !== null && allMatches.length > 1) {
-                    // Estimate which match is closer to the target spine index
-                    allMatches.forEach((match) => {
-                        // Calculate position score (prefer matches in later part of doc if spine index is high)
-                        const relativePosition = match.nodeIndex / allNodes.length;
-                        const estimatedSpineProgress = relativePosition * 100; // Rough estimate
-                        const distanceFromTarget = Math.abs(estimatedSpineProgress - targetSpineIndex);
-                        match.positionScore = 100 - distanceFromTarget;
-                    });
+            const doc = parser.parseFromString(content, 'text/html');
+            const chapters = doc.querySelectorAll('.chapter-content');
+            for (const chapterEl of chapters.length > 0 ? chapters : [doc.body]) {
+                for (const { passage } of InterlinearManager.findPassages(chapterEl)) {
+                    const hash = await LexiconManager.generatePassageHash(passage);
+                    if (stats.hashes.has(hash)) continue;
+                    stats.hashes.add(hash);
 
-                    // Sort by score first, then position score, then balance
-                    allMatches.sort((a, b) => {
-                        if (a.score !== b.score) return b.score - a.score;
-                        if (Math.abs(a.positionScore - b.positionScore) > 10) return b.positionScore - a.positionScore;
-                        return b.balanceScore - a.balanceScore;
-                    });
-                } else {
-                    // Sort by score first, then by balance
-                    allMatches.sort((a, b) => {
-                        if (a.score !== b.score) return b.score - a.score;
-                        return b.balanceScore - a.balanceScore;
-                    });
+                    if (State.passagesTranslations[hash]) {
+                        stats.translated++;
+                    } else {
+                        untranslated.push({ bookIndex, volume, hash, passage });
+                    }
                 }
-
-                bestMatch = allMatches[0].node;
-                bestMatchScore = allMatches[0].score;
             }
+
+            // Yield between books so the modal stays responsive
+            await new Promise(resolve => setTimeout(resolve, 0));
         }
 
-        // If we found a match, scroll to it
-        if (bestMatch) {
-            let targetElement = bestMatch.parentElement;
+        return {
+            volumes: [...volumes.values()]
+                .sort((a, b) => a.volume - b.volume)
+                .map(({ volume, hashes, translated }) => ({ volume, total: hashes.size, translated })),
+            untranslated
+        };
+    },
 
-            // Find the most specific element containing primarily Sanskrit text
-            // Start from immediate parent and check if it contains Devanagari
-            const hasDevanagari = (text) => /[\u0900-\u097F]/.test(text);
+    /**
+     * Render per-volume coverage and the untranslated passages
+     */
+    render() {
+        const escape = Utils.escapeHTML;
+        const { volumes, untranslated } = this.report;
+        const total = volumes.reduce((sum, entry) => sum + entry.total, 0);
+        const translated = volumes.reduce((sum, entry) => sum + entry.translated, 0);
+        const percent = (done, all) => all > 0 ? (done / all * 100).toFixed(1) : '100.0';
 
-            let highlightElement = targetElement;
-            let scrollElement = targetElement;
+        let html = `<div class="bookmark-meta">${translated} of ${total} passages translated (${percent(translated, total)}%) - ` +
+            `${Object.keys(State.passagesTranslations).length} translations loaded</div>`;
 
-            // Walk up to find a good scrollable container
-            let currentElement = targetElement;
-            while (currentElement && !['P', 'DIV', 'SECTION', 'ARTICLE'].includes(currentElement.tagName)) {
-                currentElement = currentElement.parentElement;
-            }
-            scrollElement = currentElement || targetElement;
+        html += `<div class="saved-searches-actions">`;
+        html += `<button class="search-nav-btn" onclick="CoverageManager.next(); return false;"${untranslated.length === 0 ? ' disabled' : ''}>` +
+            `<span class="material-icons">skip_next</span> Next untranslated passage</button>`;
+        html += `</div>`;
 
-            // For highlighting, prefer the most specific element with Sanskrit text
-            // Check if the immediate parent is a small container (like <span> or <em>)
-            if (targetElement.textContent.length < 200 && hasDevanagari(targetElement.textContent)) {
-                // This is likely a Sanskrit-only element, use it for highlighting
-                highlightElement = targetElement;
-            } else {
-                // Check if there's a child element with Sanskrit that's more specific
-                const children = Array.from(scrollElement.children || []);
-                for (const child of children) {
-                    const childText = child.textContent;
-                    if (hasDevanagari(childText) &&
-                        childText.length < 500 &&
-                        normalizeAggressive(childText).includes(aggressivePassage.substring(0, 20))) {
-                        highlightElement = child;
-                        break;
-                    }
-                }
-            }
+        html += `<div class="bookmarks-list">`;
+        volumes.forEach(entry => {
+            html += `<div class="bookmark-item coverage-volume">`;
+            html += `<div class="bookmark-info">`;
+            html += `<div class="bookmark-chapter">Volume ${entry.volume}</div>`;
+            html += `<div class="bookmark-meta">${entry.translated} / ${entry.total} translated (${percent(entry.translated, entry.total)}%)</div>`;
+            html += `<div class="coverage-bar"><div class="coverage-bar-fill" style="width: ${percent(entry.translated, entry.total)}%"></div></div>`;
+            html += `</div>`;
+            html += `</div>`;
+        });
+        html += `</div>`;
 
-            if (scrollElement) {
-                // Calculate offset for fixed header
-                const headerOffset = 100;
-                const elementPosition = scrollElement.getBoundingClientRect().top + window.pageYOffset;
-                const offsetPosition = elementPosition - headerOffset;
+        html += `<h3 class="bookmark-book-title">Untranslated Passages (${untranslated.length})</h3>`;
+        if (untranslated.length === 0) {
+            html += '<div class="no-bookmarks">Every passage has a translation.</div>';
+        } else {
+            html += `<div class="bookmarks-list">`;
+            untranslated.forEach((entry, index) => {
+                const current = index === this.cursor ? ' current' : '';
+                html += `<div class="bookmark-item coverage-passage${current}" data-index="${index}" ` +
+                    `onclick="CoverageManager.goTo(Number(this.dataset.index)); return false;">`;
+                html += `<div class="bookmark-info">`;
+                html += `<div class="bookmark-chapter">${escape(entry.passage.substring(0, 120))}${entry.passage.length > 120 ? '...' : ''}</div>`;
+                html += `<div class="bookmark-meta">Volume ${entry.volume} · ${Utils.getBookTitle(CONFIG.EPUB_FILES[entry.bookIndex])} · ${entry.hash}</div>`;
+                html += `</div>`;
+                html += `</div>`;
+            });
+            html += `</div>`;
+        }
 
-                // Scroll to position
-                window.scrollTo({
-                    top: offsetPosition,
-                    behavior: 'smooth'
-                });
+        Elements.coverageContent.innerHTML = html;
+    },
 
-                // Briefly highlight the specific Sanskrit passage element
-                this.highlightPassageElement(highlightElement);
+    /**
+     * Jump to the next untranslated passage - after the last one jumped to,
+     * or the first in the current book when starting
+     */
+    next() {
+        const { untranslated } = this.report;
+        if (untranslated.length === 0) return;
 
-                return true;
-            }
+        let index = this.cursor + 1;
+        if (this.cursor === -1) {
+            index = untranslated.findIndex(entry => entry.bookIndex >= State.currentBookIndex);
         }
+        if (index === -1 || index >= untranslated.length) index = 0;
 
-        // Passage not found
-        return false;
+        this.goTo(index);
     },
 
     /**
-     * Temporarily highlight a passage element
+     * Open the book of an untranslated passage and scroll to it (LexiconManager.navigateToPassage)
      */
-    highlightPassageElement(element) {
-        const originalBg = element.style.backgroundColor;
-        const originalTransition = element.style.transition;
+    async goTo(index) {
+        const entry = this.report.untranslated[index];
+        if (!entry) return;
+        this.cursor = index;
 
-        element.style.transition = 'background-color 0.3s ease';
-        element.style.backgroundColor = 'rgba(255, 235, 59, 0.3)'; // Yellow highlight
+        ModalManager.close('coverage');
+        if (entry.bookIndex !== State.currentBookIndex) {
+            SettingsManager.savePosition();
+            State.currentBookIndex = entry.bookIndex;
+            Elements.bookSelector.value = entry.bookIndex;
+            Elements.bookSelectorMobile.value = entry.bookIndex;
+            SettingsManager.save(CONFIG.STORAGE_KEYS.CURRENT_BOOK, entry.bookIndex);
+            await UIManager.displayCurrentBook();
+        }
+        LexiconManager.navigateToPassage(entry.passage);
+    },
 
-        setTimeout(() => {
-            element.style.backgroundColor = originalBg;
-            setTimeout(() => {
-                element.style.transition = originalTransition;
-            }, 300);
-        }, 2000);
+    /**
+     * Mark passages of the rendered book that have no translation
+     * The marker is an empty element (its symbol comes from CSS), so the book text is unchanged.
+     */
+    async markUntranslated(container) {
+        if (!container) return;
+
+        const missing = [];
+        for (const chapterEl of container.querySelectorAll('.chapter-content')) {
+            for (const found of InterlinearManager.findPassages(chapterEl)) {
+                try {
+                    const hash = await LexiconManager.generatePassageHash(found.passage);
+                    if (!State.passagesTranslations[hash]) missing.push({ ...found, hash });
+                } catch (error) {
+                    console.error('Coverage hash error:', error);
+                    return;
+                }
+            }
+        }
+
+        // Insert from the end so earlier offsets stay valid when a node is split
+        missing.reverse().forEach(({ node, offset, hash }) => {
+            if (!node.isConnected) return;
+            const marker = document.createElement('span');
+            marker.className = 'untranslated-marker';
+            marker.dataset.hash = hash;
+            marker.title = `No translation for this passage (${hash})`;
+            marker.addEventListener('click', () => this.open());
+            if (offset < node.length) node.splitText(offset);
+            node.after(marker);
+        });
     }
 };
 
@@ -5866,6 +10291,7 @@ const UIManager = {
         // Restore note highlights and bookmark highlights after content is processed
         NotesManager.restoreHighlights();
         BookmarkManager.restoreBookmarkHighlights();
+        HighlightManager.restoreHighlights();
 
         // Re-run verse processing after restores to ensure verse anchors survive highlight restore modifications
         requestAnimationFrame(() => {
@@ -5879,7 +10305,10 @@ const UIManager = {
 
         // Restore position after DOM has had time to render and resolve when done
         return new Promise((resolve) => {
-            requestAnimationFrame(() => {
+            requestAnimationFrame(async () => {
+                // Interlinear glosses change the layout - add them before the position is restored
+                await InterlinearManager.annotate(Elements.bookContent);
+                await CoverageManager.markUntranslated(Elements.bookContent);
                 console.debug('//DEBUG ORIENT displayCurrentBook: about to restore position for book', State.currentBookIndex); //DEBUG ORIENT
                 SettingsManager.restorePosition();
                 // Update TOC with extracted chapter titles
@@ -6115,6 +10544,8 @@ const ModalManager = {
             NotesManager.renderNotes();
         } else if (modalName === 'noteEditor') {
             // Note editor modal handled by NotesManager directly
+        } else if (modalName === 'savedSearches') {
+            SavedSearchManager.render();
         }
     },
 
@@ -6137,7 +10568,7 @@ const ModalManager = {
      * Close all modals
      */
     closeAll() {
-        ['toc', 'settings', 'help', 'lexicon', 'bookmarks', 'notes', 'noteEditor'].forEach(name => {
+        ['toc', 'settings', 'help', 'lexicon', 'bookmarks', 'notes', 'noteEditor', 'savedSearches', 'concordance', 'statistics', 'flashcards', 'coverage', 'anchors'].forEach(name => {
             this.close(name);
         });
     }
@@ -6175,9 +10606,35 @@ const EventHandlers = {
         Elements.searchInput.addEventListener('input', Utils.debounce((e) => {
             SearchManager.performSearch(e.target.value);
         }, 300));
+        Elements.searchInput.addEventListener('input', (e) => SearchHistoryManager.onInput(e.target.value));
+        Elements.searchInput.addEventListener('blur', () => SearchHistoryManager.hideSuggestions());
         Elements.searchInput.addEventListener('keydown', this.onSearchKeydown.bind(this));
         Elements.searchClear.addEventListener('click', () => SearchManager.clearSearch());
+        Elements.searchSanskrit.addEventListener('click', () => SearchManager.toggleSanskritMode());
+        SearchManager.updateSanskritModeButton();
+        Elements.searchFuzzy.addEventListener('click', () => SearchManager.toggleFuzzyMode());
+        SearchManager.updateFuzzyModeButton();
+
+        // Search filters
+        SearchManager.initFilterControls();
+        Elements.searchFilterToggle.addEventListener('click', () => SearchManager.toggleFilters());
+        Elements.searchFilterVolume.addEventListener('change', (e) => SearchManager.setFilter('volume', e.target.value));
+        Elements.searchFilterScope.addEventListener('change', (e) => SearchManager.setFilter('scope', e.target.value));
+        Elements.searchFilterChapterFrom.addEventListener('input', Utils.debounce((e) => {
+            SearchManager.setFilter('chapterFrom', e.target.value);
+        }, 300));
+        Elements.searchFilterChapterTo.addEventListener('input', Utils.debounce((e) => {
+            SearchManager.setFilter('chapterTo', e.target.value);
+        }, 300));
         Elements.searchClose.addEventListener('click', () => SearchManager.closePanel(false));
+        Elements.searchSavedBtn.addEventListener('click', () => ModalManager.open('savedSearches'));
+        Elements.searchConcordanceBtn.addEventListener('click', () => ConcordanceManager.open(Elements.searchInput.value));
+        Elements.concordanceSort.addEventListener('change', (e) => ConcordanceManager.setSort(e.target.value));
+        Elements.searchStatsBtn.addEventListener('click', () => StatisticsManager.open());
+        Elements.statsTermBtn.addEventListener('click', () => StatisticsManager.showDistribution(Elements.statsTerm.value));
+        Elements.statsTerm.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') StatisticsManager.showDistribution(Elements.statsTerm.value);
+        });
         Elements.searchBack.addEventListener('click', () => SearchManager.returnToOriginal());
         Elements.searchPrev.addEventListener('click', () => SearchManager.navigatePrevious());
         Elements.searchNext.addEventListener('click', () => SearchManager.navigateNext());
@@ -6187,8 +10644,26 @@ const EventHandlers = {
         Elements.exportBookmarksBtn.addEventListener('click', () => BookmarkManager.exportToJSON());
         Elements.importBookmarksBtn.addEventListener('click', () => BookmarkManager.importFromJSON());
         Elements.currentBookTab.addEventListener('click', () => BookmarkManager.switchTab('current'));
+        Elements.lexiconDefinitionTab.addEventListener('click', () => LexiconManager.switchTab('definition'));
+        Elements.lexiconRootsTab.addEventListener('click', () => LexiconManager.switchTab('roots'));
+        Elements.lexiconStarBtn.addEventListener('click', () => FlashcardManager.toggleCard(State.lexiconView.currentWord));
+        Elements.lexiconFlashcardsBtn.addEventListener('click', () => FlashcardManager.open());
+        Elements.flashcardsReviewTab.addEventListener('click', () => FlashcardManager.switchTab('review'));
+        Elements.flashcardsDeckTab.addEventListener('click', () => FlashcardManager.switchTab('deck'));
         Elements.otherBooksTab.addEventListener('click', () => BookmarkManager.switchTab('other'));
 
+        // Saved searches and results export
+        Elements.searchExportButtons.forEach(btn => {
+            btn.addEventListener('click', () => SearchExportManager.exportResults(btn.dataset.format));
+        });
+        Elements.savedSearchAdd.addEventListener('click', () => {
+            SavedSearchManager.saveCurrent(Elements.savedSearchName.value);
+            Elements.savedSearchName.value = '';
+        });
+        Elements.savedSearchName.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') Elements.savedSearchAdd.click();
+        });
+
         // Notes controls
         document.getElementById('add-note-btn').addEventListener('click', () => NotesManager.enterTextSelectionMode());
         Elements.exportNotesBtn.addEventListener('click', () => NotesManager.exportToJSON());
@@ -6205,6 +10680,11 @@ const EventHandlers = {
             }
         });
 
+        document.querySelectorAll('.note-editor-toolbar [data-format]').forEach(btn => {
+            btn.addEventListener('click', () => NotesManager.applyFormat(btn.dataset.format));
+        });
+        document.getElementById('note-editor-textarea').addEventListener('input', () => NotesManager.renderEditorPreview());
+
         // Auto-save note content on input
         document.getElementById('note-editor-textarea').addEventListener('input', Utils.debounce((e) => {
             const noteId = e.target.getAttribute('data-note-id');
@@ -6217,6 +10697,11 @@ const EventHandlers = {
         Elements.fontFamilySelect.addEventListener('change', this.onFontFamilyChange.bind(this));
         Elements.fontSizeSelect.addEventListener('change', this.onFontSizeChange.bind(this));
         Elements.lineHeightSelect.addEventListener('change', this.onLineHeightChange.bind(this));
+        Elements.interlinearSelect.addEventListener('change', this.onInterlinearChange.bind(this));
+        Elements.coverageBtn.addEventListener('click', () => CoverageManager.open());
+        Elements.anchorsBtn.addEventListener('click', () => TextAnchor.open());
+        Elements.highlightFilter.addEventListener('change', (e) => HighlightManager.setFilter(e.target.value));
+        Elements.addHighlightCategoryBtn.addEventListener('click', () => HighlightManager.addCategory());
 
         // Modal close buttons
         Elements.closeButtons.forEach(btn => {
@@ -6235,7 +10720,9 @@ const EventHandlers = {
         document.querySelectorAll('.modal-overlay').forEach(overlay => {
             overlay.addEventListener('click', (e) => {
                 if (e.target === overlay) {
-                    const modalName = overlay.id.replace('-modal', '');
+                    let modalName = overlay.id.replace('-modal', '');
+                    // Convert kebab-case to camelCase for compound modal names
+                    modalName = modalName.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
                     ModalManager.close(modalName);
                 }
             });
@@ -6333,6 +10820,16 @@ const EventHandlers = {
         SettingsManager.apply();
     },
 
+    /**
+     * Handle interlinear mode change
+     */
+    onInterlinearChange(e) {
+        State.settings.interlinear = e.target.value;
+        SettingsManager.save(CONFIG.STORAGE_KEYS.INTERLINEAR, State.settings.interlinear);
+        SettingsManager.apply();
+        InterlinearManager.refresh();
+    },
+
     /**
      * Extract complete passage surrounding a clicked element
      * Supports two modes:
@@ -6633,6 +11130,9 @@ const EventHandlers = {
      * Handle search input keyboard shortcuts
      */
     onSearchKeydown(e) {
+        // Suggestions dropdown and history recall take the keys first
+        if (SearchHistoryManager.handleKeydown(e)) return;
+
         switch (e.key) {
             case 'Escape':
                 SearchManager.closePanel(false);
@@ -6647,6 +11147,7 @@ const EventHandlers = {
                 break;
             case 'Enter':
                 e.preventDefault();
+                SearchHistoryManager.add();
                 if (State.search.results.length > 0) {
                     if (State.search.currentIndex < 0) {
                         SearchManager.navigateToResult(0);
@@ -6721,12 +11222,25 @@ const App = {
         // Search panel
         Elements.searchPanel = document.getElementById('search-panel');
         Elements.searchInput = document.getElementById('search-input');
+        Elements.searchSuggestions = document.getElementById('search-suggestions');
         Elements.searchResults = document.getElementById('search-results');
         Elements.searchBack = document.getElementById('search-back');
         Elements.searchPrev = document.getElementById('search-prev');
         Elements.searchNext = document.getElementById('search-next');
         Elements.searchClear = document.getElementById('search-clear');
+        Elements.searchSanskrit = document.getElementById('search-sanskrit');
+        Elements.searchFuzzy = document.getElementById('search-fuzzy');
+        Elements.searchResultsHeader = document.getElementById('search-results-header');
+        Elements.searchFilterToggle = document.getElementById('search-filter-toggle');
+        Elements.searchFilters = document.getElementById('search-filters');
+        Elements.searchFilterVolume = document.getElementById('search-filter-volume');
+        Elements.searchFilterScope = document.getElementById('search-filter-scope');
+        Elements.searchFilterChapterFrom = document.getElementById('search-filter-chapter-from');
+        Elements.searchFilterChapterTo = document.getElementById('search-filter-chapter-to');
         Elements.searchClose = document.getElementById('search-close');
+        Elements.searchSavedBtn = document.getElementById('search-saved-btn');
+        Elements.searchConcordanceBtn = document.getElementById('search-concordance-btn');
+        Elements.searchStatsBtn = document.getElementById('search-stats-btn');
 
         // Modals
         Elements.tocModal = document.getElementById('toc-modal');
@@ -6736,11 +11250,23 @@ const App = {
         Elements.bookmarksModal = document.getElementById('bookmarks-modal');
         Elements.notesModal = document.getElementById('notes-modal');
         Elements.noteEditorModal = document.getElementById('note-editor-modal');
+        Elements.savedSearchesModal = document.getElementById('saved-searches-modal');
+        Elements.concordanceModal = document.getElementById('concordance-modal');
+        Elements.statisticsModal = document.getElementById('statistics-modal');
+        Elements.flashcardsModal = document.getElementById('flashcards-modal');
 
         // Modal content
         Elements.tocContent = document.getElementById('toc-content');
         Elements.helpContent = document.getElementById('help-content');
         Elements.lexiconContent = document.getElementById('lexicon-content');
+        Elements.lexiconDefinitionTab = document.getElementById('lexicon-definition-tab');
+        Elements.lexiconRootsTab = document.getElementById('lexicon-roots-tab');
+        Elements.lexiconStarBtn = document.getElementById('lexicon-star-btn');
+        Elements.lexiconFlashcardsBtn = document.getElementById('lexicon-flashcards-btn');
+        Elements.flashcardsSummary = document.getElementById('flashcards-summary');
+        Elements.flashcardsReviewTab = document.getElementById('flashcards-review-tab');
+        Elements.flashcardsDeckTab = document.getElementById('flashcards-deck-tab');
+        Elements.flashcardsContent = document.getElementById('flashcards-content');
         Elements.bookmarksContent = document.getElementById('bookmarks-content');
         Elements.addBookmarkBtn = document.getElementById('add-bookmark-btn');
         Elements.exportBookmarksBtn = document.getElementById('export-bookmarks-btn');
@@ -6748,12 +11274,37 @@ const App = {
         Elements.exportNotesBtn = document.getElementById('export-notes-btn');
         Elements.importNotesBtn = document.getElementById('import-notes-btn');
         Elements.currentBookTab = document.getElementById('current-book-tab');
+        Elements.searchExportSummary = document.getElementById('search-export-summary');
+        Elements.searchExportButtons = Array.from(document.querySelectorAll('.search-export-btn'));
+        Elements.savedSearchName = document.getElementById('saved-search-name');
+        Elements.savedSearchAdd = document.getElementById('saved-search-add');
+        Elements.savedSearchesList = document.getElementById('saved-searches-list');
+        Elements.concordanceTitle = document.getElementById('concordance-title');
+        Elements.concordanceSort = document.getElementById('concordance-sort');
+        Elements.concordanceSummary = document.getElementById('concordance-summary');
+        Elements.concordanceCounts = document.getElementById('concordance-counts');
+        Elements.concordanceContent = document.getElementById('concordance-content');
+        Elements.concordancePassages = document.getElementById('concordance-passages');
+        Elements.statsWords = document.getElementById('stats-words');
+        Elements.statsTerm = document.getElementById('stats-term');
+        Elements.statsTermBtn = document.getElementById('stats-term-btn');
+        Elements.statsDistribution = document.getElementById('stats-distribution');
         Elements.otherBooksTab = document.getElementById('other-books-tab');
 
         // Settings controls
         Elements.fontFamilySelect = document.getElementById('font-family');
         Elements.fontSizeSelect = document.getElementById('font-size');
         Elements.lineHeightSelect = document.getElementById('line-height');
+        Elements.interlinearSelect = document.getElementById('interlinear-mode');
+        Elements.highlightLegend = document.getElementById('highlight-legend');
+        Elements.highlightFilter = document.getElementById('highlight-filter');
+        Elements.addHighlightCategoryBtn = document.getElementById('add-highlight-category-btn');
+        Elements.coverageBtn = document.getElementById('coverage-btn');
+        Elements.coverageModal = document.getElementById('coverage-modal');
+        Elements.coverageContent = document.getElementById('coverage-content');
+        Elements.anchorsBtn = document.getElementById('anchors-btn');
+        Elements.anchorsModal = document.getElementById('anchors-modal');
+        Elements.anchorsContent = document.getElementById('anchors-content');
 
         // Close buttons
         Elements.closeButtons = Array.from(document.querySelectorAll('.close-btn'));
@@ -6780,11 +11331,18 @@ const App = {
             // Initialize managers
             BookmarkManager.init();
             NotesManager.init();
+            SavedSearchManager.init();
+            SearchHistoryManager.init();
+            FlashcardManager.init();
+            HighlightManager.init();
+            LexiconOverrideManager.init();
+            InterlinearManager.init();
 
             // Load external data
             await Promise.all([
                 EPUBManager.loadAll(),
-                LexiconManager.load()
+                LexiconManager.load(),
+                SearchManager.loadIndex()
             ]);
 
             // Display initial content
@@ -6895,6 +11453,11 @@ document.addEventListener('DOMContentLoaded', () => {
         BookmarkManager.renderBookmarks();
         NotesManager.loadFromStorage();
         NotesManager.renderNotes();
+        FlashcardManager.loadFromStorage();
+        if (ModalManager.activeModal === 'flashcards') {
+            FlashcardManager.queue = FlashcardManager.queue.filter(id => State.flashcards.some(card => card.id === id));
+            FlashcardManager.render();
+        }
 
         // Handle highlight restoration based on whether items were added/changed
         if (State.currentBookIndex !== undefined) {
@@ -6948,6 +11511,12 @@ if (typeof window !== 'undefined') {
         UIManager,
         ModalManager,
         BookmarkManager,
-        NotesManager
+        NotesManager,
+        FlashcardManager,
+        LexiconOverrideManager,
+        InterlinearManager,
+        CoverageManager,
+        HighlightManager,
+        TextAnchor
     };
 }
\ No newline at end of file
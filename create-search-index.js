@@ -0,0 +1,227 @@
+const fs = require('fs');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+/**
+ * Create full-text inverted search index across all EPUB volumes
+ * Single pass through EPUBs, tokenizing chapter text the same way as search-core.js
+ *
+ * Output format
+ * {
+ *   "version": 1,
+ *   "books": [
+ *     { "file": "Yoga-Vasishtha-V1.epub", "chapters": [ { "uid": "C0", "anchor": "chapter_..." }, ... ] },
+ *     ...
+ *   ],
+ *   "tokens": {
+ *     "token": [book, chapterIndex, wordOffset, book, chapterIndex, wordOffset, ...],
+ *     ...
+ *   }
+ * }
+ *
+ * Postings are flattened triples to keep the file small. The chapter index points
+ * into books[book].chapters, whose uid matches the data-chapter-uid set by the reader.
+ */
+
+// Configuration
+const OUTPUT_FILE = 'Yoga-Vasishtha-Search-Index.json';
+const EPUB_DIR = 'epub';
+const INDEX_VERSION = 1;
+
+const EPUB_FILES = [
+    'Yoga-Vasishtha-V1.epub',
+    'Yoga-Vasishtha-V2-P1of2.epub',
+    'Yoga-Vasishtha-V2-P2of2.epub',
+    'Yoga-Vasishtha-V3-P1of2.epub',
+    'Yoga-Vasishtha-V3-P2of2.epub',
+    'Yoga-Vasishtha-V4-P1of2.epub',
+    'Yoga-Vasishtha-V4-P2of2.epub'
+];
+
+// Token pattern (same as TOKEN_REGEX in search-core.js)
+// Letters and combining marks cover English, IAST diacritics and Devanagari matras
+const TOKEN_REGEX = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Progress tracking
+let totalOperations = 0;
+let completedOperations = 0;
+let startTime = Date.now();
+
+function updateProgress(message) {
+    completedOperations++;
+    const percent = ((completedOperations / totalOperations) * 100).toFixed(1);
+    const elapsed = (Date.now() - startTime) / 1000;
+    const estimatedTotal = (elapsed / completedOperations) * totalOperations;
+    const remaining = Math.max(0, estimatedTotal - elapsed);
+
+    const mins = Math.floor(remaining / 60);
+    const secs = Math.floor(remaining % 60);
+
+    process.stdout.write(`\r[${percent}%] ${message} (ETA: ${mins}m ${secs}s)     `);
+}
+
+// Same filter as EPUBManager.detectProjectGutenbergSection - keeps chapter UIDs in sync with the reader
+function isSkippedSection(text, href) {
+    const cleanText = text.replace(/\s+/g, ' ').trim();
+    return cleanText.length < 50 ||
+        href.includes('wrapooo') ||
+        /^\s*[\w\d\-_]+\s*$/.test(cleanText);
+}
+
+// Collect text content of a node (equivalent of textContent)
+function getTextContent(node) {
+    if (node.nodeType === 3) { // Text node
+        return node.nodeValue || '';
+    }
+
+    let text = '';
+    if (node.childNodes) {
+        for (let i = 0; i < node.childNodes.length; i++) {
+            text += getTextContent(node.childNodes[i]);
+        }
+    }
+    return text;
+}
+
+// Extract chapter texts from EPUB in reading order
+async function extractChaptersFromEPUB(zip) {
+    try {
+        const containerXML = await zip.file('META-INF/container.xml').async('string');
+        const containerDoc = new DOMParser().parseFromString(containerXML, 'text/xml');
+        const rootfilePath = containerDoc.getElementsByTagName('rootfile')[0].getAttribute('full-path');
+
+        const contentOPF = await zip.file(rootfilePath).async('string');
+        const opfDoc = new DOMParser().parseFromString(contentOPF, 'text/xml');
+
+        const basePath = rootfilePath.substring(0, rootfilePath.lastIndexOf('/') + 1);
+
+        const spineItems = opfDoc.getElementsByTagName('itemref');
+        const manifest = opfDoc.getElementsByTagName('item');
+
+        // Build manifest map
+        const manifestMap = {};
+        for (let i = 0; i < manifest.length; i++) {
+            const item = manifest[i];
+            manifestMap[item.getAttribute('id')] = item.getAttribute('href');
+        }
+
+        const chapters = [];
+
+        for (let i = 0; i < spineItems.length; i++) {
+            const idref = spineItems[i].getAttribute('idref');
+            const href = manifestMap[idref];
+            if (!href) continue;
+
+            const file = zip.file(basePath + href);
+            if (!file) continue;
+
+            const fileContent = await file.async('string');
+            const htmlDoc = new DOMParser().parseFromString(fileContent, 'text/html');
+            const body = htmlDoc.getElementsByTagName('body')[0];
+            if (!body) continue;
+
+            const text = getTextContent(body);
+            if (isSkippedSection(text, href)) continue;
+
+            chapters.push({
+                anchor: `chapter_${href.replace(/[^a-zA-Z0-9]/g, '_')}`,
+                text: text
+            });
+        }
+
+        return chapters;
+
+    } catch (error) {
+        console.error('\nError extracting EPUB structure:', error.message);
+        return [];
+    }
+}
+
+// Add every token of a chapter to the index
+function indexChapter(text, bookIndex, chapterIndex, tokens) {
+    let wordOffset = 0;
+    let match;
+    TOKEN_REGEX.lastIndex = 0;
+
+    while ((match = TOKEN_REGEX.exec(text)) !== null) {
+        const token = match[0].toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(tokens, token)) {
+            tokens[token] = [];
+        }
+        tokens[token].push(bookIndex, chapterIndex, wordOffset);
+        wordOffset++;
+    }
+
+    return wordOffset;
+}
+
+// Main processing function
+async function createSearchIndex() {
+    console.log('🔍 Creating Full-Text Search Index...\n');
+
+    try {
+        const books = [];
+        const tokens = {};
+        let totalWords = 0;
+
+        totalOperations = EPUB_FILES.length;
+        startTime = Date.now();
+
+        console.log('📚 Processing EPUBs to build search index...\n');
+
+        for (let bookIndex = 0; bookIndex < EPUB_FILES.length; bookIndex++) {
+            const epubFile = EPUB_FILES[bookIndex];
+            const epubPath = `${EPUB_DIR}/${epubFile}`;
+
+            if (!fs.existsSync(epubPath)) {
+                updateProgress(`⚠️  Skipping ${epubFile} (not found)`);
+                books.push({ file: epubFile, chapters: [] });
+                continue;
+            }
+
+            updateProgress(`Processing ${epubFile}`);
+
+            const epubData = fs.readFileSync(epubPath);
+            const zip = await JSZip.loadAsync(epubData);
+            const chapters = await extractChaptersFromEPUB(zip);
+
+            const bookEntry = { file: epubFile, chapters: [] };
+            chapters.forEach((chapter, chapterIndex) => {
+                bookEntry.chapters.push({ uid: `C${chapterIndex}`, anchor: chapter.anchor });
+                totalWords += indexChapter(chapter.text, bookIndex, chapterIndex, tokens);
+            });
+            books.push(bookEntry);
+        }
+
+        console.log('\n\n✅ Processing complete!\n');
+
+        const totalChapters = books.reduce((sum, book) => sum + book.chapters.length, 0);
+
+        console.log('📊 Statistics:');
+        console.log(`   Books indexed: ${books.filter(b => b.chapters.length > 0).length}`);
+        console.log(`   Chapters indexed: ${totalChapters}`);
+        console.log(`   Total words: ${totalWords}`);
+        console.log(`   Unique tokens: ${Object.keys(tokens).length}`);
+
+        // Save index (compact - this file is fetched by the browser)
+        console.log(`\n💾 Saving index to ${OUTPUT_FILE}...`);
+        fs.writeFileSync(OUTPUT_FILE, JSON.stringify({
+            version: INDEX_VERSION,
+            books: books,
+            tokens: tokens
+        }));
+
+        const fileSizeMB = (fs.statSync(OUTPUT_FILE).size / (1024 * 1024)).toFixed(2);
+        console.log(`   File size: ${fileSizeMB} MB`);
+
+        console.log('\n✨ Done!\n');
+
+    } catch (error) {
+        console.error('\n❌ Error:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+// Run
+createSearchIndex();
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const { parseRoots } = require('./lexicon-roots');
+
+/**
+ * Convert Markdown lexicon entries into structured JSON
+ * Each lexicon value is a Markdown string in the lexicon-prompt.txt format
+ * (# headword, **Transliteration**, **POS**, **Root Analysis**, **Meanings**,
+ * **Learning Tip**, **Metaphysics**). The reader renders the structured fields
+ * individually and uses them to filter and sort entries by POS or root.
+ *
+ * Usage: node create-structured-lexicon.js [input.json] [output.json]
+ *
+ * Output format (keyed by the same words as the input lexicon)
+ * {
+ *   "word": {
+ *     "headword": "अविद्या",
+ *     "transliteration": "a-vid-yā",
+ *     "pos": { "text": "noun (feminine)", "category": "noun", "compound": false, "gender": ["feminine"] },
+ *     "rootAnalysis": ["a (a) – negative prefix + √vid (vid) – \"to know\" ... = \"non-knowledge\""],
+ *     "roots": [{ "root": "vid", "meaning": "to know, see, understand" }],
+ *     "derivedMeaning": "non-knowledge; ...",
+ *     "meanings": { "literal": "...", "contextual": "...", "symbolic": "..." },
+ *     "learningTips": ["..."],
+ *     "metaphysics": { "cosmicRole": "...", "energeticYogicApplication": "...", ... } | null,
+ *     "sections": { "Other Heading": ["..."] }   // only headings not listed above
+ *   }
+ * }
+ *
+ * Fields given as "N/A" are stored as null.
+ */
+
+// Configuration
+const DEFAULT_INPUT_FILE = 'Yoga-Vasishtha-IAST-Lexicon.json';
+const DEFAULT_OUTPUT_FILE = 'Yoga-Vasishtha-IAST-Lexicon-Structured.json';
+
+// POS categories in order of precedence when a POS names several ("adjective/participle/noun")
+const POS_CATEGORIES = ['noun', 'pronoun', 'verb', 'participle', 'adjective', 'adverb', 'particle',
+    'interjection', 'indeclinable', 'numeral', 'phrase', 'statement', 'expression'];
+const GENDERS = ['masculine', 'feminine', 'neuter'];
+
+// Section headings of the lexicon prompt → field names
+const SECTION_FIELDS = {
+    'Root Analysis': 'rootAnalysis',
+    'Meanings': 'meanings',
+    'Learning Tip': 'learningTips',
+    'Metaphysics': 'metaphysics'
+};
+
+// "Energetic/Yogic Application" → "energeticYogicApplication"
+function toFieldName(label) {
+    return label
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .map((part, index) => index === 0 ? part : part[0].toUpperCase() + part.slice(1))
+        .join('');
+}
+
+// "N/A" (or an empty value) means the field does not apply
+function cleanValue(value) {
+    const trimmed = (value || '').trim();
+    return trimmed === '' || /^n\/?a\.?$/i.test(trimmed) ? null : trimmed;
+}
+
+// Split POS text into category, compound flag and genders
+function parsePOS(text) {
+    const lower = text.toLowerCase();
+    const head = lower.split('(')[0];
+
+    let category = 'other';
+    let firstIndex = Infinity;
+    POS_CATEGORIES.forEach(candidate => {
+        const match = new RegExp(`\\b${candidate}`).exec(head);
+        if (match && match.index < firstIndex) {
+            firstIndex = match.index;
+            category = candidate;
+        }
+    });
+    // Statements and expressions are phrases too
+    if (category === 'statement' || category === 'expression') category = 'phrase';
+
+    return {
+        text: text,
+        category: category,
+        compound: /\bcompound\b/.test(head),
+        gender: GENDERS.filter(gender => lower.includes(gender))
+    };
+}
+
+// Parse "- Label: value" / "- **Label**: value" bullet lists into an object
+function parseLabelledList(lines) {
+    const fields = {};
+    lines.forEach(line => {
+        const match = line.match(/^(?:\*\*)?([^:*]+?)(?:\*\*)?:\s*(.*)$/);
+        if (match) {
+            fields[toFieldName(match[1])] = cleanValue(match[2]);
+        }
+    });
+    return fields;
+}
+
+// Parse one Markdown entry; returns { entry, issues }
+function parseEntry(markdown) {
+    const issues = [];
+    const entry = {
+        headword: null,
+        transliteration: null,
+        pos: null,
+        rootAnalysis: [],
+        roots: [],
+        derivedMeaning: null,
+        meanings: {},
+        learningTips: [],
+        metaphysics: null,
+        sections: {}
+    };
+
+    const sections = {};
+    let currentSection = null;
+
+    markdown.split('\n').forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        const heading = line.match(/^#\s+(.+)$/);
+        if (heading) {
+            entry.headword = heading[1].trim();
+            return;
+        }
+
+        // **Label**: value (inline) or **Label**: (section start)
+        const label = line.match(/^\*\*([^*]+)\*\*:\s*(.*)$/);
+        if (label) {
+            const name = label[1].trim();
+            if (name === 'Transliteration') {
+                entry.transliteration = cleanValue(label[2]);
+                currentSection = null;
+            } else if (name === 'POS') {
+                entry.pos = parsePOS(label[2].trim());
+                currentSection = null;
+            } else {
+                currentSection = name;
+                sections[name] = label[2] ? [label[2].trim()] : [];
+            }
+            return;
+        }
+
+        if (currentSection) {
+            sections[currentSection].push(line.replace(/^[-*]\s+/, ''));
+        }
+    });
+
+    Object.keys(sections).forEach(name => {
+        const lines = sections[name];
+        switch (SECTION_FIELDS[name]) {
+            case 'rootAnalysis':
+                entry.rootAnalysis = lines;
+                Object.assign(entry, parseRoots(lines));
+                break;
+            case 'meanings':
+                entry.meanings = parseLabelledList(lines);
+                break;
+            case 'learningTips':
+                entry.learningTips = lines.map(cleanValue).filter(Boolean);
+                break;
+            case 'metaphysics':
+                entry.metaphysics = parseLabelledList(lines);
+                break;
+            default:
+                entry.sections[name] = lines;
+                issues.push(`unknown section "${name}"`);
+        }
+    });
+
+    if (!entry.headword) issues.push('missing headword');
+    if (!entry.transliteration) issues.push('missing transliteration');
+    if (!entry.pos) issues.push('missing POS');
+    if (Object.keys(entry.meanings).length === 0) issues.push('missing meanings');
+
+    return { entry, issues };
+}
+
+// Main processing function
+function createStructuredLexicon() {
+    const inputFile = process.argv[2] || DEFAULT_INPUT_FILE;
+    const outputFile = process.argv[3] || (process.argv[2]
+        ? inputFile.replace(/\.json$/, '-Structured.json')
+        : DEFAULT_OUTPUT_FILE);
+
+    console.log('📖 Creating Structured Lexicon...\n');
+
+    try {
+        if (!fs.existsSync(inputFile)) {
+            console.error(`❌ Lexicon file not found: ${inputFile}`);
+            process.exit(1);
+        }
+
+        console.log(`📚 Loading ${inputFile}...`);
+        const lexicon = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+        const words = Object.keys(lexicon);
+        console.log(`   Found ${words.length} entries\n`);
+
+        const structured = {};
+        const problems = [];
+        const posCounts = {};
+        let rootCount = 0;
+        let metaphysicsCount = 0;
+
+        words.forEach(word => {
+            const { entry, issues } = parseEntry(String(lexicon[word]));
+            structured[word] = entry;
+
+            if (issues.length > 0) problems.push({ word, issues });
+            const category = entry.pos ? entry.pos.category : 'none';
+            posCounts[category] = (posCounts[category] || 0) + 1;
+            if (entry.roots.length > 0) rootCount++;
+            if (entry.metaphysics) metaphysicsCount++;
+        });
+
+        console.log('📊 Statistics:');
+        console.log(`   Entries converted: ${words.length}`);
+        console.log(`   With verbal roots: ${rootCount}`);
+        console.log(`   With metaphysics: ${metaphysicsCount}`);
+        console.log('   By POS:');
+        Object.entries(posCounts)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([category, count]) => console.log(`      ${category}: ${count}`));
+
+        if (problems.length > 0) {
+            console.log(`\n⚠️  ${problems.length} entries with issues:`);
+            problems.slice(0, 20).forEach(({ word, issues }) => console.log(`   ${word}: ${issues.join(', ')}`));
+            if (problems.length > 20) console.log(`   ... and ${problems.length - 20} more`);
+        }
+
+        console.log(`\n💾 Saving structured lexicon to ${outputFile}...`);
+        fs.writeFileSync(outputFile, JSON.stringify(structured, null, 2), 'utf8');
+
+        const fileSizeKB = (fs.statSync(outputFile).size / 1024).toFixed(1);
+        console.log(`   File size: ${fileSizeKB} KB`);
+
+        console.log('\n✨ Done!\n');
+
+    } catch (error) {
+        console.error('\n❌ Error:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    }
+}
+
+// Run
+createStructuredLexicon();
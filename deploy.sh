@@ -23,6 +23,7 @@ echo "Deploying Yoga Vasishtha PWA to: $DEPLOY_DIR"
 echo "Copying core application files..."
 cp index.html "$DEPLOY_DIR/"
 cp app.js "$DEPLOY_DIR/"
+cp search-core.js passage-hash.js lexicon-roots.js search-worker.js sanskrit-splitter.js sanskrit-lemmatizer.js "$DEPLOY_DIR/"
 cp app.css "$DEPLOY_DIR/"
 cp favicon.ico "$DEPLOY_DIR/"
 
@@ -36,6 +37,14 @@ echo "Copying sync files..."
 cp trueheart-*.js "$DEPLOY_DIR/"
 cp trueheart-style.css "$DEPLOY_DIR/"
 
+# Search index (built from the EPUBs, not committed)
+echo "Building search index..."
+node create-search-index.js || echo "Warning: Search index not built - the reader will scan the books instead"
+
+# Structured lexicon (built from the current Markdown lexicon, not committed)
+echo "Building structured lexicon..."
+node create-structured-lexicon.js || echo "Warning: Structured lexicon not built - the reader will show the Markdown entries"
+
 # Lexicon files
 echo "Copying lexicon files..."
 cp Yoga-Vasishtha-*.json "$DEPLOY_DIR/" 2>/dev/null || echo "Warning: Lexicon files not found"
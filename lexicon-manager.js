@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const { exit } = require('process');
+const { getProviderOptions, createProvider, runBatch } = require('./llm-provider');
 
 const WORDS_FILE_DEVA = 'Yoga-Vasishtha-Devanagari-Words.txt';
 const WORDS_FILE_IAST = 'Yoga-Vasishtha-IAST-Words.txt';
@@ -11,6 +12,11 @@ const LEXICON_FILE_IAST = 'Yoga-Vasishtha-IAST-Lexicon.json';
 const PROMPT_FILE = 'lexicon-prompt.txt';
 const ISSUES_FILE = 'IAST_Lexicon_Issues.txt';
 const REFINE_STATE_FILE = 'lexicon-manager-refine-state.json';
+const AUDIT_REPORT_FILE = 'lexicon-audit-report.json';
+const AUDIT_BASELINE_FILE = 'lexicon-audit-baseline.json';
+const LLM_STATE_FILE = 'lexicon-manager-llm-state.json';
+const AUDIT_REQUIRED_SECTIONS = ['Transliteration', 'POS', 'Root Analysis', 'Meanings', 'Learning Tip'];
+const AUDIT_CHECKS = ['missingSections', 'headwordMismatch', 'transliterationMismatch', 'crossLexiconMismatch', 'diacriticDuplicates', 'missingWords'];
 const DELIMITER = '\n--- WORD DELIMITER ---\n';
 
 function showUsage() {
@@ -23,13 +29,25 @@ Options:
   -j <file>      Import batch analysis results from file into IAST lexicon
   -m <mode>      Mode: 'deva' for Devanagari (default), 'iast' for IAST
   -r, --refine   Refine mode: pick next unrefined entry for detailed analysis
+  --overwrite    With -i / -j: replace entries already in the lexicon (e.g. exported
+                 lexicon edits) - unlike -r, no refine state and the file is kept
+  --audit [file] Audit both lexicons and write a JSON report (default: ${AUDIT_REPORT_FILE});
+                 exits with code 1 when there are issues the baseline did not have
+                 or when the baseline is missing
+  --baseline <file>  Baseline for --audit (default: ${AUDIT_BASELINE_FILE})
+  --update-baseline  With --audit: accept the current issues as the new baseline
+  --llm <number> Analyze the next words through an LLM provider and import them (see llm-provider.js)
   -h, --help     Show this help message
 
 Examples:
   node lexicon-manager.js -b 50        # Get next 50 words to analyze
   node lexicon-manager.js -i batch-output.txt  # Import analysis results
+  node lexicon-manager.js -j Yoga-Vasishtha-Lexicon-Patch-IAST-<time>.txt --overwrite  # Apply exported edits
   node lexicon-manager.js -m iast -r   # Refine next IAST lexicon entry
   node lexicon-manager.js -m deva -r   # Refine next Devanagari lexicon entry
+  node lexicon-manager.js --audit      # Check entries, compare with the committed baseline
+  node lexicon-manager.js --audit --update-baseline  # Accept the current issues as the baseline
+  node lexicon-manager.js --llm 20 -m iast  # Analyze the next 20 IAST words via LLM_BASE_URL
 `);
 }
 
@@ -239,7 +257,8 @@ function getNextBatch(batchSize, LEXICON_FILE, WORDS_FILE) {
     console.log(`6. Repeat until all words are processed`);
 }
 
-function importBatchResults(inputFile, LEXICON_FILE, WORDS_FILE) {
+// overwrite: replace entries already in the lexicon (refine mode, --overwrite) instead of skipping them
+function importBatchResults(inputFile, LEXICON_FILE, WORDS_FILE, { overwrite = false } = {}) {
     if (!fs.existsSync(inputFile)) {
         console.error(`Error: File ${inputFile} not found!`);
         process.exit(1);
@@ -303,11 +322,10 @@ function importBatchResults(inputFile, LEXICON_FILE, WORDS_FILE) {
 
             // Check if word already exists in lexicon
             if (lexicon[word]) {
-                // In refine mode, overwrite existing entries; otherwise skip
-                if (args.includes('-r') || args.includes('--refine')) {
+                if (overwrite) {
                     lexicon[word] = trimmed;
                     importCount++;
-                    console.log(`Refined (overwritten): ${word}`);
+                    console.log(`Overwritten: ${word}`);
                 } else {
                     console.log(`Skipped (already exists): ${word}`);
                     skippedCount++;
@@ -352,6 +370,76 @@ function importBatchResults(inputFile, LEXICON_FILE, WORDS_FILE) {
     }
 }
 
+// ===== LLM MODE FUNCTIONS =====
+
+async function analyzeBatchWithLLM(batchSize, LEXICON_FILE, WORDS_FILE) {
+    const words = loadWords(WORDS_FILE);
+    const lexicon = loadLexicon(LEXICON_FILE);
+    const batch = words.filter(word => !lexicon[word]).slice(0, batchSize);
+
+    if (batch.length === 0) {
+        console.log('🎉 All words have been processed!');
+        return 0;
+    }
+
+    if (!fs.existsSync(PROMPT_FILE)) {
+        console.log('Error: lexicon-prompt.txt not found!');
+        return 1;
+    }
+    const prompt = fs.readFileSync(PROMPT_FILE, 'utf8');
+    const isDeva = LEXICON_FILE === LEXICON_FILE_DEVA;
+
+    console.log(`\n🤖 LLM BATCH ANALYSIS`);
+    console.log(`=====================`);
+    console.log(`Lexicon: ${LEXICON_FILE}`);
+
+    // One request per word; the answers are imported like a pasted batch file
+    const items = batch.map(word => ({
+        id: word,
+        prompt: `${prompt}\n\nAnalyze this single word (no delimiter needed):\nWord: ${word}`
+    }));
+
+    const options = getProviderOptions();
+    let provider;
+    try {
+        provider = createProvider(options);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+
+    const { answers, failed } = await runBatch(items, {
+        provider,
+        stateFile: LLM_STATE_FILE,
+        requestsPerMinute: options.requestsPerMinute,
+        maxRetries: options.maxRetries,
+        // The importer reads the word from the first line (Devanagari) or the transliteration line (IAST)
+        validate: response => {
+            const lines = response.trim().split('\n');
+            if (response.includes(DELIMITER.trim())) return 'answer contains more than one analysis';
+            if (!lines[0].startsWith('# ')) return 'first line is not "# word"';
+            if (!isDeva && !(lines[1] || '').startsWith('**Transliteration**: ')) return 'second line is not **Transliteration**';
+            return null;
+        }
+    });
+
+    if (answers.length > 0) {
+        const batchFile = `llm-batch-output-${isDeva ? 'deva' : 'iast'}-${Date.now()}.txt`;
+        fs.writeFileSync(batchFile, answers.map(({ response }) => response.trim()).join(DELIMITER) + '\n', 'utf8');
+        importBatchResults(batchFile, LEXICON_FILE, WORDS_FILE);
+        fs.unlinkSync(batchFile);
+    }
+
+    // Answers are in the lexicon now - only failures are left to retry
+    if (fs.existsSync(LLM_STATE_FILE)) fs.unlinkSync(LLM_STATE_FILE);
+
+    if (failed.length > 0) {
+        console.log(`\n⚠️  ${failed.length} word${failed.length > 1 ? 's' : ''} failed - run the same command again to retry`);
+        return 1;
+    }
+    return 0;
+}
+
 // ===== REFINE MODE FUNCTIONS =====
 
 function loadRefineState() {
@@ -458,6 +546,231 @@ function updateRefineState(mode, key) {
     }
 }
 
+// ===== AUDIT MODE FUNCTIONS =====
+
+function getEntrySections(entry) {
+    const lines = String(entry).split('\n').map(line => line.trim());
+    const headingLine = lines.find(line => line.startsWith('# '));
+    const transliterationMatch = String(entry).match(/\*\*Transliteration\*\*:\s*([^\n]*)/);
+    const sections = new Set();
+
+    lines.forEach(line => {
+        const match = line.match(/^\*\*([^*]+)\*\*:/);
+        if (match) sections.add(match[1].trim());
+    });
+
+    return {
+        headword: headingLine ? headingLine.substring(2).trim() : null,
+        transliteration: transliterationMatch ? transliterationMatch[1].trim() : null,
+        sections
+    };
+}
+
+function foldDiacritics(text, charMap) {
+    // normalizeForComparison keeps long vowels apart (ā → á) - drop the accents as well
+    return normalizeForComparison(text, charMap)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+function auditLexicon(lexicon, lexiconName, words, charMap) {
+    const issues = [];
+    const threshold = 0.8; // Same threshold as the IAST import matching
+
+    Object.entries(lexicon).forEach(([word, entry]) => {
+        const { headword, transliteration, sections } = getEntrySections(entry);
+
+        const missing = AUDIT_REQUIRED_SECTIONS.filter(section => !sections.has(section));
+        if (!headword) missing.unshift('# headword');
+        if (missing.length > 0) {
+            issues.push({ check: 'missingSections', lexicon: lexiconName, word, missing });
+        }
+
+        // Devanagari lexicon keys are the headwords; IAST keys must match the transliteration
+        if (lexiconName === 'deva' && headword && headword !== word) {
+            issues.push({ check: 'headwordMismatch', lexicon: lexiconName, word, headword });
+        }
+        if (lexiconName === 'iast' && transliteration) {
+            const score = calculateSimilarity(transliteration.replace(/-/g, ''), word, charMap);
+            if (score < threshold) {
+                issues.push({ check: 'transliterationMismatch', lexicon: lexiconName, word, transliteration, score: Number(score.toFixed(3)) });
+            }
+        }
+    });
+
+    // Keys that differ only by diacritics (avidyá / avidya)
+    const groups = new Map();
+    Object.keys(lexicon).forEach(word => {
+        const folded = foldDiacritics(word, charMap);
+        if (!groups.has(folded)) groups.set(folded, []);
+        groups.get(folded).push(word);
+    });
+    groups.forEach(keys => {
+        if (keys.length > 1) {
+            issues.push({ check: 'diacriticDuplicates', lexicon: lexiconName, word: keys.sort().join(' | '), keys });
+        }
+    });
+
+    // Words extracted from the texts that were never analyzed
+    words.filter(word => !Object.prototype.hasOwnProperty.call(lexicon, word)).forEach(word => {
+        issues.push({ check: 'missingWords', lexicon: lexiconName, word });
+    });
+
+    return issues;
+}
+
+function auditCrossLexicon(devaLexicon, iastLexicon, charMap) {
+    // The same Devanagari headword analyzed in both lexicons should have the same transliteration
+    const issues = [];
+    const devaByHeadword = new Map();
+
+    Object.entries(devaLexicon).forEach(([word, entry]) => {
+        const { headword, transliteration } = getEntrySections(entry);
+        if (headword && transliteration) devaByHeadword.set(headword, { word, transliteration });
+    });
+
+    Object.entries(iastLexicon).forEach(([word, entry]) => {
+        const { headword, transliteration } = getEntrySections(entry);
+        const deva = headword ? devaByHeadword.get(headword) : null;
+        if (!deva || !transliteration) return;
+
+        const score = calculateSimilarity(transliteration.replace(/-/g, ''), deva.transliteration.replace(/-/g, ''), charMap);
+        if (score < 0.8) {
+            issues.push({
+                check: 'crossLexiconMismatch',
+                lexicon: 'both',
+                word: headword,
+                devaWord: deva.word,
+                iastWord: word,
+                devaTransliteration: deva.transliteration,
+                iastTransliteration: transliteration,
+                score: Number(score.toFixed(3))
+            });
+        }
+    });
+
+    return issues;
+}
+
+function loadAuditWords(WORDS_FILE) {
+    // Unlike loadWords, a missing words file is reported instead of ending the audit
+    if (!fs.existsSync(WORDS_FILE)) return null;
+    return fs.readFileSync(WORDS_FILE, 'utf8').trim().split('\n').map(word => word.trim()).filter(Boolean);
+}
+
+function runAudit(reportFile, baselineFile, updateBaseline) {
+    const charMap = createIastCharMap();
+    const sources = [
+        { name: 'deva', lexiconFile: LEXICON_FILE_DEVA, wordsFile: WORDS_FILE_DEVA },
+        { name: 'iast', lexiconFile: LEXICON_FILE_IAST, wordsFile: WORDS_FILE_IAST }
+    ];
+
+    console.log(`\n🔎 LEXICON AUDIT`);
+    console.log(`================`);
+
+    const lexicons = {};
+    const loaded = {};
+    let issues = [];
+
+    sources.forEach(({ name, lexiconFile, wordsFile }) => {
+        const available = fs.existsSync(lexiconFile);
+        const lexicon = available ? loadLexicon(lexiconFile) : {};
+        const words = loadAuditWords(wordsFile);
+        loaded[name] = lexicon;
+        lexicons[name] = {
+            file: lexiconFile,
+            available,
+            entries: Object.keys(lexicon).length,
+            wordsFile,
+            words: words ? words.length : null
+        };
+
+        if (!available) {
+            console.log(`⚠️  ${lexiconFile} not found - skipped`);
+            return;
+        }
+        console.log(`📚 ${lexiconFile}: ${Object.keys(lexicon).length} entries`);
+        issues = issues.concat(auditLexicon(lexicon, name, words || [], charMap));
+    });
+
+    if (lexicons.deva.available && lexicons.iast.available) {
+        issues = issues.concat(auditCrossLexicon(loaded.deva, loaded.iast, charMap));
+    }
+
+    issues.forEach(issue => {
+        issue.id = `${issue.check}:${issue.lexicon}:${issue.word}`;
+    });
+
+    // The baseline is committed and only rewritten by --update-baseline: any issue it does not have is a regression
+    let baseline = null;
+    if (!updateBaseline) {
+        if (!fs.existsSync(baselineFile)) {
+            console.error(`\n❌ Baseline ${baselineFile} not found - create it with --audit --update-baseline`);
+            return 1;
+        }
+        try {
+            baseline = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+        } catch (error) {
+            console.error(`\n❌ Could not read baseline ${baselineFile}: ${error.message}`);
+            return 1;
+        }
+        if (!Array.isArray(baseline.issues)) {
+            console.error(`\n❌ Baseline ${baselineFile} has no issues list`);
+            return 1;
+        }
+    }
+    const baselineIds = baseline ? new Set(baseline.issues.map(issue => issue.id)) : null;
+    const regressions = baselineIds ? issues.filter(issue => !baselineIds.has(issue.id)).map(issue => issue.id) : [];
+    const resolved = baselineIds
+        ? [...baselineIds].filter(id => !issues.some(issue => issue.id === id))
+        : [];
+
+    const summary = {};
+    AUDIT_CHECKS.forEach(check => {
+        summary[check] = issues.filter(issue => issue.check === check).length;
+    });
+
+    const report = {
+        generated: new Date().toISOString(),
+        lexicons,
+        summary,
+        baseline: baseline ? baseline.generated || null : null,
+        regressions,
+        resolved,
+        issues
+    };
+
+    try {
+        fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+        if (updateBaseline) {
+            fs.writeFileSync(baselineFile, JSON.stringify({ generated: report.generated, summary, issues }, null, 2), 'utf8');
+        }
+    } catch (error) {
+        console.error(`Error writing audit report: ${error.message}`);
+        process.exit(2);
+    }
+
+    console.log(`\n📊 Issues by check:`);
+    AUDIT_CHECKS.forEach(check => console.log(`   ${check}: ${summary[check]}`));
+    console.log(`\n💾 Report saved to ${reportFile}`);
+
+    if (updateBaseline) {
+        console.log(`📌 Baseline saved to ${baselineFile} - commit it with the lexicon changes`);
+        return 0;
+    }
+    console.log(`✅ Resolved since baseline: ${resolved.length}`);
+
+    if (regressions.length > 0) {
+        console.log(`\n❌ ${regressions.length} new issues since baseline:`);
+        regressions.slice(0, 20).forEach(id => console.log(`   ${id}`));
+        if (regressions.length > 20) console.log(`   ... and ${regressions.length - 20} more`);
+        return 1;
+    }
+
+    console.log(`\n✨ No regressions`);
+    return 0;
+}
+
 // Parse command line arguments
 const args = process.argv.slice(2);
 
@@ -466,9 +779,28 @@ if (args.includes('-h') || args.includes('--help')) {
     process.exit(0);
 }
 
+const auditIndex = args.indexOf('--audit');
+if (auditIndex !== -1) {
+    const reportArg = args[auditIndex + 1];
+    const reportFile = reportArg && !reportArg.startsWith('-') ? reportArg : AUDIT_REPORT_FILE;
+    const baselineIndex = args.indexOf('--baseline');
+    const baselineFile = baselineIndex !== -1 ? args[baselineIndex + 1] : AUDIT_BASELINE_FILE;
+    if (!baselineFile) {
+        console.error('Error: Please specify a file after --baseline');
+        showUsage();
+        process.exit(1);
+    }
+    if (path.resolve(baselineFile) === path.resolve(reportFile)) {
+        console.error('Error: The audit report would overwrite the baseline - use another report file');
+        process.exit(1);
+    }
+    process.exit(runAudit(reportFile, baselineFile, args.includes('--update-baseline')));
+}
+
 const batchSizeIndex = args.indexOf('-b');
 
 const isRefineMode = args.includes('-r') || args.includes('--refine');
+const isOverwriteMode = args.includes('--overwrite');
 
 let importFileIndex = args.indexOf('-i');
 if (importFileIndex !== -1) {
@@ -478,7 +810,7 @@ if (importFileIndex !== -1) {
         showUsage();
         process.exit(1);
     }
-    importBatchResults(inputFile, LEXICON_FILE_DEVA, WORDS_FILE_DEVA);
+    importBatchResults(inputFile, LEXICON_FILE_DEVA, WORDS_FILE_DEVA, { overwrite: isRefineMode || isOverwriteMode });
 
     if (isRefineMode) {
         // Extract the word key from the first line for Devanagari mode
@@ -511,7 +843,7 @@ if (importFileIndex !== -1) {
         showUsage();
         process.exit(1);
     }
-    importBatchResults(inputFile, LEXICON_FILE_IAST, WORDS_FILE_IAST);
+    importBatchResults(inputFile, LEXICON_FILE_IAST, WORDS_FILE_IAST, { overwrite: isRefineMode || isOverwriteMode });
 
     if (isRefineMode) {
         // Extract the word key by looking at the transliteration line and using fuzzy matching
@@ -554,15 +886,25 @@ if (batchModeIndex !== -1) {
     }
 }
 
-// Handle refine mode
-if (isRefineMode) {
-    refineNextEntry(batchMode);
-    process.exit(0);
-}
-
 const batchSize = batchSizeIndex !== -1 ? parseInt(args[batchSizeIndex + 1]) || 100 : 100;
+const llmIndex = args.indexOf('--llm');
 
-if (batchMode === 'deva') {
+if (llmIndex !== -1) {
+    // Handle LLM mode (asynchronous - exits when the batch is imported)
+    const llmBatchSize = parseInt(args[llmIndex + 1]);
+    if (isNaN(llmBatchSize) || llmBatchSize < 1) {
+        console.error('Error: Please specify a positive number of words after --llm');
+        showUsage();
+        process.exit(1);
+    }
+    const LEXICON_FILE = batchMode === 'deva' ? LEXICON_FILE_DEVA : LEXICON_FILE_IAST;
+    const WORDS_FILE = batchMode === 'deva' ? WORDS_FILE_DEVA : WORDS_FILE_IAST;
+    analyzeBatchWithLLM(llmBatchSize, LEXICON_FILE, WORDS_FILE).then(code => process.exit(code));
+} else if (isRefineMode) {
+    // Handle refine mode
+    refineNextEntry(batchMode);
+    process.exit(0);
+} else if (batchMode === 'deva') {
     getNextBatch(batchSize, LEXICON_FILE_DEVA, WORDS_FILE_DEVA);
 } else {
     getNextBatch(batchSize, LEXICON_FILE_IAST, WORDS_FILE_IAST);
@@ -0,0 +1,57 @@
+/**
+ * Lexicon Roots
+ * Reads the verbal roots (dhātu) out of the Root Analysis of a lexicon entry.
+ * Shared by create-structured-lexicon.js (the "roots" of structured entries) and the
+ * reader (app.js, for entries without a structured form), so the Roots tab lists
+ * the same roots whichever form an entry is read from.
+ *
+ * Node:    const { parseRoots } = require('./lexicon-roots');
+ * Browser: LexiconRoots.parseRoots(lines)
+ *          parseRoots(lines) → { roots: [{ root, meaning }], derivedMeaning }
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LexiconRoots = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // √kṛ (kar) "to do" | √अञ्ज् añj "to appear" | √man (man) – "to think"
+    const ROOT_REGEX = /√\s*([^\s(+–"]+)(?:\s*\(([^)]*)\)|\s+([a-zāīūṛṝḷṅñṭḍṇśṣḥṃ]+)(?=\s))?(?:\s*[–-]?\s*"([^"]*)")?/g;
+    const DEVANAGARI_REGEX = /[\u0900-\u097F]/;
+
+    /**
+     * Verbal roots and the derived meaning (= "...") of Root Analysis lines
+     * Devanagari roots are given in their IAST form when the analysis has one; each root once
+     */
+    function parseRoots(lines) {
+        const roots = [];
+        let derivedMeaning = null;
+
+        lines.forEach(line => {
+            const rootRegex = new RegExp(ROOT_REGEX.source, 'g');
+            let match;
+            while ((match = rootRegex.exec(line)) !== null) {
+                const transliteration = (match[2] || match[3] || '').trim();
+                const root = DEVANAGARI_REGEX.test(match[1]) && transliteration && !/\s/.test(transliteration)
+                    ? transliteration
+                    : match[1];
+                if (!roots.some(existing => existing.root === root)) {
+                    roots.push({ root: root, meaning: match[4] ? match[4].trim() : null });
+                }
+            }
+
+            const derived = line.match(/=\s*"?([^"]+)"?\s*$/);
+            if (derived && !derivedMeaning) {
+                derivedMeaning = derived[1].trim();
+            }
+        });
+
+        return { roots, derivedMeaning };
+    }
+
+    return {
+        parseRoots
+    };
+});
@@ -0,0 +1,251 @@
+const fs = require('fs');
+
+/**
+ * LLM Provider
+ * Sends prompts of the lexicon and passage workflows to a chat model instead of
+ * copy-pasting them. lexicon-manager.js and passage-manager.js build one prompt
+ * per word / passage, runBatch() sends them through a provider and the answers
+ * are imported exactly like pasted batch files.
+ *
+ * Providers implement one method:
+ *   complete(prompt) → Promise<string>   - answer text of the model
+ * and throw a ProviderError (retryable or not) when a request fails.
+ * Built in: 'openai' - any OpenAI-compatible /chat/completions endpoint, including
+ * the local stub server (llm-stub-server.js). More can be added with registerProvider().
+ *
+ * Configuration (environment)
+ *   LLM_PROVIDER              provider name (default: openai)
+ *   LLM_BASE_URL              endpoint base (default: https://api.openai.com/v1;
+ *                             http://127.0.0.1:8787/v1 for the stub server)
+ *   LLM_API_KEY               bearer token (optional for local endpoints)
+ *   LLM_MODEL                 model name (default: gpt-4o-mini)
+ *   LLM_REQUESTS_PER_MINUTE   rate limit (default: 20)
+ *   LLM_MAX_RETRIES           retries per item after the first attempt (default: 3)
+ *   LLM_TIMEOUT_MS            request timeout (default: 120000)
+ */
+
+// Configuration
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_REQUESTS_PER_MINUTE = 20;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 120000;
+const RETRY_BASE_DELAY_MS = 2000;
+
+/**
+ * Failed provider request; `retryable` for rate limits, server errors and network failures
+ */
+class ProviderError extends Error {
+    constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// OpenAI-compatible chat completions endpoint
+function createOpenAIProvider(options) {
+    const baseUrl = options.baseUrl.replace(/\/+$/, '');
+
+    return {
+        name: `openai (${baseUrl}, ${options.model})`,
+
+        async complete(prompt) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (options.apiKey) headers.Authorization = `Bearer ${options.apiKey}`;
+
+            let response;
+            try {
+                response = await fetch(`${baseUrl}/chat/completions`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model: options.model,
+                        messages: [{ role: 'user', content: prompt }]
+                    }),
+                    signal: AbortSignal.timeout(options.timeoutMs)
+                });
+            } catch (error) {
+                // Connection refused, DNS failure, timeout
+                throw new ProviderError(`Request failed: ${error.message}`, { retryable: true });
+            }
+
+            if (!response.ok) {
+                const retryAfter = parseFloat(response.headers.get('retry-after'));
+                const body = await response.text().catch(() => '');
+                throw new ProviderError(`HTTP ${response.status}: ${body.substring(0, 200)}`, {
+                    status: response.status,
+                    retryable: response.status === 429 || response.status >= 500,
+                    retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+                });
+            }
+
+            const data = await response.json().catch(() => null);
+            const content = data?.choices?.[0]?.message?.content;
+            if (typeof content !== 'string' || !content.trim()) {
+                throw new ProviderError('Response has no message content', { status: response.status, retryable: true });
+            }
+            return content.trim();
+        }
+    };
+}
+
+const PROVIDERS = {
+    openai: createOpenAIProvider
+};
+
+/**
+ * Add a provider: factory(options) → { name, complete(prompt) }
+ */
+function registerProvider(name, factory) {
+    PROVIDERS[name] = factory;
+}
+
+/**
+ * Provider options from the environment, overridden by `overrides`
+ */
+function getProviderOptions(overrides = {}) {
+    const env = process.env;
+
+    // 0 is a valid retry count, so an unset, empty or malformed value falls back instead of `||`
+    let maxRetries = DEFAULT_MAX_RETRIES;
+    if (env.LLM_MAX_RETRIES !== undefined && env.LLM_MAX_RETRIES.trim() !== '') {
+        const value = Number(env.LLM_MAX_RETRIES);
+        if (Number.isInteger(value) && value >= 0) {
+            maxRetries = value;
+        } else {
+            console.error(`Warning: Invalid LLM_MAX_RETRIES "${env.LLM_MAX_RETRIES}" - using ${DEFAULT_MAX_RETRIES}`);
+        }
+    }
+
+    return {
+        provider: env.LLM_PROVIDER || 'openai',
+        baseUrl: env.LLM_BASE_URL || DEFAULT_BASE_URL,
+        apiKey: env.LLM_API_KEY || null,
+        model: env.LLM_MODEL || DEFAULT_MODEL,
+        requestsPerMinute: parseFloat(env.LLM_REQUESTS_PER_MINUTE) || DEFAULT_REQUESTS_PER_MINUTE,
+        maxRetries,
+        timeoutMs: parseInt(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        ...overrides
+    };
+}
+
+/**
+ * Create the configured provider
+ */
+function createProvider(options = getProviderOptions()) {
+    const factory = PROVIDERS[options.provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${options.provider}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+/**
+ * Spaces request starts at least 60 / requestsPerMinute seconds apart
+ */
+function createRateLimiter(requestsPerMinute) {
+    const interval = 60000 / requestsPerMinute;
+    let nextSlot = 0;
+
+    return async function waitForSlot() {
+        const now = Date.now();
+        const wait = Math.max(0, nextSlot - now);
+        nextSlot = Math.max(now, nextSlot) + interval;
+        if (wait > 0) await sleep(wait);
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function loadBatchState(stateFile) {
+    if (fs.existsSync(stateFile)) {
+        try {
+            return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        } catch (error) {
+            console.error(`Warning: Could not read batch state ${stateFile}:`, error.message);
+        }
+    }
+    return { items: {} };
+}
+
+function saveBatchState(stateFile, state) {
+    try {
+        fs.writeFileSync(stateFile, JSON.stringify(state, null, 2), 'utf8');
+    } catch (error) {
+        console.error(`Error saving batch state: ${error.message}`);
+    }
+}
+
+/**
+ * Send one prompt per item, with retries and rate limiting
+ * items: [{ id, prompt }]
+ * Answers are written to `stateFile` as they arrive, so an interrupted run resumes
+ * where it stopped: items already answered are not sent again.
+ * Returns { answers: [{ id, response }] in item order, failed: [{ id, error }] }
+ */
+async function runBatch(items, { provider, stateFile, requestsPerMinute, maxRetries, validate = null }) {
+    const state = loadBatchState(stateFile);
+    const waitForSlot = createRateLimiter(requestsPerMinute);
+    const failed = [];
+
+    console.log(`🤖 Provider: ${provider.name}`);
+    console.log(`   Items: ${items.length}, rate limit: ${requestsPerMinute}/min, retries: ${maxRetries}\n`);
+
+    for (let i = 0; i < items.length; i++) {
+        const { id, prompt } = items[i];
+        const label = `[${i + 1}/${items.length}] ${id}`;
+
+        if (state.items[id]?.response) {
+            console.log(`${label} - answered in an earlier run`);
+            continue;
+        }
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            await waitForSlot();
+            try {
+                const response = await provider.complete(prompt);
+                if (validate) {
+                    const problem = validate(response, items[i]);
+                    if (problem) throw new ProviderError(`Invalid answer: ${problem}`, { retryable: true });
+                }
+                state.items[id] = { response, attempts: attempt + 1, completedAt: new Date().toISOString() };
+                saveBatchState(stateFile, state);
+                console.log(`${label} ✅`);
+                break;
+            } catch (error) {
+                const retryable = error instanceof ProviderError && error.retryable;
+                if (!retryable || attempt === maxRetries) {
+                    console.log(`${label} ❌ ${error.message}`);
+                    state.items[id] = { error: error.message, attempts: attempt + 1 };
+                    saveBatchState(stateFile, state);
+                    failed.push({ id, error: error.message });
+                    break;
+                }
+
+                const delay = error.retryAfterMs || RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+                console.log(`${label} ⚠️  ${error.message} - retrying in ${(delay / 1000).toFixed(1)}s`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    const answers = items
+        .filter(({ id }) => state.items[id]?.response)
+        .map(({ id }) => ({ id, response: state.items[id].response }));
+
+    return { answers, failed };
+}
+
+module.exports = {
+    ProviderError,
+    registerProvider,
+    getProviderOptions,
+    createProvider,
+    createRateLimiter,
+    runBatch
+};
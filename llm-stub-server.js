@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const http = require('http');
+
+/**
+ * Local stub of an OpenAI-compatible chat completions endpoint
+ * Answers POST /v1/chat/completions with canned responses, so the --llm modes of
+ * lexicon-manager.js and passage-manager.js can be run without network access.
+ *
+ * Usage: node llm-stub-server.js [-p port] [-r responses.json] [--fail-every N]
+ *   (-p 0 listens on a free port, printed on startup)
+ *   LLM_BASE_URL=http://127.0.0.1:8787/v1 node lexicon-manager.js --llm 2
+ *
+ * Responses file format (default: llm-stub-responses.json)
+ * {
+ *   "responses": [{ "match": "<regex>", "response": "<text, $1... are the match groups>" }],
+ *   "default": "<text for prompts no pattern matches>"
+ * }
+ * Patterns are tried in order against the last user message.
+ * --fail-every N answers every Nth request with HTTP 429 to exercise retries.
+ */
+
+// Configuration
+const DEFAULT_PORT = 8787;
+const DEFAULT_RESPONSES_FILE = 'llm-stub-responses.json';
+
+function getArg(args, flag, fallback) {
+    const index = args.indexOf(flag);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+function loadResponses(responsesFile) {
+    if (!fs.existsSync(responsesFile)) {
+        console.error(`❌ Responses file not found: ${responsesFile}`);
+        process.exit(1);
+    }
+    const canned = JSON.parse(fs.readFileSync(responsesFile, 'utf8'));
+    return {
+        responses: (canned.responses || []).map(entry => ({ pattern: new RegExp(entry.match, 'm'), response: entry.response })),
+        fallback: canned.default || 'Stub response'
+    };
+}
+
+function answer(canned, prompt) {
+    for (const { pattern, response } of canned.responses) {
+        const match = prompt.match(pattern);
+        if (match) return response.replace(/\$(\d)/g, (_, group) => match[group] || '');
+    }
+    return canned.fallback;
+}
+
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function startServer() {
+    const args = process.argv.slice(2);
+    const port = parseInt(getArg(args, '-p', DEFAULT_PORT));
+    const responsesFile = getArg(args, '-r', DEFAULT_RESPONSES_FILE);
+    const failEvery = parseInt(getArg(args, '--fail-every', 0));
+    const canned = loadResponses(responsesFile);
+    let requestCount = 0;
+
+    const server = http.createServer((req, res) => {
+        if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+            sendJSON(res, 404, { error: { message: 'Not found' } });
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requestCount++;
+            if (failEvery > 0 && requestCount % failEvery === 0) {
+                console.log(`#${requestCount} → 429 (simulated rate limit)`);
+                sendJSON(res, 429, { error: { message: 'Rate limit (stub)' } }, { 'Retry-After': '1' });
+                return;
+            }
+
+            let request;
+            try {
+                request = JSON.parse(body);
+            } catch (error) {
+                sendJSON(res, 400, { error: { message: 'Invalid JSON' } });
+                return;
+            }
+
+            const userMessages = (request.messages || []).filter(message => message.role === 'user');
+            const prompt = userMessages.length > 0 ? String(userMessages[userMessages.length - 1].content) : '';
+            const content = answer(canned, prompt);
+            console.log(`#${requestCount} → ${content.split('\n')[0].substring(0, 60)}`);
+
+            sendJSON(res, 200, {
+                id: `stub-${requestCount}`,
+                object: 'chat.completion',
+                model: request.model || 'stub',
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+            });
+        });
+    });
+
+    // Port 0 picks a free port - the line below reports the one in use
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`🧪 LLM stub server on http://127.0.0.1:${server.address().port}/v1 (responses: ${responsesFile})`);
+        if (failEvery > 0) console.log(`   Requests ${failEvery}, ${failEvery * 2}, ... fail with 429`);
+    });
+}
+
+// Run
+startServer();
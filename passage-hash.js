@@ -0,0 +1,80 @@
+/**
+ * Passage Hash
+ * The key a Sanskrit passage is stored under in Yoga-Vasishtha-Sanskrit-Passages.json
+ * and Yoga-Vasishtha-Words-Passages-Mapping.json. Shared by the Node scripts
+ * (passage-manager.js, create-words-passages-mapping.js) and the reader (app.js),
+ * so a passage hashes alike wherever it is looked up.
+ *
+ * HYBRID HASHING APPROACH:
+ * - For passages with Devanagari: use Devanagari-only hashing (immune to whitespace)
+ * - For pure IAST/romanized: use full-text normalization (original working method)
+ * The key is the first 12 hex digits of the SHA-256 of the normalized text.
+ *
+ * Node:    const { generatePassageHash } = require('./passage-hash');
+ *          generatePassageHash(passage) → '16a76c13e793'
+ * Browser: await PassageHash.generatePassageHashAsync(passage)   (Web Crypto)
+ *
+ * Golden vectors: passage-hash-vectors.json, checked by test-passage-hash.js.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('crypto'));
+    } else {
+        root.PassageHash = factory(null);
+    }
+})(typeof self !== 'undefined' ? self : this, function (nodeCrypto) {
+    const HASH_LENGTH = 12;
+    const DEVANAGARI_REGEX = /[\u0900-\u097F]/g;
+
+    /**
+     * Text that is hashed for a passage
+     */
+    function normalizePassage(passage) {
+        // Extract only Devanagari characters (U+0900 to U+097F)
+        // This makes hashing immune to whitespace and punctuation variations
+        const devanagariOnly = passage.match(DEVANAGARI_REGEX);
+        if (devanagariOnly) return devanagariOnly.join('');
+
+        // Pure IAST/romanized passage - remove extra whitespace, trim
+        return passage.trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Hash key of a passage (Node, synchronous)
+     */
+    function generatePassageHash(passage) {
+        if (!nodeCrypto) {
+            throw new Error('generatePassageHash needs Node crypto - use generatePassageHashAsync in the browser');
+        }
+        return nodeCrypto.createHash('sha256')
+            .update(normalizePassage(passage), 'utf8')
+            .digest('hex')
+            .substring(0, HASH_LENGTH);
+    }
+
+    /**
+     * Hash key of a passage (Web Crypto - browsers on HTTPS or localhost, Node 19+)
+     */
+    async function generatePassageHashAsync(passage, subtle = globalThis.crypto && globalThis.crypto.subtle) {
+        if (!subtle) {
+            throw new Error('Web Crypto API not available. Requires HTTPS or localhost.');
+        }
+
+        const data = new TextEncoder().encode(normalizePassage(passage));
+        const hashBuffer = await subtle.digest('SHA-256', data);
+
+        // Convert to hex string
+        const hashHex = Array.from(new Uint8Array(hashBuffer))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+        return hashHex.substring(0, HASH_LENGTH);
+    }
+
+    return {
+        HASH_LENGTH,
+        normalizePassage,
+        generatePassageHash,
+        generatePassageHashAsync
+    };
+});
@@ -1,43 +1,8 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
-const crypto = require('crypto');
-
-// ============================================================================
-// PASSAGE HASH FUNCTION - Copy this to app.js for lookup functionality
-// ============================================================================
-/**
- * Generate a unique hash key for a Sanskrit passage
- * @param {string} passage - The Sanskrit passage text
- * @returns {string} - 12-character hash key
- *
- * Usage in app.js:
- *   const passageKey = generatePassageHash(sanskritText);
- *   const translation = State.passages[passageKey];
- */
-function generatePassageHash(passage) {
-    // HYBRID HASHING APPROACH:
-    // - For passages with Devanagari: use Devanagari-only hashing (immune to whitespace)
-    // - For pure IAST/romanized: use full-text normalization (original working method)
-
-    const hasDevanagari = /[\u0900-\u097F]/.test(passage);
-
-    let normalized;
-    if (hasDevanagari) {
-        // Extract only Devanagari characters (U+0900 to U+097F)
-        // This makes hashing immune to whitespace and punctuation variations
-        const devanagariOnly = passage.match(/[\u0900-\u097F]/g);
-        normalized = devanagariOnly ? devanagariOnly.join('') : '';
-    } else {
-        // Pure IAST/romanized passage - use full-text normalization
-        // Normalize: remove extra whitespace, trim (original working method)
-        normalized = passage.trim().replace(/\s+/g, ' ');
-    }
-
-    // Generate SHA256 hash and take first 12 characters
-    return crypto.createHash('sha256').update(normalized, 'utf8').digest('hex').substring(0, 12);
-}
-// ============================================================================
+const { generatePassageHash } = require('./passage-hash');
+const { getProviderOptions, createProvider, runBatch } = require('./llm-provider');
 
 const PASSAGES_FILE_DEVA = 'Yoga-Vasishtha-Devanagari-Passages.txt';
 const PASSAGES_FILE_IAST = 'Yoga-Vasishtha-IAST-Passages.txt';
@@ -47,6 +12,8 @@ const STATE_FILE = 'passage-manager-state.json';
 const PROMPT_FILE = 'passage-prompt.txt';
 const PROMPT_FILE_BATCH = 'passage-prompt-batch-translation.txt';
 const SESSION_GAP_MINUTES = 5;
+const LLM_STATE_FILE = 'passage-manager-llm-state.json';
+const BATCH_DELIMITER = '--- DELIMITER ---';
 
 function showUsage() {
     console.log(`
@@ -59,7 +26,10 @@ Options:
   -f, --full-prompt  Force full prompt display (otherwise shows brief after warmup)
   -i <file>          Import translation from markdown file (full analysis)
   -j <file>          Import batch translations from delimited file
+  --strict           With -j: verify each section's echoed hash or Devanagari text against its hash key
+  --dry-run          With -j: show the changes to the translations file without writing anything
   -s <hash>          Skip passage with given hash (mark as invalid/corrupt)
+  --llm <batch_size> Translate a batch through an LLM provider and import it (see llm-provider.js)
   -p, --progress     Show translation progress statistics
   -h, --help         Show this help message
 
@@ -71,7 +41,9 @@ Examples:
   ./passage-manager.js -t 5 -m iast    # Get 5 IAST passages for batch
   ./passage-manager.js -i translation-temp-deva-123456.txt
   ./passage-manager.js -j translation-batch-deva-1234567890.txt
+  ./passage-manager.js -j translation-batch-iast-1234567890.txt --strict --dry-run
   ./passage-manager.js -s a1b2c3d4     # Skip corrupt passage
+  ./passage-manager.js --llm 10 -m iast  # Translate 10 IAST passages via LLM_BASE_URL
   ./passage-manager.js -p              # Show progress
 `);
 }
@@ -602,23 +574,12 @@ function showProgress() {
     }
 }
 
-function getBatchPassages(batchSize, mode) {
-    const state = loadState();
+function selectBatchPassages(batchSize, mode) {
     const translations = loadTranslations();
 
-    let passages, passageHashes, modeLabel;
-
-    // Load passages and hashes based on mode
-    if (mode === 'deva' || mode === 'iast') {
-        const passagesFile = mode === 'deva' ? PASSAGES_FILE_DEVA : PASSAGES_FILE_IAST;
-        passages = loadPassages(passagesFile);
-        passageHashes = passages.map(p => generatePassageHash(p));
-        modeLabel = mode === 'deva' ? 'Devanagari' : 'IAST';
-    } else {
-        // Invalid mode - should not reach here
-        console.error('Error: Invalid mode. Use deva or iast');
-        return;
-    }
+    const passagesFile = mode === 'deva' ? PASSAGES_FILE_DEVA : PASSAGES_FILE_IAST;
+    const passages = loadPassages(passagesFile);
+    const passageHashes = passages.map(p => generatePassageHash(p));
 
     // Also load missing passages
     const missingPassagesData = loadMissingPassages();
@@ -652,6 +613,19 @@ function getBatchPassages(batchSize, mode) {
         }
     }
 
+    return { unprocessedPassages, unprocessedHashes };
+}
+
+function getBatchPassages(batchSize, mode) {
+    if (mode !== 'deva' && mode !== 'iast') {
+        // Invalid mode - should not reach here
+        console.error('Error: Invalid mode. Use deva or iast');
+        return;
+    }
+
+    const modeLabel = mode === 'deva' ? 'Devanagari' : 'IAST';
+    const { unprocessedPassages, unprocessedHashes } = selectBatchPassages(batchSize, mode);
+
     if (unprocessedPassages.length === 0) {
         console.log(`\n🎉 All ${modeLabel} passages and missing passages have been processed!`);
         console.log(`No unprocessed passages available for batch translation.`);
@@ -699,7 +673,9 @@ function getBatchPassages(batchSize, mode) {
     console.log(`3. Separate each passage with exactly: --- DELIMITER ---`);
     console.log(`4. 📝 Save your translations to: '${txtFile}'`);
     console.log(`5. Run: ./passage-manager.js -j ${txtFile}`);
-    console.log(`6. Batch will be imported and temp files auto-deleted\n`);
+    console.log(`6. Batch will be imported and temp files auto-deleted`);
+    console.log(`   For a verified import (-j ... --strict), start each section with its "Hash: ..." line`);
+    console.log(`   or copy the Devanagari text exactly; --dry-run shows the changes first\n`);
 
     // Write hashkeys file
     try {
@@ -711,7 +687,135 @@ function getBatchPassages(batchSize, mode) {
     }
 }
 
-function importBatchTranslations(inputFile) {
+// Hash echo line of a strict batch section: "Hash: a1b2c3d4e5f6"
+const HASH_ECHO_REGEX = /^\s*(?:\*\*)?Hash(?:\*\*)?:\s*([0-9a-f]{12})\s*$/i;
+
+/**
+ * Split a batch file into sections, with the line number each section starts on
+ */
+function splitBatchSections(content) {
+    const sections = [];
+    let offset = 0;
+    content.split(BATCH_DELIMITER).forEach(part => {
+        const text = part.trim();
+        if (text.length > 0) {
+            const start = offset + part.indexOf(text);
+            sections.push({ text, line: content.slice(0, start).split('\n').length });
+        }
+        offset += part.length + BATCH_DELIMITER.length;
+    });
+    return sections;
+}
+
+/**
+ * Identify the passage a batch section translates
+ * By its "Hash: ..." line, otherwise by hashing the first paragraph with Devanagari.
+ * Returns { hash, source, line, text } - text without the hash line; hash is null when
+ * the section gives neither.
+ */
+function identifyBatchSection(section) {
+    const lines = section.text.split('\n');
+
+    const echoIndex = lines.findIndex(line => HASH_ECHO_REGEX.test(line));
+    if (echoIndex !== -1) {
+        return {
+            hash: lines[echoIndex].match(HASH_ECHO_REGEX)[1].toLowerCase(),
+            source: 'echoed hash',
+            line: section.line + echoIndex,
+            text: lines.filter((_, index) => index !== echoIndex).join('\n').replace(/\n{3,}/g, '\n\n').trim()
+        };
+    }
+
+    // Paragraphs are separated by blank lines; the "# Passage" heading is not part of one
+    let paragraph = [];
+    let paragraphStart = 0;
+    for (let i = 0; i <= lines.length; i++) {
+        const line = i < lines.length ? lines[i].trim() : '';
+        if (line && !line.startsWith('#')) {
+            if (paragraph.length === 0) paragraphStart = i;
+            paragraph.push(line);
+            continue;
+        }
+        if (paragraph.length > 0 && /[\u0900-\u097F]/.test(paragraph.join(''))) {
+            return {
+                hash: generatePassageHash(paragraph.join('\n')),
+                source: 'Devanagari text',
+                line: section.line + paragraphStart,
+                text: section.text
+            };
+        }
+        paragraph = [];
+    }
+
+    return { hash: null, source: null, line: section.line, text: section.text };
+}
+
+/**
+ * Strict import: check every section against the hash key at its position
+ * Returns { entries: [{ hash, text }], problems: ['line N: ...'] }
+ */
+function verifyBatchSections(sections, hashes) {
+    const entries = [];
+    const problems = [];
+
+    for (let i = 0; i < Math.max(sections.length, hashes.length); i++) {
+        if (i >= sections.length) {
+            problems.push(`hashkeys line ${i + 1}: no section for hash ${hashes[i]}`);
+            continue;
+        }
+
+        const section = identifyBatchSection(sections[i]);
+        if (i >= hashes.length) {
+            problems.push(`line ${section.line}: section ${i + 1} has no hash key (${hashes.length} keys)`);
+            continue;
+        }
+        if (!section.hash) {
+            problems.push(`line ${section.line}: section ${i + 1} has neither a "Hash: ${hashes[i]}" line nor Devanagari text`);
+            continue;
+        }
+        if (section.hash !== hashes[i]) {
+            const position = hashes.indexOf(section.hash);
+            const belongs = position !== -1 ? `belongs to section ${position + 1}` : 'not in this batch';
+            problems.push(`line ${section.line}: section ${i + 1} ${section.source} gives ${section.hash}, expected ${hashes[i]} (${belongs})`);
+            continue;
+        }
+
+        entries.push({ hash: hashes[i], text: section.text });
+    }
+
+    return { entries, problems };
+}
+
+/**
+ * Show what an import would change in the translations file
+ * + new translation, = already stored, ~ stored translation differs (kept)
+ */
+function showBatchDiff(entries, translations) {
+    console.log(`🔍 DRY RUN - changes to ${TRANSLATIONS_FILE}:\n`);
+
+    let added = 0;
+    entries.forEach(({ hash, text }) => {
+        if (!translations[hash]) {
+            console.log(`+ ${hash}`);
+            text.split('\n').forEach(line => console.log(`+   ${line}`));
+            added++;
+        } else if (translations[hash] === text) {
+            console.log(`= ${hash} (already stored)`);
+        } else {
+            console.log(`~ ${hash} (stored translation differs - kept, not overwritten)`);
+        }
+    });
+
+    console.log(`\n${added} of ${entries.length} passage${entries.length !== 1 ? 's' : ''} would be added.`);
+    console.log(`Nothing written. Run again without --dry-run to import.`);
+}
+
+/**
+ * Import a translation batch (.txt + .hashkeys pair)
+ * Returns false when nothing was imported because of an error - a missing or misnamed file,
+ * a count mismatch or a section failing --strict verification
+ */
+function importBatchTranslations(inputFile, { strict = false, dryRun = false } = {}) {
     // Determine if input is .txt or .hashkeys, find the matching pair
     let txtFile, hashkeysFile;
 
@@ -724,17 +828,17 @@ function importBatchTranslations(inputFile) {
     } else {
         console.error('Error: File must be either .txt or .hashkeys');
         console.error('Expected format: translation-batch-{mode}-{timestamp}.txt');
-        return;
+        return false;
     }
 
     // Check both files exist
     if (!fs.existsSync(txtFile)) {
         console.error(`Error: Translation file not found: ${txtFile}`);
-        return;
+        return false;
     }
     if (!fs.existsSync(hashkeysFile)) {
         console.error(`Error: Hashkeys file not found: ${hashkeysFile}`);
-        return;
+        return false;
     }
 
     // Extract mode from filename
@@ -743,7 +847,7 @@ function importBatchTranslations(inputFile) {
         console.error('Error: Invalid filename format.');
         console.error('Expected format: translation-batch-{mode}-{timestamp}.txt');
         console.error('Example: translation-batch-deva-1234567890.txt');
-        return;
+        return false;
     }
 
     const mode = filenameMatch[1];
@@ -754,23 +858,44 @@ function importBatchTranslations(inputFile) {
         const hashkeysContent = fs.readFileSync(hashkeysFile, 'utf8').trim();
         const hashes = hashkeysContent.split('\n').map(h => h.trim()).filter(h => h.length > 0);
 
-        const txtContent = fs.readFileSync(txtFile, 'utf8').trim();
-        const passageSections = txtContent.split('--- DELIMITER ---').map(s => s.trim()).filter(s => s.length > 0);
-
-        // Validate counts match
-        if (hashes.length !== passageSections.length) {
-            console.error(`Error: Mismatch between hashkeys (${hashes.length}) and passages (${passageSections.length})`);
-            console.error('The number of hash keys must match the number of passages.');
-            return;
+        const passageSections = splitBatchSections(fs.readFileSync(txtFile, 'utf8'));
+
+        let entries;
+        if (strict) {
+            // Each section must prove which passage it translates
+            const { entries: verified, problems } = verifyBatchSections(passageSections, hashes);
+            if (problems.length > 0) {
+                console.error(`Error: ${problems.length} section${problems.length !== 1 ? 's' : ''} failed verification in ${txtFile}:`);
+                problems.forEach(problem => console.error(`  ${problem}`));
+                console.error('Nothing was imported. Fix the sections above and run the import again.');
+                return false;
+            }
+            entries = verified;
+        } else {
+            // Validate counts match
+            if (hashes.length !== passageSections.length) {
+                console.error(`Error: Mismatch between hashkeys (${hashes.length}) and passages (${passageSections.length})`);
+                console.error('The number of hash keys must match the number of passages.');
+                console.error('Run with --strict to find the sections that do not match.');
+                return false;
+            }
+            entries = hashes.map((hash, i) => ({ hash, text: identifyBatchSection(passageSections[i]).text }));
         }
 
         console.log(`\n📥 IMPORTING BATCH TRANSLATIONS`);
         console.log(`================================`);
         console.log(`Mode: ${mode === 'deva' ? 'Devanagari' : 'IAST'} + Missing Passages`);
+        if (strict) console.log(`Strict: all ${entries.length} sections verified against their hashes`);
         console.log(`Passages to import: ${hashes.length}\n`);
 
         // Load existing data
         const translations = loadTranslations();
+
+        if (dryRun) {
+            showBatchDiff(entries, translations);
+            return true;
+        }
+
         const state = loadState();
         const missingPassagesData = loadMissingPassages();
 
@@ -790,9 +915,8 @@ function importBatchTranslations(inputFile) {
         let missingImportedCount = 0;
 
         // Import each passage
-        for (let i = 0; i < hashes.length; i++) {
-            const hash = hashes[i];
-            const passageContent = passageSections[i];
+        for (let i = 0; i < entries.length; i++) {
+            const { hash, text: passageContent } = entries[i];
 
             // Check if hash already exists
             if (translations[hash]) {
@@ -845,9 +969,84 @@ function importBatchTranslations(inputFile) {
             console.log(`\n⚠️  Could not delete temp files: ${error.message}`);
         }
 
+        return true;
     } catch (error) {
         console.error(`Error importing batch translations: ${error.message}`);
+        return false;
+    }
+}
+
+async function translateBatchWithLLM(batchSize, mode) {
+    const modeLabel = mode === 'deva' ? 'Devanagari' : 'IAST';
+    const { unprocessedPassages, unprocessedHashes } = selectBatchPassages(batchSize, mode);
+
+    if (unprocessedPassages.length === 0) {
+        console.log(`\n🎉 All ${modeLabel} passages and missing passages have been processed!`);
+        return 0;
+    }
+
+    if (!fs.existsSync(PROMPT_FILE_BATCH)) {
+        console.error(`Error: ${PROMPT_FILE_BATCH} not found!`);
+        return 1;
+    }
+    const prompt = fs.readFileSync(PROMPT_FILE_BATCH, 'utf8');
+
+    console.log(`\n🤖 LLM BATCH TRANSLATION`);
+    console.log(`========================`);
+    console.log(`Mode: ${modeLabel} + Missing Passages`);
+
+    // One request per passage; the answers are joined into a regular batch file
+    const items = unprocessedPassages.map((passage, i) => ({
+        id: unprocessedHashes[i],
+        prompt: `${prompt}\n\nTranslate this single passage (no delimiter needed):\nPassage:\n${passage}`
+    }));
+
+    const options = getProviderOptions();
+    let provider;
+    try {
+        provider = createProvider(options);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+
+    const { answers, failed } = await runBatch(items, {
+        provider,
+        stateFile: LLM_STATE_FILE,
+        requestsPerMinute: options.requestsPerMinute,
+        maxRetries: options.maxRetries,
+        // A second delimited section would shift every later hash
+        validate: response => response.split(BATCH_DELIMITER).filter(section => section.trim()).length === 1
+            ? null
+            : 'answer contains more than one passage'
+    });
+
+    if (answers.length > 0) {
+        const timestamp = Date.now();
+        const txtFile = `translation-batch-${mode}-${timestamp}.txt`;
+        const hashkeysFile = `translation-batch-${mode}-${timestamp}.hashkeys`;
+        const sections = answers.map(({ response }) => response.replace(BATCH_DELIMITER, '').trim());
+
+        fs.writeFileSync(txtFile, sections.join(`\n\n${BATCH_DELIMITER}\n\n`) + '\n', 'utf8');
+        fs.writeFileSync(hashkeysFile, answers.map(({ id }) => id).join('\n'), 'utf8');
+        if (!importBatchTranslations(txtFile)) {
+            console.error(`\n❌ Answers were not imported - they are kept in ${txtFile}`);
+            return 1;
+        }
     }
+
+    // Answers are in the translations file now - only failures are left to retry
+    try {
+        fs.unlinkSync(LLM_STATE_FILE);
+    } catch (error) {
+        // Nothing was answered
+    }
+
+    if (failed.length > 0) {
+        console.log(`\n⚠️  ${failed.length} passage${failed.length > 1 ? 's' : ''} failed - run the same command again to retry`);
+        return 1;
+    }
+    return 0;
 }
 
 // Parse command line arguments
@@ -899,8 +1098,11 @@ if (batchImportIndex !== -1) {
         showUsage();
         process.exit(1);
     }
-    importBatchTranslations(inputFile);
-    process.exit(0);
+    const imported = importBatchTranslations(inputFile, {
+        strict: args.includes('--strict'),
+        dryRun: args.includes('--dry-run')
+    });
+    process.exit(imported ? 0 : 1);
 }
 
 // Handle batch translation
@@ -952,6 +1154,30 @@ if (args.includes('-n') || args.includes('--next')) {
     process.exit(0);
 }
 
-console.error('Error: Unknown command');
-showUsage();
-process.exit(1);
+// Handle LLM batch translation (asynchronous - exits when the batch is imported)
+const llmIndex = args.indexOf('--llm');
+if (llmIndex !== -1) {
+    const batchSize = parseInt(args[llmIndex + 1]);
+    if (isNaN(batchSize) || batchSize < 1) {
+        console.error('Error: Please specify a positive batch size after --llm');
+        showUsage();
+        process.exit(1);
+    }
+
+    let mode = 'deva'; // default
+    const modeIndex = args.indexOf('-m');
+    if (modeIndex !== -1) {
+        mode = args[modeIndex + 1];
+        if (!mode || (mode !== 'deva' && mode !== 'iast')) {
+            console.error('Error: Please specify a valid mode after -m (deva or iast)');
+            showUsage();
+            process.exit(1);
+        }
+    }
+
+    translateBatchWithLLM(batchSize, mode).then(code => process.exit(code));
+} else {
+    console.error('Error: Unknown command');
+    showUsage();
+    process.exit(1);
+}
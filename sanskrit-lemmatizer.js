@@ -0,0 +1,218 @@
+/**
+ * Sanskrit Lemmatizer
+ * Resolves declined and conjugated forms ("manasā", "cittasya", "bhavanti") to
+ * lexicon headwords by stripping common nominal and verbal endings. Looks words up
+ * in the same dictionary as sanskrit-splitter.js (SanskritSplitter.createDictionary),
+ * so Devanagari and IAST forms are handled alike. Endings are matched with vowel
+ * length kept ("-āḥ" is not "-aḥ"), and a headword is only accepted when its own
+ * spelling agrees on vowel length with the stem the ending leaves.
+ *
+ * Requires search-core.js to be loaded first.
+ */
+
+(function (root) {
+    const { transliterate } = root.SearchCore;
+
+    // Shortest stem left after stripping an ending
+    const MIN_STEM_LENGTH = 2;
+
+    // Nominal endings (IAST): ending → stem final, with the form it marks
+    // Stems are tried as they are and in their nominative spellings (see getStemForms)
+    const NOMINAL_ENDINGS = [
+        // a-stems (masculine / neuter)
+        { ending: 'aḥ', stem: 'a', form: { case: 'nominative', number: 'singular' } },
+        { ending: 'am', stem: 'a', form: { case: 'nominative/accusative', number: 'singular' } },
+        { ending: 'ena', stem: 'a', form: { case: 'instrumental', number: 'singular' } },
+        { ending: 'āya', stem: 'a', form: { case: 'dative', number: 'singular' } },
+        { ending: 'āt', stem: 'a', form: { case: 'ablative', number: 'singular' } },
+        { ending: 'asya', stem: 'a', form: { case: 'genitive', number: 'singular' } },
+        { ending: 'e', stem: 'a', form: { case: 'locative', number: 'singular' } },
+        { ending: 'au', stem: 'a', form: { case: 'nominative/accusative', number: 'dual' } },
+        { ending: 'ābhyām', stem: 'a', form: { case: 'instrumental/dative/ablative', number: 'dual' } },
+        { ending: 'ayoḥ', stem: 'a', form: { case: 'genitive/locative', number: 'dual' } },
+        { ending: 'āḥ', stem: 'a', form: { case: 'nominative', number: 'plural' } },
+        { ending: 'ān', stem: 'a', form: { case: 'accusative', number: 'plural' } },
+        { ending: 'āni', stem: 'a', form: { case: 'nominative/accusative', number: 'plural' } },
+        { ending: 'aiḥ', stem: 'a', form: { case: 'instrumental', number: 'plural' } },
+        { ending: 'ebhyaḥ', stem: 'a', form: { case: 'dative/ablative', number: 'plural' } },
+        { ending: 'ānām', stem: 'a', form: { case: 'genitive', number: 'plural' } },
+        { ending: 'eṣu', stem: 'a', form: { case: 'locative', number: 'plural' } },
+        // ā-stems (feminine)
+        { ending: 'ām', stem: 'ā', form: { case: 'accusative', number: 'singular' } },
+        { ending: 'ayā', stem: 'ā', form: { case: 'instrumental', number: 'singular' } },
+        { ending: 'āyai', stem: 'ā', form: { case: 'dative', number: 'singular' } },
+        { ending: 'āyāḥ', stem: 'ā', form: { case: 'ablative/genitive', number: 'singular' } },
+        { ending: 'āyām', stem: 'ā', form: { case: 'locative', number: 'singular' } },
+        { ending: 'āḥ', stem: 'ā', form: { case: 'nominative/accusative', number: 'plural' } },
+        { ending: 'ābhiḥ', stem: 'ā', form: { case: 'instrumental', number: 'plural' } },
+        { ending: 'ābhyaḥ', stem: 'ā', form: { case: 'dative/ablative', number: 'plural' } },
+        { ending: 'ānām', stem: 'ā', form: { case: 'genitive', number: 'plural' } },
+        { ending: 'āsu', stem: 'ā', form: { case: 'locative', number: 'plural' } },
+        // i-stems
+        { ending: 'iḥ', stem: 'i', form: { case: 'nominative', number: 'singular' } },
+        { ending: 'im', stem: 'i', form: { case: 'accusative', number: 'singular' } },
+        { ending: 'inā', stem: 'i', form: { case: 'instrumental', number: 'singular' } },
+        { ending: 'aye', stem: 'i', form: { case: 'dative', number: 'singular' } },
+        { ending: 'eḥ', stem: 'i', form: { case: 'ablative/genitive', number: 'singular' } },
+        { ending: 'au', stem: 'i', form: { case: 'locative', number: 'singular' } },
+        { ending: 'ayaḥ', stem: 'i', form: { case: 'nominative', number: 'plural' } },
+        { ending: 'īn', stem: 'i', form: { case: 'accusative', number: 'plural' } },
+        { ending: 'ibhiḥ', stem: 'i', form: { case: 'instrumental', number: 'plural' } },
+        { ending: 'īnām', stem: 'i', form: { case: 'genitive', number: 'plural' } },
+        { ending: 'iṣu', stem: 'i', form: { case: 'locative', number: 'plural' } },
+        // u-stems
+        { ending: 'uḥ', stem: 'u', form: { case: 'nominative', number: 'singular' } },
+        { ending: 'um', stem: 'u', form: { case: 'accusative', number: 'singular' } },
+        { ending: 'unā', stem: 'u', form: { case: 'instrumental', number: 'singular' } },
+        { ending: 'ave', stem: 'u', form: { case: 'dative', number: 'singular' } },
+        { ending: 'oḥ', stem: 'u', form: { case: 'ablative/genitive', number: 'singular' } },
+        { ending: 'avaḥ', stem: 'u', form: { case: 'nominative', number: 'plural' } },
+        { ending: 'ūn', stem: 'u', form: { case: 'accusative', number: 'plural' } },
+        { ending: 'ubhiḥ', stem: 'u', form: { case: 'instrumental', number: 'plural' } },
+        { ending: 'ūnām', stem: 'u', form: { case: 'genitive', number: 'plural' } },
+        { ending: 'uṣu', stem: 'u', form: { case: 'locative', number: 'plural' } },
+        // an-stems (ātman, brahman)
+        { ending: 'ā', stem: 'an', form: { case: 'nominative', number: 'singular' } },
+        { ending: 'ānam', stem: 'an', form: { case: 'accusative', number: 'singular' } },
+        { ending: 'anā', stem: 'an', form: { case: 'instrumental', number: 'singular' } },
+        { ending: 'ane', stem: 'an', form: { case: 'dative', number: 'singular' } },
+        { ending: 'anaḥ', stem: 'an', form: { case: 'ablative/genitive singular or accusative', number: 'plural' } },
+        { ending: 'ani', stem: 'an', form: { case: 'locative', number: 'singular' } },
+        { ending: 'ānaḥ', stem: 'an', form: { case: 'nominative', number: 'plural' } },
+        // Consonant stems (manas, jagat)
+        { ending: 'ā', stem: '', form: { case: 'instrumental', number: 'singular' } },
+        { ending: 'e', stem: '', form: { case: 'dative', number: 'singular' } },
+        { ending: 'aḥ', stem: '', form: { case: 'ablative/genitive singular or nominative/accusative', number: 'plural' } },
+        { ending: 'i', stem: '', form: { case: 'locative', number: 'singular' } },
+        { ending: 'ām', stem: '', form: { case: 'genitive', number: 'plural' } },
+        { ending: 'su', stem: '', form: { case: 'locative', number: 'plural' } }
+    ];
+
+    // Verbal endings (IAST): resolved to the third person singular present, the form
+    // verbs are listed under in the lexicon ("bhavati", "dṛśyate") - so that form has no row
+    const VERBAL_ENDINGS = [
+        // Present, parasmaipada
+        { ending: 'taḥ', stem: 'ti', form: { person: 'third', number: 'dual', tense: 'present' } },
+        { ending: 'nti', stem: 'ti', form: { person: 'third', number: 'plural', tense: 'present' } },
+        { ending: 'si', stem: 'ti', form: { person: 'second', number: 'singular', tense: 'present' } },
+        { ending: 'thaḥ', stem: 'ti', form: { person: 'second', number: 'dual', tense: 'present' } },
+        { ending: 'tha', stem: 'ti', form: { person: 'second', number: 'plural', tense: 'present' } },
+        { ending: 'āmi', stem: 'ati', form: { person: 'first', number: 'singular', tense: 'present' } },
+        { ending: 'āvaḥ', stem: 'ati', form: { person: 'first', number: 'dual', tense: 'present' } },
+        { ending: 'āmaḥ', stem: 'ati', form: { person: 'first', number: 'plural', tense: 'present' } },
+        // Present, ātmanepada and passive
+        { ending: 'ete', stem: 'ate', form: { person: 'third', number: 'dual', tense: 'present', voice: 'middle/passive' } },
+        { ending: 'nte', stem: 'te', form: { person: 'third', number: 'plural', tense: 'present', voice: 'middle/passive' } },
+        { ending: 'se', stem: 'te', form: { person: 'second', number: 'singular', tense: 'present', voice: 'middle/passive' } },
+        { ending: 'dhve', stem: 'te', form: { person: 'second', number: 'plural', tense: 'present', voice: 'middle/passive' } },
+        { ending: 'e', stem: 'ate', form: { person: 'first', number: 'singular', tense: 'present', voice: 'middle/passive' } },
+        { ending: 'āmahe', stem: 'ate', form: { person: 'first', number: 'plural', tense: 'present', voice: 'middle/passive' } },
+        // Imperative and optative
+        { ending: 'tu', stem: 'ti', form: { person: 'third', number: 'singular', tense: 'imperative' } },
+        { ending: 'ntu', stem: 'ti', form: { person: 'third', number: 'plural', tense: 'imperative' } },
+        { ending: 'tām', stem: 'te', form: { person: 'third', number: 'singular', tense: 'imperative', voice: 'middle/passive' } },
+        { ending: 'et', stem: 'ati', form: { person: 'third', number: 'singular', tense: 'optative' } },
+        { ending: 'eyuḥ', stem: 'ati', form: { person: 'third', number: 'plural', tense: 'optative' } },
+        { ending: 'eta', stem: 'ate', form: { person: 'third', number: 'singular', tense: 'optative', voice: 'middle/passive' } }
+    ];
+
+    /**
+     * Fold text like SearchCore.foldText but keep vowel length: long vowels are
+     * upper-cased ("ātmānam", "आत्मानम्" → "AtmAnam"). Lowercasing the result gives
+     * the folded spelling the dictionary is keyed by. Acute accents (the lexicon's
+     * "bhúmi" romanization) and ITRANS doubled vowels count as long.
+     */
+    function foldKeepingLength(text) {
+        return transliterate(text)
+            .toLowerCase()
+            .normalize('NFC')
+            .replace(/[ṛṝ]/g, 'ri')
+            .replace(/[ḷḹ]/g, 'li')
+            .replace(/aa|[āá]/g, 'A')
+            .replace(/ii|[īí]/g, 'I')
+            .replace(/uu|[ūú]/g, 'U')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .replace(/chh|ch/g, 'c')
+            .replace(/sh/g, 's');
+    }
+
+    // Ending tables in the folded spelling words are matched in
+    const foldEndings = endings => endings.map(entry => ({
+        ...entry,
+        foldedEnding: foldKeepingLength(entry.ending),
+        foldedStem: foldKeepingLength(entry.stem)
+    }));
+    const FOLDED_NOMINAL_ENDINGS = foldEndings(NOMINAL_ENDINGS);
+    const FOLDED_VERBAL_ENDINGS = foldEndings(VERBAL_ENDINGS);
+
+    /**
+     * Spellings a stem may be listed under: the bare stem and its nominative forms
+     * (citta → cittam/cittah, manas → manah, ātman → ātmā) - folded, long vowels upper-cased
+     */
+    function getStemForms(stem) {
+        const forms = [stem, stem + 'h', stem + 'm'];
+        if (stem.endsWith('s')) forms.push(stem.slice(0, -1) + 'h');
+        if (stem.endsWith('an')) forms.push(stem.slice(0, -2) + 'A');
+        return forms;
+    }
+
+    /**
+     * Describe a grammatical form: "genitive singular", "third person plural present"
+     */
+    function describeForm(form) {
+        if (form.person) {
+            return [`${form.person} person`, form.number, form.tense, form.voice].filter(Boolean).join(' ');
+        }
+        return `${form.case} ${form.number}`;
+    }
+
+    /**
+     * Find lexicon headwords for an inflected word
+     * Returns [{ key, ending, stem, type: 'noun' | 'verb', form, description }], longest endings
+     * (then longest stem finals, "ātmānam" → ātman before *ātmāna) first;
+     * empty when the word is a lexicon word itself or no ending leads to one
+     */
+    function lemmatize(word, dictionary) {
+        const text = foldKeepingLength(word);
+        const { forms } = dictionary;
+        if (forms.has(text.toLowerCase())) return [];
+
+        // Headwords spelled like a candidate once length is folded away, and with
+        // matching vowel length (ASCII keys without accents only match short vowels)
+        const lookup = candidate => (forms.get(candidate.toLowerCase()) || [])
+            .filter(key => foldKeepingLength(key) === candidate);
+
+        const analyses = [];
+        const seen = new Set();
+        const tryEndings = (endings, type, getCandidates) => {
+            endings.forEach(({ ending, stem, form, foldedEnding, foldedStem }) => {
+                if (!text.endsWith(foldedEnding)) return;
+                const base = text.slice(0, text.length - foldedEnding.length);
+                if (base.length < MIN_STEM_LENGTH) return;
+
+                getCandidates(base + foldedStem).forEach(candidate => {
+                    if (candidate === text) return;
+                    lookup(candidate).forEach(key => {
+                        const id = key + '|' + describeForm(form);
+                        if (seen.has(id)) return;
+                        seen.add(id);
+                        analyses.push({ key, ending, stem, type, form, description: describeForm(form) });
+                    });
+                });
+            });
+        };
+
+        tryEndings(FOLDED_NOMINAL_ENDINGS, 'noun', getStemForms);
+        tryEndings(FOLDED_VERBAL_ENDINGS, 'verb', candidate => [candidate]);
+
+        return analyses.sort((a, b) => b.ending.length - a.ending.length || b.stem.length - a.stem.length);
+    }
+
+    root.SanskritLemmatizer = {
+        NOMINAL_ENDINGS,
+        VERBAL_ENDINGS,
+        describeForm,
+        lemmatize
+    };
+})(self);
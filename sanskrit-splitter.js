@@ -0,0 +1,190 @@
+/**
+ * Sanskrit Splitter
+ * Splits compounds and sandhi-joined words into lexicon words. Works on folded
+ * text (SearchCore.foldText), so Devanagari, IAST and the lexicon's own
+ * romanizations are compared alike; components are reported as spans of the
+ * original text together with the lexicon keys they resolve to.
+ *
+ * Requires search-core.js to be loaded first.
+ */
+
+(function (root) {
+    const { foldText } = root.SearchCore;
+
+    // Shortest folded key kept in the dictionary
+    const MIN_COMPONENT_LENGTH = 2;
+
+    // Fewest syllables in a component - one-syllable keys ("ca", "na", "ta", "pa") would
+    // otherwise cut ordinary words into pieces (tavaḥ = ta + va, cāpasya = ca + pa + sya)
+    const MIN_COMPONENT_SYLLABLES = 2;
+
+    // Sandhi reversal rules on folded text: the surface letters ending a component
+    // stand for `left` at the end of that word and `right` at the start of the next.
+    // Vowel length is folded away, so a + ā → ā is simply a + a → a.
+    // `beforeVowel` / `beforeConsonant` rules only apply when the next component starts with one.
+    const SANDHI_RULES = [
+        // Vowel sandhi
+        { surface: 'a', left: 'a', right: 'a', name: 'ā = a + a' },
+        { surface: 'i', left: 'i', right: 'i', name: 'ī = i + i' },
+        { surface: 'u', left: 'u', right: 'u', name: 'ū = u + u' },
+        { surface: 'e', left: 'a', right: 'i', name: 'e = a + i' },
+        { surface: 'o', left: 'a', right: 'u', name: 'o = a + u' },
+        { surface: 'ai', left: 'a', right: 'e', name: 'ai = a + e' },
+        { surface: 'au', left: 'a', right: 'o', name: 'au = a + o' },
+        { surface: 'ar', left: 'a', right: 'ri', name: 'ar = a + ṛ' },
+        { surface: 'y', left: 'i', right: '', beforeVowel: true, name: 'y = i + vowel' },
+        { surface: 'v', left: 'u', right: '', beforeVowel: true, name: 'v = u + vowel' },
+        { surface: 'r', left: 'ri', right: '', beforeVowel: true, name: 'r = ṛ + vowel' },
+        { surface: "'", left: '', right: 'a', name: "' = elided a" },
+        { surface: "o'", left: 'ah', right: 'a', name: "o' = aḥ + a" },
+        // Visarga sandhi
+        { surface: 'o', left: 'ah', right: '', beforeConsonant: true, name: 'o = aḥ + voiced' },
+        { surface: 'r', left: 'h', right: '', name: 'r = ḥ + voiced' },
+        { surface: 's', left: 'h', right: '', beforeConsonant: true, name: 's = ḥ + t/c/ś' },
+        // Consonant sandhi
+        { surface: 'd', left: 't', right: '', name: 'd = t + voiced' },
+        { surface: 'n', left: 't', right: '', name: 'n = t + nasal' },
+        { surface: 'c', left: 't', right: '', name: 'c = t + c' },
+        { surface: 'j', left: 't', right: '', name: 'j = t + j' },
+        { surface: 'l', left: 't', right: '', name: 'l = t + l' },
+        { surface: 'g', left: 'k', right: '', name: 'g = k + voiced' }
+    ];
+
+    const VOWEL = /^[aeiou]/;
+
+    /**
+     * Check if a folded form is long enough to be a component (see MIN_COMPONENT_SYLLABLES)
+     */
+    function isComponentForm(form) {
+        return (form.match(/[aeiou]+/g) || []).length >= MIN_COMPONENT_SYLLABLES;
+    }
+
+    /**
+     * Index lexicon keys by their folded form
+     * Returns { forms: Map(folded → [key, ...]), maxLength }
+     */
+    function createDictionary(words) {
+        const forms = new Map();
+        let maxLength = 0;
+        for (const word of words) {
+            const folded = foldText(word).text;
+            if (folded.length < MIN_COMPONENT_LENGTH) continue;
+            if (!forms.has(folded)) forms.set(folded, []);
+            forms.get(folded).push(word);
+            maxLength = Math.max(maxLength, folded.length);
+        }
+        return { forms, maxLength };
+    }
+
+    /**
+     * Dictionary form of a component - the form itself or its stem without a final visarga / m
+     * ("yogaḥ", "yogam" → "yoga"); null when neither is a lexicon word
+     */
+    function resolveForm(forms, form) {
+        if (!isComponentForm(form)) return null;
+        if (forms.has(form)) return form;
+
+        const stem = form.slice(0, -1);
+        return /[hm]$/.test(form) && isComponentForm(stem) && forms.has(stem) ? stem : null;
+    }
+
+    /**
+     * Split a word into lexicon words
+     * Returns { complete, components: [{ text, keys, sandhi }] } or null when no lexicon word is found
+     * (a word that is a lexicon key itself gives one component).
+     * A complete split covers the whole word with as few components as possible (fewest sandhi
+     * rules breaking ties); otherwise the longest known words are picked greedily from the left.
+     */
+    function split(word, dictionary) {
+        const folded = foldText(word);
+        const text = folded.text;
+        const { forms, maxLength } = dictionary;
+        if (text.length < MIN_COMPONENT_LENGTH) return null;
+
+        const original = (from, to) => word.slice(folded.starts[from], folded.ends[to - 1]);
+
+        // best(position, carry): cheapest split of text[position..] whose first word starts with carry
+        const memo = new Map();
+        const best = (position, carry) => {
+            if (position === text.length) return carry ? null : { cost: 0, rules: 0, components: [] };
+
+            const memoKey = position + ':' + carry;
+            if (memo.has(memoKey)) return memo.get(memoKey);
+
+            let result = null;
+            const consider = (segmentForm, end, next, nextCarry, rule) => {
+                const form = resolveForm(forms, segmentForm);
+                if (!form) return;
+                const rest = best(next, nextCarry);
+                if (!rest) return;
+
+                const cost = rest.cost + 1;
+                const rules = rest.rules + (rule ? 1 : 0);
+                if (result && (cost > result.cost || (cost === result.cost && rules >= result.rules))) return;
+
+                result = {
+                    cost,
+                    rules,
+                    components: [{
+                        text: original(position, end),
+                        keys: forms.get(form),
+                        sandhi: rule ? rule.name : null
+                    }, ...rest.components]
+                };
+            };
+
+            // Sandhi can lengthen a word by a letter or two ("e" → "a" + "i")
+            const longest = Math.min(text.length, position + maxLength + 2);
+            for (let end = longest; end > position; end--) {
+                const segment = carry + text.slice(position, end);
+
+                // Plain boundary
+                consider(segment, end, end, '', null);
+
+                // Sandhi at the boundary with the next word
+                if (end === text.length) continue;
+                const nextIsVowel = VOWEL.test(text[end]);
+                SANDHI_RULES.forEach(rule => {
+                    if (!segment.endsWith(rule.surface)) return;
+                    if (rule.beforeVowel && !nextIsVowel) return;
+                    if (rule.beforeConsonant && nextIsVowel) return;
+                    const form = segment.slice(0, segment.length - rule.surface.length) + rule.left;
+                    consider(form, end, end, rule.right, rule);
+                });
+            }
+
+            memo.set(memoKey, result);
+            return result;
+        };
+
+        const complete = best(0, '');
+        if (complete) {
+            return { complete: true, components: complete.components };
+        }
+
+        // Greedy fallback - longest known words from the left, skipping unknown letters
+        const isKnown = form => forms.has(form) && isComponentForm(form);
+        const components = [];
+        let position = 0;
+        while (position < text.length) {
+            let end = Math.min(text.length, position + maxLength);
+            while (end - position >= MIN_COMPONENT_LENGTH && !isKnown(text.slice(position, end))) end--;
+
+            if (end - position >= MIN_COMPONENT_LENGTH) {
+                const form = text.slice(position, end);
+                components.push({ text: original(position, end), keys: forms.get(form), sandhi: null });
+                position = end;
+            } else {
+                position++;
+            }
+        }
+
+        return components.length > 0 ? { complete: false, components } : null;
+    }
+
+    root.SanskritSplitter = {
+        SANDHI_RULES,
+        createDictionary,
+        split
+    };
+})(self);
@@ -0,0 +1,1137 @@
+/**
+ * Search Core
+ * DOM-free search routines shared by the reader (app.js) and the search worker
+ * (search-worker.js). Operates on chapter text that was already extracted from
+ * the EPUB HTML: [{ anchor, title, text, blocks }, ...] per book, where blocks are
+ * the paragraph offsets ([{ start, end }]) used by boolean queries.
+ */
+
+(function (root) {
+    // Token pattern - must match TOKEN_REGEX in create-search-index.js
+    // Letters and combining marks cover English, IAST diacritics and Devanagari matras
+    const TOKEN_REGEX = /[\p{L}\p{M}\p{N}]+/gu;
+
+    const REGEX_SPECIAL_CHARS = /[.*+?^${}()|[\]\\]/;
+
+    /**
+     * Check if query should be treated as a regex pattern
+     */
+    function isRegexQuery(query) {
+        return REGEX_SPECIAL_CHARS.test(query) && query.length > 1;
+    }
+
+    /**
+     * Escape query for literal matching
+     */
+    function escapeRegex(query) {
+        return query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Build search pattern (support simple regex with literal fallback)
+     */
+    function buildPattern(query) {
+        try {
+            if (isRegexQuery(query)) {
+                return new RegExp(query, 'gi');
+            }
+        } catch (e) {
+            // Fallback to literal search if regex is invalid
+        }
+        return new RegExp(escapeRegex(query), 'gi');
+    }
+
+    /**
+     * Split text into lowercase tokens with their character offsets
+     */
+    function tokenize(text) {
+        return Array.from(text.matchAll(TOKEN_REGEX), match => ({
+            token: match[0].toLowerCase(),
+            index: match.index
+        }));
+    }
+
+    // ===== SANSKRIT FOLDING =====
+    // Devanagari → IAST tables (IAST spellings follow createIastCharMap in lexicon-manager.js)
+    const DEVANAGARI_VOWELS = {
+        'अ': 'a', 'आ': 'ā', 'इ': 'i', 'ई': 'ī', 'उ': 'u', 'ऊ': 'ū', 'ऋ': 'ṛ', 'ॠ': 'ṝ',
+        'ऌ': 'ḷ', 'ॡ': 'ḹ', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+    };
+    const DEVANAGARI_MATRAS = {
+        'ा': 'ā', 'ि': 'i', 'ी': 'ī', 'ु': 'u', 'ू': 'ū', 'ृ': 'ṛ', 'ॄ': 'ṝ',
+        'ॢ': 'ḷ', 'ॣ': 'ḹ', 'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+    };
+    const DEVANAGARI_CONSONANTS = {
+        'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ṅ',
+        'च': 'c', 'छ': 'ch', 'ज': 'j', 'झ': 'jh', 'ञ': 'ñ',
+        'ट': 'ṭ', 'ठ': 'ṭh', 'ड': 'ḍ', 'ढ': 'ḍh', 'ण': 'ṇ',
+        'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+        'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+        'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+        'श': 'ś', 'ष': 'ṣ', 'स': 's', 'ह': 'h', 'ळ': 'ḷ'
+    };
+    const DEVANAGARI_SIGNS = {
+        'ं': 'ṃ', 'ः': 'ḥ', 'ँ': 'ṃ', 'ऽ': "'", 'ॐ': 'oṃ', '।': '|', '॥': '||',
+        '०': '0', '१': '1', '२': '2', '३': '3', '४': '4', '५': '5', '६': '6', '७': '7', '८': '8', '९': '9'
+    };
+    const VIRAMA = '्';
+    const NUKTA = '़';
+    const ZERO_WIDTH = /[\u200B\u200C\u200D\uFEFF]/;
+
+    // Harvard-Kyoto / ITRANS → IAST (longest sequences first)
+    const ROMAN_INPUT_MAP = [
+        ['RRi', 'ṛ'], ['R^i', 'ṛ'], ['RRI', 'ṝ'], ['R^I', 'ṝ'], ['LLi', 'ḷ'], ['L^i', 'ḷ'], ['lRR', 'ḹ'], ['lR', 'ḷ'],
+        ['~N', 'ṅ'], ['~n', 'ñ'], ['Sh', 'ṣ'], ['.n', 'ṃ'], ['.h', ''],
+        ['A', 'ā'], ['I', 'ī'], ['U', 'ū'], ['RR', 'ṝ'], ['R', 'ṛ'], ['M', 'ṃ'], ['H', 'ḥ'],
+        ['G', 'ṅ'], ['J', 'ñ'], ['T', 'ṭ'], ['D', 'ḍ'], ['N', 'ṇ'], ['z', 'ś'], ['S', 'ṣ']
+    ];
+
+    // Spelling variants collapsed after diacritics are stripped (ITRANS long vowels, "sh"/"ch" romanizations)
+    const FOLD_DIGRAPHS = [['chh', 'c'], ['ch', 'c'], ['sh', 's'], ['aa', 'a'], ['ii', 'i'], ['uu', 'u']];
+
+    /**
+     * Split text into units: one Devanagari syllable or one other character
+     * Returns [{ start, end, iast }] where iast is the unit's IAST spelling
+     */
+    function transliterationUnits(text) {
+        const units = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            const start = i;
+            let iast;
+
+            if (DEVANAGARI_CONSONANTS[char]) {
+                iast = DEVANAGARI_CONSONANTS[char];
+                i++;
+                if (text[i] === NUKTA) i++;
+
+                if (text[i] === VIRAMA) {
+                    i++;
+                } else if (DEVANAGARI_MATRAS[text[i]]) {
+                    iast += DEVANAGARI_MATRAS[text[i]];
+                    i++;
+                } else {
+                    iast += 'a'; // Inherent vowel
+                }
+            } else if (DEVANAGARI_VOWELS[char]) {
+                iast = DEVANAGARI_VOWELS[char];
+                i++;
+            } else if (DEVANAGARI_MATRAS[char]) {
+                iast = DEVANAGARI_MATRAS[char]; // Stray matra
+                i++;
+            } else if (DEVANAGARI_SIGNS[char] !== undefined) {
+                iast = DEVANAGARI_SIGNS[char];
+                i++;
+            } else if (char === VIRAMA || char === NUKTA || ZERO_WIDTH.test(char)) {
+                iast = '';
+                i++;
+            } else {
+                iast = char;
+                i++;
+            }
+
+            units.push({ start, end: i, iast });
+        }
+
+        return units;
+    }
+
+    /**
+     * Transliterate Devanagari text to IAST (other characters are kept as they are)
+     */
+    function transliterate(text) {
+        return transliterationUnits(text).map(unit => unit.iast).join('');
+    }
+
+    /**
+     * Convert Harvard-Kyoto / ITRANS words in a query to IAST
+     * Only words with capitals after the first letter (or ITRANS ~ ^ . marks) are converted,
+     * so ordinary capitalized words like "Rama" are left alone.
+     */
+    function convertRomanInput(query) {
+        return query.split(/(\s+)/).map(word => {
+            if (!/[A-Z]/.test(word.substring(1)) && !/[~^]|\.[nh]/.test(word)) return word;
+
+            let result = '';
+            let i = 0;
+            while (i < word.length) {
+                const entry = ROMAN_INPUT_MAP.find(([from]) => word.startsWith(from, i));
+                if (entry) {
+                    result += entry[1];
+                    i += entry[0].length;
+                } else {
+                    result += word[i];
+                    i++;
+                }
+            }
+            return result;
+        }).join('');
+    }
+
+    /**
+     * Fold text for diacritic-insensitive, cross-script matching
+     * Devanagari is transliterated, IAST diacritics are stripped and common spelling variants
+     * are collapsed ("ātmā", "आत्मा" and "aatmaa" all fold to "atma").
+     * Returns { text, starts, ends } mapping each folded char back to the original text
+     */
+    function foldText(text) {
+        const chars = [];
+        const starts = [];
+        const ends = [];
+
+        transliterationUnits(text).forEach(unit => {
+            const folded = unit.iast
+                .toLowerCase()
+                .replace(/[ṛṝ]/g, 'ri') // "Krishna" romanization of kṛṣṇa
+                .replace(/[ḷḹ]/g, 'li')
+                .normalize('NFD')
+                .replace(/\p{M}/gu, '');
+
+            if (!folded) {
+                // Dropped marks (e.g. decomposed diacritics) belong to the previous character
+                if (ends.length > 0 && unit.iast !== '') ends[ends.length - 1] = unit.end;
+                return;
+            }
+
+            for (const char of folded) {
+                chars.push(char);
+                starts.push(unit.start);
+                ends.push(unit.end);
+            }
+        });
+
+        // Collapse spelling variants, keeping the original span of the whole sequence
+        const result = { text: '', starts: [], ends: [] };
+        let k = 0;
+        while (k < chars.length) {
+            const digraph = FOLD_DIGRAPHS.find(([from]) =>
+                from.split('').every((c, offset) => chars[k + offset] === c));
+
+            const length = digraph ? digraph[0].length : 1;
+            result.text += digraph ? digraph[1] : chars[k];
+            result.starts.push(starts[k]);
+            result.ends.push(ends[k + length - 1]);
+            k += length;
+        }
+
+        return result;
+    }
+
+    /**
+     * Fold a search query (HK/ITRANS input is converted to IAST first)
+     */
+    function foldQuery(query) {
+        return foldText(convertRomanInput(query.trim())).text;
+    }
+
+    /**
+     * Find folded query matches in text, returns [{ position, matchText }] in original text
+     */
+    function findFolded(text, foldedQuery, folded = null) {
+        const matches = [];
+        if (!foldedQuery) return matches;
+
+        folded = folded || foldText(text);
+        let index = folded.text.indexOf(foldedQuery);
+        while (index !== -1) {
+            const position = folded.starts[index];
+            const end = folded.ends[index + foldedQuery.length - 1];
+            matches.push({ position, matchText: text.substring(position, end) });
+            index = folded.text.indexOf(foldedQuery, index + foldedQuery.length);
+        }
+
+        return matches;
+    }
+
+    /**
+     * Check if query is a plain term that can be answered from the index
+     */
+    function canUseIndex(index, query) {
+        if (!index) return false;
+        if (isRegexQuery(query)) return false;
+        return tokenize(query).length > 0;
+    }
+
+    /**
+     * Create a book search result object
+     */
+    function createBookResult(bookIndex, bookTitle, chapter, chapterIndex, match, matchIndex, exactMatch) {
+        const text = chapter.text;
+        const contextStart = Math.max(0, match.position - 80);
+        const contextEnd = Math.min(text.length, match.position + match.matchText.length + 80);
+
+        return {
+            bookIndex,
+            bookTitle,
+            chapterIndex,
+            chapterTitle: chapter.title,
+            chapterAnchor: chapter.anchor,
+            matchText: match.matchText,
+            context: text.substring(contextStart, contextEnd).trim(),
+            position: match.position,
+            positionPercent: Math.round((match.position / text.length) * 100), // Position in chapter
+            exactMatch,
+            resultId: `${bookIndex}_${chapterIndex}_${matchIndex}`,
+            displayText: '' // Will be set later with counter
+        };
+    }
+
+    /**
+     * Check if query runs in Sanskrit (folded) mode - regex patterns are always matched literally
+     */
+    function useFolding(query, options) {
+        return Boolean(options && options.sanskrit) && !isRegexQuery(query);
+    }
+
+    /**
+     * Search a book by scanning every chapter with the query pattern
+     */
+    function scanBook(chapters, bookIndex, bookTitle, query, options = {}) {
+        const results = [];
+        const searchPattern = buildPattern(query);
+        const foldedQuery = useFolding(query, options) ? foldQuery(query) : null;
+
+        chapters.forEach((chapter, chapterIndex) => {
+            const text = chapter.text;
+            searchPattern.lastIndex = 0;
+
+            // Sanskrit mode: match folded text, report spans in the original script
+            if (foldedQuery !== null) {
+                if (!chapter.folded) chapter.folded = foldText(text);
+                findFolded(text, foldedQuery, chapter.folded).forEach((match, matchIndex) => {
+                    const exactMatch = match.matchText.toLowerCase() === query.toLowerCase();
+                    results.push(createBookResult(bookIndex, bookTitle, chapter, chapterIndex, match, matchIndex, exactMatch));
+                });
+                return;
+            }
+
+            // Find all matches in this chapter
+            let match;
+            const matches = [];
+
+            while ((match = searchPattern.exec(text)) !== null) {
+                matches.push({
+                    position: match.index,
+                    matchText: match[0],
+                    exactMatch: match[0].toLowerCase() === query.toLowerCase()
+                });
+
+                // Prevent infinite loop for zero-length matches
+                if (match.index === searchPattern.lastIndex) {
+                    searchPattern.lastIndex++;
+                }
+            }
+
+            matches.forEach((match, matchIndex) => {
+                results.push(createBookResult(bookIndex, bookTitle, chapter, chapterIndex, match, matchIndex, match.exactMatch));
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Search a book using the prebuilt index
+     * Returns null if the index does not line up with the book (caller falls back to scanning)
+     */
+    function searchIndex(index, chapters, bookIndex, bookTitle, query) {
+        const indexBook = index.books[bookIndex];
+        if (!indexBook) return null;
+
+        if (chapters.length !== indexBook.chapters.length ||
+            chapters.some((chapter, i) => chapter.anchor !== indexBook.chapters[i].anchor)) {
+            console.warn(`Search index out of date for book ${bookIndex}, scanning instead`);
+            return null;
+        }
+
+        const queryLower = query.toLowerCase();
+        const queryTokens = tokenize(query);
+
+        // Collect candidate postings for each query token and drive the lookup with the rarest one
+        let lead = null;
+        for (const queryToken of queryTokens) {
+            const postings = [];
+            Object.keys(index.tokens).forEach(key => {
+                if (key.includes(queryToken.token)) {
+                    postings.push({ key, list: index.tokens[key] });
+                }
+            });
+            const count = postings.reduce((sum, p) => sum + p.list.length, 0);
+            if (count === 0) return [];
+            if (!lead || count < lead.count) {
+                lead = { queryToken, postings, count };
+            }
+        }
+
+        const matchesByChapter = {};
+
+        for (const { key, list } of lead.postings) {
+            for (let i = 0; i < list.length; i += 3) {
+                if (list[i] !== bookIndex) continue;
+
+                const chapterIndex = list[i + 1];
+                const chapter = chapters[chapterIndex];
+                if (!chapter.wordStarts) {
+                    chapter.wordStarts = tokenize(chapter.text).map(t => t.index);
+                }
+
+                const wordStart = chapter.wordStarts[list[i + 2]];
+                if (wordStart === undefined ||
+                    chapter.text.substr(wordStart, key.length).toLowerCase() !== key) {
+                    console.warn(`Search index out of date for book ${bookIndex}, scanning instead`);
+                    return null;
+                }
+
+                // Every occurrence of the query token inside this word is a candidate match start
+                let tokenOffset = key.indexOf(lead.queryToken.token);
+                while (tokenOffset !== -1) {
+                    const position = wordStart + tokenOffset - lead.queryToken.index;
+                    const matchText = position >= 0 ? chapter.text.substr(position, query.length) : '';
+                    if (matchText.toLowerCase() === queryLower) {
+                        if (!matchesByChapter[chapterIndex]) matchesByChapter[chapterIndex] = [];
+                        matchesByChapter[chapterIndex].push({ position, matchText });
+                    }
+                    tokenOffset = key.indexOf(lead.queryToken.token, tokenOffset + 1);
+                }
+            }
+        }
+
+        const results = [];
+        Object.keys(matchesByChapter).map(Number).sort((a, b) => a - b).forEach(chapterIndex => {
+            matchesByChapter[chapterIndex]
+                .sort((a, b) => a.position - b.position)
+                .forEach((match, matchIndex) => {
+                    // Index matches are always literal
+                    results.push(createBookResult(bookIndex, bookTitle, chapters[chapterIndex], chapterIndex, match, matchIndex, true));
+                });
+        });
+
+        return results;
+    }
+
+    // ===== BOOLEAN QUERIES =====
+    // maya NEAR/10 dream   "liberation while living" -jivanmukti   (Rama OR Vasishtha) AND mind
+    // Evaluated per block (paragraph) of chapter text; juxtaposed terms are ANDed
+    const DEFAULT_NEAR_DISTANCE = 10;
+    const BOOLEAN_SYNTAX = /"[^"]+"|\b(?:AND|OR|NOT)\b|\bNEAR(?:\/\d+)?(?=\s|$)|(?:^|[\s(])-[^\s-]/;
+
+    /**
+     * Split a boolean query into tokens: terms, phrases, ( ) and AND/OR/NOT/NEAR operators
+     */
+    function lexBooleanQuery(query) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < query.length) {
+            const char = query[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char });
+                i++;
+            } else if (char === '"') {
+                const end = query.indexOf('"', i + 1) === -1 ? query.length : query.indexOf('"', i + 1);
+                const phrase = query.substring(i + 1, end).trim();
+                if (phrase) tokens.push({ type: 'phrase', value: phrase });
+                i = end + 1;
+            } else if (char === '-' && /[^\s-]/.test(query[i + 1] || '')) {
+                tokens.push({ type: 'NOT' }); // -term excludes the term
+                i++;
+            } else {
+                let end = i;
+                while (end < query.length && !/[\s()"]/.test(query[end])) end++;
+                const word = query.substring(i, end);
+                const near = word.match(/^NEAR(?:\/(\d+))?$/);
+
+                if (near) {
+                    tokens.push({ type: 'NEAR', distance: near[1] ? parseInt(near[1], 10) : DEFAULT_NEAR_DISTANCE });
+                } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+                    tokens.push({ type: word });
+                } else {
+                    tokens.push({ type: 'term', value: word });
+                }
+                i = end;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse a boolean query into a tree of { type: 'term'|'phrase'|'and'|'or'|'not'|'near' } nodes
+     * Precedence: NOT/- binds tightest, then NEAR, AND (or juxtaposition), OR. Returns null for an empty query.
+     * Unbalanced parentheses and stray operators are tolerated rather than reported.
+     */
+    function parseBooleanQuery(query) {
+        const tokens = lexBooleanQuery(query);
+        let pos = 0;
+        const peek = () => tokens[pos] && tokens[pos].type;
+
+        const combine = (type, children) => {
+            children = children.filter(Boolean);
+            if (children.length === 0) return null;
+            return children.length === 1 ? children[0] : { type, children };
+        };
+
+        function parseUnary() {
+            const token = tokens[pos++];
+            if (!token) return null;
+
+            if (token.type === 'NOT') {
+                const child = parseUnary();
+                return child ? { type: 'not', child } : null;
+            }
+            if (token.type === '(') {
+                const node = parseOr();
+                if (peek() === ')') pos++;
+                return node;
+            }
+            if (token.type === 'term' || token.type === 'phrase') {
+                return { type: token.type, value: token.value };
+            }
+            return null; // Stray operator
+        }
+
+        function parseNear() {
+            let node = parseUnary();
+            while (peek() === 'NEAR') {
+                const distance = tokens[pos++].distance;
+                const right = parseUnary();
+                node = node && right ? { type: 'near', distance, left: node, right } : (node || right);
+            }
+            return node;
+        }
+
+        function parseAnd() {
+            const children = [parseNear()];
+            while (pos < tokens.length && peek() !== 'OR' && peek() !== ')') {
+                if (peek() === 'AND') pos++;
+                children.push(parseNear());
+            }
+            return combine('and', children);
+        }
+
+        function parseOr() {
+            const children = [parseAnd()];
+            while (peek() === 'OR') {
+                pos++;
+                children.push(parseAnd());
+            }
+            return combine('or', children);
+        }
+
+        const children = [];
+        while (pos < tokens.length) {
+            children.push(parseOr());
+            pos++; // Skip unmatched ")"
+        }
+        return combine('and', children);
+    }
+
+    /**
+     * Collect term and phrase nodes of a query tree (positive: skip the ones under NOT)
+     */
+    function collectLeaves(node, leaves, positiveOnly = false) {
+        if (!node) return leaves;
+        if (node.type === 'term' || node.type === 'phrase') {
+            leaves.push(node);
+        } else if (node.type === 'not') {
+            if (!positiveOnly) collectLeaves(node.child, leaves, positiveOnly);
+        } else if (node.type === 'near') {
+            collectLeaves(node.left, leaves, positiveOnly);
+            collectLeaves(node.right, leaves, positiveOnly);
+        } else {
+            node.children.forEach(child => collectLeaves(child, leaves, positiveOnly));
+        }
+        return leaves;
+    }
+
+    /**
+     * Check if query uses boolean syntax (quoted phrases, AND/OR/NOT/NEAR or -exclusions)
+     * Queries without a single positive term (e.g. "-maya") are not boolean - they would match everything
+     * Regex patterns are tested first - (OR|AND) or "[a-z]+" stay patterns; only grouping ( ) are shared
+     */
+    function isBooleanQuery(query) {
+        if (isRegexQuery(query.replace(/[()]/g, ''))) return false;
+        if (!BOOLEAN_SYNTAX.test(query)) return false;
+        return collectLeaves(parseBooleanQuery(query), [], true).length > 0;
+    }
+
+    /**
+     * Compile a boolean query for matching - leaves get their literal pattern or folded form
+     */
+    function compileBooleanQuery(query, options = {}) {
+        const ast = parseBooleanQuery(query);
+        const leaves = collectLeaves(ast, []);
+
+        leaves.forEach(leaf => {
+            // Phrase words may be separated by any whitespace (line breaks in the EPUB text)
+            leaf.pattern = new RegExp(leaf.value.split(/\s+/).map(escapeRegex).join('\\s+'), 'gi');
+            leaf.foldedValue = options.sanskrit ? foldQuery(leaf.value) : null;
+        });
+
+        return { ast, leaves };
+    }
+
+    /**
+     * Index of the word containing (or preceding) a text position
+     */
+    function wordIndexAt(wordStarts, position) {
+        let low = 0;
+        let high = wordStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (wordStarts[mid] <= position) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Evaluate a query tree inside one block
+     * Returns the hits that satisfy the node, or null if the block does not match
+     */
+    function evaluateBoolean(node, hitsByLeaf, block) {
+        switch (node.type) {
+            case 'term':
+            case 'phrase': {
+                const hits = hitsByLeaf.get(node).filter(hit => hit.position >= block.start && hit.position < block.end);
+                return hits.length ? hits : null;
+            }
+            case 'not':
+                return evaluateBoolean(node.child, hitsByLeaf, block) === null ? [] : null;
+            case 'and': {
+                const hits = [];
+                for (const child of node.children) {
+                    const childHits = evaluateBoolean(child, hitsByLeaf, block);
+                    if (childHits === null) return null;
+                    hits.push(...childHits);
+                }
+                return hits;
+            }
+            case 'or': {
+                let hits = null;
+                node.children.forEach(child => {
+                    const childHits = evaluateBoolean(child, hitsByLeaf, block);
+                    if (childHits !== null) hits = (hits || []).concat(childHits);
+                });
+                return hits;
+            }
+            case 'near': {
+                const left = evaluateBoolean(node.left, hitsByLeaf, block);
+                const right = evaluateBoolean(node.right, hitsByLeaf, block);
+                if (!left || !right) return null;
+
+                const isNear = (a, b) => Math.abs(a.word - b.word) <= node.distance;
+                const hits = left.filter(a => right.some(b => isNear(a, b)))
+                    .concat(right.filter(b => left.some(a => isNear(a, b))));
+                return hits.length ? hits : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Match a compiled boolean query against text split into blocks ([{ start, end }] offsets into text)
+     * cache holds per-text data reused between queries ({ folded, wordStarts } - a chapter object works)
+     * Returns [{ start, end, hits: [{ position, matchText, word }] }] for each matching block
+     */
+    function matchBooleanBlocks(compiled, text, blocks, cache = {}) {
+        if (!cache.wordStarts) cache.wordStarts = tokenize(text).map(t => t.index);
+
+        // Find every leaf once in the whole text, then evaluate the tree block by block
+        const hitsByLeaf = new Map();
+        compiled.leaves.forEach(leaf => {
+            let hits;
+            if (leaf.foldedValue !== null) {
+                if (!cache.folded) cache.folded = foldText(text);
+                hits = findFolded(text, leaf.foldedValue, cache.folded);
+            } else {
+                hits = [];
+                let match;
+                leaf.pattern.lastIndex = 0;
+                while ((match = leaf.pattern.exec(text)) !== null) {
+                    hits.push({ position: match.index, matchText: match[0] });
+                }
+            }
+            hits.forEach(hit => { hit.word = wordIndexAt(cache.wordStarts, hit.position); });
+            hitsByLeaf.set(leaf, hits);
+        });
+
+        const matches = [];
+        (blocks && blocks.length ? blocks : [{ start: 0, end: text.length }]).forEach(block => {
+            const hits = evaluateBoolean(compiled.ast, hitsByLeaf, block);
+            if (!hits || !hits.length) return;
+
+            const unique = Array.from(new Set(hits)).sort((a, b) => a.position - b.position);
+            matches.push({ start: block.start, end: block.end, hits: unique });
+        });
+
+        return matches;
+    }
+
+    /**
+     * Search a book with a boolean query - one result per matching block
+     */
+    function searchBooleanBook(chapters, bookIndex, bookTitle, query, options = {}) {
+        const compiled = compileBooleanQuery(query, options);
+        const results = [];
+
+        chapters.forEach((chapter, chapterIndex) => {
+            matchBooleanBlocks(compiled, chapter.text, chapter.blocks, chapter).forEach((block, matchIndex) => {
+                const first = block.hits[0];
+                const last = block.hits[block.hits.length - 1];
+                const result = createBookResult(bookIndex, bookTitle, chapter, chapterIndex, first, matchIndex, false);
+
+                // Context spans all hits of the block (NEAR operands can be apart)
+                const contextStart = Math.max(block.start, first.position - 80);
+                const contextEnd = Math.min(block.end, last.position + last.matchText.length + 80);
+                result.context = chapter.text.substring(contextStart, contextEnd).replace(/\s+/g, ' ').trim();
+                result.highlightTerms = Array.from(new Set(block.hits.map(hit => hit.matchText)));
+
+                results.push(result);
+            });
+        });
+
+        return results;
+    }
+
+    // ===== FUZZY MATCHING =====
+    // Near-spellings of transliterated names (Vasishtha / Vasistha / Vashishtha)
+
+    /**
+     * Edit (Levenshtein) distance, as calculateEditDistance in lexicon-manager.js
+     * Stops early and returns maxDistance + 1 once the distance is known to exceed maxDistance
+     */
+    function editDistance(a, b, maxDistance = Infinity) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+        let previous = Array.from({ length: a.length + 1 }, (_, i) => i);
+        for (let j = 1; j <= b.length; j++) {
+            const current = [j];
+            let rowMin = j;
+            for (let i = 1; i <= a.length; i++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[i] = Math.min(
+                    previous[i] + 1,      // deletion
+                    current[i - 1] + 1,   // insertion
+                    previous[i - 1] + cost // substitution
+                );
+                rowMin = Math.min(rowMin, current[i]);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previous = current;
+        }
+
+        return previous[a.length];
+    }
+
+    /**
+     * Allowed edit distance for a folded word - short words must match exactly
+     */
+    function fuzzyThreshold(word) {
+        if (word.length <= 3) return 0;
+        if (word.length <= 5) return 1;
+        if (word.length <= 8) return 2;
+        return 3;
+    }
+
+    /**
+     * Check if query runs in fuzzy mode - only plain words, regex and boolean queries are matched as usual
+     */
+    function useFuzzy(query, options) {
+        return Boolean(options && options.fuzzy) && !isRegexQuery(query) && !isBooleanQuery(query) &&
+            tokenize(query).length > 0;
+    }
+
+    /**
+     * Create a matcher for the words of a fuzzy query
+     * matches(token, n) is true if token is a near-spelling of query word n. Words are compared
+     * folded (diacritics, script and sh/ch variants ignored) and results are memoized per token.
+     */
+    function createFuzzyMatcher(query) {
+        const words = tokenize(query).map(t => foldText(t.token).text);
+        const memo = words.map(() => new Map());
+
+        return {
+            length: words.length,
+            matches(token, n) {
+                const cache = memo[n];
+                if (!cache.has(token)) {
+                    const maxDistance = fuzzyThreshold(words[n]);
+                    cache.set(token, editDistance(foldText(token).text, words[n], maxDistance) <= maxDistance);
+                }
+                return cache.get(token);
+            }
+        };
+    }
+
+    /**
+     * Search a book for near-spellings of the query words (consecutive words for multi-word queries)
+     * Each result carries the spelling found, so results can be grouped by it
+     */
+    function fuzzyScanBook(chapters, bookIndex, bookTitle, query) {
+        const results = [];
+        const matcher = createFuzzyMatcher(query);
+        const queryLower = query.toLowerCase().replace(/\s+/g, ' ').trim();
+
+        chapters.forEach((chapter, chapterIndex) => {
+            const tokens = tokenize(chapter.text);
+            let matchIndex = 0;
+
+            for (let i = 0; i + matcher.length <= tokens.length; i++) {
+                let n = 0;
+                while (n < matcher.length && matcher.matches(tokens[i + n].token, n)) n++;
+                if (n < matcher.length) continue;
+
+                const last = tokens[i + matcher.length - 1];
+                const position = tokens[i].index;
+                const matchText = chapter.text.substring(position, last.index + last.token.length);
+                const spelling = matchText.toLowerCase().replace(/\s+/g, ' ');
+
+                const result = createBookResult(bookIndex, bookTitle, chapter, chapterIndex,
+                    { position, matchText }, matchIndex++, spelling === queryLower);
+                result.spelling = spelling;
+                results.push(result);
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Collect word frequencies for "did you mean" suggestions
+     * Uses the index vocabulary when available, otherwise counts the chapter text of all books
+     * Returns Map(token → { count, folded })
+     */
+    function buildVocabulary(index, books) {
+        const counts = new Map();
+
+        if (index) {
+            Object.keys(index.tokens).forEach(token => counts.set(token, index.tokens[token].length / 3));
+        } else {
+            books.forEach(chapters => chapters.forEach(chapter => {
+                tokenize(chapter.text).forEach(({ token }) => counts.set(token, (counts.get(token) || 0) + 1));
+            }));
+        }
+
+        const vocabulary = new Map();
+        counts.forEach((count, token) => vocabulary.set(token, { count, folded: foldText(token).text }));
+        return vocabulary;
+    }
+
+    /**
+     * Suggest corrected queries for a plain query that found nothing
+     * Unknown words are replaced by the nearest (then most frequent) vocabulary words
+     */
+    function suggestQueries(vocabulary, query, limit = 3) {
+        if (isRegexQuery(query) || isBooleanQuery(query)) return [];
+
+        const words = tokenize(query);
+        if (words.length === 0) return [];
+
+        const candidates = words.map(({ token }) => {
+            if (vocabulary.has(token)) return [token];
+
+            const folded = foldText(token).text;
+            const maxDistance = Math.max(1, fuzzyThreshold(folded));
+            const found = [];
+            vocabulary.forEach((entry, word) => {
+                const distance = editDistance(entry.folded, folded, maxDistance);
+                if (distance <= maxDistance) found.push({ word, distance, count: entry.count });
+            });
+
+            return found
+                .sort((a, b) => a.distance - b.distance || b.count - a.count)
+                .slice(0, limit)
+                .map(candidate => candidate.word);
+        });
+        if (candidates.some(list => list.length === 0)) return [];
+
+        // Suggestion n uses the n-th candidate of every word (or its last one)
+        const suggestions = [];
+        for (let n = 0; n < limit; n++) {
+            const suggestion = candidates.map(list => list[Math.min(n, list.length - 1)]).join(' ');
+            if (suggestion !== query.toLowerCase() && !suggestions.includes(suggestion)) {
+                suggestions.push(suggestion);
+            }
+        }
+        return suggestions;
+    }
+
+    /**
+     * Search a single book - plain terms use the index, regex patterns need a full scan
+     * Results are sorted by relevance (exact matches first, then by position)
+     */
+    function searchBook(index, chapters, bookIndex, bookTitle, query, options = {}) {
+        // The index holds literal tokens, so Sanskrit mode always scans the (cached) folded text
+        let results = null;
+        if (isBooleanQuery(query)) {
+            results = searchBooleanBook(chapters, bookIndex, bookTitle, query, options);
+        } else if (useFuzzy(query, options)) {
+            results = fuzzyScanBook(chapters, bookIndex, bookTitle, query);
+        } else if (canUseIndex(index, query) && !useFolding(query, options)) {
+            results = searchIndex(index, chapters, bookIndex, bookTitle, query);
+        }
+        if (!results) {
+            results = scanBook(chapters, bookIndex, bookTitle, query, options);
+        }
+
+        // Chapter range filter (anchors resolved from the book's TOC)
+        const chapterAnchors = options.chapterAnchors && options.chapterAnchors[bookIndex];
+        if (chapterAnchors) {
+            results = results.filter(result => chapterAnchors.includes(result.chapterAnchor));
+        }
+
+        return results.sort((a, b) => {
+            if (a.exactMatch && !b.exactMatch) return -1;
+            if (!a.exactMatch && b.exactMatch) return 1;
+            if (a.chapterIndex !== b.chapterIndex) return a.chapterIndex - b.chapterIndex;
+            return a.position - b.position;
+        });
+    }
+
+    // Folded lexicon entries, computed once per lexicon object
+    const foldedLexicons = new WeakMap();
+
+    /**
+     * Create a match function for one lexicon (regex, Sanskrit folded or boolean)
+     * Returns (text, field, word) => [{ position, matchText }]
+     */
+    function createLexiconMatcher(lexicon, searchPattern, foldedQuery, compiled) {
+        if (compiled) {
+            return (text) => {
+                const blocks = matchBooleanBlocks(compiled, text, null);
+                return blocks.length ? blocks[0].hits.slice(0, 1) : [];
+            };
+        }
+
+        if (foldedQuery === null) {
+            return (text) => {
+                const match = text.match(searchPattern);
+                return match ? [{ position: text.search(searchPattern), matchText: match[0] }] : [];
+            };
+        }
+
+        if (!foldedLexicons.has(lexicon)) foldedLexicons.set(lexicon, new Map());
+        const cache = foldedLexicons.get(lexicon);
+
+        return (text, field, word) => {
+            const key = field + ':' + word;
+            if (!cache.has(key)) cache.set(key, foldText(text));
+            return findFolded(text, foldedQuery, cache.get(key)).slice(0, 1);
+        };
+    }
+
+    /**
+     * Search a single lexicon
+     */
+    function searchLexiconEntries(lexicon, lexiconType, query, searchPattern, foldedQuery, compiled, results) {
+        if (!lexicon) return;
+
+        const findMatches = createLexiconMatcher(lexicon, searchPattern, foldedQuery, compiled);
+
+        Object.entries(lexicon).forEach(([word, definition]) => {
+            const wordMatches = findMatches(word, 'word', word).map(m => m.matchText);
+            const defMatches = findMatches(definition, 'definition', word);
+
+            if (wordMatches.length || defMatches.length) {
+                // Prefer word match for context, otherwise use definition excerpt
+                let context = '';
+                let matchText = '';
+                let exactMatch = false;
+
+                if (wordMatches.length) {
+                    matchText = wordMatches[0];
+                    exactMatch = word.toLowerCase() === query.toLowerCase();
+                    // Get first 80 chars of definition for context
+                    context = word + ': ' + definition.substring(0, 80).replace(/[\r\n]+/g, ' ').trim() + '...';
+                } else {
+                    matchText = defMatches[0].matchText;
+                    // Extract context around match position
+                    const matchIndex = defMatches[0].position;
+                    const contextStart = Math.max(0, matchIndex - 60);
+                    const contextEnd = Math.min(definition.length, matchIndex + matchText.length + 60);
+                    context = definition.substring(contextStart, contextEnd).replace(/[\r\n]+/g, ' ').trim();
+                }
+
+                results.push({
+                    isLexiconResult: true,
+                    word: word,
+                    lexiconType: lexiconType,
+                    matchText: matchText,
+                    context: context,
+                    exactMatch: exactMatch,
+                    displayText: '' // Will be set later
+                });
+            }
+        });
+    }
+
+    /**
+     * Search within lexicons (both Devanagari and IAST)
+     */
+    function searchLexicon(lexicon, iastLexicon, query, options = {}) {
+        const results = [];
+        const searchPattern = buildPattern(query);
+        const foldedQuery = useFolding(query, options) ? foldQuery(query) : null;
+        const compiled = isBooleanQuery(query) ? compileBooleanQuery(query, options) : null;
+
+        searchLexiconEntries(lexicon, 'devanagari', query, searchPattern, foldedQuery, compiled, results);
+        searchLexiconEntries(iastLexicon, 'iast', query, searchPattern, foldedQuery, compiled, results);
+
+        // Sort lexicon results: exact matches first, then alphabetically by word
+        results.sort((a, b) => {
+            if (a.exactMatch && !b.exactMatch) return -1;
+            if (!a.exactMatch && b.exactMatch) return 1;
+            return a.word.localeCompare(b.word);
+        });
+
+        return results;
+    }
+
+    // ===== QUERY FILTERS =====
+    const SCOPE_ALIASES = {
+        books: 'books', book: 'books', text: 'books',
+        lexicon: 'lexicon', lex: 'lexicon',
+        notes: 'notes', note: 'notes'
+    };
+
+    /**
+     * Parse a number list/range like "3", "2,3" or "2-4" into [2, 3, 4]
+     */
+    function parseNumberList(value) {
+        const numbers = [];
+        value.split(',').forEach(part => {
+            const range = part.match(/^(\d+)(?:-(\d+))?$/);
+            if (!range) return;
+            const from = parseInt(range[1], 10);
+            const to = range[2] ? parseInt(range[2], 10) : from;
+            for (let n = Math.min(from, to); n <= Math.max(from, to); n++) {
+                numbers.push(n);
+            }
+        });
+        return numbers;
+    }
+
+    /**
+     * Extract filter syntax from a query
+     *   vol:3  vol:2,3  vol:2-4   - volumes
+     *   ch:5   ch:5-12            - chapter range (position in each book's table of contents)
+     *   in:books  in:lexicon  in:notes - result type
+     * Returns { text, filters: { volumes, chapters, scope } } - unset filters are null
+     */
+    function parseQuery(query) {
+        const filters = { volumes: null, chapters: null, scope: null };
+
+        const text = query.replace(/(^|\s)(vol|ch|in):(\S+)/gi, (match, space, key, value) => {
+            key = key.toLowerCase();
+            if (key === 'vol') {
+                const volumes = parseNumberList(value);
+                if (!volumes.length) return match;
+                filters.volumes = volumes;
+            } else if (key === 'ch') {
+                const chapters = parseNumberList(value);
+                if (!chapters.length) return match;
+                filters.chapters = { from: chapters[0], to: chapters[chapters.length - 1] };
+            } else {
+                const scope = SCOPE_ALIASES[value.toLowerCase()];
+                if (!scope) return match;
+                filters.scope = scope;
+            }
+            return space;
+        }).replace(/\s+/g, ' ').trim();
+
+        return { text, filters };
+    }
+
+    /**
+     * Find the first match of query in text (regex, Sanskrit folded or boolean), returns { position, matchText } or null
+     */
+    function findFirst(text, query, options = {}) {
+        if (isBooleanQuery(query)) {
+            const blocks = matchBooleanBlocks(compileBooleanQuery(query, options), text, null);
+            return blocks.length ? blocks[0].hits[0] : null;
+        }
+
+        if (useFolding(query, options)) {
+            return findFolded(text, foldQuery(query))[0] || null;
+        }
+
+        const searchPattern = buildPattern(query);
+        const match = searchPattern.exec(text);
+        return match ? { position: match.index, matchText: match[0] } : null;
+    }
+
+    /**
+     * Search personal notes ({ bookIndex: [note, ...] }) in note text and highlighted text
+     */
+    function searchNotes(notes, query, options = {}) {
+        const results = [];
+
+        Object.keys(notes || {}).forEach(bookIndex => {
+            (notes[bookIndex] || []).forEach(note => {
+                const fields = [note.noteText || '', note.selectedText || ''];
+                for (const field of fields) {
+                    const match = findFirst(field, query, options);
+                    if (!match) continue;
+
+                    const contextStart = Math.max(0, match.position - 60);
+                    const contextEnd = Math.min(field.length, match.position + match.matchText.length + 60);
+
+                    results.push({
+                        isNoteResult: true,
+                        noteId: note.id,
+                        bookIndex: note.bookIndex,
+                        bookTitle: note.bookTitle,
+                        chapterTitle: note.chapterTitle,
+                        matchText: match.matchText,
+                        context: field.substring(contextStart, contextEnd).replace(/[\r\n]+/g, ' ').trim(),
+                        exactMatch: match.matchText.toLowerCase() === query.toLowerCase(),
+                        displayText: '' // Will be set later
+                    });
+                    break;
+                }
+            });
+        });
+
+        // Sort note results by book
+        results.sort((a, b) => Number(a.bookIndex) - Number(b.bookIndex));
+
+        return results;
+    }
+
+    root.SearchCore = {
+        TOKEN_REGEX,
+        isRegexQuery,
+        escapeRegex,
+        buildPattern,
+        tokenize,
+        transliterate,
+        convertRomanInput,
+        foldText,
+        foldQuery,
+        findFolded,
+        useFolding,
+        canUseIndex,
+        scanBook,
+        searchIndex,
+        isBooleanQuery,
+        parseBooleanQuery,
+        compileBooleanQuery,
+        matchBooleanBlocks,
+        editDistance,
+        useFuzzy,
+        fuzzyScanBook,
+        buildVocabulary,
+        suggestQueries,
+        searchBook,
+        searchLexicon,
+        parseQuery,
+        findFirst,
+        searchNotes
+    };
+})(self);
@@ -0,0 +1,112 @@
+/**
+ * Search Worker
+ * Runs book and lexicon search off the main thread. Receives the extracted
+ * chapter text once ('init'), then answers 'search' messages by streaming
+ * results back per book. A newer query (or 'cancel') stops the running one.
+ *
+ * Messages in:
+ *   { type: 'init', books: [{ bookIndex, bookTitle, chapters }], lexicon, iastLexicon, indexUrl }
+ *   { type: 'search', queryId, query, options }
+ *     options: { sanskrit, fuzzy, bookIndices, chapterAnchors, includeBooks, includeLexicon }
+ *   { type: 'cancel' }
+ *
+ * Messages out:
+ *   { type: 'bookResults', queryId, bookIndex, results }
+ *   { type: 'lexiconResults', queryId, results }
+ *   { type: 'suggestions', queryId, suggestions }  - "did you mean" queries, only sent when nothing was found
+ *   { type: 'done', queryId }
+ *   { type: 'error', queryId, message }
+ */
+
+importScripts('search-core.js');
+
+let books = [];
+let lexicon = {};
+let iastLexicon = {};
+let searchIndex = null;
+let vocabulary = null; // Word frequencies for "did you mean", built on first miss
+let activeQueryId = null;
+
+/**
+ * Load prebuilt search index (optional - books are scanned until it arrives)
+ */
+async function loadIndex(indexUrl) {
+    try {
+        const response = await fetch(indexUrl);
+        if (response.ok) {
+            searchIndex = await response.json();
+        } else {
+            console.warn('Search index file not found');
+        }
+    } catch (error) {
+        console.error('Failed to load search index:', error);
+    }
+}
+
+/**
+ * Let pending messages (new queries, cancel) run between books
+ */
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Search all books and lexicons, streaming results per book
+ */
+async function runSearch(queryId, query, options) {
+    activeQueryId = queryId;
+    let resultCount = 0;
+
+    try {
+        for (const book of books) {
+            if (options.includeBooks === false) break;
+            if (options.bookIndices && !options.bookIndices.includes(book.bookIndex)) continue;
+
+            await yieldToMessages();
+            if (queryId !== activeQueryId) return;
+
+            const results = SearchCore.searchBook(searchIndex, book.chapters, book.bookIndex, book.bookTitle, query, options);
+            resultCount += results.length;
+            self.postMessage({ type: 'bookResults', queryId, bookIndex: book.bookIndex, results });
+        }
+
+        await yieldToMessages();
+        if (queryId !== activeQueryId) return;
+
+        if (options.includeLexicon !== false) {
+            const lexiconResults = SearchCore.searchLexicon(lexicon, iastLexicon, query, options);
+            resultCount += lexiconResults.length;
+            self.postMessage({ type: 'lexiconResults', queryId, results: lexiconResults });
+        }
+
+        if (resultCount === 0) {
+            if (!vocabulary) vocabulary = SearchCore.buildVocabulary(searchIndex, books.map(book => book.chapters));
+            const suggestions = SearchCore.suggestQueries(vocabulary, query);
+            if (suggestions.length) self.postMessage({ type: 'suggestions', queryId, suggestions });
+        }
+        self.postMessage({ type: 'done', queryId });
+    } catch (error) {
+        self.postMessage({ type: 'error', queryId, message: error.message });
+    }
+}
+
+self.onmessage = (event) => {
+    const data = event.data;
+
+    switch (data.type) {
+        case 'init':
+            books = data.books || [];
+            lexicon = data.lexicon || {};
+            iastLexicon = data.iastLexicon || {};
+            if (data.indexUrl) {
+                loadIndex(data.indexUrl);
+            }
+            break;
+        case 'search':
+            runSearch(data.queryId, data.query, data.options || {});
+            break;
+        case 'cancel':
+            activeQueryId = null;
+            break;
+    }
+};
@@ -10,6 +10,12 @@ const urlsToCache = [
   '/index.html',
   '/app.js',
   '/app.css',
+  '/search-core.js',
+  '/passage-hash.js',
+  '/lexicon-roots.js',
+  '/search-worker.js',
+  '/sanskrit-splitter.js',
+  '/sanskrit-lemmatizer.js',
   '/manifest.json',
   '/assets/icon.png',
   // Include gsync files for offline support but use network-first strategy
@@ -24,8 +30,10 @@ const urlsToCache = [
 const DATA_PRELOAD = [
   '/Yoga-Vasishtha-Devanagari-Lexicon.json',
   '/Yoga-Vasishtha-IAST-Lexicon.json',
+  '/Yoga-Vasishtha-IAST-Lexicon-Structured.json',
   '/Yoga-Vasishtha-Sanskrit-Passages.json',
-  '/Yoga-Vasishtha-Words-Passages-Mapping.json'
+  '/Yoga-Vasishtha-Words-Passages-Mapping.json',
+  '/Yoga-Vasishtha-Search-Index.json'
 ];
 
 const EPUB_PRELOAD = [
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getProviderOptions, createProvider, runBatch } = require('./llm-provider');
+
+// Configuration
+const STUB_SERVER_FILE = 'llm-stub-server.js';
+const FAIL_EVERY = 2; // Every 2nd request gets a 429, so every item after the first is retried once
+const STARTUP_TIMEOUT_MS = 10000;
+const STATE_FILE = path.join(os.tmpdir(), `llm-provider-test-state-${process.pid}.json`);
+
+const checks = [];
+
+function check(description, passed, detail = '') {
+    checks.push({ description, passed, detail });
+    console.log(`${passed ? '✅' : '❌'} ${description}${!passed && detail ? ` - ${detail}` : ''}`);
+}
+
+/**
+ * LLM_MAX_RETRIES: integers >= 0 are used, anything else falls back to the default
+ */
+function testMaxRetries() {
+    console.log('🔧 LLM_MAX_RETRIES parsing...');
+    const original = process.env.LLM_MAX_RETRIES;
+    delete process.env.LLM_MAX_RETRIES;
+    const defaultRetries = getProviderOptions().maxRetries;
+    const consoleError = console.error;
+    console.error = () => {}; // Invalid values print a warning
+
+    [['', defaultRetries], [' ', defaultRetries], ['abc', defaultRetries], ['-1', defaultRetries],
+        ['1.5', defaultRetries], ['0', 0], ['5', 5]].forEach(([value, expected]) => {
+        process.env.LLM_MAX_RETRIES = value;
+        const actual = getProviderOptions().maxRetries;
+        check(`LLM_MAX_RETRIES="${value}" → ${expected}`, actual === expected, `got ${actual}`);
+    });
+
+    console.error = consoleError;
+    if (original === undefined) delete process.env.LLM_MAX_RETRIES;
+    else process.env.LLM_MAX_RETRIES = original;
+}
+
+/**
+ * Start the stub server on a free port; resolves { child, port, requests(expected) }
+ * requests() counts the requests the server logged ("#3 → ..."), waiting briefly for
+ * `expected` since its output can arrive after the answer
+ */
+function startStubServer() {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [STUB_SERVER_FILE, '-p', '0', '--fail-every', String(FAIL_EVERY)], {
+            cwd: __dirname,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        let output = '';
+        let started = false;
+        const countRequests = () => (output.match(/^#\d+/gm) || []).length;
+        const requests = async expected => {
+            for (let wait = 0; wait < 20 && countRequests() < expected; wait++) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+            return countRequests();
+        };
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Stub server did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`));
+        }, STARTUP_TIMEOUT_MS);
+
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/http:\/\/127\.0\.0\.1:(\d+)\/v1/);
+            if (match && !started) {
+                started = true;
+                clearTimeout(timer);
+                resolve({ child, port: parseInt(match[1], 10), requests });
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Stub server exited with code ${code}:\n${output}`));
+        });
+    });
+}
+
+/**
+ * runBatch quietly (its progress lines would interleave with the checks)
+ */
+async function runQuietBatch(items, options) {
+    const consoleLog = console.log;
+    console.log = () => {};
+    try {
+        return await runBatch(items, options);
+    } finally {
+        console.log = consoleLog;
+    }
+}
+
+async function testRunBatch() {
+    console.log('\n🧪 runBatch against the stub server...');
+    const stub = await startStubServer();
+
+    try {
+        const provider = createProvider(getProviderOptions({
+            provider: 'openai',
+            baseUrl: `http://127.0.0.1:${stub.port}/v1`,
+            apiKey: null,
+            timeoutMs: 10000
+        }));
+        const options = { provider, stateFile: STATE_FILE, requestsPerMinute: 6000, maxRetries: 2 };
+        const items = ['a', 'b', 'c'].map(id => ({ id, prompt: `Word: ${id}` }));
+
+        // Requests: a ✓, b 429 → ✓, c 429 → ✓
+        const first = await runQuietBatch(items, options);
+        let state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+        check('every item is answered despite rate limits', first.answers.length === 3 && first.failed.length === 0,
+            `${first.answers.length} answers, ${first.failed.length} failed`);
+        check('rate-limited items are retried', state.items.a.attempts === 1 && state.items.b.attempts === 2 && state.items.c.attempts === 2,
+            `attempts a=${state.items.a.attempts} b=${state.items.b.attempts} c=${state.items.c.attempts}`);
+        check('answers are returned in item order', first.answers.map(answer => answer.id).join() === 'a,b,c');
+        const requestsAfterFirst = await stub.requests(5);
+        check('the server saw 5 requests', requestsAfterFirst === 5, `got ${requestsAfterFirst}`);
+
+        // Resume: a-c come from the state file, only d is sent (429 → ✓)
+        const completedAt = state.items.b.completedAt;
+        const resumed = await runQuietBatch([...items, { id: 'd', prompt: 'Word: d' }], options);
+        state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+        check('a resumed run returns earlier answers', resumed.answers.length === 4 && resumed.failed.length === 0,
+            `${resumed.answers.length} answers, ${resumed.failed.length} failed`);
+        const requestsAfterResume = await stub.requests(7);
+        check('answered items are not sent again', requestsAfterResume === 7 && state.items.b.completedAt === completedAt,
+            `${requestsAfterResume} requests`);
+
+        // Out of retries: e hits the 8th request (429) with no retry left
+        const exhausted = await runQuietBatch([{ id: 'e', prompt: 'Word: e' }], { ...options, maxRetries: 0 });
+        state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+        check('an item out of retries is reported as failed', exhausted.failed.length === 1 && exhausted.answers.length === 0 &&
+            /429/.test(state.items.e.error || ''), JSON.stringify(exhausted.failed));
+    } finally {
+        stub.child.removeAllListeners('exit');
+        stub.child.kill();
+    }
+}
+
+async function runTests() {
+    console.log('🔍 Testing the LLM provider with the stub server...\n');
+
+    try {
+        testMaxRetries();
+        await testRunBatch();
+    } finally {
+        if (fs.existsSync(STATE_FILE)) fs.unlinkSync(STATE_FILE);
+    }
+
+    const failed = checks.filter(({ passed }) => !passed);
+    console.log('\n═══════════════════════════════════════════════════════════');
+    if (failed.length > 0) {
+        console.log(`❌ ${failed.length} of ${checks.length} checks failed`);
+    } else {
+        console.log(`✨ All ${checks.length} checks passed!`);
+    }
+    console.log('═══════════════════════════════════════════════════════════\n');
+
+    process.exit(failed.length > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+// Configuration
+const MODULE_FILE = 'passage-hash.js';
+const VECTORS_FILE = 'passage-hash-vectors.json';
+// Scripts that hash passages - they must use passage-hash.js instead of a copy of it
+const CONSUMER_FILES = ['passage-manager.js', 'create-words-passages-mapping.js', 'app.js'];
+const OWN_HASH_REGEX = /createHash\(\s*['"]sha256['"]|subtle\.digest\(|function generatePassageHash\(/;
+
+/**
+ * Load passage-hash.js the way index.html does: as a plain script in a global
+ * scope without require/module, with Web Crypto and TextEncoder like a browser
+ */
+function loadBrowserModule() {
+    const context = vm.createContext({ crypto: webcrypto, TextEncoder });
+    context.self = context;
+    vm.runInContext(fs.readFileSync(MODULE_FILE, 'utf8'), context, { filename: MODULE_FILE });
+    return context.PassageHash;
+}
+
+async function runTests() {
+    console.log('🔍 Testing passage hashes against golden vectors...\n');
+
+    console.log(`📖 Loading ${VECTORS_FILE}...`);
+    if (!fs.existsSync(VECTORS_FILE)) {
+        console.error(`❌ Error: ${VECTORS_FILE} not found!`);
+        process.exit(1);
+    }
+    const { vectors } = JSON.parse(fs.readFileSync(VECTORS_FILE, 'utf8'));
+    console.log(`   ✅ Loaded ${vectors.length} vectors\n`);
+
+    const environments = [
+        { name: 'Node (crypto, sync)', module: require('./' + MODULE_FILE), hash: (m, passage) => m.generatePassageHash(passage) },
+        { name: 'Node (Web Crypto)', module: require('./' + MODULE_FILE), hash: (m, passage) => m.generatePassageHashAsync(passage) },
+        { name: 'Browser (script, Web Crypto)', module: loadBrowserModule(), hash: (m, passage) => m.generatePassageHashAsync(passage) }
+    ];
+
+    const failures = [];
+    for (const environment of environments) {
+        let passed = 0;
+        for (const vector of vectors) {
+            const actual = await environment.hash(environment.module, vector.passage);
+            if (actual === vector.hash) {
+                passed++;
+            } else {
+                failures.push({ environment: environment.name, vector, actual });
+            }
+        }
+        console.log(`${passed === vectors.length ? '✅' : '❌'} ${environment.name}: ${passed} / ${vectors.length}`);
+    }
+
+    // A copy of the hash function can drift from the shared one without any vector noticing
+    console.log('\n🔎 Checking that scripts use the shared module...');
+    const copies = CONSUMER_FILES.filter(file => fs.existsSync(file) && OWN_HASH_REGEX.test(fs.readFileSync(file, 'utf8')));
+    copies.forEach(file => console.log(`❌ ${file} hashes passages itself - use ${MODULE_FILE}`));
+    if (copies.length === 0) console.log(`✅ ${CONSUMER_FILES.join(', ')}`);
+
+    console.log('\n═══════════════════════════════════════════════════════════');
+    if (failures.length > 0) {
+        console.log(`❌ ${failures.length} hash${failures.length !== 1 ? 'es' : ''} differ from the golden vectors:`);
+        console.log('───────────────────────────────────────────────────────────');
+        failures.forEach(({ environment, vector, actual }) => {
+            console.log(`${environment} - ${vector.description}`);
+            console.log(`   expected ${vector.hash}, got ${actual}`);
+        });
+        console.log('\nStored translations and word mappings are keyed by these hashes;');
+        console.log('a changed hash makes their passages unreachable.');
+    } else if (copies.length === 0) {
+        console.log('✨ All passage hashes match!');
+    }
+    console.log('═══════════════════════════════════════════════════════════\n');
+
+    process.exit(failures.length > 0 || copies.length > 0 ? 1 : 0);
+}
+
+runTests().catch(error => {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+});
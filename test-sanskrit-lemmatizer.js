@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const vm = require('vm');
+
+// Configuration - loaded in this order, as in index.html
+const MODULE_FILES = ['search-core.js', 'sanskrit-splitter.js', 'sanskrit-lemmatizer.js'];
+
+// Known forms: the word, the headwords in the test dictionary, and the analyses
+// that must (expect) and must not (reject) be returned as "key: description"
+const CASES = [
+    { word: 'षड्रसाः', keys: ['षड्रस'], expect: ['षड्रस: nominative plural'], reject: ['षड्रस: nominative singular'] },
+    { word: 'पञ्चप्राणाः', keys: ['पञ्चप्राण'], expect: ['पञ्चप्राण: nominative plural'], reject: ['पञ्चप्राण: nominative singular'] },
+    { word: 'उपायाः', keys: ['उप', 'उपाय'], expect: ['उपाय: nominative plural'], reject: ['उप: ablative/genitive singular'] },
+    { word: 'परमात्मन्', keys: ['परमात्मा'], expect: [], reject: ['परमात्मा: accusative plural'] },
+    { word: 'भोगाशा', keys: ['भोगः'], expect: [], reject: ['भोगः: instrumental singular'] },
+    { word: 'आपन', keys: ['अप'], expect: [], reject: ['अप: instrumental singular'] },
+    { word: 'अशनं', keys: ['áshah'], expect: [], reject: ['áshah: genitive plural'] },
+    { word: 'अश्वान्', keys: ['अश्व'], expect: ['अश्व: accusative plural'] },
+    { word: 'चित्तस्य', keys: ['चित्तम्'], expect: ['चित्तम्: genitive singular'] },
+    { word: 'मनसा', keys: ['मनः'], expect: ['मनः: instrumental singular'] },
+    { word: 'आत्मानम्', keys: ['आत्मा'], expect: ['आत्मा: accusative singular'] },
+    { word: 'मायया', keys: ['माया'], expect: ['माया: instrumental singular'] },
+    { word: 'भवन्ति', keys: ['भवति'], expect: ['भवति: third person plural present'] },
+    { word: 'भवामः', keys: ['भवति'], expect: ['भवति: first person plural present'] },
+    { word: 'bhúmau', keys: ['bhúmi'], expect: ['bhúmi: locative singular'] },
+    { word: 'चित्तम्', keys: ['चित्तम्'], expect: [], reject: [] }
+];
+
+/**
+ * Load the lemmatizer the way index.html does: as plain scripts sharing one global scope
+ */
+function loadBrowserModules() {
+    const context = vm.createContext({});
+    context.self = context;
+    MODULE_FILES.forEach(file => {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+function runTests() {
+    console.log('🔍 Testing the Sanskrit lemmatizer against known forms...\n');
+
+    const { SanskritSplitter, SanskritLemmatizer } = loadBrowserModules();
+    const failures = [];
+
+    CASES.forEach(({ word, keys, expect, reject = [] }) => {
+        const dictionary = SanskritSplitter.createDictionary(keys);
+        const analyses = SanskritLemmatizer.lemmatize(word, dictionary)
+            .map(analysis => `${analysis.key}: ${analysis.description}`);
+
+        const missing = expect.filter(analysis => !analyses.includes(analysis));
+        const wrong = reject.filter(analysis => analyses.includes(analysis));
+        // Words without expected analyses must not resolve at all
+        const unexpected = expect.length === 0 ? analyses.filter(analysis => !wrong.includes(analysis)) : [];
+
+        const passed = missing.length === 0 && wrong.length === 0 && unexpected.length === 0;
+        console.log(`${passed ? '✅' : '❌'} ${word} → ${analyses.length > 0 ? analyses.join(', ') : '(no analysis)'}`);
+        if (!passed) failures.push({ word, missing, wrong: [...wrong, ...unexpected] });
+    });
+
+    console.log('\n═══════════════════════════════════════════════════════════');
+    if (failures.length > 0) {
+        console.log(`❌ ${failures.length} of ${CASES.length} word${CASES.length !== 1 ? 's' : ''} analysed wrongly:`);
+        console.log('───────────────────────────────────────────────────────────');
+        failures.forEach(({ word, missing, wrong }) => {
+            console.log(word);
+            missing.forEach(analysis => console.log(`   missing ${analysis}`));
+            wrong.forEach(analysis => console.log(`   wrong   ${analysis}`));
+        });
+    } else {
+        console.log(`✨ All ${CASES.length} known forms analysed correctly!`);
+    }
+    console.log('═══════════════════════════════════════════════════════════\n');
+
+    process.exit(failures.length > 0 ? 1 : 0);
+}
+
+try {
+    runTests();
+} catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+}
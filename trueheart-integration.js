@@ -338,11 +338,13 @@ async function performTrueHeartSync() {
     // Local bookmarks/notes are stored under canonical keys
     const localBookmarks = JSON.parse(localStorage.getItem('bookmarks') || '{}');
     const localNotes = JSON.parse(localStorage.getItem('notes') || '{}');
+    const localFlashcards = JSON.parse(localStorage.getItem('flashcards') || '[]');
 
-    // Build local snapshot (only bookmarks & notes for Yoga Vasishtha)
+    // Build local snapshot (bookmarks, notes & flashcards for Yoga Vasishtha)
     const localData = {
         bookmarks: localBookmarks,
         notes: localNotes,
+        flashcards: localFlashcards,
         timestamp: new Date().toISOString()
     };
 
@@ -356,32 +358,36 @@ async function performTrueHeartSync() {
     // Clear pending deletions (they will be processed and uploaded)
     if (pendingDeletions.length > 0) localStorage.removeItem('trueheart-deletions');
 
-    // Prefer a sensible merge between local and remote snapshots for sync (bookmarks & notes only).
+    // Prefer a sensible merge between local and remote snapshots for sync (bookmarks, notes & flashcards).
     function isEmptySnapshot(v) {
         if (!v) return true;
-        const keys = ['bookmarks','notes'];
+        const keys = ['bookmarks','notes','flashcards'];
         return keys.every(k => !v[k] || (typeof v[k] === 'object' && Object.keys(v[k]).length === 0));
     }
 
+    // Merge two item arrays by id, keeping the most recently changed copy of each item
+    // (flashcards are stamped on every review, so the latest review wins).
+    function mergeArraysById(localArr = [], remoteArr = []) {
+        const byId = Object.create(null);
+        localArr.concat(remoteArr).forEach(item => {
+            if (!item || !item.id) return;
+            const existing = byId[item.id];
+            if (!existing) byId[item.id] = item;
+            else {
+                const exT = new Date(existing.timestamp || 0).getTime();
+                const itT = new Date(item.timestamp || 0).getTime();
+                if (itT > exT) byId[item.id] = item;
+            }
+        });
+        return Object.values(byId).sort((a,b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+    }
+
     // Always merge bookmarks and notes per-item to avoid one-client snapshot overwriting another.
     function mergeListsById(localObj = {}, remoteObj = {}) {
         const out = {};
         const bookIndexes = new Set([...Object.keys(localObj), ...Object.keys(remoteObj)]);
         bookIndexes.forEach(bi => {
-            const localArr = (localObj[bi] || []).slice();
-            const remoteArr = (remoteObj[bi] || []).slice();
-            const byId = Object.create(null);
-            localArr.concat(remoteArr).forEach(item => {
-                if (!item || !item.id) return;
-                const existing = byId[item.id];
-                if (!existing) byId[item.id] = item;
-                else {
-                    const exT = new Date(existing.timestamp || 0).getTime();
-                    const itT = new Date(item.timestamp || 0).getTime();
-                    if (itT > exT) byId[item.id] = item;
-                }
-            });
-            out[bi] = Object.values(byId).sort((a,b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+            out[bi] = mergeArraysById((localObj[bi] || []).slice(), (remoteObj[bi] || []).slice());
         });
         return out;
     }
@@ -389,6 +395,7 @@ async function performTrueHeartSync() {
     let mergedData = {
         bookmarks: mergeListsById(localData.bookmarks, remoteData?.bookmarks),
         notes: mergeListsById(localData.notes, remoteData?.notes),
+        flashcards: mergeArraysById(localData.flashcards, remoteData?.flashcards || []),
         timestamp: new Date(Math.max(new Date(localData.timestamp || 0).getTime(), new Date(remoteData?.timestamp || 0).getTime())).toISOString()
     }; 
 
@@ -397,7 +404,8 @@ async function performTrueHeartSync() {
     (pendingDeletions || []).forEach(event => {
         const id = event.key || event.id || event;
         const type = event.type || 'bookmark';
-        eventsToAppend.push({ event_id: `del-${id}-${Date.now()}`, type: 'delete', payload: { target: type === 'note' ? 'note' : 'bookmark', id }, created_at: Date.now() });
+        const target = (type === 'note' || type === 'flashcard') ? type : 'bookmark';
+        eventsToAppend.push({ event_id: `del-${id}-${Date.now()}`, type: 'delete', payload: { target, id }, created_at: Date.now() });
     });
 
     if (eventsToAppend.length > 0) {
@@ -410,7 +418,7 @@ async function performTrueHeartSync() {
     }
 
     // Fetch events and apply them to mergedData (simple replay)
-    let deletedItems = { bookmarks: [], notes: [] };
+    let deletedItems = { bookmarks: [], notes: [], flashcards: [] };
     let eventsRes = null;
     try {
         eventsRes = await window.trueheartSync.fetchEvents(0, 10000);
@@ -426,16 +434,21 @@ async function performTrueHeartSync() {
                 }
 
                 if (type === 'patch' || type === 'state') {
-                    // Only merge bookmarks and notes for now
+                    // Only merge bookmarks, notes and flashcards for now
                     if (payload.bookmarks) mergedData.bookmarks = { ...(mergedData.bookmarks || {}), ...(payload.bookmarks || {}) };
                     if (payload.notes) mergedData.notes = { ...(mergedData.notes || {}), ...(payload.notes || {}) };
+                    if (payload.flashcards) mergedData.flashcards = mergeArraysById(mergedData.flashcards || [], payload.flashcards);
                     return;
                 }
 
                 if (type === 'delete') {
                     const target = payload.target || 'bookmark';
                     const id = payload.id;
-                    if (target === 'note') {
+                    if (target === 'flashcard') {
+                        const beforeCount = (mergedData.flashcards || []).length;
+                        mergedData.flashcards = (mergedData.flashcards || []).filter(card => card.id !== id);
+                        if (mergedData.flashcards.length < beforeCount) deletedItems.flashcards.push({ id });
+                    } else if (target === 'note') {
                         Object.keys(mergedData.notes || {}).forEach(bookIndex => {
                             const beforeCount = (mergedData.notes[bookIndex] || []).length;
                             mergedData.notes[bookIndex] = (mergedData.notes[bookIndex] || []).filter(n => n.id !== id);
@@ -493,16 +506,18 @@ async function performTrueHeartSync() {
                 if (reload && reload.data) {
                     mergedData.bookmarks = reload.data.bookmarks || {};
                     mergedData.notes = reload.data.notes || {}; 
-                    // Update local storage with server snapshot (bookmarks & notes only)
+                    mergedData.flashcards = reload.data.flashcards || [];
+                    // Update local storage with server snapshot (bookmarks, notes & flashcards only)
                     localStorage.setItem('bookmarks', JSON.stringify(mergedData.bookmarks || {}));
                     localStorage.setItem('notes', JSON.stringify(mergedData.notes || {}));
+                    localStorage.setItem('flashcards', JSON.stringify(mergedData.flashcards));
                     // Debug: log counts and keys, then notify app and attempt immediate UI refresh
                     try {
                         const bookKeys = Object.keys(mergedData.bookmarks || {});
                         let total = 0;
                         bookKeys.forEach(k => { total += (mergedData.bookmarks[k] || []).length; });
                         console.debug('TrueHeart Debug: reloaded bookmarks from server', { books: bookKeys.length, total });
-                        window.dispatchEvent(new CustomEvent('syncDataUpdated', { detail: { bookmarks: mergedData.bookmarks || {}, notes: mergedData.notes || {} } }));
+                        window.dispatchEvent(new CustomEvent('syncDataUpdated', { detail: { bookmarks: mergedData.bookmarks || {}, notes: mergedData.notes || {}, flashcards: mergedData.flashcards } }));
                         // If app's BookmarkManager is present, call its reload helpers immediately to ensure UI reflects the update
                         if (window.BookmarkManager && typeof window.BookmarkManager.loadFromStorage === 'function') {
                             try { window.BookmarkManager.loadFromStorage(); window.BookmarkManager.renderBookmarks(); } catch (e) { console.warn('TrueHeart: failed to trigger BookmarkManager reload', e); }
@@ -516,10 +531,11 @@ async function performTrueHeartSync() {
                 console.error('TrueHeart: failed to reload server snapshot after empty-merge guard', reloadErr);
             }
         } else {
-            // Only sync bookmarks and notes (avoid syncing reading positions, prompts, settings)
+            // Only sync bookmarks, notes and flashcards (avoid syncing reading positions, prompts, settings)
             const syncPayload = {
                 bookmarks: mergedData.bookmarks || {},
                 notes: mergedData.notes || {},
+                flashcards: mergedData.flashcards || [],
                 timestamp: mergedData.timestamp || new Date().toISOString()
             };
             const payloadStr = JSON.stringify(syncPayload);
@@ -537,10 +553,12 @@ async function performTrueHeartSync() {
                 if (reload && reload.data) {
                     mergedData.bookmarks = reload.data.bookmarks || {};
                     mergedData.notes = reload.data.notes || {};
-                    // Update local storage with server snapshot (bookmarks & notes only)
+                    mergedData.flashcards = reload.data.flashcards || [];
+                    // Update local storage with server snapshot (bookmarks, notes & flashcards only)
                     localStorage.setItem('bookmarks', JSON.stringify(mergedData.bookmarks || {}));
                     localStorage.setItem('notes', JSON.stringify(mergedData.notes || {}));
-                    window.dispatchEvent(new CustomEvent('syncDataUpdated', { detail: { bookmarks: mergedData.bookmarks || {}, notes: mergedData.notes || {} } }));
+                    localStorage.setItem('flashcards', JSON.stringify(mergedData.flashcards));
+                    window.dispatchEvent(new CustomEvent('syncDataUpdated', { detail: { bookmarks: mergedData.bookmarks || {}, notes: mergedData.notes || {}, flashcards: mergedData.flashcards } }));
                     console.info('TrueHeart: local bookmarks/notes refreshed from server after rejected empty save');
                 } else {
                     console.warn('TrueHeart: reload returned no data after empty save rejection');
@@ -553,19 +571,21 @@ async function performTrueHeartSync() {
         }
     }
 
-    // Update local storage with merged bookmarks & notes only
+    // Update local storage with merged bookmarks, notes & flashcards only
     try {
         localStorage.setItem('bookmarks', JSON.stringify(mergedData.bookmarks));
         localStorage.setItem('notes', JSON.stringify(mergedData.notes));
+        localStorage.setItem('flashcards', JSON.stringify(mergedData.flashcards || []));
     } catch (err) {
-        console.warn('Could not update bookmarks/notes in local storage:', err);
+        console.warn('Could not update bookmarks/notes/flashcards in local storage:', err);
     }
 
-    // Notify app of synced data (bookmarks & notes only)
+    // Notify app of synced data (bookmarks, notes & flashcards only)
     window.dispatchEvent(new CustomEvent('syncDataUpdated', {
         detail: {
             bookmarks: mergedData.bookmarks || {},
             notes: mergedData.notes || {},
+            flashcards: mergedData.flashcards || [],
             deletedItems: deletedItems
         }
     }));
@@ -682,6 +702,7 @@ window.resetSync = async function() {
         const emptyState = {
             bookmarks: {},
             notes: {},
+            flashcards: [],
             timestamp: new Date().toISOString()
         };
 